@@ -0,0 +1,666 @@
+/**
+ * AST Engine — computes file metrics from a real syntax tree using the
+ * TypeScript compiler API, as an alternative to the regex engine in
+ * file-analyzer.js.
+ *
+ * The `typescript` package is not a dependency of this tool: it is loaded
+ * from the analyzed project (or wherever Node can otherwise resolve it).
+ * Metrics follow the regex engine's definitions so the two can be compared;
+ * tests/engine-corpus holds the known cases where they disagree.
+ */
+const path = require('path');
+const { createHalsteadCounts, addHalsteadToken, readabilityFields } = require('./metrics');
+const { createTypeSafetyCounts, countDirectives } = require('./type-safety');
+const { isComponentName, isHookName, COMPONENT_WRAPPERS, COMPONENT_TYPES } = require('./components');
+
+/**
+ * Locate the `typescript` package, preferring the analyzed project's copy.
+ *
+ * @param {string} projectDir
+ * @returns {{path: string, version: string}|null} null when it is not installed
+ */
+function resolveTypeScript(projectDir) {
+  for (const opts of [{ paths: [path.resolve(projectDir)] }, undefined]) {
+    try {
+      const modulePath = require.resolve('typescript', opts);
+      return { path: modulePath, version: require(modulePath).version };
+    } catch {
+      // try the next location
+    }
+  }
+  return null;
+}
+
+/**
+ * Analyze source text with the TypeScript parser.
+ *
+ * @param {object} ts - The loaded `typescript` module
+ * @param {string} filePath
+ * @param {string} content
+ * @param {object} opts
+ * @param {boolean} opts.complexity
+ * @param {boolean} opts.functions
+ * @param {boolean} opts.tokens
+ * @param {boolean} opts.symbols
+ * @param {boolean} [opts.cognitive]
+ * @param {boolean} [opts.halstead]
+ * @param {boolean} [opts.maintainability]
+ * @param {boolean} [opts.typeSafety]
+ * @param {boolean} [opts.components]
+ * @param {string} [opts.language] - 'typescript' | 'javascript'; parses extensions the
+ *   compiler does not know (.vue, .svelte script blocks)
+ * @returns {{functionNames: string[], dependencies: string[], complexity: number,
+ *   functions: import('./file-analyzer').FunctionComplexity[], cognitive: ?number,
+ *   halsteadCounts: ?import('./metrics').HalsteadCounts,
+ *   typeSafety: ?import('./type-safety').TypeSafetyCounts, tokens: ?{values: string[], lines: number[]},
+ *   symbols: ?import('./file-analyzer').ModuleSymbols, components: ?import('./components').Component[]}}
+ *   Dependencies are unfiltered and unsorted; file-analyzer applies its exclusions
+ */
+function analyzeAst(ts, filePath, content, opts = {}) {
+  const { complexity = false, functions = false, tokens = false, symbols = false, components = false } = opts;
+  const { cognitive = false, halstead = false, maintainability = false, typeSafety = false } = opts;
+  const sourceFile = ts.createSourceFile(filePath, content, ts.ScriptTarget.Latest, true, scriptKind(ts, filePath, opts.language));
+  const lineOf = pos => sourceFile.getLineAndCharacterOfPosition(pos).line + 1;
+
+  const names = { function: new Set(), arrow: new Set(), class: new Set() };
+  const dependencies = [];
+  const moduleSymbols = { exports: [], imports: [], reExports: [] };
+  const scored = [];
+  const recordOf = new Map(); // function node → its entry in `scored`
+  const safety = typeSafety ? { ...createTypeSafetyCounts(), ...countDirectives(content) } : null;
+  let moduleLevel = 0;
+
+  const visit = (node, current) => {
+    collectName(ts, node, names);
+    collectDependency(ts, node, dependencies);
+    if (symbols) collectSymbols(ts, node, moduleSymbols, lineOf);
+    if (safety) collectTypeSafety(ts, node, safety);
+
+    if (isFunctionWithBody(ts, node)) {
+      const record = {
+        name: functionName(ts, node),
+        kind: functionKind(ts, node),
+        startLine: lineOf(headStart(ts, node, sourceFile)),
+        endLine: lineOf(node.end - 1),
+        complexity: 1,
+      };
+      scored.push(record);
+      recordOf.set(node, record);
+      ts.forEachChild(node, child => visit(child, record));
+      return;
+    }
+
+    const points = decisionPoints(ts, node);
+    if (current) current.complexity += points;
+    else moduleLevel += points;
+    ts.forEachChild(node, child => visit(child, current));
+  };
+  ts.forEachChild(sourceFile, child => visit(child, null));
+
+  const total = scored.length === 0
+    ? 1 + moduleLevel
+    : scored.reduce((sum, fn) => sum + fn.complexity, moduleLevel);
+
+  // Readability metrics, tallied per function like the cyclomatic score
+  const cognitiveScores = cognitive ? scoreCognitive(ts, sourceFile, recordOf) : null;
+  const halsteadCounts = halstead || maintainability ? countHalstead(ts, sourceFile, recordOf) : null;
+  for (const record of scored) {
+    Object.assign(record, readabilityFields({
+      cognitive: cognitiveScores && (cognitiveScores.get(record) || 0),
+      counts: halsteadCounts && (halsteadCounts.get(record) || createHalsteadCounts()),
+      complexity: record.complexity,
+      lines: record.endLine - record.startLine + 1,
+    }, opts));
+  }
+
+  return {
+    functionNames: functions ? [...names.function, ...names.arrow, ...names.class] : [],
+    dependencies,
+    complexity: total,
+    functions: complexity || cognitive || halstead || maintainability ? scored : [],
+    cognitive: cognitiveScores && [...cognitiveScores.values()].reduce((sum, n) => sum + n, 0),
+    halsteadCounts: halsteadCounts && halsteadCounts.get(null),
+    typeSafety: safety,
+    tokens: tokens ? tokenizeAst(ts, sourceFile, lineOf) : null,
+    symbols: symbols ? dedupeExports(moduleSymbols) : null,
+    components: components ? findComponents(ts, sourceFile, lineOf) : null,
+  };
+}
+
+function scriptKind(ts, filePath, language) {
+  const kinds = {
+    '.ts': ts.ScriptKind.TS, '.mts': ts.ScriptKind.TS, '.cts': ts.ScriptKind.TS, '.tsx': ts.ScriptKind.TSX,
+    '.js': ts.ScriptKind.JS, '.mjs': ts.ScriptKind.JS, '.cjs': ts.ScriptKind.JS, '.jsx': ts.ScriptKind.JSX,
+  };
+  return kinds[path.extname(filePath)] || (language === 'javascript' ? ts.ScriptKind.JS : ts.ScriptKind.TS);
+}
+
+// ── Functions ────────────────────────────────────────────────
+
+function isFunctionWithBody(ts, node) {
+  return Boolean(node.body) && (
+    ts.isFunctionDeclaration(node) || ts.isFunctionExpression(node) || ts.isArrowFunction(node) ||
+    ts.isMethodDeclaration(node) || ts.isConstructorDeclaration(node) ||
+    ts.isGetAccessorDeclaration(node) || ts.isSetAccessorDeclaration(node)
+  );
+}
+
+function functionKind(ts, node) {
+  if (ts.isArrowFunction(node)) return 'arrow';
+  if (ts.isFunctionDeclaration(node) || ts.isFunctionExpression(node)) return 'function';
+  return 'method';
+}
+
+/** Own name, else the variable, property or field the function is bound to. */
+function functionName(ts, node) {
+  if (ts.isConstructorDeclaration(node)) return 'constructor';
+  if (node.name) return node.name.getText();
+
+  const parent = node.parent;
+  if (
+    (ts.isVariableDeclaration(parent) || ts.isPropertyAssignment(parent) || ts.isPropertyDeclaration(parent)) &&
+    parent.initializer === node
+  ) {
+    return parent.name.getText();
+  }
+  if (ts.isBinaryExpression(parent) && parent.operatorToken.kind === ts.SyntaxKind.EqualsToken) {
+    const target = parent.left;
+    return ts.isPropertyAccessExpression(target) ? target.name.text : target.getText();
+  }
+  return '<anonymous>';
+}
+
+/** Arrow functions start at their binding (`const foo = ...`), as in the regex engine. */
+function headStart(ts, node, sourceFile) {
+  const parent = node.parent;
+  if (ts.isArrowFunction(node) && parent && parent.initializer === node) {
+    const declaration = ts.isVariableDeclaration(parent) && parent.parent.parent;
+    return (declaration && ts.isVariableStatement(declaration) ? declaration : parent).getStart(sourceFile);
+  }
+  return node.getStart(sourceFile);
+}
+
+function collectName(ts, node, names) {
+  if ((ts.isFunctionDeclaration(node) || ts.isFunctionExpression(node)) && node.name) {
+    names.function.add(node.name.text);
+  } else if (
+    ts.isVariableDeclaration(node) && ts.isIdentifier(node.name) &&
+    node.initializer && ts.isArrowFunction(node.initializer)
+  ) {
+    names.arrow.add(node.name.text);
+  } else if ((ts.isClassDeclaration(node) || ts.isClassExpression(node)) && node.name) {
+    names.class.add(node.name.text);
+  }
+}
+
+// ── Complexity ───────────────────────────────────────────────
+
+function decisionPoints(ts, node) {
+  const K = ts.SyntaxKind;
+  switch (node.kind) {
+    case K.IfStatement:
+    case K.ForStatement:
+    case K.ForInStatement:
+    case K.ForOfStatement:
+    case K.WhileStatement:
+    case K.DoStatement:
+    case K.CaseClause:
+    case K.CatchClause:
+    case K.ConditionalExpression:
+      return 1;
+    case K.BinaryExpression:
+      return [
+        K.AmpersandAmpersandToken, K.BarBarToken, K.QuestionQuestionToken,
+        K.AmpersandAmpersandEqualsToken, K.BarBarEqualsToken, K.QuestionQuestionEqualsToken,
+      ].includes(node.operatorToken.kind) ? 1 : 0;
+    case K.PropertyAccessExpression:
+    case K.ElementAccessExpression:
+    case K.CallExpression:
+      return node.questionDotToken ? 1 : 0;
+    default:
+      return 0;
+  }
+}
+
+// ── Cognitive complexity ─────────────────────────────────────
+
+/**
+ * Cognitive complexity per function (keyed by its `scored` record) and at
+ * module level (key null). Same rules as metrics.js, with the nesting read
+ * from the tree: ternary branches nest as well.
+ */
+function scoreCognitive(ts, sourceFile, recordOf) {
+  const K = ts.SyntaxKind;
+  const scores = new Map([[null, 0]]);
+  const add = (owner, n) => scores.set(owner, (scores.get(owner) || 0) + n);
+
+  const walk = (node, nesting, owner) => {
+    const record = recordOf.get(node);
+    if (record) {
+      ts.forEachChild(node, child => (child === node.body ? walk(child, 0, record) : walk(child, nesting, owner)));
+      return;
+    }
+    const same = child => child && walk(child, nesting, owner);
+    const nested = child => child && walk(child, nesting + 1, owner);
+
+    switch (node.kind) {
+      case K.IfStatement: {
+        const isElseIf = ts.isIfStatement(node.parent) && node.parent.elseStatement === node;
+        add(owner, isElseIf ? 1 : 1 + nesting);
+        same(node.expression);
+        nested(node.thenStatement);
+        if (node.elseStatement && ts.isIfStatement(node.elseStatement)) {
+          same(node.elseStatement);
+        } else if (node.elseStatement) {
+          add(owner, 1);
+          nested(node.elseStatement);
+        }
+        return;
+      }
+      case K.ForStatement:
+      case K.ForInStatement:
+      case K.ForOfStatement:
+      case K.WhileStatement:
+      case K.DoStatement:
+        add(owner, 1 + nesting);
+        ts.forEachChild(node, child => (child === node.statement ? nested(child) : same(child)));
+        return;
+      case K.SwitchStatement:
+        add(owner, 1 + nesting);
+        same(node.expression);
+        nested(node.caseBlock);
+        return;
+      case K.CatchClause:
+        add(owner, 1 + nesting);
+        same(node.variableDeclaration);
+        nested(node.block);
+        return;
+      case K.ConditionalExpression:
+        add(owner, 1 + nesting);
+        same(node.condition);
+        nested(node.whenTrue);
+        nested(node.whenFalse);
+        return;
+      case K.BreakStatement:
+      case K.ContinueStatement:
+        if (node.label) add(owner, 1);
+        return;
+      case K.BinaryExpression:
+        // Score each unparenthesized chain once, at its root
+        if (isLogical(ts, node) && !isLogical(ts, node.parent)) add(owner, logicalSequences(ts, node));
+        break;
+      default:
+        break;
+    }
+    ts.forEachChild(node, same);
+  };
+  ts.forEachChild(sourceFile, child => walk(child, 0, null));
+
+  return scores;
+}
+
+function isLogical(ts, node) {
+  const K = ts.SyntaxKind;
+  return ts.isBinaryExpression(node) &&
+    [K.AmpersandAmpersandToken, K.BarBarToken, K.QuestionQuestionToken].includes(node.operatorToken.kind);
+}
+
+/** Runs of like operators in a chain: `a && b && c || d` has two. */
+function logicalSequences(ts, root) {
+  const operators = [];
+  const collect = node => {
+    if (!isLogical(ts, node)) return;
+    collect(node.left);
+    operators.push(node.operatorToken.kind);
+    collect(node.right);
+  };
+  collect(root);
+  return operators.filter((op, i) => op !== operators[i - 1]).length;
+}
+
+// ── Halstead ─────────────────────────────────────────────────
+
+/**
+ * Operator/operand counts per function body (keyed by its `scored` record)
+ * and for the whole file (key null).
+ */
+function countHalstead(ts, sourceFile, recordOf) {
+  const K = ts.SyntaxKind;
+  const operandKinds = new Set([
+    K.Identifier, K.PrivateIdentifier, K.NumericLiteral, K.BigIntLiteral, K.StringLiteral,
+    K.RegularExpressionLiteral, K.NoSubstitutionTemplateLiteral, K.TemplateHead, K.TemplateMiddle,
+    K.TemplateTail, K.JsxText, K.TrueKeyword, K.FalseKeyword, K.NullKeyword, K.ThisKeyword, K.SuperKeyword,
+  ]);
+  const closing = new Set([K.CloseParenToken, K.CloseBracketToken, K.CloseBraceToken, K.EndOfFileToken]);
+  const counts = new Map([[null, createHalsteadCounts()]]);
+
+  const walk = (node, owner) => {
+    if (node.kind === K.JsxText && node.containsOnlyTriviaWhiteSpaces) return;
+    if (node.kind >= K.FirstNode || node.kind === K.SyntaxList) {
+      const record = recordOf.get(node);
+      for (const child of node.getChildren(sourceFile)) walk(child, record && child === node.body ? record : owner);
+      return;
+    }
+    if (closing.has(node.kind)) return;
+    const text = node.getText(sourceFile);
+    const isOperand = operandKinds.has(node.kind);
+    addHalsteadToken(counts.get(null), isOperand, text);
+    if (owner) {
+      if (!counts.has(owner)) counts.set(owner, createHalsteadCounts());
+      addHalsteadToken(counts.get(owner), isOperand, text);
+    }
+  };
+  walk(sourceFile, null);
+
+  return counts;
+}
+
+// ── Type safety ──────────────────────────────────────────────
+
+function collectTypeSafety(ts, node, counts) {
+  if (node.kind === ts.SyntaxKind.AnyKeyword) counts.any++;
+  else if (ts.isNonNullExpression(node)) counts.nonNull++;
+  else if (isCast(ts, node)) {
+    // `x as unknown as T` is one double cast: counted at the outer assertion
+    if (isDoubleCastInner(ts, node)) return;
+    if (isDoubleCastInner(ts, skipParentheses(ts, node.expression))) {
+      counts.doubleCasts++;
+    } else {
+      counts.casts++;
+    }
+  }
+}
+
+/** `x as T` or `<T>x`, other than `as const`. */
+function isCast(ts, node) {
+  return (ts.isAsExpression(node) || ts.isTypeAssertionExpression(node)) && !ts.isConstTypeReference(node.type);
+}
+
+/** The `x as unknown` of `x as unknown as T`. */
+function isDoubleCastInner(ts, node) {
+  if (!isCast(ts, node)) return false;
+  if (node.type.kind !== ts.SyntaxKind.UnknownKeyword && node.type.kind !== ts.SyntaxKind.AnyKeyword) return false;
+  let parent = node.parent;
+  while (parent && ts.isParenthesizedExpression(parent)) parent = parent.parent;
+  return Boolean(parent) && isCast(ts, parent);
+}
+
+function skipParentheses(ts, node) {
+  while (ts.isParenthesizedExpression(node)) node = node.expression;
+  return node;
+}
+
+// ── React components ─────────────────────────────────────────
+
+/**
+ * Function and class components with the same fields as file-analyzer's
+ * extractComponents. Props types are looked up among the file's interfaces
+ * and type-literal aliases.
+ */
+function findComponents(ts, sourceFile, lineOf) {
+  const typeMembers = new Map();
+  const candidates = [];
+  const walk = node => {
+    if (ts.isInterfaceDeclaration(node)) typeMembers.set(node.name.text, node.members.length);
+    else if (ts.isTypeAliasDeclaration(node) && ts.isTypeLiteralNode(node.type)) {
+      typeMembers.set(node.name.text, node.type.members.length);
+    }
+    if (isFunctionWithBody(ts, node) || ts.isClassLike(node)) candidates.push(node);
+    ts.forEachChild(node, walk);
+  };
+  walk(sourceFile);
+
+  const components = [];
+  for (const node of candidates) {
+    const kind = ts.isClassLike(node) ? 'class' : 'function';
+    const name = kind === 'class' ? classComponentName(ts, node) : functionComponentName(ts, node);
+    if (!name) continue;
+    const jsxDepth = measureJsxDepth(ts, node);
+    if (kind === 'function' && jsxDepth === 0) continue;
+
+    const startLine = lineOf(kind === 'class' ? node.getStart(sourceFile) : headStart(ts, node, sourceFile));
+    const endLine = lineOf(node.end - 1);
+    components.push({
+      name,
+      kind,
+      startLine,
+      endLine,
+      lines: endLine - startLine + 1,
+      props: countProps(ts, node, typeMembers),
+      hooks: kind === 'class' ? [] : findHookCalls(ts, node, sourceFile, lineOf),
+      jsxDepth,
+    });
+  }
+  return components.sort((a, b) => a.startLine - b.startLine);
+}
+
+/** The class name if it extends Component or PureComponent, else null. */
+function classComponentName(ts, node) {
+  if (!node.name || !isComponentName(node.name.text)) return null;
+  const base = componentBase(ts, node);
+  return base ? node.name.text : null;
+}
+
+function componentBase(ts, node) {
+  const clause = (node.heritageClauses || []).find(c => c.token === ts.SyntaxKind.ExtendsKeyword);
+  const base = clause && clause.types[0];
+  if (!base) return null;
+  const name = ts.isPropertyAccessExpression(base.expression) && base.expression.expression.getText() === 'React'
+    ? base.expression.name.text
+    : base.expression.getText();
+  return name === 'Component' || name === 'PureComponent' ? base : null;
+}
+
+/** Its name, or that of the variable it is bound to through memo() / forwardRef(); null unless capitalized. */
+function functionComponentName(ts, node) {
+  let name = functionName(ts, node);
+  const call = node.parent;
+  if (name === '<anonymous>' && ts.isCallExpression(call) && COMPONENT_WRAPPERS.includes(calleeName(ts, call)) &&
+    ts.isVariableDeclaration(call.parent) && ts.isIdentifier(call.parent.name)) {
+    name = call.parent.name.text;
+  }
+  return isComponentName(name) ? name : null;
+}
+
+/** `memo` for both memo() and React.memo(). */
+function calleeName(ts, call) {
+  const callee = call.expression;
+  if (ts.isIdentifier(callee)) return callee.text;
+  if (ts.isPropertyAccessExpression(callee) && callee.expression.getText() === 'React') return callee.name.text;
+  return null;
+}
+
+/** Same precedence as the regex engine: declared props type, React.FC<Props>, destructured names. */
+function countProps(ts, node, typeMembers) {
+  const fromType = type => {
+    if (!type) return null;
+    if (ts.isTypeLiteralNode(type)) return type.members.length;
+    if (ts.isTypeReferenceNode(type) && ts.isIdentifier(type.typeName) && typeMembers.has(type.typeName.text)) {
+      return typeMembers.get(type.typeName.text);
+    }
+    return null;
+  };
+
+  if (ts.isClassLike(node)) {
+    const args = componentBase(ts, node).typeArguments;
+    return args ? fromType(args[0]) : 0;
+  }
+
+  const [param] = node.parameters;
+  const declared = param ? fromType(param.type) : null;
+  if (declared !== null) return declared;
+
+  const binding = node.parent && ts.isVariableDeclaration(node.parent) ? node.parent : null;
+  const annotation = binding && binding.type;
+  if (annotation && ts.isTypeReferenceNode(annotation) && annotation.typeArguments &&
+    COMPONENT_TYPES.includes(annotation.typeName.getText().replace(/^React\./, ''))) {
+    const fromAnnotation = fromType(annotation.typeArguments[0]);
+    if (fromAnnotation !== null) return fromAnnotation;
+  }
+
+  if (param && ts.isObjectBindingPattern(param.name)) {
+    return param.name.elements.filter(element => !element.dotDotDotToken).length;
+  }
+  return param ? null : 0;
+}
+
+/** Hook calls in the component's own body (not in nested functions). */
+function findHookCalls(ts, component, sourceFile, lineOf) {
+  const hooks = [];
+  const walk = node => {
+    if (node !== component && (isFunctionWithBody(ts, node) || ts.isClassLike(node))) return;
+    const name = ts.isCallExpression(node) ? calleeName(ts, node) : null;
+    if (name && isHookName(name)) {
+      hooks.push({
+        name,
+        line: lineOf(node.getStart(sourceFile)),
+        conditional: isConditionalNode(ts, node, component),
+        dependencies: node.arguments.length >= 2,
+      });
+    }
+    ts.forEachChild(node, walk);
+  };
+  walk(component);
+  return hooks;
+}
+
+/** Whether `node` only runs on some paths, or repeatedly, between it and `root`. */
+function isConditionalNode(ts, node, root) {
+  for (let child = node, parent = node.parent; parent && child !== root; child = parent, parent = parent.parent) {
+    if (ts.isIfStatement(parent) && child !== parent.expression) return true;
+    if (ts.isConditionalExpression(parent) && child !== parent.condition) return true;
+    if (isLogical(ts, parent) && child === parent.right) return true;
+    if (ts.isForStatement(parent) && child !== parent.initializer) return true;
+    if ((ts.isForOfStatement(parent) || ts.isForInStatement(parent)) && child !== parent.expression) return true;
+    if (ts.isWhileStatement(parent) || ts.isDoStatement(parent) || ts.isCaseOrDefaultClause(parent) || ts.isCatchClause(parent)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/** Deepest nesting of JSX elements and fragments, nested functions included. */
+function measureJsxDepth(ts, root) {
+  let max = 0;
+  const walk = (node, depth) => {
+    const inner = ts.isJsxElement(node) || ts.isJsxSelfClosingElement(node) || ts.isJsxFragment(node) ? depth + 1 : depth;
+    max = Math.max(max, inner);
+    ts.forEachChild(node, child => walk(child, inner));
+  };
+  ts.forEachChild(root, child => walk(child, 0));
+  return max;
+}
+
+// ── Dependencies ─────────────────────────────────────────────
+
+function collectDependency(ts, node, dependencies) {
+  let specifier = null;
+  if (ts.isImportDeclaration(node) || ts.isExportDeclaration(node)) {
+    specifier = node.moduleSpecifier;
+  } else if (ts.isImportEqualsDeclaration(node) && ts.isExternalModuleReference(node.moduleReference)) {
+    specifier = node.moduleReference.expression;
+  } else if (ts.isCallExpression(node) && (node.expression.kind === ts.SyntaxKind.ImportKeyword || isRequire(ts, node))) {
+    specifier = node.arguments[0];
+  } else if (ts.isImportTypeNode(node) && ts.isLiteralTypeNode(node.argument)) {
+    specifier = node.argument.literal;
+  }
+  if (specifier && ts.isStringLiteralLike(specifier)) dependencies.push(specifier.text);
+}
+
+/** A CommonJS `require(...)` call with a single argument. */
+function isRequire(ts, node) {
+  return ts.isIdentifier(node.expression) && node.expression.text === 'require' && node.arguments.length === 1;
+}
+
+// ── Exports and imported bindings ────────────────────────────
+
+function collectSymbols(ts, node, symbols, lineOf) {
+  const K = ts.SyntaxKind;
+  const line = () => lineOf(node.getStart());
+  const hasModifier = kind => (ts.canHaveModifiers(node) && ts.getModifiers(node) || []).some(m => m.kind === kind);
+
+  if (ts.isImportDeclaration(node) && ts.isStringLiteralLike(node.moduleSpecifier)) {
+    const clause = node.importClause;
+    const names = [];
+    if (clause && clause.name) names.push('default');
+    if (clause && clause.namedBindings) {
+      if (ts.isNamespaceImport(clause.namedBindings)) names.push('*');
+      else names.push(...clause.namedBindings.elements.map(e => (e.propertyName || e.name).text));
+    }
+    symbols.imports.push({ specifier: node.moduleSpecifier.text, names });
+  } else if (ts.isCallExpression(node) && (node.expression.kind === K.ImportKeyword || isRequire(ts, node))) {
+    const [arg] = node.arguments;
+    if (arg && ts.isStringLiteralLike(arg)) symbols.imports.push({ specifier: arg.text, names: ['*'] });
+  } else if (ts.isImportEqualsDeclaration(node) && ts.isExternalModuleReference(node.moduleReference)) {
+    const ref = node.moduleReference.expression;
+    if (ts.isStringLiteralLike(ref)) symbols.imports.push({ specifier: ref.text, names: ['*'] });
+  } else if (ts.isExportDeclaration(node)) {
+    const clause = node.exportClause;
+    if (node.moduleSpecifier && ts.isStringLiteralLike(node.moduleSpecifier)) {
+      const specifier = node.moduleSpecifier.text;
+      if (!clause) {
+        symbols.reExports.push({ specifier, imported: '*', exported: '*' });
+      } else if (ts.isNamespaceExport(clause)) {
+        symbols.reExports.push({ specifier, imported: '*', exported: clause.name.text });
+      } else {
+        for (const e of clause.elements) {
+          symbols.reExports.push({ specifier, imported: (e.propertyName || e.name).text, exported: e.name.text });
+        }
+      }
+    } else if (clause && ts.isNamedExports(clause)) {
+      for (const e of clause.elements) symbols.exports.push({ name: e.name.text, line: line() });
+    }
+  } else if (ts.isExportAssignment(node) && !node.isExportEquals) {
+    symbols.exports.push({ name: 'default', line: line() });
+  } else if (hasModifier(K.ExportKeyword)) {
+    if (hasModifier(K.DefaultKeyword)) {
+      symbols.exports.push({ name: 'default', line: line() });
+    } else if (ts.isVariableStatement(node)) {
+      for (const d of node.declarationList.declarations) {
+        if (ts.isIdentifier(d.name)) symbols.exports.push({ name: d.name.text, line: line() });
+      }
+    } else if (node.name && ts.isIdentifier(node.name)) {
+      symbols.exports.push({ name: node.name.text, line: line() });
+    }
+  }
+}
+
+/** Overloads and declaration merging export one name several times. */
+function dedupeExports(symbols) {
+  const seen = new Set();
+  return { ...symbols, exports: symbols.exports.filter(e => !seen.has(e.name) && seen.add(e.name)) };
+}
+
+// ── Clone tokens ─────────────────────────────────────────────
+
+/**
+ * Normalized token stream for clone detection, in the same format as the
+ * regex tokenizer (clones.js). Import declarations are skipped.
+ */
+function tokenizeAst(ts, sourceFile, lineOf) {
+  const values = [];
+  const lines = [];
+  const K = ts.SyntaxKind;
+  const literals = new Set([
+    K.NumericLiteral, K.BigIntLiteral, K.StringLiteral, K.RegularExpressionLiteral,
+    K.NoSubstitutionTemplateLiteral, K.TemplateHead, K.TemplateMiddle, K.TemplateTail, K.JsxText,
+  ]);
+
+  const walk = node => {
+    if (ts.isImportDeclaration(node) || node.kind === K.EndOfFileToken) return;
+    if (node.kind === K.JsxText && node.containsOnlyTriviaWhiteSpaces) return;
+    if (node.kind >= K.FirstNode || node.kind === K.SyntaxList) {
+      for (const child of node.getChildren(sourceFile)) walk(child);
+      return;
+    }
+    if (literals.has(node.kind)) values.push('$lit');
+    else if (node.kind === K.Identifier || node.kind === K.PrivateIdentifier) values.push('$id');
+    else values.push(node.getText(sourceFile));
+    lines.push(lineOf(node.getStart(sourceFile)));
+  };
+  walk(sourceFile);
+
+  return { values, lines };
+}
+
+module.exports = { resolveTypeScript, analyzeAst };
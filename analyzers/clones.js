@@ -0,0 +1,229 @@
+/**
+ * Clone Detection — finds copy-pasted blocks across and within files.
+ *
+ * Complements duplicates.js (whole files with identical bytes): sources are
+ * tokenized with identifiers and literals normalized, so a block that was
+ * pasted and then had its variables renamed still matches. Any run of at
+ * least `minTokens` equal tokens spanning `minLines` lines is a clone.
+ */
+const fs = require('fs');
+
+const DEFAULT_CLONE_OPTIONS = { minTokens: 50, minLines: 5 };
+
+// Kept verbatim; every other word is normalized to an identifier
+const KEYWORDS = new Set([
+  'abstract', 'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+  'debugger', 'declare', 'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'false',
+  'finally', 'for', 'from', 'function', 'get', 'if', 'implements', 'import', 'in', 'instanceof',
+  'interface', 'keyof', 'let', 'new', 'null', 'of', 'private', 'protected', 'public', 'readonly',
+  'return', 'set', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'type', 'typeof',
+  'undefined', 'var', 'void', 'while', 'yield',
+]);
+
+// Words, numbers, string placeholders and (multi-character) punctuators
+const TOKEN_REGEX = /[A-Za-z_$][\w$]*|\d[\w.]*|""|=>|\.\.\.|[=!]==?|[<>]=?|&&|\|\||\?\?|\?\.|\+\+|--|[+\-*/%&|^]=?|[^\s\w]/g;
+
+// Import lines are boilerplate that every file shares
+const IMPORT_LINE_REGEX = /^\s*import\b[^;]*?\bfrom\s*""\s*;?|^\s*import\s*""\s*;?/gm;
+
+/**
+ * Tokenize stripped source (see file-analyzer's stripCommentsAndStrings:
+ * comments removed, strings blanked, line breaks kept).
+ *
+ * @param {string} stripped
+ * @returns {{values: string[], lines: number[]}} Normalized tokens and their 1-based lines
+ */
+function tokenize(stripped) {
+  const source = stripped.replace(IMPORT_LINE_REGEX, m => m.replace(/[^\n]/g, ' '));
+  const values = [];
+  const lines = [];
+  let line = 1;
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TOKEN_REGEX)) {
+    for (let i = lastIndex; i < match.index; i++) {
+      if (source[i] === '\n') line++;
+    }
+    lastIndex = match.index;
+
+    const token = match[0];
+    if (token === '""' || /^\d/.test(token)) values.push('$lit');
+    else if (/^[A-Za-z_$]/.test(token) && !KEYWORDS.has(token)) values.push('$id');
+    else values.push(token);
+    lines.push(line);
+  }
+
+  return { values, lines };
+}
+
+/**
+ * Find clone groups among the analyzed files.
+ *
+ * Every window of `minTokens` tokens is hashed; a window seen before starts
+ * a clone, which is then extended token by token as far as both copies
+ * agree. Copies of the same original form one group.
+ *
+ * @param {Array<{filePath: string, tokens: {values: string[], lines: number[]}}>} results
+ * @param {object} [opts]
+ * @param {number} [opts.minTokens]
+ * @param {number} [opts.minLines]
+ * @returns {CloneReport}
+ */
+function findClones(results, { minTokens = DEFAULT_CLONE_OPTIONS.minTokens, minLines = DEFAULT_CLONE_OPTIONS.minLines } = {}) {
+  const files = results.filter(r => r.tokens && r.tokens.values.length >= minTokens);
+  const seen = new Map(); // window hash → [{file, start}] of first occurrences
+  const groups = new Map(); // original fragment key → group
+
+  for (let f = 0; f < files.length; f++) {
+    const { values } = files[f].tokens;
+    const hashes = windowHashes(values, minTokens);
+
+    for (let i = 0; i < hashes.length; i++) {
+      const original = findOriginal(seen.get(hashes[i]), files, f, i, minTokens);
+      if (!original) {
+        remember(seen, hashes[i], { file: f, start: i });
+        continue;
+      }
+
+      const length = extendMatch(files, original, { file: f, start: i }, minTokens);
+      const from = toFragment(files[original.file], original.start, length);
+      const copy = toFragment(files[f], i, length);
+      if (copy.endLine - copy.startLine + 1 >= minLines) {
+        const key = `${from.filePath}:${from.startLine}:${from.endLine}`;
+        if (!groups.has(key)) groups.set(key, { tokens: length, fragments: [from] });
+        groups.get(key).fragments.push(copy);
+      }
+      // Continue after the copy; its windows are covered by the original
+      i += length - 1;
+    }
+  }
+
+  const cloneGroups = [...groups.values()]
+    .map(g => ({ ...g, lines: g.fragments[0].endLine - g.fragments[0].startLine + 1 }))
+    .sort((a, b) => b.tokens - a.tokens || b.fragments.length - a.fragments.length);
+
+  return { groups: cloneGroups, files: duplicationByFile(results, cloneGroups) };
+}
+
+/** Polynomial hash of every `size`-token window, rolled in O(n). */
+function windowHashes(values, size) {
+  const BASE = 31;
+  const codes = values.map(tokenCode);
+  let power = 1;
+  for (let i = 1; i < size; i++) power = Math.imul(power, BASE);
+
+  const hashes = [];
+  let hash = 0;
+  for (let i = 0; i < codes.length; i++) {
+    if (i >= size) hash = (hash - Math.imul(codes[i - size], power)) | 0;
+    hash = (Math.imul(hash, BASE) + codes[i]) | 0;
+    if (i >= size - 1) hashes.push(hash);
+  }
+  return hashes;
+}
+
+function tokenCode(value) {
+  let code = 0;
+  for (let i = 0; i < value.length; i++) code = (Math.imul(code, 131) + value.charCodeAt(i)) | 0;
+  return code;
+}
+
+function remember(seen, hash, position) {
+  if (!seen.has(hash)) seen.set(hash, []);
+  seen.get(hash).push(position);
+}
+
+/**
+ * Earlier occurrence whose tokens really equal the window (hashes can
+ * collide). Within one file the two copies must not overlap.
+ */
+function findOriginal(candidates, files, file, start, size) {
+  if (!candidates) return null;
+  const values = files[file].tokens.values;
+  return candidates.find(c => {
+    if (c.file === file && c.start + size > start) return false;
+    const other = files[c.file].tokens.values;
+    for (let k = 0; k < size; k++) {
+      if (other[c.start + k] !== values[start + k]) return false;
+    }
+    return true;
+  }) || null;
+}
+
+function extendMatch(files, original, copy, size) {
+  const a = files[original.file].tokens.values;
+  const b = files[copy.file].tokens.values;
+  const limit = original.file === copy.file ? copy.start - original.start : Infinity;
+  let length = size;
+  while (
+    length < limit &&
+    copy.start + length < b.length &&
+    a[original.start + length] === b[copy.start + length]
+  ) {
+    length++;
+  }
+  return length;
+}
+
+function toFragment(result, start, length) {
+  const { lines } = result.tokens;
+  return { filePath: result.filePath, startLine: lines[start], endLine: lines[start + length - 1] };
+}
+
+/** Share of each file's lines that lie inside a clone fragment. */
+function duplicationByFile(results, groups) {
+  const covered = new Map();
+  for (const group of groups) {
+    for (const { filePath, startLine, endLine } of group.fragments) {
+      if (!covered.has(filePath)) covered.set(filePath, new Set());
+      for (let line = startLine; line <= endLine; line++) covered.get(filePath).add(line);
+    }
+  }
+
+  return results
+    .filter(r => covered.has(r.filePath))
+    .map(r => {
+      const duplicatedLines = covered.get(r.filePath).size;
+      return {
+        filePath: r.filePath,
+        duplicatedLines,
+        percent: Math.round((duplicatedLines / Math.max(r.totalLines, 1)) * 1000) / 10,
+      };
+    })
+    .sort((a, b) => b.percent - a.percent || a.filePath.localeCompare(b.filePath));
+}
+
+/**
+ * Attach the source text of each fragment (for side-by-side display).
+ * Files are read again here, but only those that contain clones.
+ *
+ * @param {CloneGroup[]} groups
+ * @param {(filePath: string) => string} [readFile]
+ */
+function attachSnippets(groups, readFile = filePath => fs.readFileSync(filePath, 'utf-8')) {
+  const sources = new Map();
+  for (const group of groups) {
+    for (const fragment of group.fragments) {
+      if (!sources.has(fragment.filePath)) sources.set(fragment.filePath, readFile(fragment.filePath).split('\n'));
+      fragment.snippet = sources.get(fragment.filePath).slice(fragment.startLine - 1, fragment.endLine).join('\n');
+    }
+  }
+  return groups;
+}
+
+/**
+ * @typedef {object} CloneGroup
+ * @property {number} tokens - Length of the cloned block in tokens
+ * @property {number} lines  - Length of the original fragment in lines
+ * @property {Array<{filePath: string, startLine: number, endLine: number, snippet?: string}>} fragments
+ *   Original first, then its copies
+ */
+
+/**
+ * @typedef {object} CloneReport
+ * @property {CloneGroup[]} groups - Largest first
+ * @property {Array<{filePath: string, duplicatedLines: number, percent: number}>} files
+ *   Files containing clones, most duplicated first
+ */
+
+module.exports = { tokenize, findClones, attachSnippets, DEFAULT_CLONE_OPTIONS, KEYWORDS, TOKEN_REGEX };
@@ -0,0 +1,123 @@
+/**
+ * React components — the function and class components of `.tsx` / `.jsx`
+ * files, and the problems they suggest.
+ *
+ * Both engines extract the same record per component: props count, hook
+ * calls, JSX nesting depth and size. A function component is a function
+ * with a capitalized name (or bound to one through `memo` / `forwardRef`)
+ * that contains JSX; a class component extends `Component` or
+ * `PureComponent`. The rules below run on those records:
+ *
+ *   - conditional-hook — a hook called inside a condition, loop, `switch`,
+ *     `catch`, ternary or short-circuit (`a && useX()`)
+ *   - effect-without-dependencies — `useEffect` / `useLayoutEffect` without
+ *     a dependency array, which runs after every render
+ *   - large-component — more lines than the configured limit
+ */
+const path = require('path');
+
+const COMPONENT_EXTENSIONS = ['.tsx', '.jsx'];
+
+const DEFAULT_MAX_COMPONENT_LINES = 150;
+
+// Calls whose function argument is named after the variable they are assigned to
+const COMPONENT_WRAPPERS = ['memo', 'forwardRef'];
+
+// Function component types whose type argument gives the props: React.FC<Props>
+const COMPONENT_TYPES = ['FC', 'FunctionComponent', 'VFC'];
+
+const EFFECT_HOOKS = ['useEffect', 'useLayoutEffect'];
+
+// Rule → severity (as in plugin findings: error, warning, note)
+const COMPONENT_RULES = {
+  'conditional-hook': 'error',
+  'effect-without-dependencies': 'warning',
+  'large-component': 'note',
+};
+
+/** Whether components are looked for in this file. */
+function isComponentFile(filePath) {
+  return COMPONENT_EXTENSIONS.includes(path.extname(filePath));
+}
+
+/** `Button`, not `button` or `useButton`. */
+function isComponentName(name) {
+  return /^[A-Z]/.test(name);
+}
+
+/** `useState`, `useCustomThing`; not React 19's `use()`, which may be called conditionally. */
+function isHookName(name) {
+  return /^use[A-Z0-9]/.test(name);
+}
+
+/**
+ * The problems of one component.
+ *
+ * @param {Component} component
+ * @param {{maxLines: number}} opts
+ * @returns {ComponentIssue[]} In line order
+ */
+function componentIssues(component, { maxLines }) {
+  const issues = [];
+  const report = (rule, line, message) => issues.push({ rule, severity: COMPONENT_RULES[rule], line, message });
+  if (component.lines > maxLines) {
+    report('large-component', component.startLine, `${component.name} has ${component.lines} lines (limit ${maxLines})`);
+  }
+  for (const hook of component.hooks) {
+    if (hook.conditional) {
+      report('conditional-hook', hook.line, `${hook.name} is called conditionally in ${component.name}`);
+    }
+    if (EFFECT_HOOKS.includes(hook.name) && !hook.dependencies) {
+      report('effect-without-dependencies', hook.line,
+        `${hook.name} in ${component.name} has no dependency array and runs after every render`);
+    }
+  }
+  return issues.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * All components of the analyzed files with their issues.
+ *
+ * @param {object[]} results - analyzeFile results (`components` null for other files)
+ * @param {{maxLines?: number}} [opts]
+ * @returns {{components: Array<Component & {filePath: string, issues: ComponentIssue[]}>, issueCount: number}}
+ *   Components with the most issues first, then the largest
+ */
+function reviewComponents(results, { maxLines = DEFAULT_MAX_COMPONENT_LINES } = {}) {
+  const components = results
+    .flatMap(r => (r.components || []).map(c => ({ filePath: r.filePath, ...c, issues: componentIssues(c, { maxLines }) })))
+    .sort((a, b) => b.issues.length - a.issues.length || b.lines - a.lines || a.name.localeCompare(b.name));
+  return { components, issueCount: components.reduce((sum, c) => sum + c.issues.length, 0) };
+}
+
+/**
+ * @typedef {object} Component
+ * @property {string} name
+ * @property {string} kind      - 'function' | 'class'
+ * @property {number} startLine
+ * @property {number} endLine
+ * @property {number} lines
+ * @property {?number} props    - Declared or destructured props; null when the props type is not in the file
+ * @property {Array<{name: string, line: number, conditional: boolean, dependencies: boolean}>} hooks
+ *   Hook calls in the component's own body; `dependencies`: called with a second argument
+ * @property {number} jsxDepth  - Deepest nesting of JSX elements and fragments
+ */
+
+/**
+ * @typedef {object} ComponentIssue
+ * @property {string} rule     - 'conditional-hook' | 'effect-without-dependencies' | 'large-component'
+ * @property {string} severity - 'error' | 'warning' | 'note'
+ * @property {number} line
+ * @property {string} message
+ */
+
+module.exports = {
+  isComponentFile,
+  isComponentName,
+  isHookName,
+  componentIssues,
+  reviewComponents,
+  COMPONENT_WRAPPERS,
+  COMPONENT_TYPES,
+  DEFAULT_MAX_COMPONENT_LINES,
+};
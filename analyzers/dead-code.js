@@ -0,0 +1,111 @@
+/**
+ * Dead Code — exports nothing imports and files no entry point reaches.
+ *
+ * Works on the bindings file-analyzer extracts per file (`exports`,
+ * `imports`, `reExports`) and the resolved module graph. Imports are
+ * followed through barrel files: a name requested from `index.ts` that is
+ * only re-exported there counts as a use of the file that declares it.
+ * Namespace imports (`import * as`), dynamic `import()` and `require()`
+ * use every export of their target.
+ */
+const path = require('path');
+const { minimatch } = require('minimatch');
+
+// Used when no entry points are configured
+const DEFAULT_ENTRY_POINTS = ['{src/,}{index,main}.{ts,tsx,mts,cts,js,jsx,mjs,cjs}'];
+
+/**
+ * @param {Array<object>} results - File analyses with `exports`, `imports` and `reExports`
+ * @param {import('./dependency-graph').DependencyGraph} graph
+ * @param {object} opts
+ * @param {(specifier: string, fromFile: string) => string|null} opts.resolve
+ * @param {string} opts.rootDir
+ * @param {string[]} [opts.entryPoints] - Globs relative to rootDir
+ * @returns {DeadCodeReport}
+ */
+function findDeadCode(results, graph, { resolve, rootDir, entryPoints = DEFAULT_ENTRY_POINTS }) {
+  const byPath = new Map(results.map(r => [r.filePath, r]));
+  const relative = filePath => path.relative(rootDir, filePath).split(path.sep).join('/');
+  const entryFiles = results
+    .map(r => r.filePath)
+    .filter(f => entryPoints.some(pattern => minimatch(relative(f), pattern, { dot: true })));
+
+  // ── Which exports are used ─────────────────────────────────
+  const used = new Map(results.map(r => [r.filePath, new Set()]));
+  const visited = new Set();
+  const reExportsOf = new Map(results.map(r => [
+    r.filePath,
+    (r.reExports || [])
+      .map(e => ({ ...e, target: resolve(e.specifier, r.filePath) }))
+      .filter(e => e.target),
+  ]));
+
+  const markUsed = (filePath, name) => {
+    const key = `${filePath}\0${name}`;
+    const file = byPath.get(filePath);
+    if (!file || visited.has(key)) return;
+    visited.add(key);
+
+    const reExports = reExportsOf.get(filePath);
+    if (name === '*') {
+      for (const e of file.exports || []) used.get(filePath).add(e.name);
+      for (const r of reExports) markUsed(r.target, r.imported);
+      return;
+    }
+    if ((file.exports || []).some(e => e.name === name)) {
+      used.get(filePath).add(name);
+      return;
+    }
+    for (const r of reExports) {
+      if (r.exported === name) markUsed(r.target, r.imported);
+      else if (r.exported === '*' && name !== 'default') markUsed(r.target, name);
+    }
+  };
+
+  for (const file of results) {
+    for (const { specifier, names } of file.imports || []) {
+      const target = resolve(specifier, file.filePath);
+      if (!target) continue;
+      for (const name of names) markUsed(target, name);
+    }
+  }
+  // Whatever an entry point exposes is public API
+  for (const entry of entryFiles) markUsed(entry, '*');
+
+  // ── Which files are reachable ──────────────────────────────
+  const reachable = new Set(entryFiles);
+  const imports = new Map(graph.modules.map(m => [m.filePath, m.imports]));
+  const queue = [...entryFiles];
+  while (queue.length > 0) {
+    for (const next of imports.get(queue.shift()) || []) {
+      if (!reachable.has(next)) {
+        reachable.add(next);
+        queue.push(next);
+      }
+    }
+  }
+  // Without entry points every file would be "dead"; report none instead
+  const deadFiles = entryFiles.length > 0
+    ? results.map(r => r.filePath).filter(f => !reachable.has(f))
+    : [];
+  const dead = new Set(deadFiles);
+
+  const unusedExports = results
+    .filter(r => !dead.has(r.filePath))
+    .flatMap(r => (r.exports || [])
+      .filter(e => !used.get(r.filePath).has(e.name))
+      .map(e => ({ filePath: r.filePath, name: e.name, line: e.line })));
+
+  return { entryPoints, entryFiles, deadFiles, unusedExports };
+}
+
+/**
+ * @typedef {object} DeadCodeReport
+ * @property {string[]} entryPoints - Globs used to find entry files
+ * @property {string[]} entryFiles  - Files matching them
+ * @property {string[]} deadFiles   - Files not reachable from any entry file (empty without entry files)
+ * @property {Array<{filePath: string, name: string, line: number}>} unusedExports
+ *   Exports of live files that no file imports ('default' for default exports)
+ */
+
+module.exports = { findDeadCode, DEFAULT_ENTRY_POINTS };
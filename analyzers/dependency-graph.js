@@ -0,0 +1,254 @@
+/**
+ * Dependency Graph — resolves import specifiers to scanned files and builds
+ * a project-wide module graph with cycle detection and fan-in/fan-out.
+ *
+ * Only specifiers that resolve to a file in the scanned set become edges;
+ * third-party packages and unresolvable paths are left out of the graph.
+ */
+const path = require('path');
+const { resolveAlias, listProjects } = require('../tsconfig');
+
+// Tried in order when a relative specifier has no extension: TypeScript first, then JavaScript
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts', '.d.ts', '.js', '.jsx', '.mjs', '.cjs'];
+const INDEX_FILES = RESOLVE_EXTENSIONS.map(ext => `index${ext}`);
+
+// `./foo.js` in TypeScript ESM code refers to `./foo.ts`
+const JS_TO_TS = { '.js': ['.ts', '.tsx'], '.jsx': ['.tsx'], '.mjs': ['.mts'], '.cjs': ['.cts'] };
+
+/**
+ * Create a resolver bound to the set of scanned files.
+ *
+ * Relative specifiers resolve against the importing file. With a tsconfig,
+ * bare specifiers are tried against `paths` and `baseUrl` — first those of
+ * the (deepest) project containing the importing file, then the others.
+ * Then imports of workspace packages (`@acme/ui`, `@acme/ui/button`) resolve
+ * to the package's entry point or to the subpath within the package or its
+ * `src/` directory.
+ *
+ * @param {string[]} filePaths - Absolute paths of all scanned files
+ * @param {object} [opts]
+ * @param {import('../tsconfig').TsProject|null} [opts.tsconfig]
+ * @param {import('../workspaces').Workspace[]} [opts.workspaces]
+ * @returns {(specifier: string, fromFile: string) => string|null}
+ *   Absolute path of the imported file, or null if it is not part of the project
+ */
+function createImportResolver(filePaths, { tsconfig = null, workspaces = [] } = {}) {
+  const known = new Set(filePaths);
+  const projects = tsconfig
+    ? listProjects(tsconfig).filter(p => p.paths.length > 0 || p.baseUrl)
+    : [];
+
+  return function resolveImport(specifier, fromFile) {
+    if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+      const target = path.resolve(path.dirname(fromFile), specifier);
+      return resolveCandidate(target, known);
+    }
+
+    for (const project of projectsFor(projects, fromFile)) {
+      for (const candidate of resolveAlias(project, specifier)) {
+        const resolved = resolveCandidate(candidate, known);
+        if (resolved) return resolved;
+      }
+    }
+
+    const pkg = workspaces.find(w => specifier === w.name || specifier.startsWith(`${w.name}/`));
+    if (pkg) {
+      const subpath = specifier.slice(pkg.name.length + 1);
+      const candidates = subpath
+        ? [path.join(pkg.dir, subpath), path.join(pkg.dir, 'src', subpath)]
+        : pkg.entries;
+      for (const candidate of candidates) {
+        const resolved = resolveCandidate(candidate, known);
+        if (resolved) return resolved;
+      }
+    }
+    return null;
+  };
+}
+
+/** Projects ordered by how closely their directory contains the file. */
+function projectsFor(projects, fromFile) {
+  const depth = p => (fromFile.startsWith(p.dir + path.sep) ? p.dir.length : -1);
+  return [...projects].sort((a, b) => depth(b) - depth(a));
+}
+
+/**
+ * Resolve an absolute, possibly extensionless path against the known files:
+ * exact match, then added extensions, then `.js` → `.ts` rewrites, then
+ * directory index files.
+ */
+function resolveCandidate(target, known) {
+  if (known.has(target)) return target;
+
+  for (const ext of RESOLVE_EXTENSIONS) {
+    if (known.has(target + ext)) return target + ext;
+  }
+
+  const ext = path.extname(target);
+  if (JS_TO_TS[ext]) {
+    const base = target.slice(0, -ext.length);
+    for (const tsExt of JS_TO_TS[ext]) {
+      if (known.has(base + tsExt)) return base + tsExt;
+    }
+  }
+
+  for (const index of INDEX_FILES) {
+    const candidate = path.join(target, index);
+    if (known.has(candidate)) return candidate;
+  }
+
+  return null;
+}
+
+/**
+ * Build the module graph for the analyzed files.
+ *
+ * @param {Array<{filePath: string, dependencies: string[]}>} results
+ * @param {object} [opts]
+ * @param {Function} [opts.resolve] - Custom resolver (defaults to createImportResolver)
+ * @returns {DependencyGraph}
+ */
+function buildDependencyGraph(results, { resolve } = {}) {
+  const filePaths = results.map(r => r.filePath);
+  const resolveImport = resolve || createImportResolver(filePaths);
+
+  const imports = new Map(filePaths.map(f => [f, new Set()]));
+  const importedBy = new Map(filePaths.map(f => [f, new Set()]));
+  const unresolved = [];
+
+  for (const { filePath, dependencies } of results) {
+    for (const specifier of dependencies) {
+      const target = resolveImport(specifier, filePath);
+      if (target && imports.has(target)) {
+        imports.get(filePath).add(target);
+        importedBy.get(target).add(filePath);
+      } else if (specifier.startsWith('.')) {
+        unresolved.push({ from: filePath, specifier });
+      }
+    }
+  }
+
+  const modules = filePaths.map(filePath => ({
+    filePath,
+    imports: [...imports.get(filePath)].sort(),
+    importedBy: [...importedBy.get(filePath)].sort(),
+    fanOut: imports.get(filePath).size,
+    fanIn: importedBy.get(filePath).size,
+  }));
+
+  const cycles = findCycles(imports);
+  const orphans = modules.filter(m => m.fanIn === 0).map(m => m.filePath);
+  const edgeCount = modules.reduce((sum, m) => sum + m.fanOut, 0);
+
+  return { modules, edgeCount, cycles, orphans, unresolved };
+}
+
+/**
+ * Find import cycles as strongly connected components (Tarjan, iterative so
+ * long import chains cannot overflow the stack). Each cycle lists its member
+ * files plus one concrete loop through them for display.
+ *
+ * @param {Map<string, Set<string>>} edges
+ * @returns {Array<{files: string[], path: string[]}>}
+ */
+function findCycles(edges) {
+  const index = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  for (const root of edges.keys()) {
+    if (index.has(root)) continue;
+
+    const work = [{ node: root, neighbors: [...edges.get(root)], next: 0 }];
+    index.set(root, counter);
+    lowLink.set(root, counter++);
+    stack.push(root);
+    onStack.add(root);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      if (frame.next < frame.neighbors.length) {
+        const neighbor = frame.neighbors[frame.next++];
+        if (!index.has(neighbor)) {
+          index.set(neighbor, counter);
+          lowLink.set(neighbor, counter++);
+          stack.push(neighbor);
+          onStack.add(neighbor);
+          work.push({ node: neighbor, neighbors: [...edges.get(neighbor)], next: 0 });
+        } else if (onStack.has(neighbor)) {
+          lowLink.set(frame.node, Math.min(lowLink.get(frame.node), index.get(neighbor)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].node;
+        lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.node)));
+      }
+
+      if (lowLink.get(frame.node) === index.get(frame.node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.node);
+        components.push(component);
+      }
+    }
+  }
+
+  return components
+    .filter(c => c.length > 1 || edges.get(c[0]).has(c[0]))
+    .map(c => {
+      const files = c.sort();
+      return { files, path: traceCycle(files, edges) };
+    })
+    .sort((a, b) => b.files.length - a.files.length || a.files[0].localeCompare(b.files[0]));
+}
+
+/**
+ * Breadth-first search for the shortest loop from the first member of a
+ * strongly connected component back to itself.
+ */
+function traceCycle(files, edges) {
+  const members = new Set(files);
+  const start = files[0];
+  const previous = new Map();
+  const queue = [start];
+
+  while (queue.length > 0) {
+    const node = queue.shift();
+    for (const next of edges.get(node)) {
+      if (!members.has(next)) continue;
+      if (next === start) {
+        const loop = [start];
+        for (let n = node; n !== start; n = previous.get(n)) loop.unshift(n);
+        loop.unshift(start);
+        return loop;
+      }
+      if (!previous.has(next)) {
+        previous.set(next, node);
+        queue.push(next);
+      }
+    }
+  }
+
+  return [start, start];
+}
+
+/**
+ * @typedef {object} DependencyGraph
+ * @property {Array<{filePath: string, imports: string[], importedBy: string[], fanIn: number, fanOut: number}>} modules
+ * @property {number} edgeCount - Number of resolved file → file imports
+ * @property {Array<{files: string[], path: string[]}>} cycles - One entry per strongly connected component
+ * @property {string[]} orphans - Files no other scanned file imports
+ * @property {Array<{from: string, specifier: string}>} unresolved - Relative imports with no matching file
+ */
+
+module.exports = { createImportResolver, resolveCandidate, buildDependencyGraph, findCycles };
@@ -0,0 +1,216 @@
+/**
+ * Directories — per-directory and per-package totals, so that a report on a
+ * large project shows which area is in trouble, not only which file.
+ *
+ * Every directory that contains a scanned file (directly or below) gets
+ * the totals of all files beneath it, averages, and its worst file. Packages
+ * are the workspace packages when there are any, otherwise the directories
+ * with a package.json; each file counts towards the nearest one above it
+ * within the project. Between packages, resolved imports are counted per
+ * direction.
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Build the directory tree of the analyzed files.
+ *
+ * @param {object[]} results - analyzeFile results
+ * @param {object} opts
+ * @param {string} opts.rootDir
+ * @param {object} opts.columns - Selected analyzers (unmeasured metrics are null)
+ * @returns {DirectoryNode} The project root; children sorted by name
+ */
+function aggregateDirectories(results, { rootDir, columns }) {
+  const root = createNode('', path.basename(rootDir));
+  const nodes = new Map([['', root]]);
+
+  const nodeFor = dir => {
+    if (nodes.has(dir)) return nodes.get(dir);
+    const parent = nodeFor(path.posix.dirname(dir) === '.' ? '' : path.posix.dirname(dir));
+    const node = createNode(dir, path.posix.basename(dir));
+    parent.children.push(node);
+    nodes.set(dir, node);
+    return node;
+  };
+
+  for (const result of results) {
+    const dir = path.posix.dirname(relative(rootDir, result.filePath));
+    const node = nodeFor(dir === '.' ? '' : dir);
+    node.files.push(result);
+  }
+
+  // Post-order: each directory's totals cover its subdirectories
+  const visit = node => {
+    node.children.sort((a, b) => a.name.localeCompare(b.name));
+    const all = [...node.files];
+    for (const child of node.children) all.push(...visit(child));
+    Object.assign(node, summarizeFiles(all, columns));
+    return all;
+  };
+  visit(root);
+  return root;
+}
+
+/**
+ * Totals per package: the nearest package directory at or above each file,
+ * up to the project root.
+ *
+ * @param {object[]} results
+ * @param {object} opts
+ * @param {string} opts.rootDir
+ * @param {object} opts.columns
+ * @param {?Array<{name: string, dir: string}>} [opts.packages] - Known packages (workspaces);
+ *   by default every directory with a package.json
+ * @param {(file: string) => string} [opts.readFile]
+ * @returns {PackageSummary[]} Sorted by path; empty when there are no packages
+ */
+function aggregatePackages(results, {
+  rootDir, columns, packages = null, readFile = file => fs.readFileSync(file, 'utf-8'),
+}) {
+  const root = path.resolve(rootDir);
+  const known = packages ? new Map(packages.map(pkg => [pkg.dir, pkg])) : null;
+  const packageOf = new Map();
+
+  const findPackage = dir => {
+    if (packageOf.has(dir)) return packageOf.get(dir);
+    const manifest = path.join(dir, 'package.json');
+    let found = known ? known.get(dir) || null : null;
+    if (!known && fs.existsSync(manifest)) {
+      found = { dir, name: readPackageName(manifest, readFile) || relative(root, dir) || path.basename(root) };
+    }
+    if (!found && dir !== root && dir.startsWith(root + path.sep)) found = findPackage(path.dirname(dir));
+    packageOf.set(dir, found);
+    return found;
+  };
+
+  const byPackage = new Map();
+  for (const result of results) {
+    const pkg = findPackage(path.dirname(result.filePath));
+    if (!pkg) continue;
+    if (!byPackage.has(pkg)) byPackage.set(pkg, []);
+    byPackage.get(pkg).push(result);
+  }
+
+  return [...byPackage]
+    .map(([pkg, files]) => ({
+      name: pkg.name,
+      path: relative(root, pkg.dir),
+      ...summarizeFiles(files, columns),
+      filePaths: files.map(r => r.filePath),
+    }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Resolved imports between packages, counted per importing → imported
+ * package.
+ *
+ * @param {PackageSummary[]} packages
+ * @param {{modules: Array<{filePath: string, imports: string[]}>}} dependencyGraph
+ * @returns {Array<{from: string, to: string, imports: number}>} By package order of `packages`
+ */
+function packageDependencies(packages, dependencyGraph) {
+  const packageOf = new Map();
+  for (const pkg of packages) {
+    for (const filePath of pkg.filePaths) packageOf.set(filePath, pkg);
+  }
+
+  const counts = new Map(packages.map(pkg => [pkg, new Map()]));
+  for (const { filePath, imports } of dependencyGraph.modules) {
+    const from = packageOf.get(filePath);
+    if (!from) continue;
+    for (const target of imports) {
+      const to = packageOf.get(target);
+      if (!to || to === from) continue;
+      counts.get(from).set(to, (counts.get(from).get(to) || 0) + 1);
+    }
+  }
+
+  const order = new Map(packages.map((pkg, i) => [pkg, i]));
+  return [...counts].flatMap(([from, targets]) => [...targets]
+    .sort(([a], [b]) => order.get(a) - order.get(b))
+    .map(([to, imports]) => ({ from: from.name, to: to.name, imports })));
+}
+
+function readPackageName(manifest, readFile) {
+  try {
+    const { name } = JSON.parse(readFile(manifest));
+    return typeof name === 'string' && name ? name : null;
+  } catch {
+    return null; // an unreadable manifest still marks the package
+  }
+}
+
+function createNode(dirPath, name) {
+  return { path: dirPath, name, files: [], children: [] };
+}
+
+/**
+ * Totals, averages and worst file of a set of files. Complexity ranks the
+ * worst file when measured, code lines otherwise.
+ *
+ * @param {object[]} files - analyzeFile results
+ * @param {object} columns - Selected analyzers
+ * @returns {Aggregate}
+ */
+function summarizeFiles(files, columns) {
+  const sum = key => files.reduce((total, r) => total + r[key], 0);
+  const codeLines = sum('codeLines');
+  const complexity = columns.complexity ? sum('complexity') : null;
+
+  let worstFile = null;
+  for (const r of files) {
+    const value = columns.complexity ? r.complexity : r.codeLines;
+    if (!worstFile || value > worstFile.value) worstFile = { filePath: r.filePath, value };
+  }
+
+  return {
+    fileCount: files.length,
+    lines: sum('totalLines'),
+    codeLines,
+    functions: columns.functions ? sum('functionCount') : null,
+    complexity,
+    averageComplexity: complexity !== null && files.length > 0
+      ? Math.round((complexity / files.length) * 10) / 10
+      : null,
+    // Weighted by code lines, like the project average
+    maintainability: columns.maintainability && files.length > 0
+      ? Math.round(files.reduce((total, r) => total + r.maintainability * r.codeLines, 0) / Math.max(codeLines, 1))
+      : null,
+    worstFile,
+  };
+}
+
+function relative(rootDir, filePath) {
+  return path.relative(rootDir, filePath).split(path.sep).join('/');
+}
+
+/**
+ * @typedef {object} Aggregate
+ * @property {number} fileCount
+ * @property {number} lines             - Total lines
+ * @property {number} codeLines
+ * @property {?number} functions
+ * @property {?number} complexity       - Sum of file complexities
+ * @property {?number} averageComplexity - Per file
+ * @property {?number} maintainability  - Average weighted by code lines
+ * @property {?{filePath: string, value: number}} worstFile - By complexity, or code lines without it
+ */
+
+/**
+ * @typedef {Aggregate & object} DirectoryNode
+ * @property {string} path              - Project-relative, '' for the root
+ * @property {string} name
+ * @property {object[]} files           - Results of the files directly inside
+ * @property {DirectoryNode[]} children
+ */
+
+/**
+ * @typedef {Aggregate & object} PackageSummary
+ * @property {string} name        - From package.json, else the directory
+ * @property {string} path        - Project-relative directory, '' for the root
+ * @property {string[]} filePaths - Its analyzed files
+ */
+
+module.exports = { aggregateDirectories, aggregatePackages, packageDependencies, summarizeFiles };
@@ -7,6 +7,15 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { tokenize } = require('./clones');
+const { analyzeAst } = require('./ast-engine');
+const { cognitiveComplexity, countHalsteadTokens, readabilityFields } = require('./metrics');
+const { countTypeSafetyTokens, typeSafetyScore } = require('./type-safety');
+const {
+  isComponentFile, isComponentName, isHookName, COMPONENT_WRAPPERS, COMPONENT_TYPES,
+} = require('./components');
+const { sourceLanguage, isEmbeddedScript, extractScriptBlocks } = require('./languages');
+const { runFilePlugins } = require('../plugins');
 
 // ── Function detection patterns ──────────────────────────────
 // Much more comprehensive than the original `function|class` regex.
@@ -41,27 +50,103 @@ const COMPLEXITY_TOKENS = [
   /\?[^?.]/g,     // ternary operator (avoid matching ?. and ??)
 ];
 
+// ── Function boundary detection ──────────────────────────────
+// Heads end at the opening `(` of the parameter list; the body is located
+// by bracket matching. Arrow functions are found separately via `=>`.
+const FUNCTION_HEAD_PATTERNS = [
+  // function foo(...) {}, function* gen(...) {}, function (...) {}
+  { kind: 'function', regex: /\bfunction\b\s*\*?\s*([\w$]*)\s*(?:<[^>]*>\s*)?\(/g },
+  // Class/object methods: [modifiers] name(...) [: Type] {, at the start of a
+  // line or inline after `{` / `,` (object literal shorthand)
+  {
+    kind: 'method',
+    regex: /(?<=^|[{,])[ \t]*(?:(?:public|private|protected|static|readonly|override|abstract|async)\s+)*(?:[gs]et\s+)?\*?\s*(?!(?:if|for|while|switch|catch|return|throw|new|import|export|function|await|typeof|else|do)\b)([\w$]+)\s*(?:<[^>]*>\s*)?\(/gm,
+  },
+];
+
 // ── Import extraction ────────────────────────────────────────
 const IMPORT_REGEX = /import\s+(?:(?:type\s+)?(?:{[^}]*}|\*\s+as\s+\w+|\w+)(?:\s*,\s*(?:{[^}]*}|\*\s+as\s+\w+|\w+))*\s+from\s+)?['"]([^'"]+)['"]/g;
+// Re-exports: export { a } from '...', export * from '...', export * as ns from '...'
+const EXPORT_FROM_REGEX = /\bexport\s+(?:type\s+)?(?:\*(?:\s+as\s+\w+)?|{[^}]*})\s*from\s+['"]([^'"]+)['"]/g;
+// Dynamic imports with a literal specifier: import('...')
+const DYNAMIC_IMPORT_REGEX = /\bimport\s*\(\s*['"]([^'"]+)['"]\s*\)/g;
+// CommonJS with a literal specifier: require('...') (not obj.require, not require.resolve)
+const REQUIRE_REGEX = /(?<![\w$.])require\s*\(\s*['"]([^'"]+)['"]\s*\)/g;
+
+// ── Export / import binding extraction (dead code analysis) ──
+// import a, { b, c as d } from '...' / import * as ns from '...' / import type { T } from '...'
+const IMPORT_BINDINGS_REGEX = /\bimport\s+(?:type\s+)?((?:[\w$]+\s*,?\s*)?(?:\{[^}]*\}|\*\s*as\s+[\w$]+)?)\s*from\s*['"]([^'"]+)['"]/g;
+// import '...' (side effects only)
+const SIDE_EFFECT_IMPORT_REGEX = /\bimport\s*['"]([^'"]+)['"]/g;
+// export * from '...', export * as ns from '...', export { a, b as c } from '...'
+const RE_EXPORT_REGEX = /\bexport\s+(?:type\s+)?(\*(?:\s*as\s+[\w$]+)?|\{[^}]*\})\s*from\s*['"]([^'"]+)['"]/g;
+// Declarations in stripped source: export [default] function|class|const|... name
+const EXPORT_DECLARATION_REGEX = /\bexport\s+(?:declare\s+)?(default\s+)?(?:async\s+)?(?:abstract\s+)?(?:function\s*\*?|class|const|let|var|interface|type|enum|namespace)\s+([\w$]+)/g;
+const EXPORT_DEFAULT_REGEX = /\bexport\s+default\b/g;
+// export { a, b as c } (local bindings; `from ""` marks a re-export)
+const EXPORT_LIST_REGEX = /\bexport\s+(?:type\s+)?\{([^}]*)\}(?!\s*from\b)/g;
+
+// ── React component extraction ───────────────────────────────
+// class Name [<T>] extends [React.][Pure]Component
+const CLASS_COMPONENT_REGEX = /\bclass\s+([\w$]+)[^{]*?\bextends\s+(?:React\.)?(?:Pure)?Component\b\s*/g;
+// useState(, useThing<T>(, React.useEffect(
+const HOOK_CALL_REGEX = /(?:\bReact\.|(?<![\w$.]))(use[A-Z0-9][\w$]*)\s*(?:<[^()]*?>\s*)?\(/g;
+// Words before `(...) {` whose block runs conditionally or repeatedly
+const CONDITIONAL_BLOCK_REGEX = /\b(?:if|for|while|switch|catch)\s*$/;
+// On the statement before a call: braceless if/loop/else, short-circuit or ternary
+const CONDITIONAL_PREFIX_REGEX = /^\s*(?:(?:if|for|while)\s*\(|else\b)|&&|\|\||\?\?|\?(?![.?])/;
+// The variable a wrapped arrow function is bound to: const Name = memo(
+const WRAPPED_BINDING_REGEX = new RegExp(
+  `\\b(?:const|let|var)\\s+([\\w$]+)(?:\\s*:[^=]+)?\\s*=\\s*(?:React\\.)?(?:${COMPONENT_WRAPPERS.join('|')})\\s*(?:<[^()]*>)?\\s*\\(\\s*$`
+);
+// Function component annotation: const Name: React.FC<Props> =
+const COMPONENT_TYPE_REGEX = new RegExp(`:\\s*(?:React\\.)?(?:${COMPONENT_TYPES.join('|')})\\s*<\\s*([^>]+?)\\s*>\\s*=`);
+
+// Framework packages left out of dependency lists unless configured otherwise
+const DEFAULT_EXCLUDED_DEPENDENCIES = ['react', 'react-dom', 'react-redux', 'react-router', 'react-router-dom'];
+
+// Bump whenever analyzeFile's output changes, so cached results are discarded
+const ANALYZER_VERSION = 10;
 
 /**
- * Analyze a single TypeScript file. Reads the file exactly once.
+ * Analyze a single source file (TypeScript, JavaScript, or the `<script>`
+ * blocks of a Vue / Svelte file). Reads the file exactly once.
  *
  * @param {string} filePath
  * @param {object} opts
  * @param {boolean} opts.complexity - Calculate complexity
  * @param {boolean} opts.functions  - Count functions
+ * @param {boolean} [opts.cognitive] - Calculate cognitive complexity
+ * @param {boolean} [opts.halstead] - Calculate Halstead volume, difficulty and effort
+ * @param {boolean} [opts.maintainability] - Calculate the maintainability index
+ * @param {boolean} [opts.typeSafety] - Count `any`, casts, non-null assertions and `@ts-` directives
+ *   (TypeScript only; null for JavaScript)
+ * @param {boolean} [opts.tokens] - Keep normalized tokens for clone detection
+ * @param {boolean} [opts.symbols] - Extract exports and imported bindings (dead code analysis)
+ * @param {boolean} [opts.components] - Extract React components (`.tsx` / `.jsx` files only)
+ * @param {string[]} [opts.excludeDependencies] - Package names left out of `dependencies`
+ * @param {{path: string, version: string}} [opts.typescript] - Use the AST engine with this
+ *   `typescript` module (see ast-engine.js) instead of the regex engine
+ * @param {Array<{name: string, path: string, options: object}>} [opts.plugins] - Plugins whose
+ *   analyzeFile hook runs on the result (see plugins.js)
+ * @param {string} [opts.rootDir] - Project root; plugins get paths relative to it
  * @returns {FileAnalysis}
  */
-function analyzeFile(filePath, { complexity = false, functions = false } = {}) {
-  const content = fs.readFileSync(filePath, 'utf-8');
-  const fileName = path.basename(filePath);
+function analyzeFile(filePath, opts = {}) {
+  return analyzeSource(filePath, fs.readFileSync(filePath, 'utf-8'), opts);
+}
 
-  // Strip comments and strings to avoid false positives
-  const stripped = stripCommentsAndStrings(content);
+/**
+ * Analyze source text that was already read (same options as analyzeFile).
+ */
+function analyzeSource(filePath, content, opts = {}) {
+  const fileName = path.basename(filePath);
+  const language = sourceLanguage(filePath, content);
+  // Vue / Svelte: only the script blocks, at their original lines
+  const source = isEmbeddedScript(filePath) ? extractScriptBlocks(content) : content;
 
   // Lines of code (non-empty, non-comment lines)
-  const lines = content.split('\n');
+  const lines = source.split('\n');
   const totalLines = lines.length;
   const codeLines = lines.filter(line => {
     const trimmed = line.trim();
@@ -69,50 +154,112 @@ function analyzeFile(filePath, { complexity = false, functions = false } = {}) {
   }).length;
 
   // Content hash for duplicate detection
-  const contentHash = crypto.createHash('sha256').update(content).digest('hex');
+  const contentHash = hashContent(content);
 
-  // Function count
-  let functionCount = 0;
-  let functionNames = [];
-  if (functions) {
-    const found = extractFunctions(stripped);
-    functionCount = found.length;
-    functionNames = found;
-  }
-
-  // Dependencies
-  const dependencies = extractDependencies(content);
-
-  // Cyclomatic complexity (calculated in-process, no external tool needed)
-  let complexityScore = 0;
-  if (complexity) {
-    complexityScore = calculateComplexity(stripped);
-  }
+  const engineOptions = {
+    ...opts,
+    language,
+    typeSafety: Boolean(opts.typeSafety) && language === 'typescript',
+    components: Boolean(opts.components) && isComponentFile(filePath),
+  };
+  const metrics = opts.typescript
+    ? analyzeAst(require(opts.typescript.path), filePath, source, engineOptions)
+    : analyzeWithRegex(source, engineOptions);
+  const readability = readabilityFields({
+    cognitive: metrics.cognitive,
+    counts: metrics.halsteadCounts,
+    complexity: metrics.complexity,
+    lines: codeLines,
+  }, opts);
 
-  return {
+  const analysis = {
     filePath,
     fileName,
+    language,
     totalLines,
     codeLines,
     lines: totalLines,
     contentHash,
-    functionCount,
-    functionNames,
-    dependencies,
-    complexity: complexityScore,
+    functionCount: metrics.functionNames.length,
+    functionNames: metrics.functionNames,
+    dependencies: filterDependencies(metrics.dependencies, opts.excludeDependencies),
+    complexity: opts.complexity ? metrics.complexity : 0,
+    functions: metrics.functions,
+    cognitive: readability.cognitive ?? null,
+    halstead: readability.halstead || null,
+    maintainability: readability.maintainability ?? null,
+    typeSafety: metrics.typeSafety
+      ? { ...metrics.typeSafety, score: typeSafetyScore(metrics.typeSafety, codeLines) }
+      : null,
+    tokens: metrics.tokens,
+    exports: metrics.symbols ? metrics.symbols.exports : null,
+    imports: metrics.symbols ? metrics.symbols.imports : null,
+    reExports: metrics.symbols ? metrics.symbols.reExports : null,
+    components: metrics.components,
+    plugins: null,
   };
+
+  if (opts.plugins && opts.plugins.length > 0) {
+    analysis.plugins = runFilePlugins(opts.plugins, {
+      filePath,
+      rootDir: opts.rootDir || path.dirname(filePath),
+      content,
+      analysis,
+    });
+  }
+  return analysis;
+}
+
+/**
+ * The regex engine: pattern matching over the source with comments and
+ * strings stripped.
+ */
+function analyzeWithRegex(content, opts) {
+  const { complexity = false, functions = false, tokens = false, symbols = false, components = false } = opts;
+  const { cognitive = false, halstead = false, maintainability = false, typeSafety = false } = opts;
+  // Strip comments and strings to avoid false positives
+  const stripped = stripCommentsAndStrings(content);
+
+  // Cyclomatic complexity (calculated in-process, no external tool needed).
+  // Scored per function; the file total is derived from those scores.
+  const breakdown = complexity || cognitive || halstead || maintainability
+    ? analyzeFunctionComplexity(stripped, { cognitive, halstead, maintainability })
+    : { total: 0, functions: [], cognitive: null };
+
+  return {
+    functionNames: functions ? extractFunctions(stripped) : [],
+    dependencies: extractDependencies(content, { exclude: [] }),
+    complexity: breakdown.total,
+    functions: breakdown.functions,
+    cognitive: breakdown.cognitive,
+    halsteadCounts: halstead || maintainability ? countHalsteadTokens(stripped) : null,
+    typeSafety: typeSafety ? countTypeSafetyTokens(content, stripped) : null,
+    tokens: tokens ? tokenize(stripped) : null,
+    symbols: symbols ? extractModuleSymbols(content, stripped) : null,
+    components: components ? extractComponents(stripped) : null,
+  };
+}
+
+/**
+ * SHA-256 of the file content (hex), as stored in `contentHash`.
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
 }
 
 /**
  * Strip single-line comments, multi-line comments, and string literals
  * to avoid false positives in pattern matching.
+ *
+ * Line breaks inside removed spans are kept so that offsets in the stripped
+ * source still map to the original line numbers.
  */
 function stripCommentsAndStrings(code) {
   return code
     // Remove template literals (simplified — handles most cases)
-    .replace(/`[^`]*`/gs, '""')
+    .replace(/`[^`]*`/gs, m => '""' + keepNewlines(m))
     // Remove multi-line comments
-    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\/\*[\s\S]*?\*\//g, keepNewlines)
     // Remove single-line comments
     .replace(/\/\/.*$/gm, '')
     // Remove string literals
@@ -120,6 +267,10 @@ function stripCommentsAndStrings(code) {
     .replace(/"[^"]*"/g, '""');
 }
 
+function keepNewlines(text) {
+  return text.replace(/[^\n]/g, '');
+}
+
 /**
  * Extract function/class/method names from stripped source.
  */
@@ -131,8 +282,8 @@ function extractFunctions(stripped) {
     found.add(match[1]);
   }
 
-  // Arrow functions assigned to variables
-  for (const match of stripped.matchAll(/\b(?:const|let|var)\s+(\w+)\s*=\s*(?:async\s+)?(?:\([^)]*\)|[a-zA-Z_$]\w*)\s*=>/g)) {
+  // Arrow functions assigned to variables, with or without a return type
+  for (const match of stripped.matchAll(/\b(?:const|let|var)\s+(\w+)\s*=\s*(?:async\s+)?(?:\([^)]*\)(?:\s*:\s*[^=;{}]+?)?|[a-zA-Z_$]\w*)\s*=>/g)) {
     found.add(match[1]);
   }
 
@@ -149,34 +300,688 @@ function extractFunctions(stripped) {
  * This replaces the external `npx cyclomatic-complexity` call.
  */
 function calculateComplexity(stripped) {
-  let complexity = 1; // baseline
+  return 1 + countDecisionPoints(stripped); // baseline + decision points
+}
+
+function countDecisionPoints(code) {
+  let count = 0;
 
   for (const pattern of COMPLEXITY_TOKENS) {
-    const matches = stripped.match(pattern);
+    const matches = code.match(pattern);
     if (matches) {
-      complexity += matches.length;
+      count += matches.length;
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Calculate cyclomatic complexity for every function, method and arrow
+ * function in the stripped source.
+ *
+ * Each function scores 1 + the decision points in its own body; bodies of
+ * nested functions are scored separately and masked out of their parent.
+ * The file total is the sum of all function scores plus any decision points
+ * at module level. A file without functions falls back to the whole-file
+ * score of `calculateComplexity`.
+ *
+ * The readability metrics selected in `opts` (see metrics.js) are added to
+ * each function the same way, from its own body; `cognitive` totals them
+ * like the cyclomatic score.
+ *
+ * @param {string} stripped - Output of stripCommentsAndStrings
+ * @param {{cognitive?: boolean, halstead?: boolean, maintainability?: boolean}} [opts]
+ * @returns {{ total: number, functions: FunctionComplexity[], cognitive: ?number }}
+ */
+function analyzeFunctionComplexity(stripped, opts = {}) {
+  const found = findFunctionBoundaries(stripped);
+  if (found.length === 0) {
+    return {
+      total: calculateComplexity(stripped),
+      functions: [],
+      cognitive: opts.cognitive ? cognitiveComplexity(stripped) : null,
+    };
+  }
+
+  const lineStarts = computeLineStarts(stripped);
+  const functions = found.map(fn => {
+    const nested = found.filter(other =>
+      other !== fn && other.bodyStart >= fn.bodyStart && other.bodyEnd <= fn.bodyEnd
+    );
+    const body = maskRanges(stripped, nested).slice(fn.bodyStart, fn.bodyEnd);
+    const record = {
+      name: fn.name,
+      kind: fn.kind,
+      startLine: lineAt(lineStarts, fn.start),
+      endLine: lineAt(lineStarts, fn.bodyEnd - 1),
+      complexity: calculateComplexity(body),
+    };
+    return Object.assign(record, readabilityFields({
+      cognitive: opts.cognitive ? cognitiveComplexity(body) : null,
+      counts: opts.halstead || opts.maintainability ? countHalsteadTokens(body) : null,
+      complexity: record.complexity,
+      lines: record.endLine - record.startLine + 1,
+    }, opts));
+  });
+
+  const moduleLevel = maskRanges(stripped, found);
+  const total = functions.reduce((sum, fn) => sum + fn.complexity, countDecisionPoints(moduleLevel));
+  const cognitive = opts.cognitive
+    ? functions.reduce((sum, fn) => sum + fn.cognitive, cognitiveComplexity(moduleLevel))
+    : null;
+
+  return { total, functions, cognitive };
+}
+
+/**
+ * Locate function-like constructs and the extent of their parameter lists
+ * and bodies. Offsets refer to the stripped source; ends are exclusive.
+ */
+function findFunctionBoundaries(stripped) {
+  const byBody = new Map();
+  const heads = []; // [start, end) of parameter lists + return types
+  const add = (fn) => {
+    if (!byBody.has(fn.bodyStart)) byBody.set(fn.bodyStart, fn);
+  };
+
+  // Function declarations/expressions and class methods
+  for (const { kind, regex } of FUNCTION_HEAD_PATTERNS) {
+    for (const match of stripped.matchAll(regex)) {
+      const parenStart = match.index + match[0].length - 1;
+      const parenEnd = findClosing(stripped, parenStart);
+      if (parenEnd === -1) continue;
+      const bodyStart = findBlockStart(stripped, parenEnd + 1);
+      if (bodyStart === -1) continue;
+      const bodyEnd = findClosing(stripped, bodyStart);
+      if (bodyEnd === -1) continue;
+
+      heads.push([parenStart, bodyStart]);
+      add({
+        name: match[1] || '<anonymous>',
+        kind,
+        start: match.index + match[0].search(/\S/),
+        paramsStart: parenStart,
+        paramsEnd: parenEnd + 1,
+        bodyStart,
+        bodyEnd: bodyEnd + 1,
+      });
+    }
+  }
+
+  // Arrow functions — anchored on `=>`, named after the binding they are assigned to
+  const typeRanges = [...findTypeDeclarationRanges(stripped), ...heads];
+  for (const match of stripped.matchAll(/=>/g)) {
+    const arrow = match.index;
+    if (typeRanges.some(([s, e]) => arrow >= s && arrow < e)) continue;
+
+    const paramsStart = findArrowParamsStart(stripped, arrow);
+    if (paramsStart === -1) continue;
+
+    let bodyStart = arrow + 2;
+    while (/\s/.test(stripped[bodyStart] || '')) bodyStart++;
+    let bodyEnd;
+    if (stripped[bodyStart] === '{') {
+      bodyEnd = findClosing(stripped, bodyStart);
+      if (bodyEnd === -1) continue;
+      bodyEnd++;
+    } else {
+      if (/^void\b/.test(stripped.slice(bodyStart, bodyStart + 5))) continue; // `() => void` type
+      bodyEnd = findExpressionEnd(stripped, bodyStart);
     }
+
+    const before = stripped.slice(Math.max(0, paramsStart - 200), paramsStart);
+    const binding = before.match(ARROW_BINDING_REGEX);
+    const headStart = binding ? paramsStart - before.length + binding.index : paramsStart;
+    add({
+      name: binding ? binding[1] : '<anonymous>',
+      kind: 'arrow',
+      start: headStart,
+      paramsStart,
+      paramsEnd: arrow,
+      bodyStart,
+      bodyEnd,
+    });
   }
 
-  return complexity;
+  return [...byBody.values()].sort((a, b) => a.bodyStart - b.bodyStart);
 }
 
+// Name of the variable, property or class field an arrow function is bound to
+const ARROW_BINDING_REGEX = /(?:\b(?:const|let|var)\s+)?([\w$]+)\s*(?::\s*[^=;(){}]+?)?\s*[=:]\s*(?:async\s*)?(?:<[^<>]*>\s*)?$/;
+
 /**
- * Extract import dependencies from source.
- * Returns an array of module specifiers, excluding common framework imports.
+ * Walk back from `=>` to the start of the arrow's parameter list.
+ * Returns -1 when the token does not look like an arrow function.
  */
-function extractDependencies(content) {
-  const deps = new Set();
-  const EXCLUDED = new Set(['react', 'react-dom', 'react-redux', 'react-router', 'react-router-dom']);
+function findArrowParamsStart(code, arrow) {
+  let i = arrow - 1;
+  while (i >= 0 && /\s/.test(code[i])) i--;
+  i = skipReturnTypeBackward(code, i);
+  if (code[i] === ')') {
+    return findOpening(code, i);
+  }
+  if (/[\w$]/.test(code[i] || '')) {
+    while (i > 0 && /[\w$]/.test(code[i - 1])) i--;
+    return i;
+  }
+  return -1;
+}
 
-  for (const match of content.matchAll(IMPORT_REGEX)) {
-    const specifier = match[1];
-    if (!EXCLUDED.has(specifier)) {
-      deps.add(specifier);
+/**
+ * Walking back from the last character before `=>`: when it ends a return
+ * type annotation (`): string`, `): Promise<Map<K, V>>`, `): { a: T } | null`),
+ * the offset of the parameter list's `)`; otherwise `end` itself.
+ */
+function skipReturnTypeBackward(code, end) {
+  let depth = 0;
+  for (let i = end; i >= 0; i--) {
+    const ch = code[i];
+    if (ch === '>' && code[i - 1] === '=') {
+      i--; // `=>` of a function type
+    } else if (ch === ')' || ch === ']' || ch === '}' || ch === '>') {
+      depth++;
+    } else if (ch === '(' || ch === '[' || ch === '{' || ch === '<') {
+      if (--depth < 0) return end;
+    } else if (depth === 0) {
+      if (ch === ':') {
+        let j = i - 1;
+        while (j >= 0 && /\s/.test(code[j])) j--;
+        return code[j] === ')' ? j : end;
+      }
+      if (ch === ';' || ch === ',' || ch === '=') return end;
     }
   }
+  return end;
+}
 
-  return [...deps].sort();
+/**
+ * Ranges of `interface` bodies and `type X = ...` aliases, where `=>`
+ * denotes a function type rather than a function.
+ */
+function findTypeDeclarationRanges(code) {
+  const ranges = [];
+  for (const match of code.matchAll(/\binterface\s+[\w$]+[^{]*\{/g)) {
+    const open = match.index + match[0].length - 1;
+    const close = findClosing(code, open);
+    ranges.push([match.index, close === -1 ? code.length : close + 1]);
+  }
+  for (const match of code.matchAll(/\btype\s+[\w$]+\s*(?:<[^=]*?>)?\s*=/g)) {
+    ranges.push([match.index, findExpressionEnd(code, match.index + match[0].length)]);
+  }
+  return ranges;
 }
 
-module.exports = { analyzeFile, calculateComplexity, extractFunctions, extractDependencies };
+/**
+ * Starting right after a parameter list, skip an optional return type
+ * annotation and return the offset of the body's `{`, or -1.
+ */
+function findBlockStart(code, from) {
+  let i = from;
+  while (/\s/.test(code[i] || '')) i++;
+  if (code[i] === '{') return i;
+  if (code[i] !== ':') return -1;
+
+  let depth = 0;
+  for (i++; i < code.length; i++) {
+    const ch = code[i];
+    if (ch === '(' || ch === '[' || ch === '<') depth++;
+    else if (ch === ')' || ch === ']' || (ch === '>' && code[i - 1] !== '=')) depth--;
+    else if (depth === 0) {
+      if (ch === '{') return i;
+      if (ch === ';' || ch === '=' || ch === '}') return -1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find the end of an expression (e.g. a concise arrow body): the first
+ * `;` or `,` at depth 0, or the bracket that closes the enclosing scope.
+ */
+function findExpressionEnd(code, from) {
+  let depth = 0;
+  for (let i = from; i < code.length; i++) {
+    const ch = code[i];
+    if (ch === '(' || ch === '[' || ch === '{') depth++;
+    else if (ch === ')' || ch === ']' || ch === '}') {
+      if (depth === 0) return i;
+      depth--;
+    } else if (depth === 0 && (ch === ';' || ch === ',')) {
+      return i;
+    }
+  }
+  return code.length;
+}
+
+const PAIRS = { '(': ')', '[': ']', '{': '}' };
+const REVERSE_PAIRS = { ')': '(', ']': '[', '}': '{' };
+
+/** Offset of the bracket matching the one at `open`, or -1. */
+function findClosing(code, open) {
+  const openCh = code[open];
+  const closeCh = PAIRS[openCh];
+  let depth = 0;
+  for (let i = open; i < code.length; i++) {
+    if (code[i] === openCh) depth++;
+    else if (code[i] === closeCh && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/** Offset of the bracket opening the one at `close`, or -1. */
+function findOpening(code, close) {
+  const closeCh = code[close];
+  const openCh = REVERSE_PAIRS[closeCh];
+  let depth = 0;
+  for (let i = close; i >= 0; i--) {
+    if (code[i] === closeCh) depth++;
+    else if (code[i] === openCh && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/** Replace the body ranges of the given functions with spaces. */
+function maskRanges(code, functions) {
+  let masked = '';
+  let cursor = 0;
+  const sorted = [...functions].sort((a, b) => a.bodyStart - b.bodyStart);
+  for (const { bodyStart, bodyEnd } of sorted) {
+    if (bodyStart < cursor) continue; // already inside a masked range
+    masked += code.slice(cursor, bodyStart) + ' '.repeat(bodyEnd - bodyStart);
+    cursor = bodyEnd;
+  }
+  return masked + code.slice(cursor);
+}
+
+function computeLineStarts(code) {
+  const starts = [0];
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+/** 1-based line number of an offset. */
+function lineAt(lineStarts, offset) {
+  let lo = 0;
+  let hi = lineStarts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (lineStarts[mid] <= offset) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo + 1;
+}
+
+/**
+ * Extract import dependencies from source (static imports, re-exports and
+ * literal dynamic imports).
+ * Returns an array of module specifiers, excluding common framework imports
+ * (or the given package names).
+ */
+function extractDependencies(content, { exclude = DEFAULT_EXCLUDED_DEPENDENCIES } = {}) {
+  const specifiers = [];
+  for (const regex of [IMPORT_REGEX, EXPORT_FROM_REGEX, DYNAMIC_IMPORT_REGEX, REQUIRE_REGEX]) {
+    for (const match of content.matchAll(regex)) {
+      specifiers.push(match[1]);
+    }
+  }
+  return filterDependencies(specifiers, exclude);
+}
+
+/**
+ * Unique, sorted specifiers without the excluded packages.
+ */
+function filterDependencies(specifiers, exclude = DEFAULT_EXCLUDED_DEPENDENCIES) {
+  const EXCLUDED = new Set(exclude);
+  return [...new Set(specifiers)].filter(specifier => !EXCLUDED.has(specifier)).sort();
+}
+
+/**
+ * Extract what a module exports and which bindings it imports.
+ *
+ * Import specifiers come from the raw source (they are strings); export
+ * declarations from the stripped source, which keeps line numbers.
+ *
+ * @param {string} content
+ * @param {string} stripped - Output of stripCommentsAndStrings
+ * @returns {ModuleSymbols}
+ */
+function extractModuleSymbols(content, stripped) {
+  const lineStarts = computeLineStarts(stripped);
+  const exports = new Map();
+  const addExport = (name, offset) => {
+    if (!exports.has(name)) exports.set(name, { name, line: lineAt(lineStarts, offset) });
+  };
+
+  for (const match of stripped.matchAll(EXPORT_DECLARATION_REGEX)) {
+    addExport(match[1] ? 'default' : match[2], match.index);
+  }
+  for (const match of stripped.matchAll(EXPORT_DEFAULT_REGEX)) {
+    addExport('default', match.index);
+  }
+  for (const match of stripped.matchAll(EXPORT_LIST_REGEX)) {
+    for (const { exported } of parseBindingList(match[1])) addExport(exported, match.index);
+  }
+
+  const imports = [];
+  for (const match of content.matchAll(IMPORT_BINDINGS_REGEX)) {
+    const clause = match[1].trim();
+    const names = [];
+    const defaultBinding = clause.match(/^([\w$]+)/);
+    if (defaultBinding) names.push('default');
+    if (/\*\s*as\s+/.test(clause)) names.push('*');
+    const braces = clause.match(/\{([^}]*)\}/);
+    if (braces) names.push(...parseBindingList(braces[1]).map(b => b.imported));
+    imports.push({ specifier: match[2], names });
+  }
+  for (const match of content.matchAll(SIDE_EFFECT_IMPORT_REGEX)) {
+    imports.push({ specifier: match[1], names: [] });
+  }
+  for (const regex of [DYNAMIC_IMPORT_REGEX, REQUIRE_REGEX]) {
+    for (const match of content.matchAll(regex)) {
+      imports.push({ specifier: match[1], names: ['*'] });
+    }
+  }
+
+  const reExports = [];
+  for (const match of content.matchAll(RE_EXPORT_REGEX)) {
+    const clause = match[1];
+    if (clause.startsWith('*')) {
+      const namespace = clause.match(/as\s+([\w$]+)/);
+      reExports.push({ specifier: match[2], imported: '*', exported: namespace ? namespace[1] : '*' });
+    } else {
+      for (const binding of parseBindingList(clause.slice(1, -1))) {
+        reExports.push({ specifier: match[2], ...binding });
+      }
+    }
+  }
+
+  return { exports: [...exports.values()], imports, reExports };
+}
+
+/** `a, type b, c as d` → [{imported: 'a', exported: 'a'}, ..., {imported: 'c', exported: 'd'}] */
+function parseBindingList(list) {
+  return list
+    .split(',')
+    .map(part => part.trim().replace(/^type\s+/, ''))
+    .filter(Boolean)
+    .map(part => {
+      const [imported, exported] = part.split(/\s+as\s+/);
+      return { imported, exported: exported || imported };
+    });
+}
+
+/**
+ * Extract the React components of a `.tsx` / `.jsx` file (see components.js).
+ *
+ * @param {string} stripped - Output of stripCommentsAndStrings
+ * @returns {import('./components').Component[]} In source order
+ */
+function extractComponents(stripped) {
+  const lineStarts = computeLineStarts(stripped);
+  const typeMembers = countTypeMembers(stripped);
+  const functions = findFunctionBoundaries(stripped);
+  const components = [];
+
+  for (const fn of functions) {
+    const name = fn.name === '<anonymous>' ? wrappedComponentName(stripped, fn.start) : fn.name;
+    if (!name || !isComponentName(name)) continue;
+    const jsxDepth = measureJsxDepth(stripped.slice(fn.bodyStart, fn.bodyEnd));
+    if (jsxDepth === 0) continue;
+
+    // Hooks of nested functions are not the component's own
+    const nested = functions.filter(other =>
+      other !== fn && other.bodyStart >= fn.bodyStart && other.bodyEnd <= fn.bodyEnd
+    );
+    const own = maskRanges(stripped, nested);
+    const hooks = [];
+    for (const match of own.slice(fn.bodyStart, fn.bodyEnd).matchAll(HOOK_CALL_REGEX)) {
+      if (!isHookName(match[1])) continue;
+      const at = fn.bodyStart + match.index;
+      const open = at + match[0].length - 1;
+      const close = findClosing(own, open);
+      hooks.push({
+        name: match[1],
+        line: lineAt(lineStarts, at),
+        conditional: isConditionalCall(own, fn.bodyStart, at),
+        dependencies: close !== -1 && splitTopLevel(own.slice(open + 1, close)).length >= 2,
+      });
+    }
+
+    const startLine = lineAt(lineStarts, fn.start);
+    const endLine = lineAt(lineStarts, fn.bodyEnd - 1);
+    components.push({
+      name,
+      kind: 'function',
+      startLine,
+      endLine,
+      lines: endLine - startLine + 1,
+      props: countFunctionProps(stripped, fn, typeMembers),
+      hooks,
+      jsxDepth,
+    });
+  }
+
+  for (const match of stripped.matchAll(CLASS_COMPONENT_REGEX)) {
+    if (!isComponentName(match[1])) continue;
+    let cursor = match.index + match[0].length;
+    let props = 0;
+    if (stripped[cursor] === '<') {
+      const close = findAngleClosing(stripped, cursor);
+      if (close === -1) continue;
+      props = typeMemberCount(splitTopLevel(stripped.slice(cursor + 1, close))[0] || '', typeMembers);
+      cursor = close + 1;
+    }
+    const bodyStart = stripped.indexOf('{', cursor);
+    const bodyEnd = bodyStart === -1 ? -1 : findClosing(stripped, bodyStart);
+    if (bodyEnd === -1) continue;
+
+    const startLine = lineAt(lineStarts, match.index);
+    const endLine = lineAt(lineStarts, bodyEnd);
+    components.push({
+      name: match[1],
+      kind: 'class',
+      startLine,
+      endLine,
+      lines: endLine - startLine + 1,
+      props,
+      hooks: [],
+      jsxDepth: measureJsxDepth(stripped.slice(bodyStart, bodyEnd + 1)),
+    });
+  }
+
+  return components.sort((a, b) => a.startLine - b.startLine);
+}
+
+/** `const Name = memo(` / `forwardRef(` right before an anonymous function, or null. */
+function wrappedComponentName(code, start) {
+  const binding = code.slice(Math.max(0, start - 200), start).match(WRAPPED_BINDING_REGEX);
+  return binding ? binding[1] : null;
+}
+
+/**
+ * Props of a function component: the members of its declared props type
+ * when that type is in the file, else the destructured names; 0 without
+ * parameters, null when unknown.
+ */
+function countFunctionProps(code, fn, typeMembers) {
+  let params = code.slice(fn.paramsStart, fn.paramsEnd).trim();
+  if (params.startsWith('(')) params = params.slice(1, findClosing(params, 0));
+  const [param = ''] = splitTopLevel(params);
+
+  // ({ a, b }: Props) or (props: Props)
+  let pattern = null;
+  let type = null;
+  if (param.startsWith('{')) {
+    const close = findClosing(param, 0);
+    pattern = param.slice(1, close);
+    type = param.slice(close + 1).replace(/^\s*:/, '').trim() || null;
+  } else {
+    const annotation = param.match(/^[\w$]+\s*\??\s*:\s*([\s\S]+)$/);
+    type = annotation ? annotation[1].trim() : null;
+  }
+
+  const declared = type ? typeMemberCount(type, typeMembers) : null;
+  if (declared !== null) return declared;
+  const annotated = code.slice(fn.start, fn.paramsStart).match(COMPONENT_TYPE_REGEX);
+  const fromAnnotation = annotated ? typeMemberCount(annotated[1], typeMembers) : null;
+  if (fromAnnotation !== null) return fromAnnotation;
+  if (pattern !== null) return splitTopLevel(pattern).filter(name => !name.startsWith('...')).length;
+  return param ? null : 0;
+}
+
+/** Members of an inline type literal or of a type declared in the file, else null. */
+function typeMemberCount(type, typeMembers) {
+  const text = type.trim();
+  if (text.startsWith('{')) return countMembers(text.slice(1, findClosing(text, 0)));
+  return typeMembers.has(text) ? typeMembers.get(text) : null;
+}
+
+/** Member counts of the file's interfaces and object type aliases, by name. */
+function countTypeMembers(code) {
+  const counts = new Map();
+  for (const match of code.matchAll(/\b(?:interface\s+([\w$]+)[^{=]*|type\s+([\w$]+)\s*(?:<[^=]*?>)?\s*=\s*)\{/g)) {
+    const open = match.index + match[0].length - 1;
+    const close = findClosing(code, open);
+    if (close !== -1) counts.set(match[1] || match[2], countMembers(code.slice(open + 1, close)));
+  }
+  return counts;
+}
+
+/** Members of a type literal body: entries separated by `;`, `,` or line breaks at depth 0. */
+function countMembers(body) {
+  return splitTopLevel(body, /[;,\n]/).filter(member => !/^[|&]/.test(member)).length;
+}
+
+/** Non-empty, trimmed parts of `text` between separators outside brackets. */
+function splitTopLevel(text, separator = /,/) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if ('([{<'.includes(ch)) depth++;
+    else if (')]}'.includes(ch) || (ch === '>' && text[i - 1] !== '=')) depth--;
+    else if (depth === 0 && separator.test(ch)) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/** Offset of the `>` closing the type argument list opened at `open`, or -1. */
+function findAngleClosing(code, open) {
+  let depth = 0;
+  for (let i = open; i < code.length; i++) {
+    if (code[i] === '<') depth++;
+    else if (code[i] === '>' && code[i - 1] !== '=' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Whether a call at `at` in a function body starting at `from` runs
+ * conditionally: inside an if / loop / switch / catch block, or after a
+ * braceless condition, short-circuit operator or `?` on its own statement.
+ */
+function isConditionalCall(code, from, at) {
+  const blocks = [];
+  for (let i = from; i < at; i++) {
+    if (code[i] === '{') blocks.push(opensConditionalBlock(code, i));
+    else if (code[i] === '}') blocks.pop();
+  }
+  const statement = code.slice(from, at).split(/[;{}\n]/).pop();
+  return blocks.includes(true) || CONDITIONAL_PREFIX_REGEX.test(statement);
+}
+
+function opensConditionalBlock(code, brace) {
+  let i = brace - 1;
+  while (i >= 0 && /\s/.test(code[i])) i--;
+  if (code[i] === ')') {
+    const open = findOpening(code, i);
+    return open !== -1 && CONDITIONAL_BLOCK_REGEX.test(code.slice(Math.max(0, open - 20), open));
+  }
+  return /\b(?:else|do|catch)$/.test(code.slice(Math.max(0, i - 5), i + 1));
+}
+
+/**
+ * Deepest nesting of JSX elements and fragments. Outside JSX, a `<` after
+ * an identifier or closing bracket is a comparison or type argument.
+ */
+function measureJsxDepth(code) {
+  let depth = 0;
+  let max = 0;
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] !== '<' || !/[\w$/>]/.test(code[i + 1] || '')) continue;
+    if (depth === 0 && !startsJsx(code, i)) continue;
+
+    const end = findTagEnd(code, i);
+    if (end === -1) break;
+    const tag = code.slice(i, end + 1);
+    if (/^<[\w$]+\s+extends\b|^<[\w$]+,/.test(tag)) continue; // generic arrow function <T extends X>(
+    if (tag[1] === '/') depth = Math.max(0, depth - 1);
+    else if (code[end - 1] === '/') max = Math.max(max, depth + 1);
+    else max = Math.max(max, ++depth);
+    i = end;
+  }
+  return max;
+}
+
+function startsJsx(code, lt) {
+  let i = lt - 1;
+  while (i >= 0 && /\s/.test(code[i])) i--;
+  if (!/[\w$)\].]/.test(code[i] || '')) return true;
+  return /\b(?:return|yield|default|case)$/.test(code.slice(Math.max(0, i - 6), i + 1));
+}
+
+/** Offset of the `>` ending the tag at `lt`, skipping `{...}` attribute values, or -1. */
+function findTagEnd(code, lt) {
+  for (let i = lt + 1; i < code.length; i++) {
+    if (code[i] === '{') {
+      i = findClosing(code, i);
+      if (i === -1) return -1;
+    } else if (code[i] === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * @typedef {object} ModuleSymbols
+ * @property {Array<{name: string, line: number}>} exports - Own exports ('default' for the default export)
+ * @property {Array<{specifier: string, names: string[]}>} imports
+ *   Imported bindings: 'default', named exports, or '*' for namespace and dynamic imports
+ * @property {Array<{specifier: string, imported: string, exported: string}>} reExports
+ *   `export ... from` entries; '*' stands for `export *`
+ */
+
+/**
+ * @typedef {object} FunctionComplexity
+ * @property {string} name       - Function, method or binding name (`<anonymous>` if none)
+ * @property {string} kind       - 'function' | 'method' | 'arrow'
+ * @property {number} startLine  - 1-based line of the declaration
+ * @property {number} endLine    - 1-based line of the closing brace / expression end
+ * @property {number} complexity - Cyclomatic complexity of the function's own body
+ * @property {number} [cognitive] - Cognitive complexity of the body (with `cognitive`)
+ * @property {import('./metrics').HalsteadMetrics} [halstead] - With `halstead`
+ * @property {number} [maintainability] - Maintainability index, 0–100 (with `maintainability`)
+ */
+
+module.exports = {
+  analyzeFile,
+  analyzeSource,
+  hashContent,
+  calculateComplexity,
+  analyzeFunctionComplexity,
+  extractFunctions,
+  extractDependencies,
+  extractModuleSymbols,
+  extractComponents,
+  DEFAULT_EXCLUDED_DEPENDENCIES,
+  ANALYZER_VERSION,
+};
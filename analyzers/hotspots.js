@@ -0,0 +1,41 @@
+/**
+ * Hotspots — ranks refactoring candidates by combining change frequency
+ * (commits from git history) with complexity. A complex file nobody touches
+ * is cheap to leave alone; a complex file changed every week is not.
+ */
+
+/**
+ * Rank files by commits × complexity.
+ *
+ * @param {Array<{filePath: string, complexity: number, totalLines: number}>} results
+ * @param {Map<string, {commits: number, authors: number}>} history - From getFileHistory
+ * @returns {Hotspot[]} Files with at least one commit, highest score first
+ */
+function rankHotspots(results, history) {
+  return results
+    .map(r => {
+      const { commits = 0, authors = 0 } = history.get(r.filePath) || {};
+      return {
+        filePath: r.filePath,
+        commits,
+        authors,
+        complexity: r.complexity,
+        lines: r.totalLines,
+        score: commits * r.complexity,
+      };
+    })
+    .filter(h => h.commits > 0)
+    .sort((a, b) => b.score - a.score || b.commits - a.commits || a.filePath.localeCompare(b.filePath));
+}
+
+/**
+ * @typedef {object} Hotspot
+ * @property {string} filePath
+ * @property {number} commits    - Non-merge commits touching the file
+ * @property {number} authors    - Distinct author emails
+ * @property {number} complexity - File complexity from analyzeFile
+ * @property {number} lines
+ * @property {number} score      - commits × complexity
+ */
+
+module.exports = { rankHotspots };
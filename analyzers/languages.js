@@ -0,0 +1,110 @@
+/**
+ * Languages — which source files are scanned, and what each is written in.
+ *
+ *   typescript — .ts, .tsx, .mts, .cts (the default)
+ *   javascript — .js, .jsx, .mjs, .cjs
+ *   vue        — .vue single-file components
+ *   svelte     — .svelte components
+ *
+ * Vue and Svelte files are analyzed through their `<script>` blocks:
+ * everything else is blanked out with newlines kept, so that line numbers
+ * and columns still refer to the original file. Such a file is TypeScript
+ * when one of its blocks has `lang="ts"`, JavaScript otherwise. Every
+ * analyzed file is tagged 'typescript' or 'javascript'.
+ */
+const path = require('path');
+const { summarizeFiles } = require('./directories');
+
+const LANGUAGES = {
+  typescript: ['.ts', '.tsx', '.mts', '.cts'],
+  javascript: ['.js', '.jsx', '.mjs', '.cjs'],
+  vue: ['.vue'],
+  svelte: ['.svelte'],
+};
+
+const DEFAULT_LANGUAGES = ['typescript'];
+
+// Languages whose files hold their code in <script> blocks
+const EMBEDDING_LANGUAGES = ['vue', 'svelte'];
+
+// <script ...>body</script>; attribute values may contain `>` (generic="T extends A<B>")
+const SCRIPT_BLOCK_REGEX = /(<script\b((?:[^>"']|"[^"]*"|'[^']*')*)>)([\s\S]*?)<\/script\s*>/gi;
+const TS_LANG_REGEX = /\blang\s*=\s*(["']?)(?:ts|tsx|typescript)\1(?![\w-])/i;
+
+/**
+ * File extensions of the selected languages.
+ *
+ * @param {string[]} languages - Keys of LANGUAGES
+ * @returns {string[]}
+ */
+function languageExtensions(languages) {
+  return languages.flatMap(language => LANGUAGES[language]);
+}
+
+/** Whether the file's code sits in `<script>` blocks (Vue, Svelte). */
+function isEmbeddedScript(filePath) {
+  const extension = path.extname(filePath);
+  return EMBEDDING_LANGUAGES.some(language => LANGUAGES[language].includes(extension));
+}
+
+/**
+ * What the file's code is written in.
+ *
+ * @param {string} filePath
+ * @param {string} content - Raw content (Vue / Svelte: the `lang` of its script blocks)
+ * @returns {string} 'typescript' | 'javascript'
+ */
+function sourceLanguage(filePath, content) {
+  if (isEmbeddedScript(filePath)) {
+    const blocks = [...content.matchAll(SCRIPT_BLOCK_REGEX)];
+    return blocks.some(block => TS_LANG_REGEX.test(block[2])) ? 'typescript' : 'javascript';
+  }
+  return LANGUAGES.javascript.includes(path.extname(filePath)) ? 'javascript' : 'typescript';
+}
+
+/**
+ * The file's `<script>` blocks in place: all other characters become spaces,
+ * newlines stay, so that offsets and line numbers are unchanged.
+ *
+ * @param {string} content
+ * @returns {string}
+ */
+function extractScriptBlocks(content) {
+  const blank = text => text.replace(/[^\n]/g, ' ');
+  let extracted = '';
+  let last = 0;
+  for (const [block, openingTag, , body] of content.matchAll(SCRIPT_BLOCK_REGEX)) {
+    const bodyStart = content.indexOf(block, last) + openingTag.length;
+    extracted += blank(content.slice(last, bodyStart)) + body;
+    last = bodyStart + body.length;
+  }
+  return extracted + blank(content.slice(last));
+}
+
+/**
+ * Totals per language, as for directories (see directories.js).
+ *
+ * @param {object[]} results - analyzeFile results
+ * @param {{columns: object}} opts
+ * @returns {Array<import('./directories').Aggregate & {language: string}>} Most code lines first
+ */
+function aggregateLanguages(results, { columns }) {
+  const byLanguage = new Map();
+  for (const result of results) {
+    if (!byLanguage.has(result.language)) byLanguage.set(result.language, []);
+    byLanguage.get(result.language).push(result);
+  }
+  return [...byLanguage]
+    .map(([language, files]) => ({ language, ...summarizeFiles(files, columns) }))
+    .sort((a, b) => b.codeLines - a.codeLines || a.language.localeCompare(b.language));
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGES,
+  languageExtensions,
+  isEmbeddedScript,
+  sourceLanguage,
+  extractScriptBlocks,
+  aggregateLanguages,
+};
@@ -0,0 +1,134 @@
+/**
+ * Layers — architectural import rules checked against the resolved imports
+ * of each file (its `dependencies`, see extractDependencies).
+ *
+ * A layer is a named set of files (globs relative to the project root). It
+ * may list the layers it is `allowed` to import from — any other import,
+ * including one of a file outside every layer, is then a violation — and
+ * the layers it is `forbidden` to import from. Imports within a layer are
+ * always allowed. A file belongs to the first layer whose globs match it;
+ * files in no layer are not checked. Package imports never resolve to a
+ * project file, so they are not checked either.
+ */
+const fs = require('fs');
+const path = require('path');
+const { minimatch } = require('minimatch');
+
+/**
+ * Validate layer definitions from the config file.
+ *
+ * @param {Object<string, {files: string[], allowed?: string[], forbidden?: string[]}>} raw - Keyed by layer name
+ * @returns {Layer[]} In definition order (the order files are matched in)
+ * @throws {Error} when a layer has no globs or refers to an unknown layer
+ */
+function normalizeLayers(raw) {
+  const names = Object.keys(raw);
+  return Object.entries(raw).map(([name, { files, allowed, forbidden = [] }]) => {
+    if (files.length === 0) throw new Error(`layer "${name}": "files" needs at least one glob`);
+    for (const other of [...(allowed || []), ...forbidden]) {
+      if (!names.includes(other)) throw new Error(`layer "${name}": unknown layer "${other}"`);
+    }
+    return { name, files, allowed: allowed || null, forbidden };
+  });
+}
+
+/**
+ * @param {Array<{filePath: string, dependencies: string[]}>} results
+ * @param {object} opts
+ * @param {(specifier: string, fromFile: string) => string|null} opts.resolve
+ * @param {string} opts.rootDir
+ * @param {Layer[]} opts.layers
+ * @returns {LayerReport}
+ */
+function checkLayers(results, { resolve, rootDir, layers }) {
+  const relative = filePath => path.relative(rootDir, filePath).split(path.sep).join('/');
+  const layerOf = new Map();
+  for (const { filePath } of results) {
+    const layer = layers.find(l => l.files.some(pattern => minimatch(relative(filePath), pattern, { dot: true })));
+    if (layer) layerOf.set(filePath, layer);
+  }
+
+  const violations = [];
+  for (const { filePath, dependencies } of results) {
+    const from = layerOf.get(filePath);
+    if (!from) continue;
+    for (const specifier of dependencies) {
+      const target = resolve(specifier, filePath);
+      if (!target) continue;
+      const to = layerOf.get(target) || null;
+      if (to === from) continue;
+
+      let message = null;
+      if (to && from.forbidden.includes(to.name)) {
+        message = `"${from.name}" must not import from "${to.name}"`;
+      } else if (from.allowed && !(to && from.allowed.includes(to.name))) {
+        const imported = to ? `"${to.name}"` : 'files outside every layer';
+        message = from.allowed.length > 0
+          ? `"${from.name}" may only import from ${from.allowed.map(name => `"${name}"`).join(', ')}, not ${imported}`
+          : `"${from.name}" must not import from ${imported}`;
+      }
+      if (message) {
+        violations.push({
+          filePath, specifier, target, from: from.name, to: to ? to.name : null, message, line: null, source: null,
+        });
+      }
+    }
+  }
+
+  return {
+    layers: layers.map(layer => ({
+      ...layer,
+      fileCount: [...layerOf.values()].filter(l => l === layer).length,
+    })),
+    violations,
+  };
+}
+
+/**
+ * Add the line number and text of the offending import or `require()` to each
+ * violation (the file analyses keep specifiers only). For multi-line
+ * imports this is the line with the specifier. Sorts the violations by
+ * file and line.
+ */
+function attachImportLines(violations, readFile = filePath => fs.readFileSync(filePath, 'utf-8')) {
+  const sources = new Map();
+  for (const v of violations) {
+    if (!sources.has(v.filePath)) sources.set(v.filePath, readFile(v.filePath).split('\n'));
+    const lines = sources.get(v.filePath);
+    const quoted = ['"', "'", '`'].map(quote => `${quote}${v.specifier}${quote}`);
+    const index = lines.findIndex(text => /\b(?:import|from)\b|\brequire\s*\(/.test(text) && quoted.some(q => text.includes(q)));
+    if (index !== -1) {
+      v.line = index + 1;
+      v.source = lines[index].trim();
+    }
+  }
+  return violations.sort((a, b) => a.filePath.localeCompare(b.filePath) || (a.line || 0) - (b.line || 0));
+}
+
+/**
+ * @typedef {object} Layer
+ * @property {string} name
+ * @property {string[]} files      - Globs relative to the project root
+ * @property {?string[]} allowed   - Layers it may import from (null: any not forbidden)
+ * @property {string[]} forbidden  - Layers it must not import from
+ */
+
+/**
+ * @typedef {object} LayerViolation
+ * @property {string} filePath  - Importing file
+ * @property {string} specifier - Import specifier as written
+ * @property {string} target    - Imported file
+ * @property {string} from      - Layer of the importing file
+ * @property {?string} to       - Layer of the imported file (null: outside every layer)
+ * @property {string} message
+ * @property {?number} line     - Line of the import (after attachImportLines)
+ * @property {?string} source   - Text of that line, trimmed
+ */
+
+/**
+ * @typedef {object} LayerReport
+ * @property {Array<Layer & {fileCount: number}>} layers
+ * @property {LayerViolation[]} violations
+ */
+
+module.exports = { normalizeLayers, checkLayers, attachImportLines };
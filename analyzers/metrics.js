@@ -0,0 +1,216 @@
+/**
+ * Readability metrics beyond cyclomatic complexity:
+ *
+ *   - Cognitive complexity — +1 per break in linear flow (if, else, loops,
+ *     switch, catch, ternary, labeled jumps, each run of like logical
+ *     operators), plus the current nesting depth for structures that nest.
+ *     A flat `switch` costs 1, however many cases it has.
+ *   - Halstead volume, difficulty and effort — from operator/operand counts.
+ *   - Maintainability index — the 0–100 rescaling of
+ *     171 − 5.2·ln(volume) − 0.23·complexity − 16.2·ln(lines).
+ *
+ * The formulas are shared by both engines; this module also holds the
+ * regex engine's token scanners, which work on stripped source (comments
+ * removed, strings blanked, see file-analyzer's stripCommentsAndStrings).
+ */
+const { KEYWORDS, TOKEN_REGEX } = require('./clones');
+
+// Words counted as operands rather than operators
+const OPERAND_KEYWORDS = new Set(['true', 'false', 'null', 'undefined', 'this', 'super']);
+
+// Closing brackets are counted with their opening one
+const CLOSING_BRACKETS = new Set([')', ']', '}']);
+
+// Control flow words, logical operators and the brackets that delimit nesting
+const COGNITIVE_TOKEN_REGEX = /[A-Za-z_$][\w$]*|&&=|\|\|=|\?\?=|&&|\|\||\?\?|\?\.|\?(?!\s*[:),=])|[{}();,:.]/g;
+
+// Structures that cost 1 + nesting and nest their body
+const NESTING_STRUCTURES = new Set(['if', 'for', 'while', 'do', 'switch', 'catch']);
+
+const LOGICAL_OPERATORS = new Set(['&&', '||', '??']);
+
+/**
+ * Cognitive complexity of stripped code. Nested function bodies should be
+ * masked out by the caller; they are scored on their own.
+ *
+ * @param {string} code
+ * @returns {number}
+ */
+function cognitiveComplexity(code) {
+  const tokens = [...code.matchAll(COGNITIVE_TOKEN_REGEX)].map(m => m[0]);
+  const blocks = []; // per open `{`: does it add a nesting level, does it close a `do`
+  let nesting = 0;
+  let parens = 0;
+  let pending = null; // structure waiting for its `{`: {parens, isDo}
+  let lastLogical = null;
+  let closedDo = false;
+  let score = 0;
+
+  const structure = (increment, isDo = false) => {
+    score += increment;
+    pending = { parens, isDo };
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const previous = tokens[i - 1];
+
+    if (LOGICAL_OPERATORS.has(token)) {
+      if (token !== lastLogical) score++;
+      lastLogical = token;
+      continue;
+    }
+    if (/^[(){};,:?]$/.test(token)) lastLogical = null;
+
+    if (token === '(') {
+      parens++;
+    } else if (token === ')') {
+      parens--;
+    } else if (token === '{') {
+      const nests = Boolean(pending) && pending.parens === parens;
+      blocks.push({ nests, isDo: nests && pending.isDo });
+      if (nests) {
+        nesting++;
+        pending = null;
+      }
+    } else if (token === '}') {
+      const block = blocks.pop();
+      if (block && block.nests) nesting--;
+      closedDo = Boolean(block && block.isDo);
+      continue;
+    } else if (token === ';') {
+      // A structure without braces (`if (x) return;`) ends at its statement
+      if (pending && pending.parens === parens) pending = null;
+    } else if (token === '?') {
+      score += 1 + nesting;
+    } else if (token === 'else') {
+      structure(1);
+      if (tokens[i + 1] === 'if') i++; // the `if` of `else if` costs no nesting increment
+    } else if (previous === '.') {
+      // a property such as `promise.catch`, not a keyword
+    } else if (token === 'while' && previous === '}' && closedDo) {
+      // the condition of a `do … while`, already counted at `do`
+    } else if (NESTING_STRUCTURES.has(token)) {
+      structure(1 + nesting, token === 'do');
+    } else if ((token === 'break' || token === 'continue') && isLabel(tokens[i + 1])) {
+      score++;
+    }
+    closedDo = false;
+  }
+
+  return score;
+}
+
+function isLabel(token) {
+  return Boolean(token) && /^[A-Za-z_$]/.test(token) && !KEYWORDS.has(token);
+}
+
+/**
+ * Operator and operand occurrences in stripped code. Strings were blanked
+ * by stripping, so all string literals count as one operand.
+ *
+ * @param {string} code
+ * @returns {HalsteadCounts}
+ */
+function countHalsteadTokens(code) {
+  const counts = createHalsteadCounts();
+  for (const [token] of code.matchAll(TOKEN_REGEX)) {
+    if (CLOSING_BRACKETS.has(token)) continue;
+    const isOperand = token === '""' || /^\d/.test(token) || OPERAND_KEYWORDS.has(token) ||
+      (/^[A-Za-z_$]/.test(token) && !KEYWORDS.has(token));
+    addHalsteadToken(counts, isOperand, token);
+  }
+  return counts;
+}
+
+/** @returns {HalsteadCounts} */
+function createHalsteadCounts() {
+  return { operators: new Map(), operands: new Map() };
+}
+
+function addHalsteadToken(counts, isOperand, token) {
+  const table = isOperand ? counts.operands : counts.operators;
+  table.set(token, (table.get(token) || 0) + 1);
+}
+
+/**
+ * @param {HalsteadCounts} counts
+ * @returns {HalsteadMetrics}
+ */
+function halsteadMetrics({ operators, operands }) {
+  const sum = table => [...table.values()].reduce((a, b) => a + b, 0);
+  const distinctOperators = operators.size;
+  const distinctOperands = operands.size;
+  const vocabulary = distinctOperators + distinctOperands;
+  const length = sum(operators) + sum(operands);
+
+  const volume = vocabulary > 1 ? length * Math.log2(vocabulary) : 0;
+  const difficulty = distinctOperands > 0 ? (distinctOperators / 2) * (sum(operands) / distinctOperands) : 0;
+  return { volume: round1(volume), difficulty: round1(difficulty), effort: round1(volume * difficulty) };
+}
+
+/**
+ * Maintainability index on a 0–100 scale (higher is easier to maintain).
+ *
+ * @param {object} inputs
+ * @param {number} inputs.volume     - Halstead volume
+ * @param {number} inputs.complexity - Cyclomatic complexity
+ * @param {number} inputs.lines      - Lines of code
+ * @returns {number}
+ */
+function maintainabilityIndex({ volume, complexity, lines }) {
+  const raw = 171 - 5.2 * Math.log(Math.max(volume, 1)) - 0.23 * complexity - 16.2 * Math.log(Math.max(lines, 1));
+  return Math.round(Math.min(100, Math.max(0, (raw * 100) / 171)));
+}
+
+/**
+ * The metrics selected in `opts` for one function or file, from the raw
+ * inputs an engine collected. Unselected metrics are left out.
+ *
+ * @param {object} inputs
+ * @param {?number} inputs.cognitive        - Cognitive complexity (with `opts.cognitive`)
+ * @param {?HalsteadCounts} inputs.counts   - Token counts (with `opts.halstead` or `opts.maintainability`)
+ * @param {number} inputs.complexity        - Cyclomatic complexity
+ * @param {number} inputs.lines             - Lines of code
+ * @param {{cognitive?: boolean, halstead?: boolean, maintainability?: boolean}} opts
+ * @returns {{cognitive?: number, halstead?: HalsteadMetrics, maintainability?: number}}
+ */
+function readabilityFields({ cognitive, counts, complexity, lines }, opts) {
+  const fields = {};
+  if (opts.cognitive) fields.cognitive = cognitive;
+  if (opts.halstead || opts.maintainability) {
+    const halstead = halsteadMetrics(counts);
+    if (opts.halstead) fields.halstead = halstead;
+    if (opts.maintainability) {
+      fields.maintainability = maintainabilityIndex({ volume: halstead.volume, complexity, lines });
+    }
+  }
+  return fields;
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * @typedef {object} HalsteadCounts
+ * @property {Map<string, number>} operators - Occurrences per distinct operator
+ * @property {Map<string, number>} operands  - Occurrences per distinct operand
+ */
+
+/**
+ * @typedef {object} HalsteadMetrics
+ * @property {number} volume     - length × log2(vocabulary)
+ * @property {number} difficulty - (distinct operators / 2) × (operands / distinct operands)
+ * @property {number} effort     - difficulty × volume
+ */
+
+module.exports = {
+  cognitiveComplexity,
+  countHalsteadTokens,
+  createHalsteadCounts,
+  addHalsteadToken,
+  halsteadMetrics,
+  maintainabilityIndex,
+  readabilityFields,
+};
@@ -0,0 +1,170 @@
+/**
+ * Risk — test coverage mapped onto the analyzed files and functions, and
+ * combined with complexity into the CRAP score (Change Risk Anti-Patterns):
+ *
+ *   CRAP = complexity² × (1 − coverage)³ + complexity
+ *
+ * A fully covered function scores its complexity, an untested one its
+ * complexity squared plus its complexity, so complex code without tests
+ * comes first. Above 30 a function is risky to change: at complexity 10 it
+ * needs 42 % coverage to stay below, from complexity 31 no coverage is enough.
+ *
+ * A function's coverage is the share of its instrumented lines that ran;
+ * a function the report lists as never called has 0 %. Files missing from
+ * the coverage data were never loaded by a test and count as untested.
+ */
+const path = require('path');
+
+const DEFAULT_CRAP_THRESHOLD = 30;
+
+/**
+ * CRAP score of a function.
+ *
+ * @param {number} complexity - Cyclomatic complexity
+ * @param {number} coverage - Covered share, 0–1
+ * @returns {number} Rounded to one decimal
+ */
+function crapScore(complexity, coverage) {
+  const score = complexity ** 2 * (1 - coverage) ** 3 + complexity;
+  return Math.round(score * 10) / 10;
+}
+
+/**
+ * Map coverage onto the analyzed files and rank their functions by risk.
+ *
+ * @param {object[]} results - analyzeFile results with per-function complexity
+ * @param {Map<string, import('../coverage').FileCoverage>} coverage - From loadCoverage
+ * @param {object} opts
+ * @param {string} opts.rootDir
+ * @param {number} [opts.crapThreshold]
+ * @returns {CoverageAssessment}
+ */
+function assessCoverage(results, coverage, { rootDir, crapThreshold = DEFAULT_CRAP_THRESHOLD }) {
+  const find = createCoverageLookup(coverage, rootDir);
+  const files = [];
+  const risks = [];
+
+  for (const result of results) {
+    const fileCoverage = find(result.filePath);
+    const functions = result.functions.map(fn => {
+      const covered = fileCoverage ? functionCoverage(fn, fileCoverage) : 0;
+      return { fn, covered, crap: covered === null ? null : crapScore(fn.complexity, covered) };
+    });
+    for (const { fn, covered, crap } of functions) {
+      if (covered === null || covered === 1) continue;
+      risks.push({
+        filePath: result.filePath,
+        name: fn.name,
+        kind: fn.kind,
+        startLine: fn.startLine,
+        endLine: fn.endLine,
+        complexity: fn.complexity,
+        coverage: percent(covered, 1),
+        crap,
+      });
+    }
+
+    const scores = functions.map(f => f.crap).filter(crap => crap !== null);
+    files.push({
+      filePath: result.filePath,
+      measured: Boolean(fileCoverage),
+      lines: fileCoverage ? lineTotals(fileCoverage.lines) : totals(0, result.codeLines),
+      functions: fileCoverage && fileCoverage.functions.length > 0
+        ? totals(fileCoverage.functions.filter(fn => fn.hits > 0).length, fileCoverage.functions.length)
+        : null,
+      branches: fileCoverage && fileCoverage.branches.total > 0
+        ? totals(fileCoverage.branches.covered, fileCoverage.branches.total)
+        : null,
+      crap: scores.length > 0 ? Math.max(...scores) : null,
+    });
+  }
+
+  const coveredLines = files.reduce((sum, f) => sum + f.lines.covered, 0);
+  const instrumentedLines = files.reduce((sum, f) => sum + f.lines.total, 0);
+  risks.sort((a, b) => b.crap - a.crap || b.complexity - a.complexity || a.filePath.localeCompare(b.filePath) || a.startLine - b.startLine);
+  return {
+    files,
+    risks,
+    crapThreshold,
+    lineCoverage: percent(coveredLines, instrumentedLines),
+    riskyFunctions: risks.filter(r => r.crap > crapThreshold).length,
+  };
+}
+
+/**
+ * Coverage of a source file by its analyzed path. Reports written on
+ * another machine (CI) have other absolute paths, so a report path that
+ * ends in the file's project-relative path matches as well.
+ */
+function createCoverageLookup(coverage, rootDir) {
+  const byBaseName = new Map();
+  for (const source of coverage.keys()) {
+    const base = path.basename(source);
+    if (!byBaseName.has(base)) byBaseName.set(base, []);
+    byBaseName.get(base).push(source);
+  }
+  return filePath => {
+    if (coverage.has(filePath)) return coverage.get(filePath);
+    const suffix = `/${path.relative(rootDir, filePath).split(path.sep).join('/')}`;
+    const source = (byBaseName.get(path.basename(filePath)) || [])
+      .find(candidate => candidate.split(path.sep).join('/').endsWith(suffix));
+    return source ? coverage.get(source) : null;
+  };
+}
+
+/**
+ * Covered share of a function (0–1): 0 when the report lists it as never
+ * called, else the share of its instrumented lines that ran. Null when
+ * none of its lines is instrumented.
+ */
+function functionCoverage(fn, fileCoverage) {
+  const reported = fileCoverage.functions.find(f => f.line === fn.startLine);
+  if (reported && reported.hits === 0) return 0;
+
+  let covered = 0;
+  let total = 0;
+  for (const [line, hits] of fileCoverage.lines) {
+    if (line < fn.startLine || line > fn.endLine) continue;
+    total++;
+    if (hits > 0) covered++;
+  }
+  if (total === 0) return reported ? 1 : null;
+  return covered / total;
+}
+
+function lineTotals(lines) {
+  let covered = 0;
+  for (const hits of lines.values()) if (hits > 0) covered++;
+  return totals(covered, lines.size);
+}
+
+function totals(covered, total) {
+  return { covered, total, percent: percent(covered, total) };
+}
+
+/** Percentage with one decimal; null for nothing to cover. */
+function percent(covered, total) {
+  return total > 0 ? Math.round((covered / total) * 1000) / 10 : null;
+}
+
+/**
+ * @typedef {object} CoverageAssessment
+ * @property {Array<{filePath: string, measured: boolean, lines: Totals, functions: ?Totals,
+ *   branches: ?Totals, crap: ?number}>} files - In result order; `measured`: the file is in
+ *   the coverage data (otherwise all its code lines count as uncovered)
+ * @property {Array<{filePath: string, name: string, kind: string, startLine: number, endLine: number,
+ *   complexity: number, coverage: number, crap: number}>} risks - Functions not fully covered,
+ *   highest CRAP score first; `coverage` in percent
+ * @property {number} crapThreshold
+ * @property {?number} lineCoverage - Percent of the instrumented lines of all analyzed files
+ * @property {number} riskyFunctions - Functions scoring above the threshold
+ */
+
+/**
+ * @typedef {object} Totals
+ * @property {number} covered
+ * @property {number} total
+ * @property {?number} percent
+ */
+
+module.exports = { assessCoverage, crapScore, DEFAULT_CRAP_THRESHOLD };
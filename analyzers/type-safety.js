@@ -0,0 +1,161 @@
+/**
+ * Type safety — counts the places where a file steps around the type
+ * checker and turns them into a 0–100 score:
+ *
+ *   - explicit `any` (including `as any`)
+ *   - `as` casts; `as const` is not a cast
+ *   - double casts through `unknown` or `any` (`x as unknown as T`), counted
+ *     once here and not as two casts
+ *   - `!` non-null assertions
+ *   - `@ts-ignore`, `@ts-expect-error` and `@ts-nocheck` comments
+ *
+ * The score falls with the weighted count per 100 lines of code as
+ * 100 / (1 + density / 10): one `any` per 100 lines scores 91, ten score
+ * 50. Files under 100 lines are scored as if they had 100, so that a single
+ * `!` in a three-line re-export file does not score 37 and drag down the
+ * project average. `@ts-nocheck` switches checking off for the whole file,
+ * which scores 0.
+ *
+ * Both engines read directives from the raw source. The regex scanner
+ * below works on stripped source (see file-analyzer's
+ * stripCommentsAndStrings); the AST engine counts syntax nodes instead.
+ */
+
+// Penalty per occurrence
+const WEIGHTS = {
+  any: 1,
+  casts: 0.5,
+  doubleCasts: 2,
+  nonNull: 0.5,
+  tsIgnore: 2,
+  tsExpectError: 1,
+};
+
+// Weighted count per 100 lines at which the score halves
+const HALF_SCORE_DENSITY = 10;
+
+// Smaller files count as this long, so a single escape does not dominate them
+const MIN_SCORED_LINES = 100;
+
+// `// @ts-ignore`, `/* @ts-expect-error */`, `{/* @ts-ignore */}` in JSX
+const DIRECTIVE_REGEX = /(?:\/\/|\/\*)[\s*]*@ts-(ignore|expect-error|nocheck)\b/g;
+
+// `any` where a type is expected: annotations, type arguments, unions, `as any`
+const ANY_REGEX = /(?:=>|[:<|&]|\b(?:as|extends|keyof|readonly))\s*any\b(?![\w$])/g;
+// `type A = any`
+const ANY_ALIAS_REGEX = /\btype\s+[\w$]+(?:\s*<[^;]*?>)?\s*=\s*any\b(?![\w$])/g;
+// `, any` / `= any` — a type only inside type arguments (`Record<string, any>`, `<T = any>`)
+const ANY_LIST_REGEX = /[,=]\s*any\b(?![\w$])/g;
+
+// `as` followed by a type, other than `as const`
+const CAST_REGEX = /(?<![\w$.])as\s+(?!const\b)(?=[\w$({["])/g;
+const DOUBLE_CAST_REGEX = /(?<![\w$.])as\s+(?:unknown|any)\s+as\s+(?!const\b)(?=[\w$({["])/g;
+
+// Renames in import/export clauses: import * as ns, export { a as b }
+const MODULE_CLAUSE_REGEX = /\b(?:import|export)\s+(?:type\s+)?(?:[\w$]+\s*,\s*)?(?:\{[^}]*\}|\*\s*as\s+[\w$]+)/g;
+
+// `x!`, `f()!`, `a[0]!`; not `!=` or a definite assignment (`x!: T`)
+const NON_NULL_REGEX = /[\w$)\]]!(?![=:])/g;
+
+/**
+ * A zeroed set of counts.
+ *
+ * @returns {TypeSafetyCounts}
+ */
+function createTypeSafetyCounts() {
+  return { any: 0, casts: 0, doubleCasts: 0, nonNull: 0, tsIgnore: 0, tsExpectError: 0, tsNocheck: 0 };
+}
+
+/**
+ * Count the `@ts-` directives in comments of the raw source.
+ *
+ * @param {string} content
+ * @returns {{tsIgnore: number, tsExpectError: number, tsNocheck: number}}
+ */
+function countDirectives(content) {
+  const counts = { tsIgnore: 0, tsExpectError: 0, tsNocheck: 0 };
+  const keys = { ignore: 'tsIgnore', 'expect-error': 'tsExpectError', nocheck: 'tsNocheck' };
+  for (const match of content.matchAll(DIRECTIVE_REGEX)) counts[keys[match[1]]]++;
+  return counts;
+}
+
+/**
+ * The regex engine's counts.
+ *
+ * @param {string} content  - Raw source (directives)
+ * @param {string} stripped - Output of stripCommentsAndStrings
+ * @returns {TypeSafetyCounts}
+ */
+function countTypeSafetyTokens(content, stripped) {
+  const code = stripped.replace(MODULE_CLAUSE_REGEX, clause => ' '.repeat(clause.length));
+  const count = regex => (code.match(regex) || []).length;
+  const doubleCasts = count(DOUBLE_CAST_REGEX);
+  const listed = [...code.matchAll(ANY_LIST_REGEX)].filter(match => isInTypeArguments(code, match.index)).length;
+  return {
+    any: count(ANY_REGEX) + count(ANY_ALIAS_REGEX) + listed,
+    casts: count(CAST_REGEX) - 2 * doubleCasts,
+    doubleCasts,
+    nonNull: count(NON_NULL_REGEX),
+    ...countDirectives(content),
+  };
+}
+
+/**
+ * Whether the offset lies inside an unclosed `<...>` of the same statement.
+ * Parentheses and braces end the search; brackets may be tuple types.
+ */
+function isInTypeArguments(code, offset) {
+  let depth = 0;
+  let angles = 0;
+  for (let i = offset - 1; i >= 0; i--) {
+    const ch = code[i];
+    if (ch === ')' || ch === ']' || ch === '}') {
+      depth++;
+    } else if (ch === '(' || ch === '[' || ch === '{') {
+      if (depth > 0) depth--;
+      else if (ch !== '[') return false;
+    } else if (depth > 0) {
+      continue;
+    } else if (ch === '>' && code[i - 1] !== '=') {
+      angles++;
+    } else if (ch === '<') {
+      if (angles === 0) return true;
+      angles--;
+    } else if (ch === ';') {
+      return false;
+    }
+  }
+  return false;
+}
+
+/**
+ * Type-safety score on a 0–100 scale (higher is safer).
+ *
+ * @param {TypeSafetyCounts} counts
+ * @param {number} lines - Lines of code
+ * @returns {number}
+ */
+function typeSafetyScore(counts, lines) {
+  if (counts.tsNocheck > 0) return 0;
+  const penalty = Object.entries(WEIGHTS).reduce((sum, [key, weight]) => sum + counts[key] * weight, 0);
+  const density = (penalty * 100) / Math.max(lines, MIN_SCORED_LINES);
+  return Math.round(100 / (1 + density / HALF_SCORE_DENSITY));
+}
+
+/**
+ * @typedef {object} TypeSafetyCounts
+ * @property {number} any           - Explicit `any` types
+ * @property {number} casts         - `as T` and `<T>x` assertions, except `as const` and double casts
+ * @property {number} doubleCasts   - `as unknown as T` / `as any as T`
+ * @property {number} nonNull       - `!` non-null assertions
+ * @property {number} tsIgnore      - `@ts-ignore` comments
+ * @property {number} tsExpectError - `@ts-expect-error` comments
+ * @property {number} tsNocheck     - `@ts-nocheck` comments
+ */
+
+module.exports = {
+  createTypeSafetyCounts,
+  countDirectives,
+  countTypeSafetyTokens,
+  typeSafetyScore,
+};
@@ -0,0 +1,552 @@
+/**
+ * Programmatic API — runs the analysis and renders reports without touching
+ * the process: errors are thrown, logging goes to the given logger, and
+ * nothing is written except the files the options ask for (cache, history,
+ * baseline).
+ *
+ *   const { analyzeProject, renderReport } = require('ts-audit');
+ *   const data = await analyzeProject('./my-app', { analyzers: { complexity: true }, logger: console });
+ *   fs.writeFileSync('audit.sarif', renderReport(data, 'sarif'));
+ *
+ * The CLI (index.js) is a thin wrapper around runAnalysis.
+ */
+const fs = require('fs');
+const path = require('path');
+const { resolveConfig } = require('./cli');
+const { scanTypeScriptFiles } = require('./scanner');
+const { analyzeFile } = require('./analyzers/file-analyzer');
+const { resolveTypeScript } = require('./analyzers/ast-engine');
+const { openAnalysisCache } = require('./cache');
+const { analyzeInWorkers } = require('./worker-pool');
+const { findDuplicates } = require('./analyzers/duplicates');
+const { findClones, attachSnippets } = require('./analyzers/clones');
+const { buildDependencyGraph, createImportResolver } = require('./analyzers/dependency-graph');
+const { loadTsConfig, getScanScope } = require('./tsconfig');
+const { loadWorkspaces, selectWorkspaces } = require('./workspaces');
+const { generateReport } = require('./report');
+const { generateJsonReport, buildJsonReport } = require('./report-json');
+const { generateSarifReport } = require('./report-sarif');
+const { withLoggerDefaults } = require('./logger');
+const { evaluateGate } = require('./gate');
+const { projectComplexityLevel } = require('./thresholds');
+const { saveBaseline, loadBaseline, compareToBaseline } = require('./baseline');
+const { getChangedFiles, getFileHistory, getHeadCommit } = require('./git');
+const { buildHistoryEntry, loadHistory, appendHistory } = require('./history');
+const { rankHotspots } = require('./analyzers/hotspots');
+const { findCoverageFiles, loadCoverage, DEFAULT_COVERAGE_FILES } = require('./coverage');
+const { assessCoverage } = require('./analyzers/risk');
+const { findDeadCode } = require('./analyzers/dead-code');
+const { reviewComponents } = require('./analyzers/components');
+const { checkLayers, attachImportLines } = require('./analyzers/layers');
+const { aggregateDirectories, aggregatePackages, packageDependencies } = require('./analyzers/directories');
+const { aggregateLanguages, languageExtensions, DEFAULT_LANGUAGES } = require('./analyzers/languages');
+const { loadPlugins, runProjectPlugins } = require('./plugins');
+
+// Output format → report generator
+const RENDERERS = {
+  html: generateReport,
+  json: generateJsonReport,
+  sarif: generateSarifReport,
+};
+
+/**
+ * Analyze a project.
+ *
+ * @param {string} projectDir
+ * @param {object} [options] - The config file's keys (see config.js), which override the
+ *   project's config file; paths in them are relative to the project
+ * @param {string|false} [options.configFile] - Config file to use instead of the discovered
+ *   one; false ignores it
+ * @param {string} [options.changedSince] - Only analyze files changed since this git ref
+ * @param {string} [options.saveBaseline] - Save the run as a baseline snapshot here
+ * @param {object} [options.logger] - Receives progress and diagnostics (any of info, warn,
+ *   error, success, debug, progress; `console` works). Silent by default
+ * @returns {Promise<?object>} The report data — `results`, `summary`, `duplicateGroups`,
+ *   `clones`, `dependencyGraph`, `coverage` and the other analyses, and `gateViolations` when gate limits
+ *   are set — as passed to renderReport; null when no file is in scope
+ * @throws {Error} when the options, the project or any step of the analysis is invalid
+ */
+async function analyzeProject(projectDir, { logger, ...options } = {}) {
+  const config = resolveConfig(projectDir, options);
+  const run = await runAnalysis(config, withLoggerDefaults(logger));
+  return run ? run.reportData : null;
+}
+
+/**
+ * Render report data in one output format.
+ *
+ * @param {object} reportData - Result of analyzeProject
+ * @param {string} format - html, json or sarif
+ * @returns {string}
+ * @throws {Error} for an unknown format
+ */
+function renderReport(reportData, format) {
+  const render = RENDERERS[format];
+  if (!render) throw new Error(`unknown format "${format}" (expected ${Object.keys(RENDERERS).join(', ')})`);
+  return render(reportData);
+}
+
+/**
+ * Scan, analyze and aggregate a project with a resolved configuration (the
+ * shape of parseArgs' result). Also reads and writes the cache, records the
+ * history and saves the baseline when configured.
+ *
+ * @param {object} config
+ * @param {object} log - Logger with every method (see logger.js)
+ * @returns {Promise<?{reportData: object, context: object, scan: () => string[], ignore: string[],
+ *   analyzerOptions: object}>} What watch mode needs to re-run; null when no file is in
+ *   scope (outside watch mode)
+ * @throws {Error} when the project or any step of the analysis is invalid
+ */
+async function runAnalysis(config, log) {
+  if (config.configPath) log.debug(`Using config ${config.configPath}`);
+
+  // ── Validate project directory ──────────────────────────────
+  if (!fs.existsSync(config.projectDir)) {
+    throw new Error(`Directory not found: ${config.projectDir}`);
+  }
+
+  // ── tsconfig (path aliases, include/exclude) ───────────────
+  const tsconfig = config.tsconfig !== false
+    ? loadTsConfig(config.projectDir, { configPath: config.tsconfig })
+    : null;
+  const scope = tsconfig ? getScanScope(tsconfig, config.projectDir) : {};
+  if (tsconfig) {
+    log.debug(`Using ${tsconfig.configPath} (include: ${scope.include.join(', ') || '—'})`);
+  }
+
+  // ── Workspaces (npm / yarn / pnpm) ─────────────────────────
+  let workspaces = null;
+  let selectedPackages = null;
+  if (config.workspaces) {
+    workspaces = loadWorkspaces(config.projectDir);
+    if (config.workspaces.packages) {
+      if (!workspaces) throw new Error(`Cannot select packages: ${config.projectDir} declares no workspaces`);
+      selectedPackages = selectWorkspaces(workspaces.packages, config.workspaces.packages, path.resolve(config.projectDir));
+    }
+    if (workspaces) log.debug(`Found ${workspaces.packages.length} workspace package(s)`);
+  }
+
+  // ── Scan files ──────────────────────────────────────────────
+  const ignore = [...config.ignorePatterns, ...(scope.exclude || [])];
+  const scan = () => {
+    let scanned = scanTypeScriptFiles(config.projectDir, {
+      ignore,
+      // The config file's include globs take precedence over tsconfig's
+      include: config.includePatterns || scope.include,
+      files: scope.files,
+      extensions: languageExtensions(config.languages),
+    });
+    // ── Changed-files mode (git) ─────────────────────────────
+    if (config.changedSince) {
+      const changed = getChangedFiles(config.projectDir, config.changedSince);
+      scanned = scanned.filter(f => changed.has(f));
+    }
+    if (selectedPackages) {
+      scanned = scanned.filter(f => selectedPackages.some(pkg => f.startsWith(pkg.dir + path.sep)));
+    }
+    return scanned;
+  };
+
+  log.info(`Scanning ${config.projectDir} ...`);
+  const files = scan();
+  if (config.changedSince) {
+    log.info(`Limited to ${files.length} file(s) changed since ${config.changedSince}.`);
+  }
+  if (selectedPackages) {
+    log.info(`Limited to ${files.length} file(s) in ${selectedPackages.map(p => p.name).join(', ')}.`);
+  }
+
+  if (files.length === 0 && !config.watch) {
+    log.warn(`No source files found (languages: ${config.languages.join(', ')}).`);
+    return null;
+  }
+
+  log.info(`Found ${files.length} source file(s).`);
+
+  // ── Engine: TypeScript AST when requested and installed ────
+  let typescript = null;
+  if (config.engine === 'typescript') {
+    typescript = resolveTypeScript(config.projectDir);
+    if (typescript) log.debug(`Using the TypeScript ${typescript.version} AST engine (${typescript.path})`);
+    else log.warn('The typescript package is not installed; falling back to the regex engine.');
+  }
+
+  // ── Plugins ────────────────────────────────────────────────
+  const plugins = loadPlugins(config.plugins);
+  for (const p of plugins) log.debug(`Loaded plugin ${p.name}${p.version ? `@${p.version}` : ''} (${p.path})`);
+
+  // ── Baseline to compare against ────────────────────────────
+  const baseline = config.baseline ? loadBaseline(config.baseline) : null;
+
+  // ── Analyze each file (single read per file) ───────────────
+  const analyzerOptions = {
+    complexity: config.complexity,
+    functions: config.functions,
+    cognitive: config.cognitive,
+    halstead: config.halstead,
+    maintainability: config.maintainability,
+    typeSafety: config.typeSafety,
+    tokens: Boolean(config.clones),
+    symbols: Boolean(config.deadCode),
+    components: Boolean(config.components),
+    excludeDependencies: config.excludeDependencies,
+    typescript,
+    // By path: plugins are loaded again on worker threads
+    plugins: plugins.map(p => ({ name: p.name, version: p.version, path: p.path, options: p.options })),
+    rootDir: path.resolve(config.projectDir),
+  };
+  const cache = config.cache ? openAnalysisCache(config.cache, analyzerOptions) : null;
+  if (cache && cache.stats.invalidated) log.debug('Cache discarded: analyzer version or options changed');
+
+  if (config.jobs > 1) log.debug(`Analyzing on ${config.jobs} worker threads`);
+  const results = await analyzeFiles(files, analyzerOptions, { cache, jobs: config.jobs, log });
+
+  if (cache) {
+    try {
+      cache.save();
+    } catch (err) {
+      log.warn(`Could not write cache ${config.cache}: ${err.message}`);
+    }
+    log.debug(`Cache: ${cache.stats.hits} hit(s), ${cache.stats.misses} miss(es) (${config.cache})`);
+  }
+
+  const context = { config, tsconfig, workspaces, plugins, baseline, log };
+  const reportData = buildReportData(results, context);
+
+  // ── History: record this run, chart the trends ─────────────
+  if (config.history) {
+    reportData.history = recordHistory(reportData, config, log);
+  }
+
+  // ── Baseline: save this run ────────────────────────────────
+  if (config.saveBaseline) {
+    saveBaseline(config.saveBaseline, reportData);
+    log.success(`Baseline saved: ${config.saveBaseline}`);
+  }
+
+  return { reportData, context, scan, ignore, analyzerOptions };
+}
+
+/**
+ * Everything after per-file analysis: duplicates, clones, the module graph
+ * and the analyses built on it, coverage risk, plugin project hooks, the
+ * summary, the baseline comparison and the gate. Watch mode calls this again
+ * after every change.
+ *
+ * @throws {Error} when git history, a coverage report, a plugin or the baseline comparison fails
+ */
+function buildReportData(results, { config, tsconfig, workspaces, plugins, baseline, log }) {
+  // ── Duplicate detection (by content hash, not just name) ───
+  let duplicateGroups = [];
+  if (config.duplicates) {
+    log.info('Detecting duplicates by content hash...');
+    duplicateGroups = findDuplicates(results);
+    log.info(`Found ${duplicateGroups.length} duplicate group(s).`);
+  }
+
+  // ── Clone detection (normalized token runs) ────────────────
+  let clones = null;
+  if (config.clones) {
+    log.info(`Detecting clones (min ${config.clones.minTokens} tokens, ${config.clones.minLines} lines)...`);
+    clones = findClones(results, config.clones);
+    attachSnippets(clones.groups);
+    // No longer needed, except by the next run in watch mode; free the memory
+    if (!config.watch) for (const r of results) r.tokens = null;
+    log.info(`Found ${clones.groups.length} clone group(s) in ${clones.files.length} file(s).`);
+  }
+
+  // ── Module graph (resolved imports, cycles, fan-in/out) ────
+  const resolveImport = createImportResolver(results.map(r => r.filePath), {
+    tsconfig,
+    workspaces: workspaces ? workspaces.packages : [],
+  });
+  const dependencyGraph = buildDependencyGraph(results, { resolve: resolveImport });
+  log.info(`Resolved ${dependencyGraph.edgeCount} import(s); ${dependencyGraph.cycles.length} cycle(s).`);
+  for (const { from, specifier } of dependencyGraph.unresolved) {
+    log.debug(`Unresolved import '${specifier}' in ${from}`);
+  }
+
+  // ── Dead code: unused exports, unreachable files ───────────
+  let deadCode = null;
+  if (config.deadCode) {
+    deadCode = findDeadCode(results, dependencyGraph, {
+      resolve: resolveImport,
+      rootDir: path.resolve(config.projectDir),
+      entryPoints: config.deadCode.entryPoints,
+    });
+    if (deadCode.entryFiles.length === 0) {
+      log.warn(`No entry point matches ${config.deadCode.entryPoints.join(', ')}; skipping unreachable-file detection.`);
+    }
+    log.info(`Found ${deadCode.unusedExports.length} unused export(s) and ${deadCode.deadFiles.length} unreachable file(s).`);
+  }
+
+  // ── React components: props, hooks, size ──────────────────
+  let components = null;
+  if (config.components) {
+    components = reviewComponents(results, config.components);
+    log.info(`Reviewed ${components.components.length} component(s): ${components.issueCount} issue(s).`);
+  }
+
+  // ── Layers: architectural import rules ─────────────────────
+  let layers = null;
+  if (config.layers) {
+    layers = checkLayers(results, {
+      resolve: resolveImport,
+      rootDir: path.resolve(config.projectDir),
+      layers: config.layers,
+    });
+    attachImportLines(layers.violations);
+    log.info(`Checked ${config.layers.length} layer(s): ${layers.violations.length} violation(s).`);
+  }
+
+  // ── Directories and packages: per-area totals ──────────────
+  const packages = aggregatePackages(results, {
+    rootDir: path.resolve(config.projectDir),
+    columns: config,
+    packages: workspaces ? [workspaces.root, ...workspaces.packages] : null,
+  });
+  const directories = {
+    tree: aggregateDirectories(results, { rootDir: path.resolve(config.projectDir), columns: config }),
+    packages,
+    packageDependencies: packageDependencies(packages, dependencyGraph),
+  };
+
+  // ── Languages: TypeScript vs JavaScript ────────────────────
+  const languages = aggregateLanguages(results, { columns: config });
+
+  // ── Hotspots: git churn × complexity ───────────────────────
+  let hotspots = null;
+  if (config.hotspots) {
+    hotspots = rankHotspots(results, getFileHistory(config.projectDir, { since: config.historySince }));
+    log.info(`Ranked ${hotspots.length} hotspot(s) from git history.`);
+  }
+
+  // ── Coverage: untested complexity (CRAP) ───────────────────
+  // Read on every build, so that watch mode picks up a new test run
+  let coverage = null;
+  if (config.coverage) {
+    const rootDir = path.resolve(config.projectDir);
+    const sources = config.coverage.files ||
+      findCoverageFiles([rootDir, ...(workspaces ? workspaces.packages.map(pkg => pkg.dir) : [])]);
+    if (sources.length === 0) {
+      log.warn(`No coverage report found (${DEFAULT_COVERAGE_FILES.join(', ')}); run the tests with coverage first.`);
+    } else {
+      coverage = {
+        sources,
+        ...assessCoverage(results, loadCoverage(sources), { rootDir, crapThreshold: config.coverage.crapThreshold }),
+      };
+      log.info(
+        `Coverage from ${sources.length} report(s): ${coverage.lineCoverage ?? '—'}% of lines; ` +
+        `${coverage.riskyFunctions} function(s) with a CRAP score over ${coverage.crapThreshold}.`
+      );
+    }
+  }
+
+  // ── Plugins: project hooks, findings of all hooks ──────────
+  let pluginReports = [];
+  if (plugins.length > 0) {
+    pluginReports = runProjectPlugins(plugins, {
+      rootDir: path.resolve(config.projectDir),
+      results,
+      duplicateGroups,
+      clones,
+      dependencyGraph,
+      deadCode,
+    });
+    const findingCount = pluginReports.reduce((sum, p) => sum + p.findings.length, 0);
+    log.info(`Plugins reported ${findingCount} finding(s).`);
+  }
+
+  // ── Aggregate metrics ──────────────────────────────────────
+  const summary = buildSummary(results, config, clones, coverage);
+
+  const reportData = {
+    projectName: path.basename(path.resolve(config.projectDir)),
+    rootDir: path.resolve(config.projectDir),
+    summary,
+    results,
+    duplicateGroups,
+    clones,
+    dependencyGraph,
+    deadCode,
+    components,
+    layers,
+    directories,
+    languages,
+    baselineDiff: null,
+    history: null,
+    gateViolations: null,
+    hotspots,
+    coverage,
+    plugins: pluginReports,
+    changedSince: config.changedSince,
+    columns: config,
+  };
+
+  // ── Baseline: compare against an earlier run ───────────────
+  if (baseline) {
+    reportData.baselineDiff = compareToBaseline(baseline, buildJsonReport(reportData));
+    const { summary: changes, addedFiles, removedFiles, newDuplicateGroups } = reportData.baselineDiff;
+    const signed = d => (d.delta > 0 ? `+${d.delta}` : String(d.delta ?? 'n/a'));
+    log.info(
+      `Since baseline: ${addedFiles.length} added / ${removedFiles.length} removed file(s), ` +
+      `complexity ${signed(changes.totalComplexity)}, ${newDuplicateGroups.length} new duplicate group(s).`
+    );
+  }
+
+  // ── Quality gate: violations of the configured limits ──────
+  if (config.gate) reportData.gateViolations = evaluateGate(reportData, config.gate);
+
+  return reportData;
+}
+
+/**
+ * Append this run to the history file. Runs limited by --changed-since
+ * cover part of the project only and are charted but not recorded.
+ *
+ * @returns {object[]} The history including this run, oldest first
+ * @throws {Error} when the history file cannot be read or written
+ */
+function recordHistory(reportData, config, log) {
+  const { location, topFiles } = config.history;
+  const entries = loadHistory(location);
+
+  if (config.changedSince) {
+    log.warn('Not recording history for a --changed-since run (it covers part of the project only).');
+    return entries;
+  }
+
+  let commit = null;
+  try {
+    commit = getHeadCommit(config.projectDir);
+  } catch (err) {
+    log.debug(`History entry without a commit: ${err.message}`);
+  }
+  const entry = buildHistoryEntry(reportData, { commit, topFiles });
+  try {
+    appendHistory(location, entry);
+  } catch (err) {
+    throw new Error(`Cannot write history ${location}: ${err.message}`);
+  }
+  log.debug(`History: ${entries.length + 1} run(s) in ${location}`);
+  return [...entries, entry];
+}
+
+/**
+ * Analyze all files, in-process or on worker threads. Cache hits are served
+ * from the main thread; only misses are analyzed. Results keep the order of
+ * `files` (the scanner's sorted order) whatever the number of jobs.
+ */
+async function analyzeFiles(files, options, { cache, jobs, log }) {
+  const analyzed = new Array(files.length);
+  let done = 0;
+  const advance = () => log.progress('Analyzing', ++done, files.length);
+  const skip = (filePath, message) => log.warn(`Skipped ${filePath}: ${message}`);
+
+  if (jobs <= 1) {
+    files.forEach((filePath, i) => {
+      try {
+        analyzed[i] = cache ? cache.analyze(filePath) : analyzeFile(filePath, options);
+      } catch (err) {
+        skip(filePath, err.message);
+      }
+      advance();
+    });
+    return analyzed.filter(Boolean);
+  }
+
+  const misses = [];
+  files.forEach((filePath, i) => {
+    try {
+      analyzed[i] = cache ? cache.lookup(filePath) : null;
+    } catch (err) {
+      skip(filePath, err.message);
+      advance();
+      return;
+    }
+    if (analyzed[i]) advance();
+    else misses.push(i);
+  });
+
+  const pool = await analyzeInWorkers(misses.map(i => files[i]), options, { jobs, onProgress: advance });
+  pool.results.forEach((result, j) => {
+    if (!result) return;
+    analyzed[misses[j]] = result;
+    if (cache) cache.store(files[misses[j]], result);
+  });
+  for (const { filePath, message } of pool.errors) skip(filePath, message);
+
+  return analyzed.filter(Boolean);
+}
+
+function buildSummary(results, config, clones, coverage = null) {
+  const totalLines = results.reduce((sum, r) => sum + r.lines, 0);
+  const totalFiles = results.length;
+  const totalFunctions = config.functions
+    ? results.reduce((sum, r) => sum + r.functionCount, 0)
+    : null;
+  const totalComplexity = config.complexity
+    ? results.reduce((sum, r) => sum + r.complexity, 0)
+    : null;
+
+  const complexityLevel = totalComplexity !== null
+    ? projectComplexityLevel(totalComplexity)
+    : null;
+
+  const totalCognitive = config.cognitive
+    ? results.reduce((sum, r) => sum + r.cognitive, 0)
+    : null;
+  const totalHalsteadVolume = config.halstead
+    ? Math.round(results.reduce((sum, r) => sum + r.halstead.volume, 0))
+    : null;
+  // Weighted by code lines, so that small files do not dominate
+  const codeLines = results.reduce((sum, r) => sum + r.codeLines, 0);
+  const averageMaintainability = config.maintainability
+    ? Math.round(results.reduce((sum, r) => sum + r.maintainability * r.codeLines, 0) / Math.max(codeLines, 1))
+    : null;
+  const typeSafety = summarizeTypeSafety(results, config.typeSafety);
+  // Migration progress: only meaningful when other languages are scanned too
+  const typescriptLines = results.reduce((sum, r) => sum + (r.language === 'typescript' ? r.codeLines : 0), 0);
+  const typescriptShare = (config.languages || DEFAULT_LANGUAGES).some(language => language !== 'typescript')
+    ? Math.round((typescriptLines / Math.max(codeLines, 1)) * 1000) / 10
+    : null;
+
+  const duplicatedLines = clones
+    ? clones.files.reduce((sum, f) => sum + f.duplicatedLines, 0)
+    : null;
+  const duplicationPercent = clones
+    ? Math.round((duplicatedLines / Math.max(totalLines, 1)) * 1000) / 10
+    : null;
+
+  return {
+    totalFiles, totalLines, totalFunctions, totalComplexity, complexityLevel, totalCognitive, totalHalsteadVolume,
+    averageMaintainability, ...typeSafety, typescriptShare, duplicatedLines, duplicationPercent,
+    lineCoverage: coverage ? coverage.lineCoverage : null,
+    riskyFunctions: coverage ? coverage.riskyFunctions : null,
+  };
+}
+
+/**
+ * Project totals of the type-safety counts (all null when not measured) over the
+ * TypeScript files; the score is weighted by code lines and null without TypeScript files.
+ */
+function summarizeTypeSafety(results, measured) {
+  const typed = results.filter(r => r.typeSafety);
+  const codeLines = typed.reduce((total, r) => total + r.codeLines, 0);
+  const sum = key => (measured ? typed.reduce((total, r) => total + r.typeSafety[key], 0) : null);
+  return {
+    totalAny: sum('any'),
+    totalCasts: sum('casts'),
+    totalDoubleCasts: sum('doubleCasts'),
+    totalNonNull: sum('nonNull'),
+    totalTsIgnore: sum('tsIgnore'),
+    totalTsExpectError: sum('tsExpectError'),
+    totalTsNocheck: sum('tsNocheck'),
+    averageTypeSafety: measured && typed.length > 0
+      ? Math.round(typed.reduce((total, r) => total + r.typeSafety.score * r.codeLines, 0) / Math.max(codeLines, 1))
+      : null,
+  };
+}
+
+module.exports = { analyzeProject, renderReport, runAnalysis, analyzeFiles, buildReportData };
@@ -0,0 +1,139 @@
+/**
+ * Baselines — save a run as a snapshot and compare a later run against it.
+ *
+ * A baseline file is simply the JSON report (report-json.js), so any
+ * `--format json` output can serve as a baseline too. Files are matched by
+ * their project-relative path, duplicate groups by content hash.
+ */
+const fs = require('fs');
+const path = require('path');
+const { generateJsonReport, SCHEMA_VERSION } = require('./report-json');
+
+// Summary metrics compared between runs
+const SUMMARY_METRICS = [
+  'totalFiles', 'totalLines', 'totalFunctions', 'totalComplexity', 'totalCognitive', 'averageMaintainability',
+  'totalAny', 'averageTypeSafety', 'typescriptShare', 'lineCoverage', 'riskyFunctions',
+  'duplicateGroups', 'cloneGroups', 'duplicationPercent', 'importCycles',
+  'layerViolations',
+];
+
+/**
+ * Write the current run as a baseline file.
+ *
+ * @param {string} filePath
+ * @param {object} reportData - Same input as generateReport
+ */
+function saveBaseline(filePath, reportData) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, generateJsonReport({ ...reportData, baselineDiff: null }), 'utf-8');
+}
+
+/**
+ * Read a baseline file.
+ *
+ * @throws {Error} when the file is missing, malformed or of another schema version
+ */
+function loadBaseline(filePath) {
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Cannot read baseline ${filePath}: ${err.message}`);
+  }
+  if (baseline.schemaVersion !== SCHEMA_VERSION) {
+    throw new Error(
+      `Baseline ${filePath} has schema version ${baseline.schemaVersion}, expected ${SCHEMA_VERSION}`
+    );
+  }
+  return baseline;
+}
+
+/**
+ * Compare two JSON reports.
+ *
+ * @param {object} baseline - JSON report of the earlier run
+ * @param {object} current  - JSON report of this run (buildJsonReport output)
+ * @returns {BaselineDiff}
+ */
+function compareToBaseline(baseline, current) {
+  const before = new Map(baseline.files.map(f => [f.path, f]));
+  const after = new Map(current.files.map(f => [f.path, f]));
+
+  const summary = {};
+  for (const metric of SUMMARY_METRICS) {
+    summary[metric] = delta(baseline.summary[metric], current.summary[metric]);
+  }
+
+  const addedFiles = current.files.filter(f => !before.has(f.path)).map(f => f.path);
+  const removedFiles = baseline.files.filter(f => !after.has(f.path)).map(f => f.path);
+
+  const changedFiles = [];
+  const newDependencies = [];
+  for (const file of current.files) {
+    const old = before.get(file.path);
+    if (!old) continue;
+
+    const change = {
+      path: file.path,
+      lines: delta(old.totalLines, file.totalLines),
+      complexity: delta(old.complexity, file.complexity),
+      functions: delta(old.functionCount, file.functionCount),
+      any: delta(old.typeSafety && old.typeSafety.any, file.typeSafety && file.typeSafety.any),
+    };
+    if ([change.lines, change.complexity, change.functions, change.any].some(d => d.delta)) {
+      changedFiles.push(change);
+    }
+
+    const oldDeps = new Set(old.dependencies);
+    const added = file.dependencies.filter(d => !oldDeps.has(d));
+    if (added.length > 0) newDependencies.push({ path: file.path, dependencies: added });
+  }
+  changedFiles.sort((a, b) => (b.complexity.delta || 0) - (a.complexity.delta || 0) || a.path.localeCompare(b.path));
+
+  // Packages (non-relative specifiers) the project did not use before
+  const packages = report => new Set(
+    report.files.flatMap(f => f.dependencies).filter(d => !d.startsWith('.'))
+  );
+  const oldPackages = packages(baseline);
+  const newPackages = [...packages(current)].filter(p => !oldPackages.has(p)).sort();
+
+  const oldHashes = new Set(baseline.duplicateGroups.map(g => g.hash));
+  const newHashes = new Set(current.duplicateGroups.map(g => g.hash));
+
+  return {
+    baselineGeneratedAt: baseline.generatedAt,
+    summary,
+    addedFiles,
+    removedFiles,
+    changedFiles,
+    newDuplicateGroups: current.duplicateGroups.filter(g => !oldHashes.has(g.hash)),
+    resolvedDuplicateGroups: baseline.duplicateGroups.filter(g => !newHashes.has(g.hash)),
+    newDependencies,
+    newPackages,
+  };
+}
+
+/** Before/after pair; delta is null when either side was not measured. */
+function delta(before, after) {
+  const measured = typeof before === 'number' && typeof after === 'number';
+  return {
+    before: before === undefined ? null : before,
+    after: after === undefined ? null : after,
+    delta: measured ? after - before : null,
+  };
+}
+
+/**
+ * @typedef {object} BaselineDiff
+ * @property {string} baselineGeneratedAt
+ * @property {Object<string, {before: ?number, after: ?number, delta: ?number}>} summary
+ * @property {string[]} addedFiles   - Project-relative paths
+ * @property {string[]} removedFiles
+ * @property {Array<{path: string, lines: object, complexity: object, functions: object, any: object}>} changedFiles
+ * @property {Array<{hash: string, files: string[]}>} newDuplicateGroups
+ * @property {Array<{hash: string, files: string[]}>} resolvedDuplicateGroups
+ * @property {Array<{path: string, dependencies: string[]}>} newDependencies - Specifiers added per file
+ * @property {string[]} newPackages - Packages imported for the first time
+ */
+
+module.exports = { saveBaseline, loadBaseline, compareToBaseline };
@@ -0,0 +1,125 @@
+/**
+ * Incremental analysis cache — keeps per-file results on disk between runs.
+ *
+ * An entry is reused when the file's mtime and size are unchanged, or when
+ * they changed but the content hash did not (e.g. after a checkout that
+ * touched the file). The whole cache is dropped when the analyzer version
+ * or the analyzer options differ from the run that wrote it.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { analyzeFile, hashContent, ANALYZER_VERSION } = require('./analyzers/file-analyzer');
+
+// Version of the cache file layout itself
+const CACHE_FORMAT = 1;
+
+const DEFAULT_CACHE_LOCATION = '.ts-audit/cache.json';
+
+/**
+ * Open (or start) the cache for one run.
+ *
+ * @param {string} cacheFile - Absolute path of the cache file
+ * @param {object} options   - Options passed to analyzeFile; part of the cache key
+ * @returns {AnalysisCache}
+ */
+function openAnalysisCache(cacheFile, options) {
+  const key = cacheKey(options);
+  const stored = readCacheFile(cacheFile);
+  const previous = stored && stored.key === key ? stored.entries : {};
+  const current = {};
+  const stats = { hits: 0, misses: 0, invalidated: Boolean(stored) && stored.key !== key };
+  const pending = new Map(); // file → stat of a miss, until its result is stored
+
+  const cache = {
+    stats,
+
+    /**
+     * Cached result of an unchanged file, or null on a miss (the caller
+     * analyzes the file and hands the result to store()).
+     */
+    lookup(filePath) {
+      const { mtimeMs, size } = fs.statSync(filePath);
+      const entry = previous[filePath];
+
+      const unchanged = entry && (
+        (entry.mtimeMs === mtimeMs && entry.size === size) ||
+        entry.result.contentHash === hashContent(fs.readFileSync(filePath, 'utf-8'))
+      );
+      if (unchanged) {
+        stats.hits++;
+        current[filePath] = { mtimeMs, size, result: entry.result };
+        return entry.result;
+      }
+
+      stats.misses++;
+      pending.set(filePath, { mtimeMs, size });
+      return null;
+    },
+
+    /** Record the fresh result of a file that missed in lookup(). */
+    store(filePath, result) {
+      const stat = pending.get(filePath);
+      if (!stat) return;
+      pending.delete(filePath);
+      current[filePath] = { ...stat, result };
+    },
+
+    /** Analyze a file in-process, or return its cached result. */
+    analyze(filePath) {
+      const cached = cache.lookup(filePath);
+      if (cached) return cached;
+      const result = analyzeFile(filePath, options);
+      cache.store(filePath, result);
+      return result;
+    },
+
+    /**
+     * Write the cache. Entries of files not analyzed in this run (e.g. with
+     * --changed-since) are kept as long as the file still exists.
+     */
+    save() {
+      const entries = {};
+      for (const [filePath, entry] of Object.entries(previous)) {
+        if (!current[filePath] && fs.existsSync(filePath)) entries[filePath] = entry;
+      }
+      Object.assign(entries, current);
+
+      fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+      const tmp = `${cacheFile}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ format: CACHE_FORMAT, key, entries }), 'utf-8');
+      fs.renameSync(tmp, cacheFile);
+    },
+  };
+  return cache;
+}
+
+function cacheKey(options) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ format: CACHE_FORMAT, analyzer: ANALYZER_VERSION, options }))
+    .digest('hex');
+}
+
+/** A missing or unreadable cache is treated as empty. */
+function readCacheFile(cacheFile) {
+  try {
+    const stored = JSON.parse(fs.readFileSync(cacheFile, 'utf-8'));
+    return stored && stored.format === CACHE_FORMAT && stored.entries ? stored : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @typedef {object} AnalysisCache
+ * @property {{hits: number, misses: number, invalidated: boolean}} stats
+ *   `invalidated` is true when an existing cache was discarded because the
+ *   analyzer version or options changed
+ * @property {(filePath: string) => object|null} lookup
+ * @property {(filePath: string, result: object) => void} store
+ * @property {(filePath: string) => object} analyze
+ * @property {() => void} save
+ */
+
+module.exports = { openAnalysisCache, DEFAULT_CACHE_LOCATION };
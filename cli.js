@@ -1,7 +1,23 @@
 /**
  * CLI argument parsing with validation and help text.
+ * Flags are merged over the project's config file (see config.js).
  */
+const path = require('path');
 const minimist = require('minimist');
+const { DEFAULT_GATE_LIMITS, normalizeGateLimits } = require('./gate');
+const { loadConfigFile, validateConfig, ANALYZER_KEYS } = require('./config');
+const { DEFAULT_EXCLUDED_DEPENDENCIES } = require('./analyzers/file-analyzer');
+const { DEFAULT_CLONE_OPTIONS } = require('./analyzers/clones');
+const { DEFAULT_CACHE_LOCATION } = require('./cache');
+const { resolveJobs } = require('./worker-pool');
+const { DEFAULT_ENTRY_POINTS } = require('./analyzers/dead-code');
+const { DEFAULT_MAX_COMPONENT_LINES } = require('./analyzers/components');
+const { LANGUAGES, DEFAULT_LANGUAGES } = require('./analyzers/languages');
+const { DEFAULT_CRAP_THRESHOLD } = require('./analyzers/risk');
+const { resolvePlugin } = require('./plugins');
+const { normalizeLayers } = require('./analyzers/layers');
+const { DEFAULT_WATCH_PORT } = require('./watch');
+const { DEFAULT_HISTORY_LOCATION, DEFAULT_TOP_FILES } = require('./history');
 
 const HELP_TEXT = `
 ts-analyzer — Static analysis for TypeScript projects
@@ -10,21 +26,104 @@ Usage:
   node src/index.js <project_dir> [options]
 
 Options:
-  -p, --path <file>     Output HTML report path (default: analysis_report.html)
-  -d, --duplicates      Detect duplicate files by content hash
+  -p, --path <file>     Output report path (default: analysis_report.html);
+                        the extension is replaced per format
+  -o, --format <list>   Output formats: html, json, sarif (comma-separated,
+                        default: html)
+  -d, --duplicates      Detect duplicate files and copy-pasted blocks
+      --min-clone-tokens <n>  Minimum clone size in tokens (default: 50)
+      --min-clone-lines <n>   Minimum clone size in lines (default: 5)
   -c, --complexity      Calculate cyclomatic complexity
   -f, --functions       Count functions, classes, arrow functions
+  -C, --cognitive       Calculate cognitive complexity (nesting-aware)
+  -H, --halstead        Calculate Halstead volume, difficulty and effort
+  -m, --maintainability Calculate the maintainability index (0-100)
+  -T, --type-safety     Count any, casts, non-null assertions and @ts- directives,
+                        and score type safety (0-100)
   -a, --all             Enable all analysis features
+      --dead-code       Report unused exports and files unreachable from entry points
+      --entry <glob>    Entry points for --dead-code (comma-separated; default:
+                        index.ts / main.ts in <project_dir> or src/)
+      --components      Review React components in .tsx/.jsx files: props, hooks,
+                        JSX depth, conditional hooks, effects without dependencies
+      --max-component-lines <n> Flag components longer than this
+                        (default: ${DEFAULT_MAX_COMPONENT_LINES}; implies --components)
+  -l, --languages <list> Languages to analyze: typescript, javascript, vue, svelte
+                        (comma-separated or repeated; default: typescript)
   -i, --ignore <glob>   Additional ignore patterns (comma-separated)
+  -t, --tsconfig <file> tsconfig used for path aliases and include/exclude
+                        (default: <project_dir>/tsconfig.json if present)
+      --no-tsconfig     Ignore tsconfig.json entirely
+      --config <file>   Config file (default: .tsauditrc, .tsauditrc.json or
+                        ts-audit.config.js in <project_dir>)
+      --print-config    Print the effective configuration and exit
+  -e, --engine <name>   Analysis engine: regex (default) or typescript (uses the
+                        project's typescript package; falls back to regex)
+  -j, --jobs <n|auto>   Analyze files on n worker threads (default: 1, in-process;
+                        auto: one per CPU)
+      --plugin <module> Load a plugin (path or package name; comma-separated or
+                        repeated; adds to the config file's plugins)
+      --package <name>  Only analyze these workspace packages (names or
+                        directories, globs allowed; comma-separated or repeated)
+      --cache           Reuse results of unchanged files from the last run
+      --cache-location <file> Cache file (default: <project_dir>/.ts-audit/cache.json)
+      --save-baseline <file>  Save this run as a baseline snapshot
+      --baseline <file>       Compare this run against a saved baseline
+      --changed-since <ref>   Only analyze files changed since a git ref
+      --coverage              Read test coverage (coverage/coverage-final.json or
+                              coverage/lcov.info) and rank untested complex functions
+      --coverage-file <file>  Coverage report(s) to read (comma-separated or
+                              repeated; implies --coverage)
+      --hotspots              Rank files by git churn × complexity
+      --history-since <date>  Limit hotspot history (e.g. "12 months ago")
+      --history               Record this run in the history file and chart
+                              trends in the HTML report
+      --history-location <file> History file (default: <project_dir>/.ts-audit/history.jsonl)
+  -w, --watch           Re-analyze changed files and serve a live-reloading
+                        report on http://localhost:<port>/
+      --port <n>        Port of the --watch server (default: ${DEFAULT_WATCH_PORT})
   -v, --verbose         Verbose output
   -h, --help            Show this help
 
+Quality gate (exit code 2 when a limit is exceeded):
+  -g, --gate                     Enable the gate with default limits
+                                 (file complexity 30, no cycles, no duplicates)
+      --max-file-complexity <n>  Per-file complexity (number or band: low, medium, high)
+      --max-total-complexity <n> Total complexity (number or level: Low, Medium, High)
+      --max-file-lines <n>       Lines per file
+      --fail-on-duplicates       Fail on any duplicate group (with --baseline:
+                                 any new duplicate group)
+      --max-import-cycles <n>    Number of import cycles
+      --max-layer-violations <n> Imports breaking the config file's layer rules
+                                 (default with layers: 0, even without --gate)
+
 Examples:
   node src/index.js ./my-app --all
   node src/index.js ./my-app -d -c --path report.html
+  node src/index.js ./my-app -c -C -m
   node src/index.js ./my-app --all --ignore "**/__mocks__/**,**/fixtures/**"
+  node src/index.js ./my-app --format html,sarif --path reports/audit
+  node src/index.js ./my-app --gate --max-total-complexity Medium
+  node src/index.js ./my-app --save-baseline .ts-audit/baseline.json
+  node src/index.js ./my-app --baseline .ts-audit/baseline.json --gate
+  node src/index.js ./my-app --changed-since origin/main
+  node src/index.js ./my-app --all --cache --verbose
+  node src/index.js ./my-app --all --jobs auto
+  node src/index.js ./my-app --all --engine typescript
+  node src/index.js ./my-app --dead-code --entry "src/main.ts,src/pages/**"
+  node src/index.js ./my-app --components --max-component-lines 200
+  node src/index.js ./my-app --all --languages typescript,javascript,vue
+  node src/index.js ./my-app --all --plugin ./tools/no-direct-fetch.js
+  node src/index.js ./my-app --hotspots --history-since "6 months ago"
+  node src/index.js ./my-app --complexity --coverage
+  node src/index.js ./my-app -c -C --watch
+  node src/index.js ./monorepo -a --package @acme/api,@acme/ui-*
 `;
 
+const OUTPUT_FORMATS = ['html', 'json', 'sarif'];
+
+const ENGINES = ['regex', 'typescript'];
+
 const DEFAULT_IGNORE = [
   '**/node_modules/**',
   '**/dist/**',
@@ -32,28 +131,69 @@ const DEFAULT_IGNORE = [
   '**/.next/**',
   '**/coverage/**',
   '**/*.d.ts',
+  '**/*.d.mts',
+  '**/*.d.cts',
+  '**/*.min.js',
   '**/*.spec.ts',
   '**/*.spec.tsx',
+  '**/*.spec.js',
+  '**/*.spec.jsx',
   '**/*.test.ts',
   '**/*.test.tsx',
+  '**/*.test.js',
+  '**/*.test.jsx',
 ];
 
+// CLI flag → gate limit it sets
+const GATE_FLAGS = {
+  'max-file-complexity': 'maxFileComplexity',
+  'max-total-complexity': 'maxTotalComplexity',
+  'max-file-lines': 'maxFileLines',
+  'fail-on-duplicates': 'failOnDuplicates',
+  'max-import-cycles': 'maxImportCycles',
+  'max-layer-violations': 'maxLayerViolations',
+};
+
+/**
+ * Parse argv and merge it with the project's config file.
+ * Precedence: built-in defaults < config file < CLI flags.
+ */
 function parseArgs(argv) {
   const args = minimist(argv, {
-    boolean: ['duplicates', 'complexity', 'functions', 'all', 'help', 'verbose'],
-    string: ['path', 'ignore'],
+    boolean: [
+      'duplicates', 'complexity', 'functions', 'all', 'help', 'verbose', 'gate', 'fail-on-duplicates',
+      'print-config', 'hotspots', 'cache', 'dead-code', 'cognitive', 'halstead', 'maintainability',
+      'type-safety', 'watch', 'history', 'components', 'coverage',
+    ],
+    string: [
+      'path', 'ignore', 'tsconfig', 'format', 'config', 'baseline', 'save-baseline',
+      'changed-since', 'history-since', 'min-clone-tokens', 'min-clone-lines', 'cache-location', 'history-location', 'jobs', 'engine', 'entry', 'plugin', 'package', 'port',
+      'languages', 'coverage-file',
+      'max-component-lines',
+      'max-file-complexity', 'max-total-complexity', 'max-file-lines', 'max-import-cycles', 'max-layer-violations',
+    ],
     alias: {
       d: 'duplicates',
       c: 'complexity',
       f: 'functions',
+      C: 'cognitive',
+      H: 'halstead',
+      m: 'maintainability',
+      T: 'type-safety',
       a: 'all',
       p: 'path',
       h: 'help',
       v: 'verbose',
       i: 'ignore',
+      t: 'tsconfig',
+      o: 'format',
+      g: 'gate',
+      j: 'jobs',
+      e: 'engine',
+      w: 'watch',
+      l: 'languages',
     },
     default: {
-      path: 'analysis_report.html',
       verbose: false,
     },
   });
@@ -63,39 +203,297 @@ function parseArgs(argv) {
     process.exit(0);
   }
 
+  const projectDir = args._[0];
+  if (!projectDir) {
+    console.error('Error: project directory is required.\n');
+    console.log(HELP_TEXT);
+    process.exit(1);
+  }
+
+  try {
+    const file = loadConfigFile(projectDir, args.config);
+    const config = mergeOptions(args, projectDir, file ? file.config : {});
+    config.configPath = file ? file.configPath : null;
+
+    if (args['print-config']) {
+      console.log(JSON.stringify(config, null, 2));
+      process.exit(0);
+    }
+    return config;
+  } catch (err) {
+    console.error(`Error: ${err.message}\n`);
+    process.exit(1);
+  }
+}
+
+/**
+ * The configuration of a programmatic run (see api.js). `options` take the
+ * config file's keys and override the project's config file key by key.
+ *
+ * @param {string} projectDir
+ * @param {object} [options]
+ * @param {string|false} [options.configFile] - Config file (relative to the working directory);
+ *   false ignores the project's. Discovered as on the command line by default
+ * @param {string} [options.changedSince] - As --changed-since
+ * @param {string} [options.saveBaseline] - As --save-baseline
+ * @returns {object} Same shape as parseArgs' result
+ * @throws {Error} when the config file or an option is invalid
+ */
+function resolveConfig(projectDir, { configFile, changedSince, saveBaseline, ...options } = {}) {
+  const file = configFile === false ? null : loadConfigFile(projectDir, configFile);
+  const fileConfig = { ...(file ? file.config : {}), ...validateConfig(options, 'options') };
+  const config = mergeOptions({ 'changed-since': changedSince, 'save-baseline': saveBaseline }, projectDir, fileConfig);
+  config.configPath = file ? file.configPath : null;
+  return config;
+}
+
+function mergeOptions(args, projectDir, fileConfig) {
+  // ── Analyzers: CLI selection, else config file, else all ───
+  const none = Object.fromEntries(ANALYZER_KEYS.map(key => [key, false]));
+  // Flags are the kebab-case keys: typeSafety → --type-safety
+  const flag = key => Boolean(args[key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)]);
+  let analyzers;
   if (args.all) {
-    args.duplicates = true;
-    args.complexity = true;
-    args.functions = true;
+    analyzers = Object.fromEntries(ANALYZER_KEYS.map(key => [key, true]));
+  } else if (ANALYZER_KEYS.some(flag)) {
+    analyzers = Object.fromEntries(ANALYZER_KEYS.map(key => [key, flag(key)]));
+  } else {
+    analyzers = { ...none, ...fileConfig.analyzers };
   }
 
   // At least one analysis flag must be set
-  if (!args.duplicates && !args.complexity && !args.functions) {
-    args.duplicates = true;
-    args.complexity = true;
-    args.functions = true;
+  if (!ANALYZER_KEYS.some(key => analyzers[key])) {
+    analyzers = { ...none, duplicates: true, complexity: true, functions: true };
   }
 
-  const projectDir = args._[0];
-  if (!projectDir) {
-    console.error('Error: project directory is required.\n');
-    console.log(HELP_TEXT);
-    process.exit(1);
+  // ── Output ─────────────────────────────────────────────────
+  const output = fileConfig.output || {};
+  // --format may be repeated and/or comma-separated
+  const formats = [...new Set(
+    [].concat(args.format !== undefined ? args.format : (output.formats || 'html'))
+      .flatMap(f => String(f).split(','))
+      .map(f => f.trim().toLowerCase())
+      .filter(Boolean)
+  )];
+  const unknownFormats = formats.filter(f => !OUTPUT_FORMATS.includes(f));
+  if (unknownFormats.length > 0) {
+    throw new Error(`unknown format(s): ${unknownFormats.join(', ')} (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+
+  // ── Languages: --languages may be repeated and/or comma-separated ─
+  const languages = [...new Set(
+    [].concat(args.languages !== undefined ? args.languages : (fileConfig.languages || DEFAULT_LANGUAGES))
+      .flatMap(l => String(l).split(','))
+      .map(l => l.trim().toLowerCase())
+      .filter(Boolean)
+  )];
+  const unknownLanguages = languages.filter(l => !Object.hasOwn(LANGUAGES, l));
+  if (languages.length === 0 || unknownLanguages.length > 0) {
+    throw new Error(`unknown language(s): ${unknownLanguages.join(', ') || '(none)'} (expected ${Object.keys(LANGUAGES).join(', ')})`);
   }
 
+  // ── Layers: rules only come from the config file ───────────
+  const layers = fileConfig.layers ? normalizeLayers(fileConfig.layers) : null;
+
+  // ── Quality gate: --gate defaults < config file < CLI limits ─
+  // Configured layers enable the gate (no violations allowed) unless "gate" is false
+  const cliLimits = {};
+  for (const [flag, key] of Object.entries(GATE_FLAGS)) {
+    if (args[flag] !== undefined && args[flag] !== false) cliLimits[key] = args[flag];
+  }
+  const fileGate = fileConfig.gate;
+  const layersGate = Boolean(layers) && fileGate !== false;
+  const gateEnabled = args.gate || Boolean(fileGate) || layersGate || Object.keys(cliLimits).length > 0;
+  const gate = gateEnabled
+    ? normalizeGateLimits({
+      ...(layersGate ? { maxLayerViolations: 0 } : {}),
+      ...(args.gate || fileGate === true ? DEFAULT_GATE_LIMITS : {}),
+      ...(typeof fileGate === 'object' ? fileGate : {}),
+      ...cliLimits,
+    })
+    : null;
+
+  const hotspots = args.hotspots || Boolean(fileConfig.hotspots);
+
+  // ── Coverage: --coverage-file implies --coverage ───────────
+  // Config paths are relative to the project, CLI paths to the working directory
+  let coverage = null;
+  const coverageFiles = [].concat(args['coverage-file'] || [])
+    .flatMap(f => String(f).split(','))
+    .map(f => f.trim())
+    .filter(Boolean);
+  if (args.coverage || coverageFiles.length > 0 || fileConfig.coverage) {
+    const fileCoverage = typeof fileConfig.coverage === 'object' ? fileConfig.coverage : {};
+    coverage = {
+      files: coverageFiles.length > 0
+        ? coverageFiles.map(f => path.resolve(f))
+        : (fileCoverage.files ? fileCoverage.files.map(f => path.resolve(projectDir, f)) : null),
+      crapThreshold: fileCoverage.crapThreshold || DEFAULT_CRAP_THRESHOLD,
+    };
+  }
+
+  // Gate limits, hotspots and coverage risk need the metrics they use
+  if (hotspots || coverage || (gate && (gate.maxFileComplexity !== undefined || gate.maxTotalComplexity !== undefined))) {
+    analyzers.complexity = true;
+  }
+  if (gate && gate.failOnDuplicates) {
+    analyzers.duplicates = true;
+  }
+
+  // ── Scan scope ─────────────────────────────────────────────
   const extraIgnore = args.ignore
     ? args.ignore.split(',').map(s => s.trim())
     : [];
+  const baseIgnore = fileConfig.useDefaultIgnore === false ? [] : DEFAULT_IGNORE;
+
+  // CLI paths are relative to the working directory, config paths to the project
+  const baseline = args.baseline
+    ? path.resolve(args.baseline)
+    : (fileConfig.baseline ? path.resolve(projectDir, fileConfig.baseline) : null);
+
+  // ── Clone detection: runs with the duplicates analyzer ─────
+  let clones = null;
+  const cloneFlags = args['min-clone-tokens'] !== undefined || args['min-clone-lines'] !== undefined;
+  if (analyzers.duplicates && (fileConfig.clones !== false || cloneFlags)) {
+    clones = { ...DEFAULT_CLONE_OPTIONS, ...(typeof fileConfig.clones === 'object' ? fileConfig.clones : {}) };
+    if (args['min-clone-tokens'] !== undefined) clones.minTokens = args['min-clone-tokens'];
+    if (args['min-clone-lines'] !== undefined) clones.minLines = args['min-clone-lines'];
+    for (const key of ['minTokens', 'minLines']) {
+      clones[key] = Number(clones[key]);
+      if (!Number.isInteger(clones[key]) || clones[key] < 1) {
+        throw new Error(`clone ${key} must be a positive integer`);
+      }
+    }
+  }
+
+  // ── Dead code: --entry implies --dead-code ────────────────
+  let deadCode = null;
+  if (args['dead-code'] || args.entry || fileConfig.deadCode) {
+    const fileEntries = typeof fileConfig.deadCode === 'object' ? fileConfig.deadCode.entryPoints : null;
+    deadCode = {
+      entryPoints: args.entry
+        ? args.entry.split(',').map(s => s.trim()).filter(Boolean)
+        : (fileEntries || DEFAULT_ENTRY_POINTS),
+    };
+  }
+
+  // ── Components: --max-component-lines implies --components ─
+  let components = null;
+  if (args.components || args['max-component-lines'] !== undefined || fileConfig.components) {
+    const fileComponents = typeof fileConfig.components === 'object' ? fileConfig.components : {};
+    const maxLines = Number(args['max-component-lines'] !== undefined
+      ? args['max-component-lines']
+      : fileComponents.maxLines || DEFAULT_MAX_COMPONENT_LINES);
+    if (!Number.isInteger(maxLines) || maxLines < 1) {
+      throw new Error(`invalid --max-component-lines "${args['max-component-lines']}" (expected a positive integer)`);
+    }
+    components = { maxLines };
+  }
+
+  // ── Plugins: config file entries, then --plugin ────────────
+  // Config paths are relative to the project, CLI paths to the working directory
+  const plugins = [
+    ...(fileConfig.plugins || []).map(entry => {
+      const { path: specifier, options = {} } = typeof entry === 'string' ? { path: entry } : entry;
+      return { path: resolvePlugin(specifier, path.resolve(projectDir)), options };
+    }),
+    ...[].concat(args.plugin || [])
+      .flatMap(p => String(p).split(','))
+      .map(p => p.trim())
+      .filter(Boolean)
+      .map(specifier => ({ path: resolvePlugin(specifier, process.cwd()), options: {} })),
+  ];
+
+  const engine = String(args.engine || fileConfig.engine || 'regex').toLowerCase();
+  if (!ENGINES.includes(engine)) {
+    throw new Error(`unknown engine "${engine}" (expected ${ENGINES.join(', ')})`);
+  }
+
+  // ── Workspaces: detected unless "workspaces" is false ──────
+  const cliPackages = [].concat(args.package || [])
+    .flatMap(p => String(p).split(','))
+    .map(p => p.trim())
+    .filter(Boolean);
+  let workspaces = null;
+  if (fileConfig.workspaces !== false) {
+    const filePackages = typeof fileConfig.workspaces === 'object' ? fileConfig.workspaces.packages : null;
+    workspaces = { packages: cliPackages.length > 0 ? cliPackages : filePackages || null };
+  } else if (cliPackages.length > 0) {
+    throw new Error('--package needs workspace detection, which the config file turns off ("workspaces": false)');
+  }
+
+  // ── Watch mode: --port implies --watch ─────────────────────
+  let watch = null;
+  if (args.watch || args.port !== undefined) {
+    const port = args.port !== undefined ? Number(args.port) : DEFAULT_WATCH_PORT;
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new Error(`invalid --port "${args.port}" (expected 0-65535)`);
+    }
+    watch = { port };
+  }
+
+  // --cache-location implies --cache
+  let cache = null;
+  if (args['cache-location']) {
+    cache = path.resolve(args['cache-location']);
+  } else if (args.cache || fileConfig.cache) {
+    const location = typeof fileConfig.cache === 'object' && fileConfig.cache.location;
+    cache = path.resolve(projectDir, location || DEFAULT_CACHE_LOCATION);
+  }
+
+  // --history-location implies --history
+  let history = null;
+  if (args['history-location'] || args.history || fileConfig.history) {
+    const fileHistory = typeof fileConfig.history === 'object' ? fileConfig.history : {};
+    history = {
+      location: args['history-location']
+        ? path.resolve(args['history-location'])
+        : path.resolve(projectDir, fileHistory.location || DEFAULT_HISTORY_LOCATION),
+      topFiles: fileHistory.topFiles || DEFAULT_TOP_FILES,
+    };
+  }
+
+  let tsconfig = fileConfig.tsconfig;
+  if (args.tsconfig === false) tsconfig = false;
+  else if (args.tsconfig) tsconfig = args.tsconfig;
 
   return {
     projectDir,
-    outputPath: args.path,
-    duplicates: args.duplicates,
-    complexity: args.complexity,
-    functions: args.functions,
+    outputPath: args.path || output.path || 'analysis_report.html',
+    formats,
+    languages,
+    duplicates: analyzers.duplicates,
+    clones,
+    deadCode,
+    components,
+    layers,
+    workspaces,
+    complexity: analyzers.complexity,
+    functions: analyzers.functions,
+    cognitive: analyzers.cognitive,
+    halstead: analyzers.halstead,
+    maintainability: analyzers.maintainability,
+    typeSafety: analyzers.typeSafety,
     verbose: args.verbose,
-    ignorePatterns: [...DEFAULT_IGNORE, ...extraIgnore],
+    engine,
+    jobs: resolveJobs(args.jobs !== undefined ? args.jobs : fileConfig.jobs),
+    // undefined = auto-detect, false = disabled (--no-tsconfig), string = explicit path
+    tsconfig,
+    ignorePatterns: [...baseIgnore, ...(fileConfig.ignore || []), ...extraIgnore],
+    includePatterns: fileConfig.include || null,
+    excludeDependencies: fileConfig.excludeDependencies || DEFAULT_EXCLUDED_DEPENDENCIES,
+    gate,
+    baseline,
+    saveBaseline: args['save-baseline'] ? path.resolve(args['save-baseline']) : null,
+    cache,
+    changedSince: args['changed-since'] || null,
+    hotspots,
+    coverage,
+    history,
+    plugins,
+    watch,
+    historySince: args['history-since'] || (fileConfig.hotspots && fileConfig.hotspots.since) || null,
   };
 }
 
-module.exports = { parseArgs, DEFAULT_IGNORE };
+module.exports = { parseArgs, resolveConfig, DEFAULT_IGNORE, OUTPUT_FORMATS, ENGINES };
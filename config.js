@@ -0,0 +1,148 @@
+/**
+ * Project configuration file — `.tsauditrc` / `.tsauditrc.json` (JSON with
+ * comments) or `ts-audit.config.js` (CommonJS), discovered in the project
+ * root. Values here sit between the built-in defaults and CLI flags.
+ *
+ * Example:
+ *   {
+ *     "ignore": ["src/generated/**"],
+ *     "useDefaultIgnore": true,
+ *     "include": ["src/**"],
+ *     "languages": ["typescript", "javascript", "vue"],
+ *     "analyzers": { "duplicates": true, "complexity": true, "functions": false, "cognitive": true },
+ *     "clones": { "minTokens": 50, "minLines": 5 },
+ *     "gate": { "maxFileComplexity": "high", "maxImportCycles": 0 },
+ *     "output": { "path": "reports/audit", "formats": ["html", "sarif"] },
+ *     "excludeDependencies": ["react", "react-dom"],
+ *     "tsconfig": "tsconfig.app.json",
+ *     "baseline": ".ts-audit/baseline.json",
+ *     "cache": { "location": ".ts-audit/cache.json" },
+ *     "jobs": "auto",
+ *     "engine": "typescript",
+ *     "deadCode": { "entryPoints": ["src/main.ts", "src/pages/**"] },
+ *     "components": { "maxLines": 200 },
+ *     "hotspots": { "since": "12 months ago" },
+ *     "coverage": { "files": ["coverage/lcov.info"], "crapThreshold": 30 },
+ *     "history": { "location": ".ts-audit/history.jsonl", "topFiles": 10 },
+ *     "workspaces": { "packages": ["@acme/api", "@acme/ui-*"] },
+ *     "layers": {
+ *       "ui": { "files": ["src/ui/**"], "forbidden": ["db"] },
+ *       "domain": { "files": ["src/domain/**"], "allowed": ["shared"] },
+ *       "shared": { "files": ["src/shared/**"] },
+ *       "db": { "files": ["src/db/**"] }
+ *     },
+ *     "plugins": ["./tools/no-direct-fetch.js", { "path": "ts-audit-plugin-flags", "options": { "prefix": "FF_" } }]
+ *   }
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseJsonc } = require('./tsconfig');
+const { LANGUAGES } = require('./analyzers/languages');
+
+// Looked up in this order; the first one found wins
+const CONFIG_FILES = ['.tsauditrc', '.tsauditrc.json', 'ts-audit.config.js'];
+
+const GATE_KEYS = [
+  'maxFileComplexity', 'maxTotalComplexity', 'maxFileLines', 'failOnDuplicates', 'maxImportCycles', 'maxLayerViolations',
+];
+const ANALYZER_KEYS = [
+  'duplicates', 'complexity', 'functions', 'cognitive', 'halstead', 'maintainability', 'typeSafety',
+];
+
+/**
+ * Find and load the project's configuration file.
+ *
+ * @param {string} projectDir
+ * @param {string} [explicitPath] - --config value (relative to the working directory)
+ * @returns {{configPath: string, config: object}|null} null when there is no config file
+ * @throws {Error} when the file cannot be read or is invalid
+ */
+function loadConfigFile(projectDir, explicitPath) {
+  let configPath;
+  if (explicitPath) {
+    configPath = path.resolve(explicitPath);
+    if (!fs.existsSync(configPath)) throw new Error(`Config file not found: ${configPath}`);
+  } else {
+    configPath = CONFIG_FILES
+      .map(name => path.resolve(projectDir, name))
+      .find(candidate => fs.existsSync(candidate));
+    if (!configPath) return null;
+  }
+
+  let raw;
+  try {
+    if (configPath.endsWith('.js') || configPath.endsWith('.cjs')) {
+      delete require.cache[configPath];
+      raw = require(configPath);
+    } else {
+      raw = parseJsonc(fs.readFileSync(configPath, 'utf-8'));
+    }
+  } catch (err) {
+    throw new Error(`Cannot load ${configPath}: ${err.message}`);
+  }
+
+  return { configPath, config: validateConfig(raw, configPath) };
+}
+
+/**
+ * Check the shape of a config object. Unknown keys are rejected so that
+ * typos do not silently fall back to defaults.
+ */
+function validateConfig(raw, source) {
+  const fail = msg => { throw new Error(`${source}: ${msg}`); };
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) fail('expected an object');
+
+  const isStringArray = v => Array.isArray(v) && v.every(s => typeof s === 'string');
+  const isPluginEntry = v => typeof v === 'string' || (
+    checkKeys(v, ['path', 'options'], (x, key) => (key === 'path' ? typeof x === 'string' : Boolean(x) && typeof x === 'object')) === true &&
+    typeof v.path === 'string'
+  );
+  const isLayer = v => checkKeys(v, ['files', 'allowed', 'forbidden'], isStringArray) === true && isStringArray(v.files);
+  const checks = {
+    ignore: v => isStringArray(v) || 'expected an array of globs',
+    useDefaultIgnore: v => typeof v === 'boolean' || 'expected a boolean',
+    include: v => isStringArray(v) || 'expected an array of globs',
+    languages: v => (isStringArray(v) && v.length > 0 && v.every(l => Object.hasOwn(LANGUAGES, l))) ||
+      `expected a non-empty array of ${Object.keys(LANGUAGES).join(', ')}`,
+    excludeDependencies: v => isStringArray(v) || 'expected an array of package names',
+    tsconfig: v => typeof v === 'string' || v === false || 'expected a path or false',
+    baseline: v => typeof v === 'string' || 'expected a path',
+    deadCode: v => typeof v === 'boolean' || checkKeys(v, ['entryPoints'], x => isStringArray(x)),
+    components: v => typeof v === 'boolean' || checkKeys(v, ['maxLines'], x => Number.isInteger(x) && x > 0),
+    engine: v => ['regex', 'typescript'].includes(v) || 'expected "regex" or "typescript"',
+    jobs: v => (Number.isInteger(v) && v > 0) || v === 'auto' || 'expected a positive integer or "auto"',
+    cache: v => typeof v === 'boolean' || checkKeys(v, ['location'], x => typeof x === 'string'),
+    hotspots: v => typeof v === 'boolean' || checkKeys(v, ['since'], x => typeof x === 'string'),
+    coverage: v => typeof v === 'boolean' || checkKeys(v, ['files', 'crapThreshold'], (x, key) =>
+      (key === 'files' ? isStringArray(x) : typeof x === 'number' && x > 0)),
+    history: v => typeof v === 'boolean' || checkKeys(v, ['location', 'topFiles'], (x, key) =>
+      (key === 'location' ? typeof x === 'string' : Number.isInteger(x) && x > 0)),
+    clones: v => v === false || checkKeys(v, ['minTokens', 'minLines'], x => Number.isInteger(x) && x > 0),
+    analyzers: v => checkKeys(v, ANALYZER_KEYS, x => typeof x === 'boolean'),
+    gate: v => v === true || v === false || checkKeys(v, GATE_KEYS, () => true),
+    output: v => checkKeys(v, ['path', 'formats'], (x, key) =>
+      (key === 'path' ? typeof x === 'string' : isStringArray(x))),
+    workspaces: v => typeof v === 'boolean' || checkKeys(v, ['packages'], isStringArray),
+    layers: v => (Boolean(v) && typeof v === 'object' && !Array.isArray(v) && Object.values(v).every(isLayer)) ||
+      'expected { <layer>: { files, allowed?, forbidden? } } with arrays of globs / layer names',
+    plugins: v => (Array.isArray(v) && v.every(isPluginEntry)) || 'expected an array of module paths or { path, options }',
+  };
+
+  for (const [key, value] of Object.entries(raw)) {
+    if (!checks[key]) fail(`unknown option "${key}"`);
+    const ok = checks[key](value);
+    if (ok !== true) fail(`"${key}": ${ok}`);
+  }
+  return raw;
+}
+
+function checkKeys(value, allowed, isValid) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'expected an object';
+  for (const [key, v] of Object.entries(value)) {
+    if (!allowed.includes(key)) return `unknown key "${key}" (expected ${allowed.join(', ')})`;
+    if (!isValid(v, key)) return `invalid value for "${key}"`;
+  }
+  return true;
+}
+
+module.exports = { loadConfigFile, validateConfig, CONFIG_FILES, ANALYZER_KEYS };
@@ -0,0 +1,180 @@
+/**
+ * Test coverage — reads the coverage reports of Istanbul-based tools
+ * (nyc, Jest, Vitest, c8): `coverage-final.json` and `lcov.info`, into one
+ * shape per source file — the hit count of every instrumented line, the
+ * functions with their first line and hit count, and the branch totals.
+ *
+ * Relative source paths are resolved against the directory above the
+ * report's own directory (the project or package the tests ran in, for
+ * `coverage/lcov.info`). Reports that cover the same file are merged.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Looked up in the project root and each workspace package; the first one found is used
+const DEFAULT_COVERAGE_FILES = ['coverage/coverage-final.json', 'coverage/lcov.info'];
+
+/**
+ * The coverage reports found in the given directories.
+ *
+ * @param {string[]} dirs - Absolute paths
+ * @returns {string[]} At most one report per directory
+ */
+function findCoverageFiles(dirs) {
+  return dirs
+    .map(dir => DEFAULT_COVERAGE_FILES.map(file => path.join(dir, file)).find(file => fs.existsSync(file)))
+    .filter(Boolean);
+}
+
+/**
+ * Read and merge coverage reports.
+ *
+ * @param {string[]} filePaths - Absolute paths of coverage-final.json or lcov.info files
+ * @returns {Map<string, FileCoverage>} By absolute source path
+ * @throws {Error} when a report cannot be read or is in neither format
+ */
+function loadCoverage(filePaths) {
+  const merged = new Map();
+  for (const filePath of filePaths) {
+    let text;
+    try {
+      text = fs.readFileSync(filePath, 'utf-8');
+    } catch (err) {
+      throw new Error(err.code === 'ENOENT'
+        ? `Coverage file not found: ${filePath}`
+        : `Cannot read coverage ${filePath}: ${err.message}`);
+    }
+    const baseDir = path.dirname(path.dirname(filePath));
+    for (const [source, coverage] of parseCoverage(text, baseDir, filePath)) {
+      merged.set(source, merged.has(source) ? mergeFileCoverage(merged.get(source), coverage) : coverage);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Parse one report, telling the formats apart by content.
+ *
+ * @param {string} text
+ * @param {string} baseDir - Relative source paths are resolved against it
+ * @param {string} [name] - For error messages
+ * @returns {Map<string, FileCoverage>}
+ * @throws {Error} when the report is in neither format
+ */
+function parseCoverage(text, baseDir, name = 'coverage') {
+  if (text.trimStart().startsWith('{')) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Cannot parse coverage ${name}: ${err.message}`);
+    }
+    return parseIstanbul(json, baseDir);
+  }
+  if (/^SF:/m.test(text)) return parseLcov(text, baseDir);
+  throw new Error(`${name}: unrecognized coverage format (expected coverage-final.json or lcov.info)`);
+}
+
+/**
+ * coverage-final.json: per file, statement, function and branch maps with
+ * their hit counts. A line's count is the highest of the statements
+ * starting on it, as in Istanbul's own line summary.
+ */
+function parseIstanbul(json, baseDir) {
+  const files = new Map();
+  for (const [key, entry] of Object.entries(json)) {
+    // Some writers wrap each file as { data: {...} }
+    const data = entry && entry.data ? entry.data : entry;
+    if (!data || !data.statementMap) continue;
+
+    const lines = new Map();
+    for (const [id, statement] of Object.entries(data.statementMap)) {
+      const line = statement.start.line;
+      lines.set(line, Math.max(lines.get(line) ?? 0, data.s[id] || 0));
+    }
+    const functions = Object.entries(data.fnMap || {}).map(([id, fn]) => ({
+      name: fn.name,
+      line: (fn.decl || fn.loc).start.line,
+      hits: (data.f && data.f[id]) || 0,
+    }));
+    const branches = { covered: 0, total: 0 };
+    for (const counts of Object.values(data.b || {})) {
+      branches.total += counts.length;
+      branches.covered += counts.filter(count => count > 0).length;
+    }
+    files.set(path.resolve(baseDir, data.path || key), { lines, functions, branches });
+  }
+  return files;
+}
+
+/**
+ * lcov.info: `SF:` starts a file's record and `end_of_record` ends it;
+ * `DA:line,hits`, `FN:line[,endLine],name` with `FNDA:hits,name`, and
+ * `BRDA:line,block,branch,taken` (`-` for never evaluated).
+ */
+function parseLcov(text, baseDir) {
+  const files = new Map();
+  let current = null;
+  let functionLines = null;
+
+  for (const raw of text.split('\n')) {
+    const line = raw.trim();
+    const colon = line.indexOf(':');
+    const tag = colon === -1 ? line : line.slice(0, colon);
+    const value = line.slice(colon + 1);
+
+    if (tag === 'SF') {
+      current = { source: path.resolve(baseDir, value), lines: new Map(), functions: [], branches: { covered: 0, total: 0 } };
+      functionLines = new Map();
+    } else if (!current) {
+      continue;
+    } else if (tag === 'DA') {
+      const [lineNumber, hits] = value.split(',').map(Number);
+      current.lines.set(lineNumber, Math.max(current.lines.get(lineNumber) ?? 0, hits || 0));
+    } else if (tag === 'FN') {
+      const match = /^(\d+)(?:,\d+)?,(.*)$/.exec(value);
+      if (match) functionLines.set(match[2], Number(match[1]));
+    } else if (tag === 'FNDA') {
+      const comma = value.indexOf(',');
+      const name = value.slice(comma + 1);
+      if (functionLines.has(name)) current.functions.push({ name, line: functionLines.get(name), hits: Number(value.slice(0, comma)) || 0 });
+    } else if (tag === 'BRDA') {
+      const taken = value.split(',')[3];
+      current.branches.total++;
+      if (taken !== '-' && Number(taken) > 0) current.branches.covered++;
+    } else if (tag === 'end_of_record') {
+      const { source, ...coverage } = current;
+      files.set(source, files.has(source) ? mergeFileCoverage(files.get(source), coverage) : coverage);
+      current = null;
+    }
+  }
+  return files;
+}
+
+/** Two reports of the same file: hits are added up. */
+function mergeFileCoverage(a, b) {
+  const lines = new Map(a.lines);
+  for (const [line, hits] of b.lines) lines.set(line, (lines.get(line) || 0) + hits);
+
+  const functions = a.functions.map(fn => ({ ...fn }));
+  for (const fn of b.functions) {
+    const same = functions.find(f => f.line === fn.line && f.name === fn.name);
+    if (same) same.hits += fn.hits;
+    else functions.push({ ...fn });
+  }
+  // Totals cannot be matched up branch by branch: a lower bound of the combined coverage
+  const branches = {
+    covered: Math.max(a.branches.covered, b.branches.covered),
+    total: Math.max(a.branches.total, b.branches.total),
+  };
+  return { lines, functions, branches };
+}
+
+/**
+ * @typedef {object} FileCoverage
+ * @property {Map<number, number>} lines - Instrumented line → hit count
+ * @property {Array<{name: string, line: number, hits: number}>} functions - By first line
+ * @property {{covered: number, total: number}} branches
+ */
+
+module.exports = { findCoverageFiles, loadCoverage, parseCoverage, DEFAULT_COVERAGE_FILES };
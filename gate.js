@@ -0,0 +1,148 @@
+/**
+ * Quality Gate — checks a finished analysis against configured limits so a
+ * CI build can fail on regressions.
+ *
+ * Limits arrive from the CLI or the config file as numbers or band/level
+ * names from thresholds.js; normalizeGateLimits turns them into plain
+ * numbers. A limit left undefined is not checked.
+ */
+const { COMPLEXITY_BANDS, PROJECT_COMPLEXITY_LEVELS, resolveLimit } = require('./thresholds');
+
+// Gate limits enabled by a bare --gate
+const DEFAULT_GATE_LIMITS = {
+  maxFileComplexity: 30,   // top of the High band: Critical files fail
+  maxImportCycles: 0,
+  failOnDuplicates: true,
+};
+
+// Limit → table of names it may be given as
+const NUMERIC_LIMITS = {
+  maxFileComplexity: COMPLEXITY_BANDS,
+  maxTotalComplexity: PROJECT_COMPLEXITY_LEVELS,
+  maxFileLines: [],
+  maxImportCycles: [],
+  maxLayerViolations: [],
+};
+
+/**
+ * Resolve raw limit values (numbers, numeric strings, band/level names).
+ *
+ * @param {object} raw - Limits keyed like GateLimits
+ * @returns {GateLimits}
+ * @throws {Error} naming the offending limit
+ */
+function normalizeGateLimits(raw) {
+  const limits = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (value === undefined) continue;
+    if (key === 'failOnDuplicates') {
+      limits.failOnDuplicates = Boolean(value);
+    } else if (NUMERIC_LIMITS[key]) {
+      try {
+        limits[key] = resolveLimit(value, NUMERIC_LIMITS[key]);
+      } catch (err) {
+        throw new Error(`${key}: ${err.message}`);
+      }
+    } else {
+      throw new Error(`unknown gate limit "${key}"`);
+    }
+  }
+  return limits;
+}
+
+/**
+ * Evaluate the gate.
+ *
+ * @param {object} analysis
+ * @param {object} analysis.summary - buildSummary output
+ * @param {Array} analysis.results - FileAnalysis records
+ * @param {Array} analysis.duplicateGroups
+ * @param {object} [analysis.dependencyGraph]
+ * @param {object} [analysis.layers] - Layer rule check (see analyzers/layers.js)
+ * @param {object} [analysis.baselineDiff] - With a baseline, only new duplicate groups fail
+ * @param {GateLimits} limits
+ * @returns {Array<{rule: string, message: string, filePath?: string, line?: number, relatedFiles?: string[]}>}
+ *   Violations (empty = passed)
+ */
+function evaluateGate({ summary, results, duplicateGroups, dependencyGraph, layers, baselineDiff }, limits) {
+  const violations = [];
+
+  if (limits.maxFileComplexity !== undefined) {
+    for (const r of results) {
+      if (r.complexity > limits.maxFileComplexity) {
+        violations.push({
+          rule: 'max-file-complexity',
+          filePath: r.filePath,
+          message: `complexity ${r.complexity} > ${limits.maxFileComplexity}`,
+        });
+      }
+    }
+  }
+
+  if (limits.maxTotalComplexity !== undefined && summary.totalComplexity > limits.maxTotalComplexity) {
+    violations.push({
+      rule: 'max-total-complexity',
+      message: `total complexity ${summary.totalComplexity} (${summary.complexityLevel}) > ${limits.maxTotalComplexity}`,
+    });
+  }
+
+  if (limits.maxFileLines !== undefined) {
+    for (const r of results) {
+      if (r.totalLines > limits.maxFileLines) {
+        violations.push({
+          rule: 'max-file-lines',
+          filePath: r.filePath,
+          message: `${r.totalLines} lines > ${limits.maxFileLines}`,
+        });
+      }
+    }
+  }
+
+  if (limits.failOnDuplicates) {
+    const newHashes = baselineDiff && new Set(baselineDiff.newDuplicateGroups.map(g => g.hash));
+    for (const group of duplicateGroups) {
+      if (newHashes && !newHashes.has(group.hash)) continue;
+      violations.push({
+        rule: baselineDiff ? 'no-new-duplicates' : 'no-duplicates',
+        filePath: group.files[0],
+        relatedFiles: group.files.slice(1),
+        message: `identical to ${group.files.length - 1} other file(s)`,
+      });
+    }
+  }
+
+  const cycles = dependencyGraph ? dependencyGraph.cycles : [];
+  if (limits.maxImportCycles !== undefined && cycles.length > limits.maxImportCycles) {
+    violations.push({
+      rule: 'max-import-cycles',
+      message: `${cycles.length} import cycle(s) > ${limits.maxImportCycles}`,
+    });
+  }
+
+  // Each layer violation is listed, so the offending imports show in the CI log
+  const layerViolations = layers ? layers.violations : [];
+  if (limits.maxLayerViolations !== undefined && layerViolations.length > limits.maxLayerViolations) {
+    for (const v of layerViolations) {
+      violations.push({
+        rule: 'layer-violation',
+        filePath: v.filePath,
+        line: v.line || undefined,
+        message: `${v.message}: ${v.source || `'${v.specifier}'`}`,
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * @typedef {object} GateLimits
+ * @property {number} [maxFileComplexity]  - Per-file cyclomatic complexity
+ * @property {number} [maxTotalComplexity] - Sum over all files
+ * @property {number} [maxFileLines]       - Lines per file
+ * @property {boolean} [failOnDuplicates]  - Fail on any (with a baseline: any new) duplicate group
+ * @property {number} [maxImportCycles]    - Number of import cycles
+ * @property {number} [maxLayerViolations] - Number of imports breaking layer rules (0 when layers are configured)
+ */
+
+module.exports = { evaluateGate, normalizeGateLimits, DEFAULT_GATE_LIMITS };
@@ -0,0 +1,115 @@
+/**
+ * Git integration — changed-file lists and per-file commit history, read
+ * from the local repository with the `git` CLI. Never touches a remote.
+ *
+ * git is run inside the analyzed directory with paths relative to it, so
+ * results line up with the scanner's paths even when the directory is
+ * reached through a symlink.
+ */
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// git log over a large history easily exceeds the default 1 MB
+const MAX_BUFFER = 256 * 1024 * 1024;
+
+/**
+ * Run git in `cwd` and return stdout.
+ *
+ * @throws {Error} with git's own message when the command fails
+ */
+function git(cwd, args) {
+  try {
+    return execFileSync('git', ['-c', 'core.quotepath=false', ...args], {
+      cwd,
+      encoding: 'utf-8',
+      maxBuffer: MAX_BUFFER,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+  } catch (err) {
+    const detail = err.stderr ? String(err.stderr).trim() : err.message;
+    throw new Error(`git ${args[0]} failed in ${cwd}: ${detail}`);
+  }
+}
+
+/** Absolute path of the repository containing `dir`. */
+function getRepoRoot(dir) {
+  return git(dir, ['rev-parse', '--show-toplevel']).trim();
+}
+
+/**
+ * Files added, copied, modified or renamed since `ref` — committed or not —
+ * plus untracked files that are not gitignored.
+ *
+ * @param {string} dir - Directory inside the repository
+ * @param {string} ref - Any commit-ish (branch, tag, SHA, HEAD~3, ...)
+ * @returns {Set<string>} Absolute paths
+ */
+function getChangedFiles(dir, ref) {
+  const root = getRepoRoot(dir);
+  try {
+    git(dir, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+  } catch {
+    throw new Error(`Unknown git ref "${ref}" in ${root}`);
+  }
+
+  const base = path.resolve(dir);
+  const changed = git(dir, ['diff', '--name-only', '--relative', '--diff-filter=ACMR', ref, '--']);
+  const untracked = git(dir, ['ls-files', '--others', '--exclude-standard']);
+
+  return new Set(
+    `${changed}\n${untracked}`
+      .split('\n')
+      .filter(Boolean)
+      .map(rel => path.join(base, rel))
+  );
+}
+
+/**
+ * Commit and author counts per file under `dir`, from `git log`.
+ *
+ * @param {string} dir
+ * @param {object} [opts]
+ * @param {string} [opts.since] - Only count commits after this date (git --since syntax)
+ * @returns {Map<string, {commits: number, authors: number}>} Keyed by absolute path
+ */
+function getFileHistory(dir, { since } = {}) {
+  getRepoRoot(dir); // fails early outside a repository
+  const base = path.resolve(dir);
+  const args = ['log', '--no-merges', '--name-only', '--relative', '--format=%x1e%aE'];
+  if (since) args.push(`--since=${since}`);
+  args.push('--', '.');
+
+  const stats = new Map();
+  for (const record of git(dir, args).split('\x1e')) {
+    const [author, ...files] = record.split('\n');
+    if (!author) continue;
+    for (const rel of files) {
+      if (!rel) continue;
+      const filePath = path.join(base, rel);
+      if (!stats.has(filePath)) stats.set(filePath, { commits: 0, authors: new Set() });
+      const entry = stats.get(filePath);
+      entry.commits++;
+      entry.authors.add(author.toLowerCase());
+    }
+  }
+
+  return new Map(
+    [...stats].map(([filePath, s]) => [filePath, { commits: s.commits, authors: s.authors.size }])
+  );
+}
+
+/**
+ * The commit checked out in `dir`, and whether the working tree differs
+ * from it.
+ *
+ * @param {string} dir
+ * @returns {{sha: string, dirty: boolean}}
+ * @throws {Error} outside a repository or before the first commit
+ */
+function getHeadCommit(dir) {
+  const sha = git(dir, ['rev-parse', 'HEAD']).trim();
+  const dirty = git(dir, ['status', '--porcelain', '--untracked-files=no', '--', '.']).trim() !== '';
+  return { sha, dirty };
+}
+
+module.exports = { getRepoRoot, getChangedFiles, getFileHistory, getHeadCommit };
@@ -0,0 +1,122 @@
+/**
+ * Run history — an append-only JSON-lines file with one entry per run: the
+ * summary, the worst files, the git commit and a timestamp. The HTML
+ * report draws its trend charts from it.
+ *
+ * Lines are only ever appended, so the file merges and diffs cleanly and a
+ * run that dies mid-write damages at most its own line; unreadable lines
+ * are skipped when loading.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Version of the entry layout; entries of other versions are skipped
+const HISTORY_VERSION = 1;
+
+const DEFAULT_HISTORY_LOCATION = '.ts-audit/history.jsonl';
+
+// Worst files kept per entry
+const DEFAULT_TOP_FILES = 10;
+
+/**
+ * Build the history entry for a finished run.
+ *
+ * @param {object} reportData - Same input as generateReport
+ * @param {object} [opts]
+ * @param {?{sha: string, dirty: boolean}} [opts.commit] - null outside git
+ * @param {Date} [opts.timestamp]
+ * @param {number} [opts.topFiles]
+ * @returns {HistoryEntry}
+ */
+function buildHistoryEntry(
+  { rootDir, summary, results, duplicateGroups, columns },
+  { commit = null, timestamp = new Date(), topFiles = DEFAULT_TOP_FILES } = {}
+) {
+  const rel = filePath => path.relative(rootDir, filePath).split(path.sep).join('/');
+  // By complexity where measured, else by size
+  const rank = columns.complexity
+    ? (a, b) => b.complexity - a.complexity || b.codeLines - a.codeLines
+    : (a, b) => b.codeLines - a.codeLines;
+
+  return {
+    version: HISTORY_VERSION,
+    timestamp: timestamp.toISOString(),
+    commit,
+    summary: { ...summary, duplicateGroups: columns.duplicates ? duplicateGroups.length : null },
+    worstFiles: [...results].sort(rank).slice(0, topFiles).map(r => ({
+      path: rel(r.filePath),
+      lines: r.codeLines,
+      complexity: columns.complexity ? r.complexity : null,
+      maintainability: columns.maintainability ? r.maintainability : null,
+    })),
+  };
+}
+
+/**
+ * Read all entries, oldest first. A missing file is an empty history.
+ *
+ * @param {string} filePath
+ * @returns {HistoryEntry[]}
+ * @throws {Error} when the file exists but cannot be read
+ */
+function loadHistory(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw new Error(`Cannot read history ${filePath}: ${err.message}`);
+  }
+
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry && entry.version === HISTORY_VERSION) entries.push(entry);
+    } catch {
+      // a partial line from an interrupted write
+    }
+  }
+  return entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Append one entry.
+ *
+ * @param {string} filePath
+ * @param {HistoryEntry} entry
+ */
+function appendHistory(filePath, entry) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  // Start on a fresh line even if the last write was cut short
+  const separator = endsMidLine(filePath) ? '\n' : '';
+  fs.appendFileSync(filePath, `${separator}${JSON.stringify(entry)}\n`, 'utf-8');
+}
+
+/** Whether the file exists and its last byte is not a newline. */
+function endsMidLine(filePath) {
+  if (!fs.existsSync(filePath)) return false;
+  const { size } = fs.statSync(filePath);
+  if (size === 0) return false;
+  const last = Buffer.alloc(1);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, last, 0, 1, size - 1);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return last[0] !== 0x0a;
+}
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {number} version
+ * @property {string} timestamp - ISO 8601
+ * @property {?{sha: string, dirty: boolean}} commit - `dirty`: uncommitted changes to tracked files
+ * @property {object} summary - buildSummary output plus `duplicateGroups` (null when not measured)
+ * @property {Array<{path: string, lines: number, complexity: ?number, maintainability: ?number}>} worstFiles
+ *   Most complex files (largest without complexity), project-relative
+ */
+
+module.exports = { buildHistoryEntry, loadHistory, appendHistory, DEFAULT_HISTORY_LOCATION, DEFAULT_TOP_FILES };
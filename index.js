@@ -2,114 +2,180 @@
 /**
  * ts-analyzer — Static analysis tool for TypeScript projects.
  *
- * Produces an HTML report with lines of code, function counts,
- * dependency graphs, cyclomatic complexity, and duplicate detection.
+ * Produces an HTML, JSON and/or SARIF report with lines of code, function counts,
+ * dependency graphs (resolved imports, cycles, fan-in/out), cyclomatic and
+ * cognitive complexity, Halstead metrics, maintainability index, type
+ * safety, React component reviews, architectural layer rules, trends across
+ * runs, and duplicate file / copy-paste detection.
  *
  * Usage: node src/index.js <project_dir> [options]
  *
+ * Required as a module, it runs nothing and exports the API of api.js.
+ *
  * Architecture:
- *   index.js          – CLI entry point & orchestration
+ *   index.js          – CLI entry point (a thin wrapper around api.js)
+ *   api.js            – Programmatic API & orchestration
  *   scanner.js        – Filesystem traversal with ignore patterns
+ *   tsconfig.js       – tsconfig loading (path aliases, include/exclude)
+ *   workspaces.js     – npm / yarn / pnpm workspace packages
  *   analyzers/*.js    – Pure analysis functions (single-read per file)
  *   report.js         – HTML report generation (template-based)
+ *   report-json.js    – JSON output (versioned schema)
+ *   report-sarif.js   – SARIF 2.1.0 output (code scanning)
+ *   gate.js           – Quality gate (limits → violations → exit code)
+ *   thresholds.js     – Complexity bands/levels shared by report and gate
+ *   baseline.js       – Baseline snapshots and run-to-run comparison
+ *   history.js        – Append-only run history for trend charts (--history)
+ *   git.js            – Changed files and commit history (local git only)
+ *   cache.js          – On-disk cache of per-file results between runs
+ *   worker-pool.js    – Parallel file analysis on worker threads (--jobs)
+ *   plugins.js        – Plugin loading and per-file / project hooks
+ *   watch.js          – Directory watcher and live-reload report server (--watch)
  */
 
 const fs = require('fs');
 const path = require('path');
 const { parseArgs } = require('./cli');
-const { scanTypeScriptFiles } = require('./scanner');
-const { analyzeFile } = require('./analyzers/file-analyzer');
-const { findDuplicates } = require('./analyzers/duplicates');
-const { generateReport } = require('./report');
+const { analyzeProject, renderReport, runAnalysis, analyzeFiles, buildReportData } = require('./api');
 const { createLogger } = require('./logger');
+const { watchDirectories, startReportServer } = require('./watch');
+
+// Distinct from 1 (fatal error) so CI can tell a failed gate from a crash
+const GATE_FAILED_EXIT_CODE = 2;
 
 async function main() {
   const config = parseArgs(process.argv.slice(2));
   const log = createLogger(config.verbose);
 
-  // ── Validate project directory ──────────────────────────────
-  if (!fs.existsSync(config.projectDir)) {
-    log.error(`Directory not found: ${config.projectDir}`);
+  let run;
+  try {
+    run = await runAnalysis(config, log);
+    if (!run) process.exit(0);
+    writeReports(run.reportData, config, log);
+
+    // ── Watch mode: keep re-analyzing and serving the report ─
+    if (config.watch) {
+      await watchProject(run.reportData, run.context, run);
+      return;
+    }
+  } catch (err) {
+    log.error(err.message);
     process.exit(1);
   }
 
-  // ── Scan files ──────────────────────────────────────────────
-  log.info(`Scanning ${config.projectDir} ...`);
-  const files = scanTypeScriptFiles(config.projectDir, {
-    ignore: config.ignorePatterns,
-  });
-
-  if (files.length === 0) {
-    log.warn('No .ts or .tsx files found.');
-    process.exit(0);
+  // ── Quality gate ───────────────────────────────────────────
+  if (run.reportData.gateViolations && !checkGate(run.reportData, log)) {
+    process.exit(GATE_FAILED_EXIT_CODE);
   }
+}
 
-  log.info(`Found ${files.length} TypeScript file(s).`);
-
-  // ── Analyze each file (single read per file) ───────────────
-  const results = [];
-  for (let i = 0; i < files.length; i++) {
-    const filePath = files[i];
-    try {
-      const result = analyzeFile(filePath, {
-        complexity: config.complexity,
-        functions: config.functions,
-      });
-      results.push(result);
-    } catch (err) {
-      log.warn(`Skipped ${filePath}: ${err.message}`);
-    }
-    log.progress('Analyzing', i + 1, files.length);
+/** Generate reports (one file per format). */
+function writeReports(reportData, config, log) {
+  for (const format of config.formats) {
+    const reportPath = reportPathFor(path.resolve(config.projectDir, config.outputPath), `.${format}`);
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, renderReport(reportData, format), 'utf-8');
+    log.success(`Report generated (${format}): ${reportPath}`);
   }
+}
 
-  // ── Duplicate detection (by content hash, not just name) ───
-  let duplicateGroups = [];
-  if (config.duplicates) {
-    log.info('Detecting duplicates by content hash...');
-    duplicateGroups = findDuplicates(results);
-    log.info(`Found ${duplicateGroups.length} duplicate group(s).`);
+/**
+ * Print the quality gate's violations.
+ *
+ * @returns {boolean} Whether the gate passed
+ */
+function checkGate(reportData, log) {
+  const violations = reportData.gateViolations;
+  if (violations.length === 0) {
+    log.success('Quality gate passed.');
+    return true;
   }
+  log.error(`Quality gate failed: ${violations.length} violation(s)`);
+  const rel = filePath => path.relative(reportData.rootDir, filePath);
+  for (const v of violations) {
+    const where = v.filePath ? `${rel(v.filePath)}${v.line ? `:${v.line}` : ''}: ` : '';
+    const related = v.relatedFiles ? ` (${v.relatedFiles.map(rel).join(', ')})` : '';
+    console.error(`  ${v.rule.padEnd(22)} ${where}${v.message}${related}`);
+  }
+  return false;
+}
 
-  // ── Aggregate metrics ──────────────────────────────────────
-  const summary = buildSummary(results, config);
-
-  // ── Generate report ────────────────────────────────────────
-  const reportPath = path.resolve(config.projectDir, config.outputPath);
-  const html = generateReport({
-    projectName: path.basename(path.resolve(config.projectDir)),
-    summary,
-    results,
-    duplicateGroups,
-    columns: config,
+/**
+ * Watch mode: serve the report on localhost, and after every batch of file
+ * changes re-analyze the changed, added and removed files only, rebuild the
+ * report and push it to the open pages. Runs until interrupted; the gate is
+ * reported but does not end the process.
+ *
+ * @param {object} initial - Report data of the initial run
+ * @param {object} context - As for buildReportData
+ * @param {object} watch
+ * @param {() => string[]} watch.scan - Lists the files in scope
+ * @param {string[]} watch.ignore - Ignore patterns of the scan
+ * @param {object} watch.analyzerOptions
+ * @returns {Promise<void>} Resolves once the server is up
+ * @throws {Error} when the server cannot be started
+ */
+async function watchProject(initial, context, { scan, ignore, analyzerOptions }) {
+  const { config, log } = context;
+  const analyzed = new Map(initial.results.map(r => [r.filePath, r]));
+
+  const server = await startReportServer({ port: config.watch.port });
+  const publish = reportData => {
+    server.publish(renderReport(reportData, 'html'));
+    if (reportData.gateViolations) checkGate(reportData, log);
+  };
+  publish(initial);
+  log.success(`Serving the report at ${server.url}`);
+
+  // One batch at a time: changes arriving meanwhile queue up behind it
+  let queue = Promise.resolve();
+  const rerun = async changed => {
+    const files = scan();
+    const inScope = new Set(files);
+    const removed = [...analyzed.keys()].filter(f => !inScope.has(f));
+    for (const filePath of removed) analyzed.delete(filePath);
+    const stale = files.filter(f => changed.has(f) || !analyzed.has(f));
+    if (stale.length === 0 && removed.length === 0) return;
+
+    log.info(`${stale.length} changed / ${removed.length} removed file(s); updating the report...`);
+    for (const result of await analyzeFiles(stale, analyzerOptions, { cache: null, jobs: 1, log })) {
+      analyzed.set(result.filePath, result);
+    }
+    const reportData = buildReportData(files.map(f => analyzed.get(f)).filter(Boolean), context);
+    // Only the initial run is recorded; its trends stay on the page
+    reportData.history = initial.history;
+    writeReports(reportData, config, log);
+    publish(reportData);
+  };
+
+  const watcher = watchDirectories(path.resolve(config.projectDir), {
+    ignore,
+    onChange: changed => {
+      queue = queue.then(() => rerun(changed)).catch(err => log.error(err.message));
+    },
   });
+  log.info(`Watching ${watcher.directories().length} director(ies) for changes (Ctrl+C to stop).`);
 
-  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
-  fs.writeFileSync(reportPath, html, 'utf-8');
-  log.success(`\nReport generated: ${reportPath}`);
+  process.once('SIGINT', () => {
+    watcher.close();
+    server.close().then(() => process.exit(0));
+  });
 }
 
-function buildSummary(results, config) {
-  const totalLines = results.reduce((sum, r) => sum + r.lines, 0);
-  const totalFiles = results.length;
-  const totalFunctions = config.functions
-    ? results.reduce((sum, r) => sum + r.functionCount, 0)
-    : null;
-  const totalComplexity = config.complexity
-    ? results.reduce((sum, r) => sum + r.complexity, 0)
-    : null;
-
-  let complexityLevel = null;
-  if (totalComplexity !== null) {
-    if (totalComplexity <= 500) complexityLevel = 'Low';
-    else if (totalComplexity <= 1500) complexityLevel = 'Medium';
-    else if (totalComplexity <= 3000) complexityLevel = 'High';
-    else complexityLevel = 'Very High';
-  }
+/**
+ * Swap the extension of the --path value for the format's own, so that
+ * `--path out/report --format html,json` writes report.html and report.json.
+ */
+function reportPathFor(outputPath, extension) {
+  const current = path.extname(outputPath);
+  return (current ? outputPath.slice(0, -current.length) : outputPath) + extension;
+}
 
-  return { totalFiles, totalLines, totalFunctions, totalComplexity, complexityLevel };
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`Fatal: ${err.message}`);
+    process.exit(1);
+  });
 }
 
-main().catch(err => {
-  console.error(`Fatal: ${err.message}`);
-  process.exit(1);
-});
+module.exports = { analyzeProject, renderReport };
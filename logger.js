@@ -1,5 +1,9 @@
 /**
  * Simple logger with progress bar support and color output.
+ *
+ * A logger is an object with info, warn, error, success, debug and
+ * progress(label, current, total) methods. The programmatic API accepts any
+ * subset, such as `console`; withLoggerDefaults fills in the rest.
  */
 
 const COLORS = {
@@ -46,4 +50,18 @@ function createLogger(verbose = false) {
   };
 }
 
-module.exports = { createLogger };
+/**
+ * A logger with every method: those of `logger`, no-ops for the rest.
+ *
+ * @param {object} [logger]
+ * @returns {object}
+ */
+function withLoggerDefaults(logger = {}) {
+  const log = {};
+  for (const method of ['info', 'warn', 'error', 'success', 'debug', 'progress']) {
+    log[method] = typeof logger[method] === 'function' ? logger[method].bind(logger) : () => {};
+  }
+  return log;
+}
+
+module.exports = { createLogger, withLoggerDefaults };
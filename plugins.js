@@ -0,0 +1,223 @@
+/**
+ * Plugins — in-house checks and metrics without forking the analyzer.
+ *
+ * A plugin is a CommonJS module exporting an object:
+ *
+ *   module.exports = {
+ *     name: 'feature-flags',            // unique; prefixes SARIF rule ids
+ *     version: '1',                     // optional; part of the cache key
+ *     analyzeFile({ filePath, relativePath, content, analysis, options }) {
+ *       return { metrics: { flags: 3 }, findings: [{ message, line, severity, rule }] };
+ *     },
+ *     analyzeProject({ rootDir, results, dependencyGraph, options }) {
+ *       return { metrics: { total: 12 }, findings: [{ message, filePath }] };
+ *     },
+ *     columns: [{ metric: 'flags', label: 'Flags' }],   // file table columns
+ *     sections: [{ title: 'Flags', render(data) { return '<p>…</p>'; } }],
+ *   };
+ *
+ * `analyzeFile` runs inside analyzeFile (so also on worker threads, with
+ * results cached), once per file, after the built-in metrics. Plugins are
+ * therefore referenced by module path and loaded again in each worker.
+ * `analyzeProject` runs once on the main thread after all built-in
+ * analyses. Both hooks are optional but a plugin needs at least one, and
+ * both are synchronous.
+ */
+const path = require('path');
+
+const SEVERITIES = ['error', 'warning', 'note'];
+
+/**
+ * Resolve a plugin given as a path (relative to `baseDir`) or a package name
+ * (resolved from `baseDir`).
+ *
+ * @returns {string} Absolute module path
+ * @throws {Error} when the module cannot be found
+ */
+function resolvePlugin(specifier, baseDir) {
+  const isPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+  try {
+    return require.resolve(isPath ? path.resolve(baseDir, specifier) : specifier, { paths: [baseDir] });
+  } catch {
+    throw new Error(`Cannot find plugin "${specifier}" (from ${baseDir})`);
+  }
+}
+
+/**
+ * Load and validate plugins.
+ *
+ * @param {Array<{path: string, options?: object}>} specs - Resolved module paths
+ * @returns {LoadedPlugin[]}
+ * @throws {Error} naming the plugin when a module fails to load or is malformed
+ */
+function loadPlugins(specs) {
+  const loaded = [];
+  for (const { path: modulePath, options = {} } of specs) {
+    let plugin;
+    try {
+      plugin = require(modulePath);
+    } catch (err) {
+      throw new Error(`Cannot load plugin ${modulePath}: ${err.message}`);
+    }
+    const problem = validatePlugin(plugin);
+    if (problem) throw new Error(`Invalid plugin ${modulePath}: ${problem}`);
+    if (loaded.some(p => p.name === plugin.name)) {
+      throw new Error(`Plugin name "${plugin.name}" is used by more than one plugin`);
+    }
+    loaded.push({
+      name: plugin.name,
+      version: plugin.version === undefined ? null : String(plugin.version),
+      path: modulePath,
+      options,
+      columns: plugin.columns || [],
+      sections: plugin.sections || [],
+      plugin,
+    });
+  }
+  return loaded;
+}
+
+/** Description of what is wrong with a plugin module, or null. */
+function validatePlugin(plugin) {
+  if (!plugin || typeof plugin !== 'object') return 'expected module.exports to be an object';
+  if (typeof plugin.name !== 'string' || !/^[\w.@/-]+$/.test(plugin.name)) {
+    return '"name" must be a non-empty string of letters, digits, ".", "-", "_", "@" or "/"';
+  }
+  const hooks = ['analyzeFile', 'analyzeProject'].filter(hook => plugin[hook] !== undefined);
+  if (hooks.length === 0) return 'expected an analyzeFile and/or analyzeProject function';
+  const badHook = hooks.find(hook => typeof plugin[hook] !== 'function');
+  if (badHook) return `"${badHook}" must be a function`;
+  if (plugin.columns !== undefined && !(Array.isArray(plugin.columns) &&
+    plugin.columns.every(c => c && typeof c.metric === 'string' && typeof c.label === 'string'))) {
+    return '"columns" must be an array of { metric, label } strings';
+  }
+  if (plugin.sections !== undefined && !(Array.isArray(plugin.sections) &&
+    plugin.sections.every(s => s && typeof s.title === 'string' && typeof s.render === 'function'))) {
+    return '"sections" must be an array of { title, render() }';
+  }
+  return null;
+}
+
+/**
+ * Run every plugin's analyzeFile hook on one file.
+ *
+ * @param {Array<{name: string, path: string, options: object}>} plugins - Entries of analyzeFile's `plugins` option
+ * @param {object} file
+ * @param {string} file.filePath
+ * @param {string} file.rootDir
+ * @param {string} file.content
+ * @param {object} file.analysis - The file's FileAnalysis so far
+ * @returns {Object<string, PluginOutput>} Output per plugin name
+ * @throws {Error} naming the plugin when a hook throws or returns malformed output
+ */
+function runFilePlugins(plugins, { filePath, rootDir, content, analysis }) {
+  const outputs = {};
+  for (const { name, path: modulePath, options } of plugins) {
+    const plugin = require(modulePath);
+    if (!plugin.analyzeFile) continue;
+    const relativePath = path.relative(rootDir, filePath).split(path.sep).join('/');
+    outputs[name] = callHook(name, () => plugin.analyzeFile({ filePath, relativePath, content, analysis, options }), filePath);
+  }
+  return outputs;
+}
+
+/**
+ * Run every plugin's analyzeProject hook and collect all plugin output.
+ *
+ * @param {LoadedPlugin[]} plugins
+ * @param {object} project - { rootDir, results, duplicateGroups, clones, dependencyGraph, deadCode }
+ * @returns {PluginReport[]} One entry per plugin, findings of both hooks combined
+ */
+function runProjectPlugins(plugins, project) {
+  return plugins.map(loaded => {
+    const { name, plugin, options } = loaded;
+    const own = plugin.analyzeProject
+      ? callHook(name, () => plugin.analyzeProject({ ...project, options }), null)
+      : { metrics: {}, findings: [] };
+    const fileFindings = project.results.flatMap(r => (r.plugins && r.plugins[name] ? r.plugins[name].findings : []));
+    return {
+      name,
+      version: loaded.version,
+      columns: loaded.columns,
+      sections: loaded.sections,
+      metrics: own.metrics,
+      findings: [...fileFindings, ...own.findings],
+    };
+  });
+}
+
+/** Call a hook and normalize what it returns; findings default to `filePath`. */
+function callHook(name, hook, filePath) {
+  let output;
+  try {
+    output = hook() || {};
+  } catch (err) {
+    throw new Error(`Plugin "${name}" failed: ${err.message}`);
+  }
+  if (output && typeof output.then === 'function') {
+    throw new Error(`Plugin "${name}" returned a promise; hooks must be synchronous`);
+  }
+
+  const metrics = {};
+  for (const [key, value] of Object.entries(output.metrics || {})) {
+    if (!['number', 'string', 'boolean'].includes(typeof value)) {
+      throw new Error(`Plugin "${name}": metric "${key}" must be a number, string or boolean`);
+    }
+    metrics[key] = value;
+  }
+
+  const findings = (output.findings || []).map(f => {
+    if (!f || typeof f.message !== 'string') throw new Error(`Plugin "${name}": every finding needs a message`);
+    const severity = f.severity || 'warning';
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Plugin "${name}": unknown severity "${severity}" (expected ${SEVERITIES.join(', ')})`);
+    }
+    return {
+      rule: f.rule ? String(f.rule) : null,
+      severity,
+      message: f.message,
+      filePath: f.filePath || filePath,
+      line: Number.isInteger(f.line) && f.line > 0 ? f.line : null,
+    };
+  });
+
+  return { metrics, findings };
+}
+
+/**
+ * @typedef {object} LoadedPlugin
+ * @property {string} name
+ * @property {?string} version
+ * @property {string} path     - Absolute module path
+ * @property {object} options  - From the config file ({} on the command line)
+ * @property {Array<{metric: string, label: string}>} columns
+ * @property {Array<{title: string, render: Function}>} sections
+ * @property {object} plugin   - The module itself
+ */
+
+/**
+ * @typedef {object} PluginOutput
+ * @property {Object<string, number|string|boolean>} metrics
+ * @property {Array<PluginFinding>} findings
+ */
+
+/**
+ * @typedef {object} PluginFinding
+ * @property {?string} rule      - Plugin-defined rule id
+ * @property {string} severity   - 'error' | 'warning' | 'note'
+ * @property {string} message
+ * @property {?string} filePath  - Absolute; null for project-wide findings
+ * @property {?number} line
+ */
+
+/**
+ * @typedef {object} PluginReport
+ * @property {string} name
+ * @property {?string} version
+ * @property {Array<{metric: string, label: string}>} columns
+ * @property {Array<{title: string, render: Function}>} sections
+ * @property {Object<string, number|string|boolean>} metrics - From analyzeProject
+ * @property {PluginFinding[]} findings - From both hooks, file findings first
+ */
+
+module.exports = { resolvePlugin, loadPlugins, runFilePlugins, runProjectPlugins, SEVERITIES };
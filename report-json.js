@@ -0,0 +1,275 @@
+/**
+ * JSON Report — machine-readable dump of a run under a versioned schema.
+ *
+ * The structure is built field by field (not by serializing internal
+ * objects) so that refactoring the analyzers cannot silently change it.
+ * Additive changes keep SCHEMA_VERSION; renames or removals bump it.
+ * File paths are relative to the project root, with forward slashes.
+ */
+const path = require('path');
+
+const SCHEMA_VERSION = 1;
+
+/**
+ * Generate the JSON report. Takes the same input as generateReport.
+ *
+ * @returns {string} Pretty-printed JSON document
+ */
+function generateJsonReport(data) {
+  return `${JSON.stringify(buildJsonReport(data), null, 2)}\n`;
+}
+
+/**
+ * Build the JSON report as a plain object (also the baseline snapshot format).
+ */
+function buildJsonReport({
+  projectName, rootDir, summary, results, duplicateGroups, clones, dependencyGraph, deadCode, layers, directories = null,
+  components = null, languages = null, baselineDiff, hotspots, coverage = null, plugins = [], changedSince, columns,
+}) {
+  const rel = filePath => toPosix(path.relative(rootDir, filePath));
+  const graphModules = new Map(
+    dependencyGraph ? dependencyGraph.modules.map(m => [m.filePath, m]) : []
+  );
+  const coverageByFile = new Map(coverage ? coverage.files.map(f => [f.filePath, f]) : []);
+
+  const report = {
+    schemaVersion: SCHEMA_VERSION,
+    tool: 'ts-audit',
+    projectName,
+    generatedAt: new Date().toISOString(),
+    changedSince: changedSince || null,
+    options: {
+      complexity: Boolean(columns.complexity),
+      functions: Boolean(columns.functions),
+      duplicates: Boolean(columns.duplicates),
+      cognitive: Boolean(columns.cognitive),
+      halstead: Boolean(columns.halstead),
+      maintainability: Boolean(columns.maintainability),
+      typeSafety: Boolean(columns.typeSafety),
+      languages: columns.languages || null,
+    },
+    summary: {
+      totalFiles: summary.totalFiles,
+      totalLines: summary.totalLines,
+      totalFunctions: summary.totalFunctions,
+      totalComplexity: summary.totalComplexity,
+      complexityLevel: summary.complexityLevel,
+      totalCognitive: summary.totalCognitive,
+      totalHalsteadVolume: summary.totalHalsteadVolume,
+      averageMaintainability: summary.averageMaintainability,
+      totalAny: summary.totalAny,
+      totalCasts: summary.totalCasts,
+      totalDoubleCasts: summary.totalDoubleCasts,
+      totalNonNull: summary.totalNonNull,
+      totalTsIgnore: summary.totalTsIgnore,
+      totalTsExpectError: summary.totalTsExpectError,
+      totalTsNocheck: summary.totalTsNocheck,
+      averageTypeSafety: summary.averageTypeSafety,
+      typescriptShare: summary.typescriptShare ?? null,
+      duplicateGroups: columns.duplicates ? duplicateGroups.length : null,
+      cloneGroups: clones ? clones.groups.length : null,
+      duplicatedLines: clones ? summary.duplicatedLines : null,
+      duplicationPercent: clones ? summary.duplicationPercent : null,
+      importCycles: dependencyGraph ? dependencyGraph.cycles.length : null,
+      layerViolations: layers ? layers.violations.length : null,
+      lineCoverage: summary.lineCoverage ?? null,
+      riskyFunctions: summary.riskyFunctions ?? null,
+    },
+    files: results.map(r => {
+      const graphModule = graphModules.get(r.filePath);
+      const fileCoverage = coverageByFile.get(r.filePath);
+      return {
+        path: rel(r.filePath),
+        language: r.language || null,
+        totalLines: r.totalLines,
+        codeLines: r.codeLines,
+        contentHash: r.contentHash,
+        functionCount: columns.functions ? r.functionCount : null,
+        functionNames: columns.functions ? r.functionNames : null,
+        complexity: columns.complexity ? r.complexity : null,
+        cognitive: columns.cognitive ? r.cognitive : null,
+        halstead: columns.halstead ? r.halstead : null,
+        maintainability: columns.maintainability ? r.maintainability : null,
+        typeSafety: columns.typeSafety ? r.typeSafety : null,
+        functions: hasFunctionMetrics(columns)
+          ? r.functions.map(fn => ({
+            name: fn.name,
+            kind: fn.kind,
+            startLine: fn.startLine,
+            endLine: fn.endLine,
+            complexity: columns.complexity ? fn.complexity : null,
+            cognitive: columns.cognitive ? fn.cognitive : null,
+            halstead: columns.halstead ? fn.halstead : null,
+            maintainability: columns.maintainability ? fn.maintainability : null,
+          }))
+          : null,
+        dependencies: r.dependencies,
+        imports: graphModule ? graphModule.imports.map(rel) : null,
+        fanIn: graphModule ? graphModule.fanIn : null,
+        fanOut: graphModule ? graphModule.fanOut : null,
+        coverage: fileCoverage
+          ? {
+            measured: fileCoverage.measured,
+            lines: fileCoverage.lines,
+            functions: fileCoverage.functions,
+            branches: fileCoverage.branches,
+            crap: fileCoverage.crap,
+          }
+          : null,
+        plugins: r.plugins
+          ? Object.fromEntries(Object.entries(r.plugins).map(([name, output]) => [name, output.metrics]))
+          : null,
+      };
+    }),
+    duplicateGroups: duplicateGroups.map(g => ({
+      hash: g.hash,
+      files: g.files.map(rel),
+    })),
+    clones: clones
+      ? {
+        groups: clones.groups.map(g => ({
+          tokens: g.tokens,
+          lines: g.lines,
+          fragments: g.fragments.map(f => ({ path: rel(f.filePath), startLine: f.startLine, endLine: f.endLine })),
+        })),
+        files: clones.files.map(f => ({ path: rel(f.filePath), duplicatedLines: f.duplicatedLines, percent: f.percent })),
+      }
+      : null,
+    dependencyGraph: dependencyGraph
+      ? {
+        edgeCount: dependencyGraph.edgeCount,
+        cycles: dependencyGraph.cycles.map(c => ({ files: c.files.map(rel), path: c.path.map(rel) })),
+        orphans: dependencyGraph.orphans.map(rel),
+      }
+      : null,
+    deadCode: deadCode
+      ? {
+        entryPoints: deadCode.entryPoints,
+        entryFiles: deadCode.entryFiles.map(rel),
+        deadFiles: deadCode.deadFiles.map(rel),
+        unusedExports: deadCode.unusedExports.map(e => ({ path: rel(e.filePath), name: e.name, line: e.line })),
+      }
+      : null,
+    components: components
+      ? {
+        issueCount: components.issueCount,
+        components: components.components.map(c => ({
+          path: rel(c.filePath),
+          name: c.name,
+          kind: c.kind,
+          startLine: c.startLine,
+          endLine: c.endLine,
+          lines: c.lines,
+          props: c.props,
+          jsxDepth: c.jsxDepth,
+          hooks: c.hooks.map(h => ({ name: h.name, line: h.line, conditional: h.conditional, dependencies: h.dependencies })),
+          issues: c.issues.map(i => ({ rule: i.rule, severity: i.severity, line: i.line, message: i.message })),
+        })),
+      }
+      : null,
+    layers: layers
+      ? {
+        layers: layers.layers.map(l => ({
+          name: l.name,
+          files: l.files,
+          allowed: l.allowed,
+          forbidden: l.forbidden,
+          fileCount: l.fileCount,
+        })),
+        violations: layers.violations.map(v => ({
+          path: rel(v.filePath),
+          line: v.line,
+          source: v.source,
+          specifier: v.specifier,
+          target: rel(v.target),
+          from: v.from,
+          to: v.to,
+          message: v.message,
+        })),
+      }
+      : null,
+    directories: directories ? flattenDirectories(directories.tree).map(node => ({
+      path: node.path,
+      ...aggregateFields(node, rel),
+    })) : null,
+    packages: directories ? directories.packages.map(pkg => ({
+      name: pkg.name,
+      path: pkg.path,
+      ...aggregateFields(pkg, rel),
+    })) : null,
+    packageDependencies: directories ? directories.packageDependencies : null,
+    languages: languages ? languages.map(l => ({ language: l.language, ...aggregateFields(l, rel) })) : null,
+    baselineDiff: baselineDiff || null,
+    hotspots: hotspots
+      ? hotspots.map(h => ({
+        path: rel(h.filePath),
+        commits: h.commits,
+        authors: h.authors,
+        complexity: h.complexity,
+        score: h.score,
+      }))
+      : null,
+    coverage: coverage
+      ? {
+        sources: coverage.sources.map(rel),
+        crapThreshold: coverage.crapThreshold,
+        risks: coverage.risks.map(r => ({
+          path: rel(r.filePath),
+          name: r.name,
+          kind: r.kind,
+          startLine: r.startLine,
+          endLine: r.endLine,
+          complexity: r.complexity,
+          coverage: r.coverage,
+          crap: r.crap,
+        })),
+      }
+      : null,
+    plugins: plugins.length > 0
+      ? plugins.map(p => ({
+        name: p.name,
+        version: p.version,
+        metrics: p.metrics,
+        findings: p.findings.map(f => ({
+          path: f.filePath ? rel(f.filePath) : null,
+          line: f.line,
+          rule: f.rule,
+          severity: f.severity,
+          message: f.message,
+        })),
+      }))
+      : null,
+  };
+
+  return report;
+}
+
+/** Totals of a directory or package (see summarizeFiles). */
+function aggregateFields(node, rel) {
+  return {
+    files: node.fileCount,
+    totalLines: node.lines,
+    codeLines: node.codeLines,
+    functionCount: node.functions,
+    complexity: node.complexity,
+    averageComplexity: node.averageComplexity,
+    maintainability: node.maintainability,
+    worstFile: node.worstFile ? rel(node.worstFile.filePath) : null,
+  };
+}
+
+/** Directory nodes in pre-order, the root ('') first. */
+function flattenDirectories(node) {
+  return [node, ...node.children.flatMap(flattenDirectories)];
+}
+
+/** Whether any per-function metric was calculated. */
+function hasFunctionMetrics(columns) {
+  return Boolean(columns.complexity || columns.cognitive || columns.halstead || columns.maintainability);
+}
+
+function toPosix(p) {
+  return p.split(path.sep).join('/');
+}
+
+module.exports = { generateJsonReport, buildJsonReport, SCHEMA_VERSION };
@@ -0,0 +1,284 @@
+/**
+ * SARIF 2.1.0 Report — findings in the Static Analysis Results Interchange
+ * Format, for GitHub code scanning and other SARIF consumers.
+ *
+ * Reported findings:
+ *   - Functions whose complexity falls in the High / Critical bands of the
+ *     HTML report's color scale
+ *   - Files with byte-identical copies elsewhere in the project
+ *   - Copy-pasted blocks (one finding per copy, pointing at the original)
+ *   - Import cycles
+ *   - Unused exports and files unreachable from the entry points
+ *   - Imports that break the configured layer rules
+ *   - React component issues: conditional hooks, effects without a
+ *     dependency array, oversized components
+ *   - Functions whose CRAP score (complexity × missing test coverage) is
+ *     over the threshold
+ *   - Plugin findings (rule ids `<plugin>` or `<plugin>/<rule>`)
+ */
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { complexityBand } = require('./thresholds');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const RULES = [
+  {
+    id: 'function-complexity',
+    name: 'FunctionComplexity',
+    shortDescription: { text: 'Function has high cyclomatic complexity' },
+    fullDescription: {
+      text: 'Cyclomatic complexity above 15 (High) or 30 (Critical). Consider splitting the function.',
+    },
+    defaultConfiguration: { level: 'warning' },
+  },
+  {
+    id: 'duplicate-file',
+    name: 'DuplicateFile',
+    shortDescription: { text: 'File is identical to another file' },
+    fullDescription: { text: 'The file content is byte-identical (same SHA-256) to one or more other files.' },
+    defaultConfiguration: { level: 'warning' },
+  },
+  {
+    id: 'code-clone',
+    name: 'CodeClone',
+    shortDescription: { text: 'Block is a copy of code elsewhere' },
+    fullDescription: {
+      text: 'A run of tokens that matches another block once identifiers and literals are normalized.',
+    },
+    defaultConfiguration: { level: 'note' },
+  },
+  {
+    id: 'import-cycle',
+    name: 'ImportCycle',
+    shortDescription: { text: 'Files import each other in a cycle' },
+    fullDescription: { text: 'A set of files that directly or transitively import each other.' },
+    defaultConfiguration: { level: 'warning' },
+  },
+  {
+    id: 'unused-export',
+    name: 'UnusedExport',
+    shortDescription: { text: 'Export is never imported' },
+    fullDescription: { text: 'No file in the project imports this export, and it is not exposed by an entry point.' },
+    defaultConfiguration: { level: 'note' },
+  },
+  {
+    id: 'unreachable-file',
+    name: 'UnreachableFile',
+    shortDescription: { text: 'File is unreachable from the entry points' },
+    fullDescription: { text: 'No entry point imports this file, directly or through other files.' },
+    defaultConfiguration: { level: 'warning' },
+  },
+  {
+    id: 'layer-violation',
+    name: 'LayerViolation',
+    shortDescription: { text: 'Import breaks a layer rule' },
+    fullDescription: { text: 'The file imports from a layer its layer is not allowed to depend on.' },
+    defaultConfiguration: { level: 'error' },
+  },
+  {
+    id: 'conditional-hook',
+    name: 'ConditionalHook',
+    shortDescription: { text: 'Hook is called conditionally' },
+    fullDescription: {
+      text: 'A React hook called inside a condition, loop or short-circuit. Hooks must run in the same order on every render.',
+    },
+    defaultConfiguration: { level: 'error' },
+  },
+  {
+    id: 'effect-without-dependencies',
+    name: 'EffectWithoutDependencies',
+    shortDescription: { text: 'Effect has no dependency array' },
+    fullDescription: { text: 'useEffect / useLayoutEffect without a dependency array runs after every render.' },
+    defaultConfiguration: { level: 'warning' },
+  },
+  {
+    id: 'large-component',
+    name: 'LargeComponent',
+    shortDescription: { text: 'Component exceeds the size limit' },
+    fullDescription: { text: 'The component has more lines than the configured limit. Consider splitting it.' },
+    defaultConfiguration: { level: 'note' },
+  },
+  {
+    id: 'untested-complexity',
+    name: 'UntestedComplexity',
+    shortDescription: { text: 'Complex function lacks test coverage' },
+    fullDescription: {
+      text: 'The CRAP score, complexity² × (1 − coverage)³ + complexity, is over the threshold. Add tests or simplify the function.',
+    },
+    defaultConfiguration: { level: 'warning' },
+  },
+];
+
+// Complexity band → SARIF level; lower bands are not reported
+const COMPLEXITY_LEVELS = {
+  high: 'warning',
+  critical: 'error',
+};
+
+/**
+ * Generate the SARIF log. Takes the same input as generateReport.
+ *
+ * @returns {string} Pretty-printed SARIF JSON document
+ */
+function generateSarifReport({
+  rootDir, results, duplicateGroups, clones, dependencyGraph, deadCode, layers, components = null, coverage = null, plugins = [],
+  columns,
+}) {
+  const rel = filePath => path.relative(rootDir, filePath).split(path.sep).join('/');
+  const location = (filePath, startLine = 1, endLine = startLine) => ({
+    physicalLocation: {
+      artifactLocation: { uri: rel(filePath), uriBaseId: '%SRCROOT%' },
+      region: { startLine, endLine },
+    },
+  });
+
+  const findings = [];
+
+  if (columns.complexity) {
+    for (const result of results) {
+      for (const fn of result.functions) {
+        const level = COMPLEXITY_LEVELS[complexityBand(fn.complexity)];
+        if (!level) continue;
+        findings.push({
+          ruleId: 'function-complexity',
+          level,
+          message: { text: `${fn.kind} '${fn.name}' has cyclomatic complexity ${fn.complexity}.` },
+          locations: [location(result.filePath, fn.startLine, fn.endLine)],
+        });
+      }
+    }
+  }
+
+  for (const group of duplicateGroups) {
+    for (const file of group.files) {
+      const others = group.files.filter(f => f !== file);
+      findings.push({
+        ruleId: 'duplicate-file',
+        level: 'warning',
+        message: { text: `Identical to ${others.length} other file(s): ${others.map(rel).join(', ')}.` },
+        locations: [location(file)],
+        relatedLocations: others.map((f, i) => ({ id: i + 1, ...location(f) })),
+      });
+    }
+  }
+
+  for (const group of clones ? clones.groups : []) {
+    const [original, ...copies] = group.fragments;
+    for (const copy of copies) {
+      findings.push({
+        ruleId: 'code-clone',
+        level: 'note',
+        message: {
+          text: `${copy.endLine - copy.startLine + 1} lines (${group.tokens} tokens) duplicated from ` +
+            `${rel(original.filePath)}:${original.startLine}-${original.endLine}.`,
+        },
+        locations: [location(copy.filePath, copy.startLine, copy.endLine)],
+        relatedLocations: [{ id: 1, ...location(original.filePath, original.startLine, original.endLine) }],
+      });
+    }
+  }
+
+  for (const cycle of dependencyGraph ? dependencyGraph.cycles : []) {
+    findings.push({
+      ruleId: 'import-cycle',
+      level: 'warning',
+      message: { text: `Import cycle: ${cycle.path.map(rel).join(' → ')}.` },
+      locations: [location(cycle.path[0])],
+      relatedLocations: cycle.files.slice(1).map((f, i) => ({ id: i + 1, ...location(f) })),
+    });
+  }
+
+  if (deadCode) {
+    for (const e of deadCode.unusedExports) {
+      findings.push({
+        ruleId: 'unused-export',
+        level: 'note',
+        message: { text: e.name === 'default' ? 'Default export is never imported.' : `Export '${e.name}' is never imported.` },
+        locations: [location(e.filePath, e.line)],
+      });
+    }
+    for (const filePath of deadCode.deadFiles) {
+      findings.push({
+        ruleId: 'unreachable-file',
+        level: 'warning',
+        message: { text: 'File is not reachable from any entry point.' },
+        locations: [location(filePath)],
+      });
+    }
+  }
+
+  for (const v of layers ? layers.violations : []) {
+    findings.push({
+      ruleId: 'layer-violation',
+      level: 'error',
+      message: { text: `${v.message} (imports ${rel(v.target)}).` },
+      locations: [location(v.filePath, v.line || 1)],
+      relatedLocations: [{ id: 1, ...location(v.target) }],
+    });
+  }
+
+  for (const component of components ? components.components : []) {
+    for (const issue of component.issues) {
+      findings.push({
+        ruleId: issue.rule,
+        level: issue.severity,
+        message: { text: `${issue.message}.` },
+        locations: [location(component.filePath, issue.line)],
+      });
+    }
+  }
+
+  for (const risk of coverage ? coverage.risks : []) {
+    if (risk.crap <= coverage.crapThreshold) break; // highest first
+    findings.push({
+      ruleId: 'untested-complexity',
+      level: 'warning',
+      message: {
+        text: `${risk.kind} '${risk.name}' has CRAP score ${risk.crap} (complexity ${risk.complexity}, ` +
+          `${risk.coverage}% covered; threshold ${coverage.crapThreshold}).`,
+      },
+      locations: [location(risk.filePath, risk.startLine, risk.endLine)],
+    });
+  }
+
+  // Plugin rules are declared as they first occur
+  const rules = [...RULES];
+  for (const plugin of plugins) {
+    for (const f of plugin.findings) {
+      const ruleId = f.rule ? `${plugin.name}/${f.rule}` : plugin.name;
+      if (!rules.some(r => r.id === ruleId)) {
+        rules.push({
+          id: ruleId,
+          name: ruleId,
+          shortDescription: { text: `Finding of plugin ${plugin.name}` },
+          defaultConfiguration: { level: f.severity },
+        });
+      }
+      findings.push({
+        ruleId,
+        level: f.severity,
+        message: { text: f.message },
+        locations: f.filePath ? [location(f.filePath, f.line || 1)] : [],
+      });
+    }
+  }
+
+  const log = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: { driver: { name: 'ts-audit', rules } },
+        originalUriBaseIds: {
+          '%SRCROOT%': { uri: pathToFileURL(rootDir + path.sep).href },
+        },
+        results: findings.map(f => ({ ...f, ruleIndex: rules.findIndex(r => r.id === f.ruleId) })),
+      },
+    ],
+  };
+
+  return `${JSON.stringify(log, null, 2)}\n`;
+}
+
+module.exports = { generateSarifReport };
@@ -7,10 +7,27 @@
  *   - Responsive design with modern CSS
  *   - Client-side sorting, filtering, and search
  *   - Color-coded complexity indicators
- *   - Collapsible duplicate groups
+ *   - Collapsible duplicate groups and side-by-side copy-paste clones
+ *   - Expandable per-file breakdown of the most complex functions
+ *   - Cognitive complexity, Halstead volume and maintainability index columns
+ *   - Type safety: `any`, casts and `@ts-` directive counts with a score
+ *   - Module graph: import cycles, orphan files, fan-in/fan-out
+ *   - Dead code: unused exports and files unreachable from entry points
+ *   - Architecture layer violations with the offending import line
+ *   - React components: props, hooks, JSX depth and their issues
+ *   - Changes since a baseline run, with color-coded deltas
+ *   - Git hotspots ranked by churn × complexity
+ *   - Test coverage per file and the riskiest untested functions (CRAP)
+ *   - Trend charts over the recorded run history (inline SVG)
+ *   - Per-directory and per-package totals: collapsible tree and treemap
+ *   - Cross-package import matrix for workspaces
+ *   - Per-language totals, TypeScript share and a language filter
+ *   - Plugin columns, findings and sections
  */
 const path = require('path');
 const { getDuplicateFilePaths } = require('./analyzers/duplicates');
+const { complexityBand, maintainabilityBand, typeSafetyBand, coverageBand } = require('./thresholds');
+const { summarizeFiles } = require('./analyzers/directories');
 
 /**
  * Escape HTML entities to prevent XSS in generated reports.
@@ -27,18 +44,43 @@ function escapeHtml(str) {
  * Return a CSS class based on complexity score.
  */
 function complexityClass(score) {
-  if (score <= 5) return 'complexity-low';
-  if (score <= 15) return 'complexity-medium';
-  if (score <= 30) return 'complexity-high';
-  return 'complexity-critical';
+  return `complexity-${complexityBand(score)}`;
+}
+
+/** CSS class of a maintainability index (higher is better). */
+function maintainabilityClass(index) {
+  return `maintainability-${maintainabilityBand(index)}`;
+}
+
+/** CSS class of a type-safety score (higher is better). */
+function typeSafetyClass(score) {
+  return `type-safety-${typeSafetyBand(score)}`;
+}
+
+/** CSS class of a coverage percentage (higher is better). */
+function coverageClass(percent) {
+  return `coverage-${coverageBand(percent)}`;
 }
 
 /**
  * Generate the full HTML report.
  */
-function generateReport({ projectName, summary, results, duplicateGroups, columns }) {
+function generateReport({
+  projectName, rootDir, summary, results, duplicateGroups, clones, dependencyGraph, deadCode, layers, directories = null,
+  components = null, languages = null, baselineDiff, hotspots, coverage = null, history = null, plugins = [], changedSince,
+  columns,
+}) {
   const duplicatePaths = getDuplicateFilePaths(duplicateGroups);
+  const graphModules = new Map(
+    dependencyGraph ? dependencyGraph.modules.map(m => [m.filePath, m]) : []
+  );
+  const displayPath = filePath => (rootDir ? path.relative(rootDir, filePath) : filePath);
+  const pluginColumns = plugins.flatMap(p => p.columns.map(c => ({ plugin: p.name, ...c })));
+  const coverageByFile = new Map(coverage ? coverage.files.map(f => [f.filePath, f]) : []);
+  const headers = tableHeaders(columns, dependencyGraph, coverage, pluginColumns);
   const timestamp = new Date().toISOString().replace('T', ' ').slice(0, 19);
+  const summaryDelta = (metric, higherIsWorse) =>
+    (baselineDiff ? renderDelta(baselineDiff.summary[metric], higherIsWorse) : '');
 
   return `<!DOCTYPE html>
 <html lang="en">
@@ -54,53 +96,161 @@ ${CSS}
 
 <header>
   <h1>TypeScript Analysis Report</h1>
-  <p class="subtitle">${escapeHtml(projectName)} &middot; ${timestamp}</p>
+  <p class="subtitle">${escapeHtml(projectName)} &middot; ${timestamp}${changedSince ? ` &middot; files changed since <code>${escapeHtml(changedSince)}</code>` : ''}</p>
 </header>
 
 <section class="summary">
   <div class="metric">
     <span class="metric-value">${summary.totalFiles}</span>
     <span class="metric-label">Files</span>
+    ${summaryDelta('totalFiles', false)}
   </div>
   <div class="metric">
     <span class="metric-value">${summary.totalLines.toLocaleString()}</span>
     <span class="metric-label">Total Lines</span>
+    ${summaryDelta('totalLines', false)}
   </div>
   ${summary.totalFunctions !== null ? `
   <div class="metric">
     <span class="metric-value">${summary.totalFunctions}</span>
     <span class="metric-label">Functions</span>
+    ${summaryDelta('totalFunctions', false)}
   </div>` : ''}
   ${summary.totalComplexity !== null ? `
   <div class="metric">
     <span class="metric-value">${summary.totalComplexity}</span>
     <span class="metric-label">Complexity (${escapeHtml(summary.complexityLevel)})</span>
+    ${summaryDelta('totalComplexity', true)}
+  </div>` : ''}
+  ${summary.totalCognitive !== null ? `
+  <div class="metric">
+    <span class="metric-value">${summary.totalCognitive}</span>
+    <span class="metric-label">Cognitive Complexity</span>
+    ${summaryDelta('totalCognitive', true)}
+  </div>` : ''}
+  ${summary.totalHalsteadVolume !== null ? `
+  <div class="metric">
+    <span class="metric-value">${summary.totalHalsteadVolume.toLocaleString()}</span>
+    <span class="metric-label">Halstead Volume</span>
+  </div>` : ''}
+  ${summary.averageMaintainability !== null ? `
+  <div class="metric">
+    <span class="metric-value ${maintainabilityClass(summary.averageMaintainability)}">${summary.averageMaintainability}</span>
+    <span class="metric-label">Maintainability Index</span>
+    ${summaryDelta('averageMaintainability', false)}
+  </div>` : ''}
+  ${summary.averageTypeSafety !== null ? `
+  <div class="metric">
+    <span class="metric-value ${typeSafetyClass(summary.averageTypeSafety)}">${summary.averageTypeSafety}</span>
+    <span class="metric-label">Type Safety</span>
+    ${summaryDelta('averageTypeSafety', false)}
+  </div>
+  <div class="metric">
+    <span class="metric-value">${summary.totalAny}</span>
+    <span class="metric-label">Explicit <code>any</code></span>
+    ${summaryDelta('totalAny', true)}
+  </div>
+  <div class="metric" title="${summary.totalDoubleCasts} double cast(s) through unknown or any">
+    <span class="metric-value">${summary.totalCasts + summary.totalDoubleCasts}</span>
+    <span class="metric-label">Type Casts</span>
+  </div>
+  <div class="metric">
+    <span class="metric-value">${summary.totalNonNull}</span>
+    <span class="metric-label">Non-null Assertions</span>
+  </div>
+  <div class="metric" title="@ts-ignore ${summary.totalTsIgnore}, @ts-expect-error ${summary.totalTsExpectError}, @ts-nocheck ${summary.totalTsNocheck}">
+    <span class="metric-value">${summary.totalTsIgnore + summary.totalTsExpectError + summary.totalTsNocheck}</span>
+    <span class="metric-label"><code>@ts-</code> Directives</span>
+  </div>` : ''}
+  ${summary.typescriptShare !== null ? `
+  <div class="metric" title="Share of code lines written in TypeScript">
+    <span class="metric-value">${summary.typescriptShare}%</span>
+    <span class="metric-label">TypeScript Share</span>
+    ${summaryDelta('typescriptShare', false)}
+  </div>` : ''}
+  ${coverage && summary.lineCoverage !== null ? `
+  <div class="metric">
+    <span class="metric-value ${coverageClass(summary.lineCoverage)}">${summary.lineCoverage}%</span>
+    <span class="metric-label">Line Coverage</span>
+    ${summaryDelta('lineCoverage', false)}
+  </div>` : ''}
+  ${coverage ? `
+  <div class="metric${summary.riskyFunctions > 0 ? ' metric-warn' : ''}" title="Functions with a CRAP score over ${coverage.crapThreshold}">
+    <span class="metric-value">${summary.riskyFunctions}</span>
+    <span class="metric-label">Risky Functions</span>
+    ${summaryDelta('riskyFunctions', true)}
   </div>` : ''}
   ${duplicateGroups.length > 0 ? `
   <div class="metric metric-warn">
     <span class="metric-value">${duplicateGroups.length}</span>
     <span class="metric-label">Duplicate Groups</span>
+    ${summaryDelta('duplicateGroups', true)}
+  </div>` : ''}
+  ${clones && clones.groups.length > 0 ? `
+  <div class="metric metric-warn">
+    <span class="metric-value">${summary.duplicationPercent}%</span>
+    <span class="metric-label">Duplicated Code</span>
+    ${summaryDelta('duplicationPercent', true)}
+  </div>` : ''}
+  ${dependencyGraph && dependencyGraph.cycles.length > 0 ? `
+  <div class="metric metric-warn">
+    <span class="metric-value">${dependencyGraph.cycles.length}</span>
+    <span class="metric-label">Import Cycles</span>
+    ${summaryDelta('importCycles', true)}
+  </div>` : ''}
+  ${layers && layers.violations.length > 0 ? `
+  <div class="metric metric-warn">
+    <span class="metric-value">${layers.violations.length}</span>
+    <span class="metric-label">Layer Violations</span>
+    ${summaryDelta('layerViolations', true)}
   </div>` : ''}
 </section>
 
-${duplicateGroups.length > 0 ? renderDuplicates(duplicateGroups) : ''}
+${baselineDiff ? renderBaselineChanges(baselineDiff) : ''}
+
+${history ? renderTrends(history) : ''}
+
+${directories ? renderDirectories(directories, columns, displayPath) : ''}
+
+${languages && languages.length > 1 ? renderLanguages(languages, columns, displayPath) : ''}
+
+${duplicateGroups.length > 0 || (clones && clones.groups.length > 0)
+    ? renderDuplicates(duplicateGroups, clones, displayPath)
+    : ''}
+
+${renderFunctionBreakdown(results, columns, displayPath)}
+
+${dependencyGraph ? renderDependencyGraph(dependencyGraph, displayPath) : ''}
+
+${deadCode ? renderDeadCode(deadCode, displayPath) : ''}
+
+${layers ? renderLayers(layers, displayPath) : ''}
+
+${components ? renderComponents(components, displayPath) : ''}
+
+${hotspots ? renderHotspots(hotspots, displayPath) : ''}
+
+${coverage ? renderRisks(coverage, displayPath) : ''}
+
+${plugins.map(p => renderPlugin(p, results, displayPath)).join('\n')}
 
 <section class="table-section">
   <div class="table-controls">
     <input type="text" id="search" placeholder="Filter files..." oninput="filterTable()">
+    ${languages && languages.length > 1 ? `
+    <select id="language-filter" onchange="filterTable()">
+      <option value="">All languages</option>
+      ${languages.map(l => `<option value="${escapeHtml(l.language)}">${escapeHtml(languageLabel(l.language))}</option>`).join('')}
+    </select>` : ''}
   </div>
   <table id="analysis-table">
     <thead>
       <tr>
-        <th onclick="sortTable(0)">File ⇅</th>
-        <th onclick="sortTable(1)">Lines ⇅</th>
-        ${columns.functions ? '<th onclick="sortTable(2)">Functions ⇅</th>' : ''}
-        <th onclick="sortTable(${columns.functions ? 3 : 2})">Dependencies ⇅</th>
-        ${columns.complexity ? `<th onclick="sortTable(${columns.functions ? 4 : 3})">Complexity ⇅</th>` : ''}
+        ${headers.map((label, i) => `<th onclick="sortTable(${i})">${label} ⇅</th>`).join('\n        ')}
       </tr>
     </thead>
     <tbody>
-      ${results.map(r => renderRow(r, columns, duplicatePaths)).join('\n')}
+      ${results.map(r => renderRow(r, columns, duplicatePaths, graphModules.get(r.filePath), coverageByFile.get(r.filePath), pluginColumns, displayPath)).join('\n')}
     </tbody>
   </table>
 </section>
@@ -116,7 +266,435 @@ ${SCRIPT}
 </html>`;
 }
 
-function renderDuplicates(groups) {
+/**
+ * Arrow + signed delta. Increases are colored as regressions when
+ * `higherIsWorse`, otherwise shown neutrally.
+ */
+function renderDelta(change, higherIsWorse = true) {
+  if (!change || change.delta === null) return '';
+  if (change.delta === 0) return '<span class="delta delta-same">= 0</span>';
+
+  const up = change.delta > 0;
+  let cls = 'delta-neutral';
+  if (higherIsWorse) cls = up ? 'delta-worse' : 'delta-better';
+  return `<span class="delta ${cls}" title="was ${change.before}">${up ? '▲ +' : '▼ '}${change.delta}</span>`;
+}
+
+function renderBaselineChanges(diff) {
+  const fileList = (files, label) => (files.length > 0 ? `<details>
+      <summary>${files.length} ${label}</summary>
+      <ul>${files.map(f => `<li>${escapeHtml(f)}</li>`).join('')}</ul>
+    </details>` : '');
+
+  const changedRows = diff.changedFiles.map(c => `
+        <tr>
+          <td>${escapeHtml(c.path)}</td>
+          <td>${c.lines.after} ${renderDelta(c.lines, false)}</td>
+          <td>${c.functions.after ?? '—'} ${renderDelta(c.functions, false)}</td>
+          <td>${c.complexity.after ?? '—'} ${renderDelta(c.complexity, true)}</td>
+          <td>${c.any.after ?? '—'} ${renderDelta(c.any, true)}</td>
+        </tr>`).join('');
+  const changed = diff.changedFiles.length > 0 ? `<details open>
+      <summary>${diff.changedFiles.length} changed file(s)</summary>
+      <table class="fn-table">
+        <thead><tr><th>File</th><th>Lines</th><th>Functions</th><th>Complexity</th><th><code>any</code></th></tr></thead>
+        <tbody>${changedRows}</tbody>
+      </table>
+    </details>` : '';
+
+  const groupList = (groups, label) => (groups.length > 0 ? `<details>
+      <summary>${groups.length} ${label}</summary>
+      <ul>${groups.map(g => `<li>${g.files.map(f => escapeHtml(f)).join(' = ')}</li>`).join('')}</ul>
+    </details>` : '');
+
+  const newDeps = diff.newDependencies.length > 0 || diff.newPackages.length > 0 ? `<details>
+      <summary>New dependencies${diff.newPackages.length > 0 ? ` (${diff.newPackages.length} new package(s))` : ''}</summary>
+      ${diff.newPackages.length > 0 ? `<p class="graph-stats">New packages: ${diff.newPackages.map(p => escapeHtml(p)).join(', ')}</p>` : ''}
+      <ul>${diff.newDependencies.map(d => `<li>${escapeHtml(d.path)}: ${d.dependencies.map(x => escapeHtml(x)).join(', ')}</li>`).join('')}</ul>
+    </details>` : '';
+
+  const body = [
+    fileList(diff.addedFiles, 'added file(s)'),
+    fileList(diff.removedFiles, 'removed file(s)'),
+    changed,
+    groupList(diff.newDuplicateGroups, 'new duplicate group(s)'),
+    groupList(diff.resolvedDuplicateGroups, 'resolved duplicate group(s)'),
+    newDeps,
+  ].join('\n');
+
+  return `
+  <section class="baseline">
+    <h2>Changes since baseline</h2>
+    <p class="graph-stats">Baseline from ${escapeHtml(String(diff.baselineGeneratedAt || 'unknown date').replace('T', ' ').slice(0, 19))}</p>
+    ${body.trim() || '<p>No changes.</p>'}
+  </section>`;
+}
+
+// Summary metrics charted over the run history
+const TREND_METRICS = [
+  { key: 'totalLines', label: 'Total lines', higherIsWorse: false },
+  { key: 'totalComplexity', label: 'Total complexity', higherIsWorse: true },
+  { key: 'duplicateGroups', label: 'Duplicate groups', higherIsWorse: true },
+  { key: 'totalFunctions', label: 'Functions', higherIsWorse: false },
+  { key: 'totalAny', label: 'Explicit any', higherIsWorse: true },
+  { key: 'typescriptShare', label: 'TypeScript share (%)', higherIsWorse: false },
+  { key: 'lineCoverage', label: 'Line coverage (%)', higherIsWorse: false },
+];
+
+function renderTrends(history) {
+  if (history.length < 2) {
+    return `
+  <section class="graph trends">
+    <h2>Trends</h2>
+    <p class="graph-stats">${history.length} run recorded; charts appear from the second run on.</p>
+  </section>`;
+  }
+
+  const charts = TREND_METRICS.map(({ key, label, higherIsWorse }) => {
+    const points = history
+      .filter(entry => typeof entry.summary[key] === 'number')
+      .map(entry => ({ time: Date.parse(entry.timestamp), value: entry.summary[key], entry }));
+    return renderTrendChart(label, points, higherIsWorse);
+  }).join('\n');
+
+  const first = history[0].timestamp.slice(0, 10);
+  const last = history[history.length - 1].timestamp.slice(0, 10);
+  return `
+  <section class="graph trends">
+    <h2>Trends</h2>
+    <p class="graph-stats">${history.length} runs from ${first} to ${last}</p>
+    <div class="trend-grid">
+    ${charts}
+    </div>
+  </section>`;
+}
+
+// Chart size in SVG units, and the room left for axis labels
+const CHART = { width: 320, height: 140, left: 48, right: 10, top: 10, bottom: 22 };
+
+/**
+ * One metric over time as a line chart, x by timestamp. Each point has a
+ * tooltip with the date, commit and value.
+ */
+function renderTrendChart(label, points, higherIsWorse) {
+  if (points.length === 0) {
+    return `<figure class="trend"><figcaption>${escapeHtml(label)}</figcaption><p class="graph-stats">Not measured.</p></figure>`;
+  }
+
+  const { width, height, left, right, top, bottom } = CHART;
+  const times = points.map(p => p.time);
+  const values = points.map(p => p.value);
+  const [tMin, tMax] = [Math.min(...times), Math.max(...times)];
+  let [vMin, vMax] = [Math.min(...values), Math.max(...values)];
+  if (vMin === vMax) [vMin, vMax] = [vMin - 1, vMax + 1];
+
+  const x = t => (tMax === tMin ? (left + width - right) / 2 : left + ((t - tMin) / (tMax - tMin)) * (width - left - right));
+  const y = v => top + (1 - (v - vMin) / (vMax - vMin)) * (height - top - bottom);
+  const round = n => Math.round(n * 10) / 10;
+
+  const line = points.map(p => `${round(x(p.time))},${round(y(p.value))}`).join(' ');
+  const dots = points.map(({ time, value, entry }) => {
+    const commit = entry.commit ? ` · ${entry.commit.sha.slice(0, 7)}${entry.commit.dirty ? '+' : ''}` : '';
+    const tip = `${entry.timestamp.replace('T', ' ').slice(0, 16)}${commit}: ${value.toLocaleString()}`;
+    return `<circle class="trend-point" cx="${round(x(time))}" cy="${round(y(value))}" r="3"><title>${escapeHtml(tip)}</title></circle>`;
+  }).join('');
+
+  const firstValue = values[0];
+  const lastValue = values[values.length - 1];
+  const change = { before: firstValue, after: lastValue, delta: round(lastValue - firstValue) };
+  const date = time => new Date(time).toISOString().slice(0, 10);
+
+  return `<figure class="trend">
+      <figcaption>${escapeHtml(label)} <strong>${lastValue.toLocaleString()}</strong> ${renderDelta(change, higherIsWorse)}</figcaption>
+      <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(label)} over time">
+        <line class="trend-axis" x1="${left}" y1="${top}" x2="${left}" y2="${height - bottom}"/>
+        <line class="trend-axis" x1="${left}" y1="${height - bottom}" x2="${width - right}" y2="${height - bottom}"/>
+        <text class="trend-label" x="${left - 4}" y="${top + 4}" text-anchor="end">${round(vMax).toLocaleString()}</text>
+        <text class="trend-label" x="${left - 4}" y="${height - bottom}" text-anchor="end">${round(vMin).toLocaleString()}</text>
+        <text class="trend-label" x="${left}" y="${height - 6}">${date(tMin)}</text>
+        <text class="trend-label" x="${width - right}" y="${height - 6}" text-anchor="end">${date(tMax)}</text>
+        <polyline class="trend-line" points="${line}"/>
+        ${dots}
+      </svg>
+    </figure>`;
+}
+
+/**
+ * Directory totals as a treemap and a collapsible tree table, then the
+ * package totals and imports between packages when there is more than one
+ * package. Skipped for projects without subdirectories.
+ */
+function renderDirectories({ tree, packages, packageDependencies = [] }, columns, displayPath) {
+  if (tree.children.length === 0) return '';
+
+  const cells = node => aggregateCells(node, columns, displayPath);
+  const headers = aggregateHeaders(columns);
+
+  // Top-level directories start expanded, deeper levels collapsed
+  const rows = [];
+  const addRows = (node, depth) => {
+    for (const child of node.children) {
+      const parent = node.path;
+      const expanded = depth === 0;
+      const toggle = child.children.length > 0
+        ? `<button class="dir-toggle" onclick="toggleDirectory(this)" aria-expanded="${expanded}">${expanded ? '▾' : '▸'}</button>`
+        : '<span class="dir-toggle"></span>';
+      rows.push(`
+        <tr data-dir="${escapeHtml(child.path)}" data-parent="${escapeHtml(parent)}"${depth > 1 ? ' hidden' : ''}>
+          <td style="padding-left: ${0.5 + depth * 1.25}rem">${toggle}${escapeHtml(child.name)}/</td>${cells(child)}
+        </tr>`);
+      addRows(child, depth + 1);
+    }
+  };
+  addRows(tree, 0);
+  if (tree.files.length > 0) {
+    const rootFiles = summarizeFiles(tree.files, columns);
+    rows.push(`
+        <tr data-dir="" data-parent="">
+          <td><span class="dir-toggle"></span><em>files in the project root</em></td>${cells(rootFiles)}
+        </tr>`);
+  }
+
+  const packageTable = packages.length > 1 ? `
+    <h3>Packages</h3>
+    <table class="fn-table">
+      <thead><tr><th>Package</th><th>Directory</th>${headers}</tr></thead>
+      <tbody>${packages.map(pkg => `
+        <tr>
+          <td>${escapeHtml(pkg.name)}</td>
+          <td>${escapeHtml(pkg.path || '.')}</td>${cells(pkg)}
+        </tr>`).join('')}
+      </tbody>
+    </table>
+    ${packageDependencies.length > 0 ? renderPackageMatrix(packages, packageDependencies) : ''}` : '';
+
+  return `
+  <section class="graph directories">
+    <h2>Directories</h2>
+    <p class="graph-stats">Area is proportional to lines${columns.complexity ? '; color shows complexity per file (directories: average per file)' : ''}. Hover for details.</p>
+    ${renderTreemap(tree, columns, displayPath)}
+    <table class="fn-table" id="directory-table">
+      <thead><tr><th>Directory</th>${headers}</tr></thead>
+      <tbody>${rows.join('')}
+      </tbody>
+    </table>
+    ${packageTable}
+  </section>`;
+}
+
+/** Table cells of a directory, package or language total (see summarizeFiles). */
+function aggregateCells(node, columns, displayPath) {
+  const worst = node.worstFile
+    ? `<span title="${escapeHtml(node.worstFile.filePath)}">${escapeHtml(displayPath(node.worstFile.filePath))}</span>
+        <span class="fn-kind">${node.worstFile.value}${columns.complexity ? '' : ' lines'}</span>`
+    : '—';
+  return `
+          <td>${node.fileCount}</td>
+          <td>${node.lines.toLocaleString()}</td>
+          ${columns.functions ? `<td>${node.functions}</td>` : ''}
+          ${columns.complexity ? `<td>${node.complexity}</td>
+          <td class="${complexityClass(node.averageComplexity)}">${node.averageComplexity}</td>` : ''}
+          ${columns.maintainability ? `<td class="${maintainabilityClass(node.maintainability)}">${node.maintainability}</td>` : ''}
+          <td>${worst}</td>`;
+}
+
+/** Header cells matching aggregateCells. */
+function aggregateHeaders(columns) {
+  return [
+    'Files', 'Lines',
+    ...(columns.functions ? ['Functions'] : []),
+    ...(columns.complexity ? ['Complexity', 'Avg / file'] : []),
+    ...(columns.maintainability ? ['MI'] : []),
+    columns.complexity ? 'Most complex file' : 'Largest file',
+  ].map(label => `<th>${label}</th>`).join('');
+}
+
+// Display names of the language tags (see analyzers/languages.js)
+const LANGUAGE_LABELS = { typescript: 'TypeScript', javascript: 'JavaScript' };
+
+function languageLabel(language) {
+  return LANGUAGE_LABELS[language] || language;
+}
+
+/**
+ * Totals per language, with the share of code lines as a bar: how far a
+ * JavaScript-to-TypeScript migration has come.
+ */
+function renderLanguages(languages, columns, displayPath) {
+  const codeLines = languages.reduce((sum, l) => sum + l.codeLines, 0);
+  const rows = languages.map(l => {
+    const share = Math.round((l.codeLines / Math.max(codeLines, 1)) * 1000) / 10;
+    return `
+        <tr>
+          <td>${escapeHtml(languageLabel(l.language))}</td>
+          <td><span class="language-bar language-${escapeHtml(l.language)}" style="width: ${Math.max(2, Math.round(share * 1.2))}px"></span> ${share}%</td>${aggregateCells(l, columns, displayPath)}
+        </tr>`;
+  }).join('');
+
+  return `
+  <section class="graph languages">
+    <h2>Languages</h2>
+    <p class="graph-stats">Share of code lines per language. Type-safety metrics cover TypeScript files only.</p>
+    <table class="fn-table">
+      <thead><tr><th>Language</th><th>Code share</th>${aggregateHeaders(columns)}</tr></thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+  </section>`;
+}
+
+/**
+ * Imports between packages as a matrix: rows import from columns. Pairs of
+ * packages that import each other are highlighted.
+ */
+function renderPackageMatrix(packages, dependencies) {
+  const index = new Map(packages.map((pkg, i) => [pkg.name, i]));
+  const counts = packages.map(() => packages.map(() => 0));
+  for (const { from, to, imports } of dependencies) counts[index.get(from)][index.get(to)] = imports;
+  const max = Math.max(...dependencies.map(d => d.imports));
+
+  const rows = packages.map((from, i) => {
+    const cells = packages.map((to, j) => {
+      if (i === j) return '<td class="matrix-self"></td>';
+      const count = counts[i][j];
+      if (count === 0) return '<td></td>';
+      const mutual = counts[j][i] > 0;
+      const tip = `${from.name} → ${to.name}: ${count} import(s)${mutual ? ' — imported back' : ''}`;
+      return `<td class="matrix-cell${mutual ? ' matrix-mutual' : ''}" style="--weight: ${Math.round((count / max) * 100) / 100}" title="${escapeHtml(tip)}">${count}</td>`;
+    }).join('');
+    return `
+        <tr><th scope="row">${i + 1}. ${escapeHtml(from.name)}</th>${cells}</tr>`;
+  }).join('');
+
+  return `
+    <h3>Imports between packages</h3>
+    <p class="graph-stats">Rows import from columns; red cells are packages that import each other.</p>
+    <div class="matrix-scroll">
+    <table class="fn-table package-matrix">
+      <thead><tr><th></th>${packages.map((pkg, i) => `<th title="${escapeHtml(pkg.name)}">${i + 1}</th>`).join('')}</tr></thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+    </div>`;
+}
+
+// Treemap size in SVG units; directories below this depth are drawn as one cell
+const TREEMAP = { width: 960, height: 420, maxDepth: 3, header: 15 };
+
+/**
+ * Nested treemap of directories and files, sized by total lines and colored
+ * by complexity band. Directories too small to show their contents are
+ * drawn as a single cell.
+ */
+function renderTreemap(tree, columns, displayPath) {
+  const shapes = [];
+  const band = score => (columns.complexity ? complexityBand(score) : 'none');
+  const round = n => Math.round(n * 10) / 10;
+  const label = (text, x, y, width, cls) => {
+    const fits = Math.floor((width - 6) / 6.5);
+    if (fits < 3) return '';
+    const shown = text.length > fits ? `${text.slice(0, fits - 1)}…` : text;
+    return `<text class="${cls}" x="${round(x + 3)}" y="${round(y + 11)}">${escapeHtml(shown)}</text>`;
+  };
+  const rect = (cls, { x, y, width, height }, tip) =>
+    `<rect class="${cls}" x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}"><title>${escapeHtml(tip)}</title></rect>`;
+  const describe = (name, lines, complexity) =>
+    `${name} — ${lines.toLocaleString()} lines${columns.complexity ? `, complexity ${complexity}` : ''}`;
+
+  const layout = (node, box, depth) => {
+    const items = [
+      ...node.children.map(dir => ({ value: dir.lines, dir })),
+      ...node.files.map(file => ({ value: file.totalLines, file })),
+    ].filter(item => item.value > 0).sort((a, b) => b.value - a.value);
+
+    for (const { item, ...cell } of squarify(items, box)) {
+      if (item.file) {
+        const { filePath, totalLines, complexity } = item.file;
+        shapes.push(rect(`tm-cell tm-${band(complexity)}`, cell, describe(displayPath(filePath), totalLines, complexity)));
+        if (cell.height >= 14) shapes.push(label(path.basename(filePath), cell.x, cell.y, cell.width, 'tm-label'));
+        continue;
+      }
+      const dir = item.dir;
+      const tip = describe(`${dir.path}/`, dir.lines, `${dir.complexity} (${dir.averageComplexity} per file)`);
+      if (depth >= TREEMAP.maxDepth || cell.width < 40 || cell.height < TREEMAP.header * 2) {
+        shapes.push(rect(`tm-cell tm-${band(dir.averageComplexity)}`, cell, tip));
+        if (cell.height >= 14) shapes.push(label(`${dir.name}/`, cell.x, cell.y, cell.width, 'tm-label'));
+        continue;
+      }
+      shapes.push(rect('tm-dir', cell, tip));
+      shapes.push(label(`${dir.name}/`, cell.x, cell.y, cell.width, 'tm-dir-label'));
+      layout(dir, {
+        x: cell.x + 1,
+        y: cell.y + TREEMAP.header,
+        width: cell.width - 2,
+        height: cell.height - TREEMAP.header - 1,
+      }, depth + 1);
+    }
+  };
+  layout(tree, { x: 0, y: 0, width: TREEMAP.width, height: TREEMAP.height }, 0);
+
+  const legend = columns.complexity
+    ? `<p class="tm-legend">${['low', 'medium', 'high', 'critical']
+      .map(name => `<span class="tm-swatch tm-${name}"></span>${name}`).join(' ')}</p>`
+    : '';
+  return `<svg class="treemap" viewBox="0 0 ${TREEMAP.width} ${TREEMAP.height}" role="img" aria-label="Treemap of lines per directory">
+      ${shapes.join('\n      ')}
+    </svg>
+    ${legend}`;
+}
+
+/**
+ * Squarified treemap layout (Bruls, Huizing, van Wijk): fills the box row
+ * by row, adding items to a row while that keeps its cells closer to square.
+ *
+ * @param {Array<{value: number}>} items - Positive values, largest first
+ * @param {{x: number, y: number, width: number, height: number}} box
+ * @returns {Array<{item, x: number, y: number, width: number, height: number}>}
+ */
+function squarify(items, box) {
+  const total = items.reduce((sum, item) => sum + item.value, 0);
+  if (total === 0 || box.width <= 0 || box.height <= 0) return [];
+  const scale = (box.width * box.height) / total;
+  let rest = items.map(item => ({ item, area: item.value * scale }));
+  let { x, y, width, height } = box;
+
+  // Worst aspect ratio of a row laid along a side of this length
+  const worst = (row, side) => {
+    const sum = row.reduce((s, r) => s + r.area, 0);
+    const max = Math.max(...row.map(r => r.area));
+    const min = Math.min(...row.map(r => r.area));
+    return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+  };
+
+  const cells = [];
+  while (rest.length > 0) {
+    const side = Math.min(width, height);
+    let count = 1;
+    while (count < rest.length && worst(rest.slice(0, count + 1), side) <= worst(rest.slice(0, count), side)) count++;
+    const row = rest.slice(0, count);
+    rest = rest.slice(count);
+
+    const thickness = row.reduce((s, r) => s + r.area, 0) / side;
+    let offset = 0;
+    for (const { item, area } of row) {
+      const length = area / thickness;
+      cells.push(width >= height
+        ? { item, x, y: y + offset, width: thickness, height: length }
+        : { item, x: x + offset, y, width: length, height: thickness });
+      offset += length;
+    }
+    if (width >= height) {
+      x += thickness;
+      width -= thickness;
+    } else {
+      y += thickness;
+      height -= thickness;
+    }
+  }
+  return cells;
+}
+
+function renderDuplicates(groups, clones, displayPath) {
   const items = groups.map(g => {
     const fileList = g.files.map(f => `<li>${escapeHtml(f)}</li>`).join('');
     return `<details>
@@ -127,18 +705,438 @@ function renderDuplicates(groups) {
 
   return `
   <section class="duplicates">
-    <h2>⚠ Duplicate Files</h2>
+    <h2>⚠ Duplicate Code</h2>
+    ${items ? `<h3>Identical files</h3>
+    ${items}` : ''}
+    ${clones && clones.groups.length > 0 ? renderClones(clones, displayPath) : ''}
+  </section>`;
+}
+
+// Clone groups and per-file rows listed in the report
+const MAX_CLONE_GROUPS = 50;
+const MAX_CLONE_FILES = 20;
+
+function renderClones(clones, displayPath) {
+  const where = f => `${displayPath(f.filePath)}:${f.startLine}–${f.endLine}`;
+  const snippet = f => `
+        <figure>
+          <figcaption title="${escapeHtml(f.filePath)}">${escapeHtml(where(f))}</figcaption>
+          <pre>${escapeHtml(f.snippet || '')}</pre>
+        </figure>`;
+
+  const groups = clones.groups.slice(0, MAX_CLONE_GROUPS).map(g => `<details>
+      <summary>${g.fragments.length} copies of ${g.lines} lines (${g.tokens} tokens) — ${escapeHtml(where(g.fragments[0]))}</summary>
+      <ul>${g.fragments.map(f => `<li>${escapeHtml(where(f))}</li>`).join('')}</ul>
+      <div class="clone-pair">${g.fragments.slice(0, 2).map(snippet).join('')}
+      </div>
+    </details>`).join('\n');
+
+  const rows = clones.files.slice(0, MAX_CLONE_FILES).map(f => `
+        <tr>
+          <td title="${escapeHtml(f.filePath)}">${escapeHtml(displayPath(f.filePath))}</td>
+          <td>${f.duplicatedLines}</td>
+          <td>${f.percent}%</td>
+        </tr>`).join('');
+
+  const more = clones.groups.length > MAX_CLONE_GROUPS
+    ? `<p class="graph-stats">… and ${clones.groups.length - MAX_CLONE_GROUPS} smaller group(s)</p>`
+    : '';
+
+  return `
+    <h3>Copy-pasted blocks</h3>
+    ${groups}
+    ${more}
+    <table class="fn-table">
+      <thead><tr><th>File</th><th>Duplicated lines</th><th>Duplicated</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+// Functions listed per file in the complexity breakdown
+const WORST_FUNCTIONS_PER_FILE = 10;
+
+// Per-function metrics in the breakdown; functions are ranked by the first
+// enabled one (`rank`: higher = worse)
+const FUNCTION_METRICS = [
+  {
+    column: 'complexity',
+    label: 'Complexity',
+    className: fn => complexityClass(fn.complexity),
+    value: fn => fn.complexity,
+    rank: fn => fn.complexity,
+  },
+  {
+    column: 'cognitive',
+    label: 'Cognitive',
+    className: fn => complexityClass(fn.cognitive),
+    value: fn => fn.cognitive,
+    rank: fn => fn.cognitive,
+  },
+  {
+    column: 'halstead',
+    label: 'Halstead Vol.',
+    className: () => '',
+    value: fn => renderHalstead(fn.halstead),
+    rank: fn => fn.halstead.effort,
+  },
+  {
+    column: 'maintainability',
+    label: 'MI',
+    className: fn => maintainabilityClass(fn.maintainability),
+    value: fn => fn.maintainability,
+    rank: fn => 100 - fn.maintainability,
+  },
+];
+
+/** Halstead volume, with difficulty and effort on hover. */
+function renderHalstead({ volume, difficulty, effort }) {
+  return `<span title="difficulty ${difficulty}, effort ${effort.toLocaleString()}">${volume}</span>`;
+}
+
+function renderTypeSafety({ casts, doubleCasts, nonNull, tsIgnore, tsExpectError, tsNocheck, score }) {
+  const title = `${casts} cast(s), ${doubleCasts} double cast(s), ${nonNull} non-null assertion(s), ` +
+    `@ts-ignore ${tsIgnore}, @ts-expect-error ${tsExpectError}, @ts-nocheck ${tsNocheck}`;
+  return `<span class="${typeSafetyClass(score)}" title="${title}">${score}</span>`;
+}
+
+function renderFunctionBreakdown(results, columns, displayPath) {
+  const metrics = FUNCTION_METRICS.filter(m => columns[m.column]);
+  if (metrics.length === 0) return '';
+  const [primary] = metrics;
+
+  const files = results
+    .filter(r => r.functions && r.functions.length > 0)
+    .map(r => ({ result: r, worst: [...r.functions].sort((a, b) => primary.rank(b) - primary.rank(a)) }))
+    .sort((a, b) => primary.rank(b.worst[0]) - primary.rank(a.worst[0]));
+
+  if (files.length === 0) return '';
+
+  const items = files.map(({ result, worst }) => {
+    const rows = worst.slice(0, WORST_FUNCTIONS_PER_FILE).map(fn => `
+        <tr>
+          <td>${escapeHtml(fn.name)} <span class="fn-kind">${escapeHtml(fn.kind)}</span></td>
+          <td>${fn.startLine}–${fn.endLine}</td>
+          ${metrics.map(m => `<td class="${m.className(fn)}">${m.value(fn)}</td>`).join('')}
+        </tr>`).join('');
+    const more = worst.length > WORST_FUNCTIONS_PER_FILE
+      ? `<p class="fn-more">…and ${worst.length - WORST_FUNCTIONS_PER_FILE} more</p>`
+      : '';
+
+    return `<details>
+      <summary title="${escapeHtml(result.filePath)}">
+        ${escapeHtml(displayPath(result.filePath))}
+        <span class="fn-summary">${result.functions.length} function(s), worst
+        <span class="${primary.className(worst[0])}">${primary.value(worst[0])}</span></span>
+      </summary>
+      <table class="fn-table">
+        <thead><tr><th>Function</th><th>Lines</th>${metrics.map(m => `<th>${m.label}</th>`).join('')}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${more}
+    </details>`;
+  }).join('\n');
+
+  return `
+  <section class="functions">
+    <h2>Function Complexity</h2>
     ${items}
   </section>`;
 }
 
-function renderRow(result, columns, duplicatePaths) {
+function renderDependencyGraph(graph, displayPath) {
+  const cycles = graph.cycles.map(c => `<details>
+      <summary>${c.files.length} file(s) in cycle</summary>
+      <p class="cycle-path">${c.path.map(f => escapeHtml(displayPath(f))).join(' → ')}</p>
+    </details>`).join('\n');
+
+  const orphans = graph.orphans.length > 0 ? `<details>
+      <summary>${graph.orphans.length} orphan file(s) — not imported by any scanned file</summary>
+      <ul>${graph.orphans.map(f => `<li>${escapeHtml(displayPath(f))}</li>`).join('')}</ul>
+    </details>` : '';
+
+  const mostImported = [...graph.modules]
+    .filter(m => m.fanIn > 0)
+    .sort((a, b) => b.fanIn - a.fanIn)
+    .slice(0, 10);
+  const hubs = mostImported.length > 0 ? `<details>
+      <summary>Most imported files</summary>
+      <ul>${mostImported.map(m => `<li>${escapeHtml(displayPath(m.filePath))} <span class="fn-kind">fan-in ${m.fanIn}</span></li>`).join('')}</ul>
+    </details>` : '';
+
+  return `
+  <section class="graph">
+    <h2>Dependency Graph</h2>
+    <p class="graph-stats">${graph.modules.length} modules &middot; ${graph.edgeCount} resolved imports &middot; ${graph.cycles.length} cycle(s)</p>
+    ${cycles}
+    ${orphans}
+    ${hubs}
+  </section>`;
+}
+
+function renderDeadCode(deadCode, displayPath) {
+  const { entryPoints, entryFiles, deadFiles, unusedExports } = deadCode;
+
+  const entries = entryFiles.length > 0
+    ? `<details>
+      <summary>${entryFiles.length} entry point(s)</summary>
+      <ul>${entryFiles.map(f => `<li>${escapeHtml(displayPath(f))}</li>`).join('')}</ul>
+    </details>`
+    : `<p class="graph-stats">No file matches the entry points (${escapeHtml(entryPoints.join(', '))}), so unreachable files are not reported.</p>`;
+
+  const unreachable = deadFiles.length > 0 ? `<details>
+      <summary>${deadFiles.length} unreachable file(s) — not imported, directly or indirectly, by any entry point</summary>
+      <ul>${deadFiles.map(f => `<li>${escapeHtml(displayPath(f))}</li>`).join('')}</ul>
+    </details>` : '';
+
+  const byFile = new Map();
+  for (const e of unusedExports) {
+    if (!byFile.has(e.filePath)) byFile.set(e.filePath, []);
+    byFile.get(e.filePath).push(e);
+  }
+  const exports = [...byFile].map(([filePath, list]) => `<details>
+      <summary>${escapeHtml(displayPath(filePath))} <span class="fn-kind">${list.length} unused</span></summary>
+      <ul>${list.map(e => `<li><code>${escapeHtml(e.name)}</code> <span class="fn-kind">line ${e.line}</span></li>`).join('')}</ul>
+    </details>`).join('\n');
+
+  return `
+  <section class="graph dead-code">
+    <h2>Dead code</h2>
+    <p class="graph-stats">${unusedExports.length} unused export(s) &middot; ${deadFiles.length} unreachable file(s)</p>
+    ${entries}
+    ${unreachable}
+    ${exports}
+  </section>`;
+}
+
+/**
+ * Layer rules and their violations, grouped by importing → imported layer.
+ */
+function renderLayers({ layers, violations }, displayPath) {
+  const rules = layer => [
+    layer.allowed ? `may import ${layer.allowed.length > 0 ? layer.allowed.join(', ') : 'no other layer'}` : '',
+    layer.forbidden.length > 0 ? `must not import ${layer.forbidden.join(', ')}` : '',
+  ].filter(Boolean).join('; ') || 'no rules';
+  const definitions = `<details>
+      <summary>${layers.length} layer(s)</summary>
+      <ul>${layers.map(l => `<li><strong>${escapeHtml(l.name)}</strong> <code>${escapeHtml(l.files.join(', '))}</code>
+        <span class="fn-kind">${l.fileCount} file(s) &middot; ${escapeHtml(rules(l))}</span></li>`).join('')}</ul>
+    </details>`;
+
+  const byDirection = new Map();
+  for (const v of violations) {
+    const direction = `${v.from} → ${v.to || '(no layer)'}`;
+    if (!byDirection.has(direction)) byDirection.set(direction, []);
+    byDirection.get(direction).push(v);
+  }
+  const groups = [...byDirection].map(([direction, list]) => `<details open>
+      <summary>${escapeHtml(direction)} <span class="fn-kind">${list.length} import(s) &middot; ${escapeHtml(list[0].message)}</span></summary>
+      <ul>${list.map(v => `<li>${escapeHtml(displayPath(v.filePath))}${v.line ? `:${v.line}` : ''}
+        <code>${escapeHtml(v.source || v.specifier)}</code></li>`).join('')}</ul>
+    </details>`).join('\n');
+
+  return `
+  <section class="graph layers">
+    <h2>Architecture layers</h2>
+    <p class="graph-stats">${violations.length} import(s) break the layer rules</p>
+    ${definitions}
+    ${groups}
+  </section>`;
+}
+
+// Rows shown in the component table
+const MAX_COMPONENTS = 50;
+
+/**
+ * Components with the most issues first; each row lists its hooks and
+ * issues on hover / below the name.
+ */
+function renderComponents({ components, issueCount }, displayPath) {
+  if (components.length === 0) {
+    return `
+  <section class="hotspots components">
+    <h2>Components</h2>
+    <p class="graph-stats">No React components found in .tsx / .jsx files.</p>
+  </section>`;
+  }
+
+  const hookList = c => c.hooks
+    .map(h => `${h.name} (line ${h.line}${h.conditional ? ', conditional' : ''}${h.dependencies ? ', with deps' : ''})`)
+    .join('\n');
+  const rows = components.slice(0, MAX_COMPONENTS).map(c => `
+        <tr>
+          <td><strong>${escapeHtml(c.name)}</strong> <span class="fn-kind">${c.kind}</span>${c.issues.length > 0 ? `
+            <ul class="component-issues">${c.issues.map(i => `<li><span class="severity severity-${i.severity}">${i.severity}</span>
+              line ${i.line} — ${escapeHtml(i.message)}</li>`).join('')}</ul>` : ''}</td>
+          <td title="${escapeHtml(c.filePath)}">${escapeHtml(displayPath(c.filePath))}:${c.startLine}</td>
+          <td>${c.props ?? '—'}</td>
+          <td title="${escapeHtml(hookList(c))}">${c.hooks.length}</td>
+          <td>${c.jsxDepth}</td>
+          <td>${c.lines}</td>
+          <td>${c.issues.length}</td>
+        </tr>`).join('');
+
+  const more = components.length > MAX_COMPONENTS
+    ? `<p class="graph-stats">Showing ${MAX_COMPONENTS} of ${components.length} components (see the JSON report for all).</p>`
+    : '';
+
+  return `
+  <section class="hotspots components">
+    <h2>Components</h2>
+    <p class="graph-stats">${components.length} component(s) &middot; ${issueCount} issue(s): conditional hooks, effects without a dependency array, oversized components</p>
+    <table class="fn-table">
+      <thead><tr><th>Component</th><th>File</th><th>Props</th><th>Hooks</th><th>JSX depth</th><th>Lines</th><th>Issues</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${more}
+  </section>`;
+}
+
+/**
+ * One section per plugin: its project metrics, the findings of both hooks,
+ * then the plugin's own sections (their HTML is inserted as returned).
+ */
+function renderPlugin(plugin, results, displayPath) {
+  const metrics = Object.entries(plugin.metrics);
+  const stats = metrics.length > 0
+    ? `<p class="graph-stats">${metrics.map(([key, value]) => `${escapeHtml(key)}: ${escapeHtml(value)}`).join(' &middot; ')}</p>`
+    : '';
+
+  const where = f => (f.filePath ? escapeHtml(displayPath(f.filePath)) + (f.line ? `:${f.line}` : '') : 'project');
+  const findings = plugin.findings.length > 0 ? `<details>
+      <summary>${plugin.findings.length} finding(s)</summary>
+      <ul>${plugin.findings.map(f => `<li><span class="severity severity-${f.severity}">${f.severity}</span>
+        ${where(f)} — ${escapeHtml(f.message)}${f.rule ? ` <span class="fn-kind">${escapeHtml(f.rule)}</span>` : ''}</li>`).join('')}</ul>
+    </details>` : '<p class="graph-stats">No findings.</p>';
+
+  const sections = plugin.sections.map(section => `
+    <h3>${escapeHtml(section.title)}</h3>
+    ${section.render({ results, metrics: plugin.metrics, findings: plugin.findings, displayPath, escapeHtml })}`).join('');
+
+  return `
+  <section class="graph plugin">
+    <h2>${escapeHtml(plugin.name)}</h2>
+    ${stats}
+    ${findings}
+    ${sections}
+  </section>`;
+}
+
+// Rows shown in the hotspot ranking
+const MAX_HOTSPOTS = 25;
+
+function renderHotspots(hotspots, displayPath) {
+  if (hotspots.length === 0) {
+    return `
+  <section class="hotspots">
+    <h2>Hotspots</h2>
+    <p class="graph-stats">No git history found for the analyzed files.</p>
+  </section>`;
+  }
+
+  const top = hotspots.slice(0, MAX_HOTSPOTS);
+  const maxScore = top[0].score || 1;
+  const rows = top.map((h, i) => `
+        <tr>
+          <td>${i + 1}</td>
+          <td title="${escapeHtml(h.filePath)}">${escapeHtml(displayPath(h.filePath))}</td>
+          <td>${h.commits}</td>
+          <td>${h.authors}</td>
+          <td class="${complexityClass(h.complexity)}">${h.complexity}</td>
+          <td><span class="hotspot-bar" style="width: ${Math.max(2, Math.round((h.score / maxScore) * 120))}px"></span> ${h.score}</td>
+        </tr>`).join('');
+
+  return `
+  <section class="hotspots">
+    <h2>Hotspots</h2>
+    <p class="graph-stats">Files ranked by commits × complexity — frequently changed, complex code is the best refactoring candidate.</p>
+    <table class="fn-table">
+      <thead><tr><th>#</th><th>File</th><th>Commits</th><th>Authors</th><th>Complexity</th><th>Score</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  </section>`;
+}
+
+const MAX_RISKS = 25;
+
+/**
+ * The functions with the highest CRAP scores: complex code that tests
+ * exercise little or not at all.
+ */
+function renderRisks({ risks, sources, crapThreshold, riskyFunctions }, displayPath) {
+  const from = `Coverage from ${sources.map(s => `<code>${escapeHtml(displayPath(s))}</code>`).join(', ')}.`;
+  if (risks.length === 0) {
+    return `
+  <section class="hotspots risks">
+    <h2>Riskiest Untested Code</h2>
+    <p class="graph-stats">${from} Every function with instrumented lines is fully covered.</p>
+  </section>`;
+  }
+
+  const top = risks.slice(0, MAX_RISKS);
+  const maxScore = top[0].crap || 1;
+  const rows = top.map((r, i) => `
+        <tr${r.crap > crapThreshold ? ' class="risky"' : ''}>
+          <td>${i + 1}</td>
+          <td><code>${escapeHtml(r.name)}</code> <span class="fn-kind">${escapeHtml(r.kind)}</span></td>
+          <td title="${escapeHtml(r.filePath)}">${escapeHtml(displayPath(r.filePath))}:${r.startLine}–${r.endLine}</td>
+          <td class="${complexityClass(r.complexity)}">${r.complexity}</td>
+          <td class="${coverageClass(r.coverage)}">${r.coverage}%</td>
+          <td><span class="hotspot-bar" style="width: ${Math.max(2, Math.round((r.crap / maxScore) * 120))}px"></span> ${r.crap}</td>
+        </tr>`).join('');
+
+  return `
+  <section class="hotspots risks">
+    <h2>Riskiest Untested Code</h2>
+    <p class="graph-stats">${from} Functions ranked by CRAP score, complexity² × (1 − coverage)³ + complexity; ${riskyFunctions} score over ${crapThreshold}.</p>
+    <table class="fn-table">
+      <thead><tr><th>#</th><th>Function</th><th>Location</th><th>Complexity</th><th>Coverage</th><th>CRAP</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${risks.length > MAX_RISKS ? `<p class="graph-stats">Showing ${MAX_RISKS} of ${risks.length} functions not fully covered (see the JSON report for all).</p>` : ''}
+  </section>`;
+}
+
+/** Line coverage of a file, with the other totals on hover. */
+function renderCoverage(fileCoverage) {
+  if (!fileCoverage.measured) {
+    return '<span class="coverage-low" title="Not in the coverage data: no test loads this file">0%</span>';
+  }
+  const { lines, functions, branches } = fileCoverage;
+  if (lines.percent === null) return '—';
+  const parts = [`lines ${lines.covered}/${lines.total}`];
+  if (functions) parts.push(`functions ${functions.covered}/${functions.total}`);
+  if (branches) parts.push(`branches ${branches.covered}/${branches.total}`);
+  if (fileCoverage.crap !== null) parts.push(`highest CRAP ${fileCoverage.crap}`);
+  return `<span class="${coverageClass(lines.percent)}" title="${parts.join(', ')}">${lines.percent}%</span>`;
+}
+
+/**
+ * Column labels of the file table, in the same order renderRow emits cells.
+ */
+function tableHeaders(columns, dependencyGraph, coverage, pluginColumns = []) {
+  const headers = ['File', 'Lines'];
+  if (columns.functions) headers.push('Functions');
+  headers.push('Dependencies');
+  if (dependencyGraph) headers.push('Fan-in', 'Fan-out');
+  if (columns.complexity) headers.push('Complexity');
+  if (columns.cognitive) headers.push('Cognitive');
+  if (columns.halstead) headers.push('Halstead Vol.');
+  if (columns.maintainability) headers.push('MI');
+  if (columns.typeSafety) headers.push('<code>any</code>', 'Type Safety');
+  if (coverage) headers.push('Coverage');
+  headers.push(...pluginColumns.map(c => escapeHtml(c.label)));
+  return headers;
+}
+
+function renderRow(result, columns, duplicatePaths, graphModule, fileCoverage, pluginColumns, displayPath) {
   const isDuplicate = duplicatePaths.has(result.filePath);
   const cls = isDuplicate ? ' class="duplicate"' : '';
   const cxClass = columns.complexity ? ` ${complexityClass(result.complexity)}` : '';
 
+  const badge = result.language === 'javascript' ? ' <span class="language-badge">JS</span>' : '';
+
   let cells = `
-    <td title="${escapeHtml(result.filePath)}">${escapeHtml(result.fileName)}</td>
+    <td title="${escapeHtml(result.filePath)}">${escapeHtml(displayPath(result.filePath))}${badge}</td>
     <td>${result.totalLines}</td>`;
 
   if (columns.functions) {
@@ -147,11 +1145,44 @@ function renderRow(result, columns, duplicatePaths) {
 
   cells += `<td class="deps">${result.dependencies.map(d => escapeHtml(d)).join(', ') || '—'}</td>`;
 
+  if (graphModule) {
+    cells += `<td>${graphModule.fanIn}</td><td>${graphModule.fanOut}</td>`;
+  }
+
   if (columns.complexity) {
     cells += `<td class="${cxClass}">${result.complexity}</td>`;
   }
 
-  return `<tr${cls}>${cells}</tr>`;
+  if (columns.cognitive) {
+    cells += `<td class="${complexityClass(result.cognitive)}">${result.cognitive}</td>`;
+  }
+
+  if (columns.halstead) {
+    cells += `<td>${renderHalstead(result.halstead)}</td>`;
+  }
+
+  if (columns.maintainability) {
+    cells += `<td class="${maintainabilityClass(result.maintainability)}">${result.maintainability}</td>`;
+  }
+
+  if (columns.typeSafety) {
+    // Not measured in JavaScript files
+    cells += result.typeSafety
+      ? `<td>${result.typeSafety.any}</td><td>${renderTypeSafety(result.typeSafety)}</td>`
+      : '<td>—</td><td>—</td>';
+  }
+
+  if (fileCoverage) {
+    cells += `<td>${renderCoverage(fileCoverage)}</td>`;
+  }
+
+  for (const { plugin, metric } of pluginColumns) {
+    const output = result.plugins && result.plugins[plugin];
+    const value = output ? output.metrics[metric] : undefined;
+    cells += `<td>${value === undefined ? '—' : escapeHtml(value)}</td>`;
+  }
+
+  return `<tr${cls} data-language="${escapeHtml(result.language || '')}">${cells}</tr>`;
 }
 
 // ── Embedded CSS ─────────────────────────────────────────────
@@ -233,6 +1264,116 @@ h2 { font-size: 1.25rem; font-weight: 600; margin-bottom: 0.75rem; }
 .duplicates details { margin: 0.5rem 0; }
 .duplicates summary { cursor: pointer; font-weight: 500; }
 .duplicates ul { margin: 0.5rem 0 0 1.5rem; font-size: 0.9rem; color: var(--text-muted); }
+.duplicates h3 { font-size: 1rem; margin: 1.25rem 0 0.5rem; }
+.clone-pair { display: grid; grid-template-columns: 1fr 1fr; gap: 0.75rem; margin: 0.75rem 0; }
+.clone-pair figure { margin: 0; min-width: 0; }
+.clone-pair figcaption { font-size: 0.8rem; color: var(--text-muted); margin-bottom: 0.25rem; }
+.clone-pair pre {
+  margin: 0;
+  padding: 0.75rem;
+  max-height: 24rem;
+  overflow: auto;
+  font-size: 0.8rem;
+  background: var(--surface);
+  border: 1px solid #fed7d7;
+  border-radius: 4px;
+}
+
+.functions {
+  background: var(--surface);
+  border: 1px solid var(--border);
+  border-radius: 8px;
+  padding: 1.5rem;
+  margin-bottom: 2rem;
+}
+
+.functions details { margin: 0.5rem 0; }
+.functions summary { cursor: pointer; font-weight: 500; }
+.fn-summary { font-weight: 400; font-size: 0.85rem; color: var(--text-muted); margin-left: 0.5rem; }
+.fn-kind { font-size: 0.75rem; color: var(--text-muted); }
+.fn-table { margin: 0.5rem 0 0 1.5rem; width: auto; min-width: 50%; }
+.fn-table th { cursor: default; }
+.fn-more { margin-left: 1.5rem; font-size: 0.85rem; color: var(--text-muted); }
+
+.baseline {
+  background: var(--surface);
+  border: 1px solid var(--border);
+  border-radius: 8px;
+  padding: 1.5rem;
+  margin-bottom: 2rem;
+}
+
+.baseline details { margin: 0.5rem 0; }
+.baseline summary { cursor: pointer; font-weight: 500; }
+.baseline ul { margin: 0.5rem 0 0 1.5rem; font-size: 0.9rem; color: var(--text-muted); }
+
+.delta { display: inline-block; font-size: 0.8rem; font-weight: 600; margin-left: 0.25rem; }
+.metric .delta { display: block; margin: 0.25rem 0 0; }
+.delta-worse { color: var(--warn); }
+.delta-better { color: var(--success); }
+.delta-neutral, .delta-same { color: var(--text-muted); }
+
+.hotspots {
+  background: var(--surface);
+  border: 1px solid var(--border);
+  border-radius: 8px;
+  padding: 1.5rem;
+  margin-bottom: 2rem;
+}
+
+.hotspots .fn-table { margin-left: 0; }
+.risks tr.risky td:first-child { border-left: 3px solid var(--warn); }
+.hotspot-bar { display: inline-block; height: 0.6rem; background: var(--warn); border-radius: 2px; opacity: 0.7; }
+.languages .fn-table { margin-left: 0; }
+.language-bar { display: inline-block; height: 0.6rem; background: #f0db4f; border-radius: 2px; }
+.language-bar.language-typescript { background: var(--accent); }
+.language-badge { font-size: 0.7rem; padding: 0 0.3rem; margin-left: 0.25rem; border-radius: 3px; background: #f0db4f; color: var(--text); }
+.component-issues { list-style: none; margin: 0.25rem 0 0; padding: 0; font-size: 0.85rem; color: var(--text-muted); }
+
+.graph {
+  background: var(--surface);
+  border: 1px solid var(--border);
+  border-radius: 8px;
+  padding: 1.5rem;
+  margin-bottom: 2rem;
+}
+
+.graph details { margin: 0.5rem 0; }
+.graph summary { cursor: pointer; font-weight: 500; }
+.graph ul { margin: 0.5rem 0 0 1.5rem; font-size: 0.9rem; color: var(--text-muted); }
+.graph-stats { color: var(--text-muted); font-size: 0.9rem; }
+.severity { font-size: 0.75rem; font-weight: 600; text-transform: uppercase; }
+.severity-error { color: var(--warn); }
+.severity-warning { color: #dd6b20; }
+.severity-note { color: var(--text-muted); }
+.trend-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(300px, 1fr)); gap: 1rem; margin-top: 0.75rem; }
+.trend { margin: 0; }
+.trend figcaption { font-size: 0.9rem; font-weight: 500; }
+.trend svg { width: 100%; height: auto; display: block; }
+.trend-axis { stroke: var(--border); stroke-width: 1; }
+.trend-label { font-size: 10px; fill: var(--text-muted); }
+.trend-line { fill: none; stroke: var(--accent); stroke-width: 2; stroke-linejoin: round; }
+.trend-point { fill: var(--accent); }
+.treemap { width: 100%; height: auto; display: block; margin: 0.75rem 0 0.25rem; }
+.tm-cell { stroke: var(--surface); stroke-width: 1; }
+.tm-dir { fill: #edf2f7; stroke: var(--surface); stroke-width: 1; }
+.tm-low { fill: #9ae6b4; background: #9ae6b4; }
+.tm-medium { fill: #faf089; background: #faf089; }
+.tm-high { fill: #fbd38d; background: #fbd38d; }
+.tm-critical { fill: #feb2b2; background: #feb2b2; }
+.tm-none { fill: #bee3f8; }
+.tm-label, .tm-dir-label { font-size: 11px; fill: var(--text); pointer-events: none; }
+.tm-dir-label { font-weight: 600; }
+.tm-legend { font-size: 0.8rem; color: var(--text-muted); margin-bottom: 0.75rem; }
+.tm-swatch { display: inline-block; width: 0.8rem; height: 0.8rem; border-radius: 2px; margin: 0 0.25rem 0 0.75rem; vertical-align: middle; }
+.matrix-scroll { overflow-x: auto; }
+.package-matrix td, .package-matrix thead th { text-align: center; min-width: 2rem; }
+.package-matrix tbody th { text-align: left; white-space: nowrap; font-weight: 500; }
+.matrix-cell { background: rgba(49, 130, 206, calc(0.15 + 0.6 * var(--weight))); }
+.matrix-mutual { background: rgba(229, 62, 62, calc(0.2 + 0.6 * var(--weight))); }
+.matrix-self { background: var(--border); }
+.dir-toggle { display: inline-block; width: 1.25rem; border: none; background: none; padding: 0; cursor: pointer; color: var(--text-muted); }
+.cycle-path { margin: 0.5rem 0 0 1.5rem; font-size: 0.85rem; font-family: monospace; word-break: break-all; }
 
 .table-section {
   background: var(--surface);
@@ -258,6 +1399,14 @@ h2 { font-size: 1.25rem; font-weight: 600; margin-bottom: 0.75rem; }
 
 #search:focus { border-color: var(--accent); box-shadow: 0 0 0 3px rgba(49,130,206,0.15); }
 
+#language-filter {
+  margin-left: 0.5rem;
+  padding: 0.5rem 0.75rem;
+  border: 1px solid var(--border);
+  border-radius: 6px;
+  font-size: 0.9rem;
+}
+
 table {
   width: 100%;
   border-collapse: collapse;
@@ -299,6 +1448,15 @@ tr.duplicate:hover { background: #fed7d7; }
 .complexity-medium { color: #d69e2e; font-weight: 600; }
 .complexity-high { color: #dd6b20; font-weight: 700; }
 .complexity-critical { color: var(--warn); font-weight: 700; }
+.maintainability-good { color: var(--success); font-weight: 600; }
+.maintainability-moderate { color: #d69e2e; font-weight: 600; }
+.maintainability-low { color: var(--warn); font-weight: 700; }
+.type-safety-good { color: var(--success); font-weight: 600; }
+.type-safety-moderate { color: #d69e2e; font-weight: 600; }
+.type-safety-low { color: var(--warn); font-weight: 700; }
+.coverage-good { color: var(--success); font-weight: 600; }
+.coverage-moderate { color: #d69e2e; font-weight: 600; }
+.coverage-low { color: var(--warn); font-weight: 700; }
 
 footer {
   margin-top: 2rem;
@@ -339,12 +1497,33 @@ function sortTable(colIndex) {
   rows.forEach(r => tbody.appendChild(r));
 }
 
+function toggleDirectory(button) {
+  const dir = button.closest('tr').dataset.dir;
+  const open = button.getAttribute('aria-expanded') !== 'true';
+  button.setAttribute('aria-expanded', String(open));
+  button.textContent = open ? '▾' : '▸';
+  // Opening shows the direct subdirectories; closing hides and collapses all below
+  document.querySelectorAll('#directory-table tr[data-dir]').forEach(row => {
+    if (open ? row.dataset.parent === dir : row.dataset.dir.startsWith(dir + '/')) {
+      row.hidden = !open;
+      const inner = row.querySelector('button.dir-toggle');
+      if (!open && inner) {
+        inner.setAttribute('aria-expanded', 'false');
+        inner.textContent = '▸';
+      }
+    }
+  });
+}
+
 function filterTable() {
   const query = document.getElementById('search').value.toLowerCase();
+  const languageFilter = document.getElementById('language-filter');
+  const language = languageFilter ? languageFilter.value : '';
   const rows = document.querySelectorAll('#analysis-table tbody tr');
   rows.forEach(row => {
     const text = row.textContent.toLowerCase();
-    row.style.display = text.includes(query) ? '' : 'none';
+    const shown = text.includes(query) && (!language || row.dataset.language === language);
+    row.style.display = shown ? '' : 'none';
   });
 }
 `;
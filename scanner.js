@@ -1,24 +1,65 @@
 /**
- * Filesystem scanner — walks the project tree and returns .ts/.tsx files
+ * Filesystem scanner — walks the project tree and returns the source files
+ * of the configured languages (.ts/.tsx by default, see analyzers/languages.js)
  * while respecting ignore patterns (node_modules, dist, .d.ts, etc.)
  */
 const fs = require('fs');
 const path = require('path');
 const { minimatch } = require('minimatch');
+const { languageExtensions, DEFAULT_LANGUAGES } = require('./analyzers/languages');
 
 /**
- * Scan a directory recursively for TypeScript files.
+ * Scan a directory recursively for source files.
  *
  * @param {string} rootDir - Root directory to scan
  * @param {object} opts
  * @param {string[]} opts.ignore - Glob patterns to exclude
- * @returns {string[]} Absolute paths to .ts/.tsx files
+ * @param {string[]} [opts.include] - If given, only files matching one of these globs are kept
+ * @param {string[]} [opts.files] - Absolute paths kept even when they match no include glob
+ * @param {string[]} [opts.extensions] - File extensions to keep (default: TypeScript's)
+ * @returns {string[]} Absolute paths to the matching files
  */
-function scanTypeScriptFiles(rootDir, { ignore = [] } = {}) {
+function scanTypeScriptFiles(rootDir, {
+  ignore = [], include, files = [], extensions = languageExtensions(DEFAULT_LANGUAGES),
+} = {}) {
   const absoluteRoot = path.resolve(rootDir);
+  const explicitFiles = new Set(files.map(f => path.resolve(f)));
   const results = [];
 
-  function walk(dir) {
+  walk(absoluteRoot, ignore, {
+    file(fullPath, relativePath) {
+      if (!extensions.includes(path.extname(fullPath))) return;
+      const included = !include ||
+        explicitFiles.has(fullPath) ||
+        include.some(pattern => minimatch(relativePath, pattern, { dot: true }));
+      if (included) results.push(fullPath);
+    },
+  });
+  return results.sort();
+}
+
+/**
+ * The directories scanTypeScriptFiles descends into: the root and every
+ * subdirectory not excluded by the ignore patterns (watch mode watches these).
+ *
+ * @param {string} rootDir
+ * @param {object} opts
+ * @param {string[]} opts.ignore - Glob patterns to exclude
+ * @returns {string[]} Absolute paths, root first
+ */
+function scanDirectories(rootDir, { ignore = [] } = {}) {
+  const absoluteRoot = path.resolve(rootDir);
+  const directories = [absoluteRoot];
+  walk(absoluteRoot, ignore, { directory: fullPath => directories.push(fullPath) });
+  return directories;
+}
+
+/**
+ * Depth-first walk below `absoluteRoot`, skipping entries whose relative
+ * path matches an ignore pattern.
+ */
+function walk(absoluteRoot, ignore, visit) {
+  function walkDir(dir) {
     let entries;
     try {
       entries = fs.readdirSync(dir, { withFileTypes: true });
@@ -37,15 +78,15 @@ function scanTypeScriptFiles(rootDir, { ignore = [] } = {}) {
       if (shouldIgnore) continue;
 
       if (entry.isDirectory()) {
-        walk(fullPath);
-      } else if (entry.isFile() && /\.tsx?$/.test(entry.name)) {
-        results.push(fullPath);
+        if (visit.directory) visit.directory(fullPath, relativePath);
+        walkDir(fullPath);
+      } else if (entry.isFile() && visit.file) {
+        visit.file(fullPath, relativePath);
       }
     }
   }
 
-  walk(absoluteRoot);
-  return results.sort();
+  walkDir(absoluteRoot);
 }
 
-module.exports = { scanTypeScriptFiles };
+module.exports = { scanTypeScriptFiles, scanDirectories };
@@ -0,0 +1,15 @@
+// `else if` matches both the `if (` and the `else if (` pattern, and the
+// `while (` that closes a do-while counts as a second loop.
+export function classify(n: number): string {
+  let steps = 0;
+  do {
+    steps++;
+  } while (steps < n);
+
+  if (n < 0) {
+    return 'negative';
+  } else if (n === 0) {
+    return 'zero';
+  }
+  return 'positive';
+}
@@ -0,0 +1,6 @@
+// An escaped quote ends the stripped string early, so keywords inside the
+// string literal count as decision points.
+export function describe(kind: string): string {
+  const text = 'don\'t case if (x) while (y) && z || w';
+  return kind ? text : '';
+}
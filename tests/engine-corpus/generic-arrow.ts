@@ -0,0 +1,10 @@
+// Type parameters in front of an arrow function's parameter list hide the
+// binding name from the function-name pattern.
+export const identity = <T,>(value: T): T => value;
+
+export const firstDefined = async <T>(values: Array<T | undefined>): Promise<T | undefined> => {
+  for (const value of values) {
+    if (value !== undefined) return value;
+  }
+  return undefined;
+};
@@ -0,0 +1,3 @@
+// An exclamation mark in JSX text looks like a non-null assertion to the
+// regex engine.
+export const Greeting = ({ name }: { name?: string }) => <p>Hello {name!}, welcome!</p>;
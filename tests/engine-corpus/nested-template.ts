@@ -0,0 +1,5 @@
+// Nested template literals: the stripper ends the outer literal at the
+// first inner backtick, so the ternary before it is stripped as "string".
+export function label(count: number, unit: string): string {
+  return `${count} ${count === 1 ? unit : `${unit}s (if any)`} for (each)`;
+}
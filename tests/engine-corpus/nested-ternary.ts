@@ -0,0 +1,6 @@
+// Cognitive complexity: the AST engine nests the branches of a ternary, so
+// the inner one costs 2 (1 + nesting); the regex engine sees no braces and
+// charges 1 for each.
+export function sign(n: number): string {
+  return n > 0 ? 'positive' : n < 0 ? 'negative' : 'zero';
+}
@@ -0,0 +1,12 @@
+// Optional parameters and properties (`?:`) look like ternaries to the
+// regex engine; conditional types look like real branches.
+export interface Options {
+  name?: string;
+  retries?: number;
+}
+
+export type Unwrap<T> = T extends Promise<infer U> ? U : T;
+
+export function connect(host: string, port?: number, options?: Options): string {
+  return `${host}:${port}`;
+}
@@ -0,0 +1,6 @@
+// A parenthesized double cast and an angle-bracket assertion are only
+// recognized by the parser.
+declare const input: unknown;
+
+export const size = ((input as unknown) as string[]).length;
+export const label = <string>input;
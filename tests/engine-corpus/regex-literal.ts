@@ -0,0 +1,9 @@
+// A quote inside a regex literal opens a "string" that swallows code up
+// to the next quote, hiding the branches in between.
+export function unquote(value: string): string {
+  const quote = /'/g;
+  if (value.startsWith('"')) {
+    return value.slice(1, -1);
+  }
+  return value.replace(quote, '');
+}
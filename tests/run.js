@@ -2,8 +2,55 @@
  * Basic test suite for ts-analyzer.
  * Run: node tests/run.js
  */
-const { analyzeFile, calculateComplexity, extractFunctions, extractDependencies } = require('../src/analyzers/file-analyzer');
+const {
+  analyzeFile,
+  calculateComplexity,
+  analyzeFunctionComplexity,
+  extractFunctions,
+  extractDependencies,
+  extractModuleSymbols,
+} = require('../src/analyzers/file-analyzer');
 const { findDuplicates } = require('../src/analyzers/duplicates');
+const { tokenize, findClones, attachSnippets } = require('../src/analyzers/clones');
+const { createImportResolver, buildDependencyGraph } = require('../src/analyzers/dependency-graph');
+const { loadTsConfig, getScanScope, parseJsonc } = require('../src/tsconfig');
+const { scanTypeScriptFiles } = require('../src/scanner');
+const { generateJsonReport, SCHEMA_VERSION } = require('../src/report-json');
+const { generateSarifReport } = require('../src/report-sarif');
+const { evaluateGate } = require('../src/gate');
+const { loadConfigFile } = require('../src/config');
+const { compareToBaseline } = require('../src/baseline');
+const { buildJsonReport } = require('../src/report-json');
+const { getChangedFiles, getFileHistory, getHeadCommit } = require('../src/git');
+const { buildHistoryEntry, loadHistory, appendHistory } = require('../src/history');
+const { generateReport } = require('../src/report');
+const { openAnalysisCache } = require('../src/cache');
+const { resolveTypeScript } = require('../src/analyzers/ast-engine');
+const { analyzeInWorkers, resolveJobs } = require('../src/worker-pool');
+const { rankHotspots } = require('../src/analyzers/hotspots');
+const { findCoverageFiles, loadCoverage, parseCoverage } = require('../src/coverage');
+const { assessCoverage, crapScore } = require('../src/analyzers/risk');
+const { findDeadCode } = require('../src/analyzers/dead-code');
+const { normalizeLayers, checkLayers, attachImportLines } = require('../src/analyzers/layers');
+const { aggregateDirectories, aggregatePackages, packageDependencies } = require('../src/analyzers/directories');
+const { loadWorkspaces, selectWorkspaces } = require('../src/workspaces');
+const {
+  cognitiveComplexity, countHalsteadTokens, halsteadMetrics, maintainabilityIndex,
+} = require('../src/analyzers/metrics');
+const { countTypeSafetyTokens, typeSafetyScore } = require('../src/analyzers/type-safety');
+const { componentIssues, reviewComponents } = require('../src/analyzers/components');
+const {
+  languageExtensions, sourceLanguage, extractScriptBlocks, aggregateLanguages,
+} = require('../src/analyzers/languages');
+const { resolvePlugin, loadPlugins, runProjectPlugins } = require('../src/plugins');
+const { watchDirectories, startReportServer } = require('../src/watch');
+const { scanDirectories } = require('../src/scanner');
+const { execFileSync } = require('child_process');
+const { parseArgs, DEFAULT_IGNORE } = require('../src/cli');
+const { analyzeProject, renderReport } = require('../src/index');
+const {
+  resolveLimit, complexityBand, maintainabilityBand, typeSafetyBand, COMPLEXITY_BANDS, PROJECT_COMPLEXITY_LEVELS,
+} = require('../src/thresholds');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
@@ -22,9 +69,9 @@ function assert(condition, message) {
 }
 
 // ── Helper: create temp .ts file ─────────────────────────────
-function createTempFile(content) {
+function createTempFile(content, fileName = 'test.ts') {
   const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-analyzer-test-'));
-  const filePath = path.join(tmpDir, 'test.ts');
+  const filePath = path.join(tmpDir, fileName);
   fs.writeFileSync(filePath, content, 'utf-8');
   return { filePath, tmpDir };
 }
@@ -79,6 +126,286 @@ assert(
   'for-of + if increases complexity'
 );
 
+// ── Tests: analyzeFunctionComplexity ─────────────────────────
+console.log('\n📦 analyzeFunctionComplexity');
+
+const perFunction = analyzeFunctionComplexity(`
+function simple() {
+  return 1;
+}
+
+function branchy(a, b) {
+  if (a) {}
+  if (b) {}
+  const check = (x) => x > 0 && x < 10;
+}
+
+class Store {
+  load(id) {
+    for (const k of id) {}
+  }
+}
+`);
+const byName = Object.fromEntries(perFunction.functions.map(fn => [fn.name, fn]));
+
+assert(perFunction.functions.length === 4, `Finds 4 functions (got ${perFunction.functions.length})`);
+assert(byName.simple.complexity === 1, 'Function without branches scores 1');
+assert(byName.branchy.complexity === 3, 'Nested arrow is not counted in parent');
+assert(byName.check.complexity === 2, 'Arrow function is scored separately');
+assert(byName.load.kind === 'method' && byName.load.complexity === 2, 'Class methods are scored');
+assert(byName.branchy.startLine === 6 && byName.branchy.endLine === 10, 'Reports start/end lines');
+assert(perFunction.total === 8, `File total is the sum of function scores (got ${perFunction.total})`);
+assert(
+  analyzeFunctionComplexity('type Fn = (a: number) => void;').functions.length === 0,
+  'Ignores function types'
+);
+const typedReturns = analyzeFunctionComplexity(`
+export const helper = (s: string): string => s.trim();
+const load = async (a: number): Promise<Map<string, number>> => { if (a) {} };
+const pick = (a: Item): { id: string } | null => a ? { id: a.id } : null;
+`);
+assert(
+  typedReturns.functions.map(fn => `${fn.name}:${fn.complexity}`).join() === 'helper:1,load:2,pick:2' && typedReturns.total === 5,
+  'Arrow functions with a return type, sync and async'
+);
+assert(
+  analyzeFunctionComplexity('const o = { a() { if (x) {} }, b(y) { return y; } };').functions
+    .map(fn => `${fn.name}:${fn.kind}:${fn.complexity}`).join() === 'a:method:2,b:method:1',
+  'Inline object literal shorthand methods'
+);
+assert(
+  extractFunctions('const load = async (a: number): Promise<void> => {};').includes('load'),
+  'Names arrow functions with a return type'
+);
+
+// ── Tests: readability metrics ───────────────────────────────
+console.log('\n📦 readability metrics');
+
+assert(cognitiveComplexity(`{
+  switch (kind) {
+    case 1: return a;
+    case 2: return b;
+    case 3: return c;
+  }
+}`) === 1, 'A flat switch costs 1 regardless of its cases');
+assert(cognitiveComplexity(`{
+  for (const x of xs) {
+    if (x) {
+      while (y) {}
+    }
+  }
+}`) === 6, 'Nesting adds to each nested structure (1 + 2 + 3)');
+assert(cognitiveComplexity('{ if (a) {} else if (b) {} else {} }') === 3, 'else if / else cost 1 without nesting');
+assert(cognitiveComplexity('{ return a && b && c || d ?? e; }') === 3, 'Each run of like logical operators costs 1');
+assert(cognitiveComplexity('{ do { x(); } while (y); p.catch(f); }') === 1, 'do…while counts once; .catch() is not a catch');
+assert(cognitiveComplexity('{ outer: for (;;) { for (;;) { continue outer; } } }') === 4, 'Labeled jumps cost 1');
+
+const halstead = halsteadMetrics(countHalsteadTokens('a = b + c;'));
+assert(
+  halstead.volume === 15.5 && halstead.difficulty === 1.5 && halstead.effort === 23.3,
+  `Halstead metrics from operator/operand counts (got ${JSON.stringify(halstead)})`
+);
+assert(maintainabilityIndex({ volume: 1, complexity: 1, lines: 1 }) === 100, 'Maintainability index tops out at 100');
+assert(maintainabilityIndex({ volume: 1e9, complexity: 500, lines: 5000 }) === 0, 'Maintainability index bottoms out at 0');
+assert(
+  maintainabilityBand(5) === 'low' && maintainabilityBand(15) === 'moderate' && maintainabilityBand(80) === 'good',
+  'Maintainability bands'
+);
+
+const readable = analyzeFunctionComplexity(`
+function outer(items) {
+  if (items) {
+    items.forEach(x => { if (x) {} });
+  }
+}
+`, { cognitive: true, maintainability: true });
+const readableByName = Object.fromEntries(readable.functions.map(fn => [fn.name, fn]));
+assert(
+  readableByName.outer.cognitive === 1 && readableByName['<anonymous>'].cognitive === 1 && readable.cognitive === 2,
+  'Nested functions are scored on their own; the file totals them'
+);
+assert(
+  readableByName.outer.maintainability > 0 && readableByName.outer.halstead === undefined,
+  'Only the requested metrics are attached to functions'
+);
+
+// ── Tests: type safety ───────────────────────────────────────
+console.log('\n📦 type safety');
+
+const unsafeSource = `import * as fs from 'fs';
+import { a as b } from './a';
+export { b as c };
+let value: any = load() as Record<string, any>;
+const settings = value as unknown as Settings;
+const tuple = [1, 2] as const;
+let late!: string;
+document.getElementById('root')!.focus();
+if (value !== late) {}
+// @ts-ignore
+broken();
+/* @ts-expect-error missing overload */
+call('a');
+`;
+const { filePath: unsafeFile, tmpDir: unsafeDir } = createTempFile(unsafeSource);
+const unsafeCounts = analyzeFile(unsafeFile, { typeSafety: true }).typeSafety;
+assert(
+  unsafeCounts.any === 2 && unsafeCounts.casts === 1 && unsafeCounts.doubleCasts === 1 && unsafeCounts.nonNull === 1,
+  `Counts any, casts, double casts and non-null assertions; not renames, as const or x!: T (got ${JSON.stringify(unsafeCounts)})`
+);
+assert(
+  unsafeCounts.tsIgnore === 1 && unsafeCounts.tsExpectError === 1 && unsafeCounts.tsNocheck === 0,
+  'Counts @ts- directives in line and block comments'
+);
+assert(analyzeFile(unsafeFile, {}).typeSafety === null, 'Type safety is null unless requested');
+assert(countTypeSafetyTokens("const s = 'as any';", 'const s = "";').any === 0, '`any` in strings is not counted');
+const anyTypes = 'type A = any; let m: Map<string, any>; function f<T = any>(a: Array<[string, any]>) {}';
+const anyValues = 'foo(any); x = any; const t = [a, any]; if (a < b) y = [c, any];';
+assert(countTypeSafetyTokens(anyTypes, anyTypes).any === 4, '`any` in aliases, type arguments and tuples');
+assert(countTypeSafetyTokens(anyValues, anyValues).any === 0, '`any` as an identifier is not counted');
+cleanup(unsafeDir);
+
+const cleanCounts = countTypeSafetyTokens('', '');
+assert(typeSafetyScore(cleanCounts, 100) === 100, 'A file without escapes scores 100');
+assert(
+  typeSafetyScore({ ...cleanCounts, any: 1 }, 100) === 91 && typeSafetyScore({ ...cleanCounts, any: 10 }, 100) === 50,
+  'The score halves at 10 weighted escapes per 100 lines'
+);
+assert(typeSafetyScore({ ...cleanCounts, tsNocheck: 1 }, 100) === 0, '@ts-nocheck scores 0');
+assert(
+  typeSafetyScore({ ...cleanCounts, nonNull: 1 }, 3) === typeSafetyScore({ ...cleanCounts, nonNull: 1 }, 100),
+  'Files under 100 lines are scored as 100 lines'
+);
+assert(typeSafetyBand(95) === 'good' && typeSafetyBand(60) === 'moderate' && typeSafetyBand(20) === 'low', 'Type-safety bands');
+
+// ── Tests: React components ──────────────────────────────────
+console.log('\n📦 components');
+
+const componentSource = `import React, { useState, useEffect, memo } from 'react';
+
+interface ButtonProps { label: string; onClick: () => void; disabled?: boolean }
+
+export const Button: React.FC<ButtonProps> = ({ label, onClick }) => (
+  <button onClick={onClick}><span>{label}</span></button>
+);
+
+export function List({ items, title }: { items: string[]; title: string }) {
+  const [open, setOpen] = useState(false);
+  if (open) {
+    const [x] = useState(1);
+  }
+  const extra = open && useCustom();
+  useEffect(() => {
+    document.title = title;
+  });
+  useEffect(() => {}, [title]);
+  const render = () => useNested();
+  return <ul>{items.map(i => <li key={i}>{i}</li>)}</ul>;
+}
+
+const Card = memo((props: ButtonProps) => <>{props.label}</>);
+
+export class Page extends React.Component<{ id: number }> {
+  render() { return <main><Card label="x" onClick={() => {}} /></main>; }
+}
+
+const lower = () => <div />;
+`;
+const { filePath: componentFile, tmpDir: componentDir } = createTempFile(componentSource, 'App.tsx');
+const foundComponents = analyzeFile(componentFile, { components: true }).components;
+const componentsByName = Object.fromEntries(foundComponents.map(c => [c.name, c]));
+assert(
+  foundComponents.map(c => c.name).join() === 'Button,List,Card,Page',
+  `Finds function, memo-wrapped and class components; not lowercase functions (got ${foundComponents.map(c => c.name)})`
+);
+assert(
+  componentsByName.Button.props === 3 && componentsByName.List.props === 2 && componentsByName.Card.props === 3 && componentsByName.Page.props === 1,
+  'Counts props from the props type, React.FC<Props> or Component<Props>'
+);
+assert(
+  componentsByName.List.hooks.map(h => `${h.name}:${h.conditional}:${h.dependencies}`).join() ===
+    'useState:false:false,useState:true:false,useCustom:true:false,useEffect:false:false,useEffect:false:true',
+  'Records hook calls with conditions and dependency arrays; not hooks of nested functions'
+);
+assert(componentsByName.Button.jsxDepth === 2 && componentsByName.List.jsxDepth === 2 && componentsByName.Page.jsxDepth === 2, 'Measures JSX nesting depth');
+assert(analyzeFile(componentFile, {}).components === null, 'Components are null unless requested');
+cleanup(componentDir);
+
+const { filePath: plainFile, tmpDir: plainDir } = createTempFile('export const Label = () => <b />;');
+assert(analyzeFile(plainFile, { components: true }).components === null, 'Only .tsx / .jsx files are searched');
+cleanup(plainDir);
+
+const listIssues = componentIssues(componentsByName.List, { maxLines: 10 });
+assert(
+  listIssues.map(i => `${i.rule}@${i.line}`).join() ===
+    'large-component@9,conditional-hook@12,conditional-hook@14,effect-without-dependencies@15',
+  'Flags large components, conditional hooks and effects without dependencies, in line order'
+);
+assert(listIssues.find(i => i.rule === 'conditional-hook').severity === 'error', 'Conditional hooks are errors');
+const review = reviewComponents([{ filePath: '/p/App.tsx', components: foundComponents }, { filePath: '/p/a.ts', components: null }]);
+assert(
+  review.components[0].name === 'List' && review.issueCount === 3 && review.components[0].filePath === '/p/App.tsx',
+  'Reviews rank components by issues; the default size limit is not hit'
+);
+
+// ── Tests: languages ─────────────────────────────────────────
+console.log('\n📦 languages');
+
+const vueSource = `<template>
+  <p v-if="a > b">{{ label }}</p>
+</template>
+
+<script setup lang="ts" generic="T extends Record<string, number>">
+const props = defineProps<{ items: T[] }>();
+function total(x: any) {
+  if (x) return 1;
+  return 0;
+}
+</script>
+`;
+const extractedVue = extractScriptBlocks(vueSource);
+assert(
+  extractedVue.length === vueSource.length && extractedVue.split('\n')[6] === 'function total(x: any) {' &&
+    !extractedVue.includes('template') && !extractedVue.includes('<script'),
+  'Extracts script blocks in place, keeping line numbers'
+);
+assert(
+  sourceLanguage('App.vue', vueSource) === 'typescript' &&
+    sourceLanguage('App.svelte', '<script context="module">export const x = 1;</script>') === 'javascript' &&
+    sourceLanguage('a.cjs', '') === 'javascript' && sourceLanguage('a.mts', '') === 'typescript',
+  'Tags files by extension, and Vue / Svelte files by the lang of their script blocks'
+);
+
+const { filePath: vueFile, tmpDir: langDir } = createTempFile(vueSource, 'List.vue');
+const vueAnalysis = analyzeFile(vueFile, { complexity: true, typeSafety: true });
+assert(
+  vueAnalysis.language === 'typescript' && vueAnalysis.functions[0].startLine === 7 &&
+    vueAnalysis.complexity === 2 && vueAnalysis.typeSafety.any === 1,
+  'Analyzes the script of a Vue file at its original lines'
+);
+fs.writeFileSync(path.join(langDir, 'legacy.js'), 'export function f(x) {\n  return x && x.y;\n}\n');
+fs.writeFileSync(path.join(langDir, 'util.mts'), 'export const u = 1;\n');
+fs.writeFileSync(path.join(langDir, 'Widget.svelte'), '<script>\n  let n = 0;\n</script>\n<p>{n}</p>\n');
+const jsAnalysis = analyzeFile(path.join(langDir, 'legacy.js'), { complexity: true, typeSafety: true });
+assert(
+  jsAnalysis.language === 'javascript' && jsAnalysis.complexity === 2 && jsAnalysis.typeSafety === null,
+  'JavaScript files are analyzed without type-safety counts'
+);
+assert(
+  scanTypeScriptFiles(langDir).map(f => path.basename(f)).join() === 'util.mts' &&
+    scanTypeScriptFiles(langDir, { extensions: languageExtensions(['javascript', 'vue', 'svelte']) })
+      .map(f => path.basename(f)).join() === 'List.vue,Widget.svelte,legacy.js',
+  'Scans TypeScript by default and the extensions of the selected languages'
+);
+const byLanguage = aggregateLanguages(
+  [vueAnalysis, jsAnalysis, analyzeFile(path.join(langDir, 'util.mts'), { complexity: true })],
+  { columns: { complexity: true } }
+);
+assert(
+  byLanguage.map(l => `${l.language}:${l.fileCount}:${l.codeLines}`).join() === 'typescript:2:6,javascript:1:3',
+  'Aggregates totals per language, most code first'
+);
+cleanup(langDir);
+
 // ── Tests: extractDependencies ───────────────────────────────
 console.log('\n📦 extractDependencies');
 
@@ -91,6 +418,14 @@ const deps = extractDependencies(`
 assert(!deps.includes('react'), 'Excludes react from dependencies');
 assert(deps.includes('axios'), 'Includes third-party dependencies');
 assert(deps.includes('./utils'), 'Includes relative imports');
+assert(
+  extractDependencies(`export * from './a'; export { b } from './b'; const c = import('./c');`).length === 3,
+  'Includes re-exports and dynamic imports'
+);
+assert(
+  extractDependencies(`const a = require('./a'); const { b } = require("b"); require.resolve('./c'); x.require('./d');`).join() === './a,b',
+  'Includes CommonJS require calls'
+);
 
 // ── Tests: findDuplicates ────────────────────────────────────
 console.log('\n📦 findDuplicates');
@@ -107,6 +442,945 @@ assert(groups.length === 1, 'Finds one duplicate group');
 assert(groups[0].files.length === 2, 'Group contains both files');
 assert(groups[0].files.includes('/a/foo.ts'), 'Includes first duplicate');
 
+// ── Tests: findClones ────────────────────────────────────────
+console.log('\n📦 findClones');
+
+const cloneSource = (fn, list, limit) => `
+export function ${fn}(${list}: number[]) {
+  let total = 0;
+  for (const value of ${list}) {
+    if (value > ${limit}) {
+      total += value;
+    }
+  }
+  return total;
+}`;
+const tokensA = tokenize(cloneSource('sumLarge', 'values', 10));
+const tokensB = tokenize(`const unrelated = 1;\n${cloneSource('addBig', 'nums', 99)}`);
+assert(tokensA.values.join(' ') === tokenize(cloneSource('x', 'y', 3)).values.join(' '),
+  'Normalizes identifiers and literals');
+assert(tokenize('import { a } from "";\nfoo();').values[0] === '$id', 'Skips import lines');
+
+const cloneFiles = [
+  { filePath: '/p/a.ts', totalLines: 10, tokens: tokensA },
+  { filePath: '/p/b.ts', totalLines: 12, tokens: tokensB },
+  { filePath: '/p/c.ts', totalLines: 1, tokens: tokenize('export const c = 1;') },
+];
+const cloneReport = findClones(cloneFiles, { minTokens: 20, minLines: 5 });
+assert(cloneReport.groups.length === 1, 'Finds the renamed copy');
+assert(
+  cloneReport.groups[0].fragments.map(f => `${f.filePath}:${f.startLine}-${f.endLine}`).join() ===
+    '/p/a.ts:2-10,/p/b.ts:3-11',
+  'Reports line ranges of original and copy'
+);
+assert(cloneReport.files.find(f => f.filePath === '/p/a.ts').percent === 90, 'Computes duplicated share per file');
+assert(findClones(cloneFiles, { minTokens: 20, minLines: 20 }).groups.length === 0, 'Respects the minimum line count');
+attachSnippets(cloneReport.groups, () => cloneSource('sumLarge', 'values', 10));
+assert(cloneReport.groups[0].fragments[0].snippet.startsWith('export function sumLarge'), 'Attaches snippets');
+
+// ── Tests: buildDependencyGraph ──────────────────────────────
+console.log('\n📦 buildDependencyGraph');
+
+const resolveImport = createImportResolver([
+  '/p/src/a.ts',
+  '/p/src/b.tsx',
+  '/p/src/lib/index.ts',
+]);
+assert(resolveImport('./b', '/p/src/a.ts') === '/p/src/b.tsx', 'Resolves extensionless .tsx import');
+assert(resolveImport('./lib', '/p/src/a.ts') === '/p/src/lib/index.ts', 'Resolves directory index.ts');
+assert(resolveImport('../a.js', '/p/src/lib/index.ts') === '/p/src/a.ts', 'Resolves .js specifier to .ts');
+assert(resolveImport('axios', '/p/src/a.ts') === null, 'Leaves packages unresolved');
+const moduleResolve = createImportResolver(['/p/m/a.mjs', '/p/m/a.mts', '/p/m/lib/index.mjs', '/p/m/c.cjs']);
+assert(
+  moduleResolve('./a', '/p/m/x.ts') === '/p/m/a.mts' && moduleResolve('./lib', '/p/m/x.ts') === '/p/m/lib/index.mjs' &&
+    moduleResolve('./c', '/p/m/x.ts') === '/p/m/c.cjs',
+  'Resolves .mts / .cts / .mjs / .cjs files and index files, TypeScript first'
+);
+
+const graph = buildDependencyGraph([
+  { filePath: '/p/a.ts', dependencies: ['./b', 'axios'] },
+  { filePath: '/p/b.ts', dependencies: ['./c'] },
+  { filePath: '/p/c.ts', dependencies: ['./a'] },
+  { filePath: '/p/main.ts', dependencies: ['./a', './missing'] },
+]);
+const moduleA = graph.modules.find(m => m.filePath === '/p/a.ts');
+
+assert(graph.cycles.length === 1, 'Detects one import cycle');
+assert(graph.cycles[0].files.length === 3, 'Cycle contains all three files');
+assert(
+  graph.cycles[0].path.join() === '/p/a.ts,/p/b.ts,/p/c.ts,/p/a.ts',
+  'Traces a concrete loop through the cycle'
+);
+assert(moduleA.fanIn === 2 && moduleA.fanOut === 1, 'Computes fan-in and fan-out');
+assert(graph.orphans.length === 1 && graph.orphans[0] === '/p/main.ts', 'Reports orphan files');
+assert(graph.unresolved.length === 1, 'Tracks unresolved relative imports');
+
+// ── Tests: dead code ─────────────────────────────────────────
+console.log('\n📦 dead code');
+
+const symbolSource = [
+  'import Main, { a, b as c } from "./x";',
+  'import * as ns from "./y";',
+  'export { q } from "./q";',
+  'export default function main() {}',
+  'const z = 1;',
+  'export { z as zz };',
+].join('\n');
+const symbols = extractModuleSymbols(symbolSource, symbolSource.replace(/"[^"]*"/g, '""'));
+assert(JSON.stringify(symbols.imports[0].names) === '["default","a","b"]', 'Extracts imported bindings');
+assert(symbols.imports[1].names[0] === '*', 'Namespace imports use every export');
+assert(symbols.exports.map(e => `${e.name}:${e.line}`).join() === 'default:4,zz:6', 'Extracts own exports with lines');
+assert(symbols.reExports[0].specifier === './q' && symbols.reExports[0].exported === 'q', 'Extracts re-exports');
+
+const deadResults = [
+  { filePath: '/p/src/index.ts', dependencies: ['./lib'], imports: [{ specifier: './lib', names: ['run'] }],
+    exports: [{ name: 'start', line: 1 }], reExports: [] },
+  { filePath: '/p/src/lib/index.ts', dependencies: ['./run'], imports: [], exports: [],
+    reExports: [{ specifier: './run', imported: '*', exported: '*' }] },
+  { filePath: '/p/src/lib/run.ts', dependencies: [], imports: [],
+    exports: [{ name: 'run', line: 1 }, { name: 'stale', line: 5 }], reExports: [] },
+  { filePath: '/p/src/old.ts', dependencies: [], imports: [], exports: [{ name: 'old', line: 1 }], reExports: [] },
+];
+const deadResolve = createImportResolver(deadResults.map(r => r.filePath));
+const dead = findDeadCode(deadResults, buildDependencyGraph(deadResults, { resolve: deadResolve }), {
+  resolve: deadResolve, rootDir: '/p',
+});
+assert(dead.entryFiles.join() === '/p/src/index.ts', 'Finds the default entry point');
+assert(dead.deadFiles.join() === '/p/src/old.ts', 'Reports files unreachable from entry points');
+assert(
+  dead.unusedExports.map(e => e.name).join() === 'stale',
+  'Follows imports through barrel re-exports; entry exports are exempt'
+);
+assert(
+  findDeadCode(deadResults, { modules: [] }, { resolve: deadResolve, rootDir: '/p', entryPoints: ['none.ts'] })
+    .deadFiles.length === 0,
+  'Reports no dead files without entry points'
+);
+const esmResults = [
+  { filePath: '/p/src/index.mjs', dependencies: ['./a'], imports: [{ specifier: './a', names: ['*'] }], exports: [], reExports: [] },
+  { filePath: '/p/src/a.mts', dependencies: [], imports: [], exports: [], reExports: [] },
+];
+const esmResolve = createImportResolver(esmResults.map(r => r.filePath));
+const esmDead = findDeadCode(esmResults, buildDependencyGraph(esmResults, { resolve: esmResolve }), {
+  resolve: esmResolve, rootDir: '/p',
+});
+assert(
+  esmDead.entryFiles.join() === '/p/src/index.mjs' && esmDead.deadFiles.length === 0,
+  'An index.mjs is a default entry point'
+);
+
+const cjsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-analyzer-cjs-'));
+fs.mkdirSync(path.join(cjsDir, 'src'));
+fs.writeFileSync(path.join(cjsDir, 'src', 'index.js'), "const { helper } = require('./util');\nhelper();\n");
+fs.writeFileSync(path.join(cjsDir, 'src', 'util.js'), 'module.exports = { helper() {} };\n');
+fs.writeFileSync(path.join(cjsDir, 'src', 'old.cjs'), 'module.exports = {};\n');
+const cjsFiles = ['index.js', 'util.js', 'old.cjs'].map(f => path.join(cjsDir, 'src', f));
+const cjsResolve = createImportResolver(cjsFiles);
+const cjsTypeScript = resolveTypeScript(__dirname);
+for (const engine of cjsTypeScript ? ['regex', 'typescript'] : ['regex']) {
+  const engineOptions = engine === 'typescript' ? { typescript: cjsTypeScript } : {};
+  const cjsResults = cjsFiles.map(f => analyzeFile(f, { symbols: true, ...engineOptions }));
+  const cjsDead = findDeadCode(cjsResults, buildDependencyGraph(cjsResults, { resolve: cjsResolve }), {
+    resolve: cjsResolve, rootDir: cjsDir,
+  });
+  assert(
+    cjsDead.deadFiles.join() === path.join(cjsDir, 'src', 'old.cjs'),
+    `Follows CommonJS require calls (${engine} engine)`
+  );
+}
+cleanup(cjsDir);
+
+// ── Tests: layers ────────────────────────────────────────────
+console.log('\n📦 layers');
+
+const layerDefs = normalizeLayers({
+  ui: { files: ['src/ui/**'], forbidden: ['db'] },
+  domain: { files: ['src/domain/**'], allowed: ['shared'] },
+  shared: { files: ['src/shared/**'] },
+  db: { files: ['src/db/**'] },
+});
+const layerResults = [
+  { filePath: '/p/src/ui/page.ts', dependencies: ['../db/client', '../domain/order', 'react'] },
+  { filePath: '/p/src/domain/order.ts', dependencies: ['../misc/helper', '../shared/math', './tax'] },
+  { filePath: '/p/src/domain/tax.ts', dependencies: ['../db/client'] },
+  { filePath: '/p/src/shared/math.ts', dependencies: [] },
+  { filePath: '/p/src/db/client.ts', dependencies: [] },
+  { filePath: '/p/src/misc/helper.ts', dependencies: ['../ui/page'] },
+];
+const layerCheck = checkLayers(layerResults, {
+  resolve: createImportResolver(layerResults.map(r => r.filePath)), rootDir: '/p', layers: layerDefs,
+});
+const layerPairs = layerCheck.violations.map(v => `${v.from}->${v.to}`);
+assert(layerPairs.includes('ui->db') && !layerPairs.includes('ui->domain'), 'Reports imports of forbidden layers only');
+assert(
+  layerPairs.includes('domain->db') && layerPairs.includes('domain->null') && layerPairs.length === 3,
+  'Allowed lists reject other layers and unlayered files, not the own layer'
+);
+assert(layerCheck.layers.find(l => l.name === 'domain').fileCount === 2, 'Counts the files of each layer');
+
+const layerSources = {
+  '/p/src/ui/page.ts': "import React from 'react';\nimport {\n  query,\n} from \"../db/client\";",
+  '/p/src/domain/order.ts': "import { helper } from '../misc/helper';",
+  '/p/src/domain/tax.ts': "// see '../db/client'\nexport { rate } from '../db/client';",
+};
+attachImportLines(layerCheck.violations, filePath => layerSources[filePath]);
+const uiViolation = layerCheck.violations.find(v => v.from === 'ui');
+assert(uiViolation.line === 4 && uiViolation.source === '} from "../db/client";', 'Finds the offending import line');
+assert(layerCheck.violations.find(v => v.filePath.endsWith('tax.ts')).line === 2, 'Skips mentions outside imports');
+const cjsLayerResults = [
+  { filePath: '/p/src/ui/list.js', dependencies: ['../db/client'] },
+  { filePath: '/p/src/db/client.js', dependencies: [] },
+];
+const cjsLayerCheck = checkLayers(cjsLayerResults, {
+  resolve: createImportResolver(cjsLayerResults.map(r => r.filePath)), rootDir: '/p', layers: layerDefs,
+});
+attachImportLines(cjsLayerCheck.violations, () => "'use strict';\n// '../db/client'\nconst db = require('../db/client');");
+assert(
+  cjsLayerCheck.violations[0].line === 3 && cjsLayerCheck.violations[0].source === "const db = require('../db/client');",
+  'Finds the offending require() line'
+);
+
+let badLayers = null;
+try { normalizeLayers({ ui: { files: ['src/ui/**'], forbidden: ['dbs'] } }); } catch (err) { badLayers = err.message; }
+assert(badLayers && badLayers.includes('"dbs"'), 'Rejects rules naming unknown layers');
+
+assert(
+  evaluateGate({ results: [], duplicateGroups: [], layers: layerCheck }, { maxLayerViolations: 0 })
+    .filter(v => v.rule === 'layer-violation').length === 3,
+  'Gate lists every layer violation'
+);
+
+// ── Tests: tsconfig ──────────────────────────────────────────
+console.log('\n📦 tsconfig');
+
+assert(
+  parseJsonc('{ // c\n "a": "x/*y", /* b */ "c": [1, 2,], }').a === 'x/*y',
+  'Parses comments and trailing commas without touching strings'
+);
+assert(
+  parseJsonc('{ "a": 1,\n  // "b": 2\n}').a === 1 && parseJsonc('{ "a": [1, /* x */ ] }').a.join() === '1' &&
+    parseJsonc('{ "a": "1,", /* } */ "b": 2 }').b === 2,
+  'Trailing commas before a comment and the closing bracket'
+);
+
+const tsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-analyzer-tsconfig-'));
+const writeFile = (rel, content) => {
+  fs.mkdirSync(path.dirname(path.join(tsDir, rel)), { recursive: true });
+  fs.writeFileSync(path.join(tsDir, rel), content, 'utf-8');
+};
+writeFile('tsconfig.base.json', '{ "compilerOptions": { "baseUrl": ".", "paths": { "@app/core/*": ["packages/core/src/*"] } } }');
+writeFile('tsconfig.json', '{ "extends": "./tsconfig.base", "include": ["apps"], "references": [{ "path": "./packages/core" }] }');
+writeFile('packages/core/tsconfig.json', '{ "include": ["src/**/*.ts"] }');
+writeFile('packages/core/src/math.ts', 'export const one = 1;');
+writeFile('apps/web/main.ts', "import { one } from '@app/core/math';");
+writeFile('scripts/build.ts', 'export {};');
+
+const tsProject = loadTsConfig(tsDir);
+assert(tsProject.paths.length === 1, 'Inherits paths through extends');
+assert(tsProject.references.length === 1, 'Loads referenced projects');
+
+const scope = getScanScope(tsProject, tsDir);
+const scopedFiles = scanTypeScriptFiles(tsDir, { ignore: scope.exclude, include: scope.include, files: scope.files });
+assert(
+  scopedFiles.length === 2 && !scopedFiles.some(f => f.includes('scripts')),
+  'Seeds the scanner from include of root and referenced projects'
+);
+
+const aliasResolver = createImportResolver(scopedFiles, { tsconfig: tsProject });
+assert(
+  aliasResolver('@app/core/math', path.join(tsDir, 'apps/web/main.ts')) === path.join(tsDir, 'packages/core/src/math.ts'),
+  'Resolves paths aliases to scanned files'
+);
+assert(aliasResolver('lodash', path.join(tsDir, 'apps/web/main.ts')) === null, 'Leaves unaliased packages unresolved');
+
+cleanup(tsDir);
+
+// ── Tests: JSON / SARIF output ───────────────────────────────
+console.log('\n📦 JSON / SARIF output');
+
+const reportInput = {
+  projectName: 'demo',
+  rootDir: '/p',
+  summary: { totalFiles: 2, totalLines: 20, totalFunctions: 1, totalComplexity: 40, complexityLevel: 'Low' },
+  results: [
+    {
+      filePath: '/p/src/a.ts', totalLines: 10, codeLines: 8, contentHash: 'h1', functionCount: 1,
+      functionNames: ['big'], dependencies: ['./b'], complexity: 39,
+      functions: [{ name: 'big', kind: 'function', startLine: 2, endLine: 9, complexity: 39 }],
+    },
+    {
+      filePath: '/p/src/b.ts', totalLines: 10, codeLines: 8, contentHash: 'h1', functionCount: 0,
+      functionNames: [], dependencies: [], complexity: 1, functions: [],
+    },
+  ],
+  duplicateGroups: [{ hash: 'h1', files: ['/p/src/a.ts', '/p/src/b.ts'] }],
+  dependencyGraph: buildDependencyGraph([
+    { filePath: '/p/src/a.ts', dependencies: ['./b'] },
+    { filePath: '/p/src/b.ts', dependencies: [] },
+  ]),
+  columns: { complexity: true, functions: true, duplicates: true },
+};
+
+const jsonReport = JSON.parse(generateJsonReport(reportInput));
+assert(jsonReport.schemaVersion === SCHEMA_VERSION, 'JSON report carries the schema version');
+assert(jsonReport.files[0].path === 'src/a.ts', 'JSON paths are relative to the project root');
+assert(jsonReport.files[0].imports[0] === 'src/b.ts', 'JSON includes resolved imports');
+assert(jsonReport.duplicateGroups[0].files.length === 2, 'JSON includes duplicate groups');
+
+const sarif = JSON.parse(generateSarifReport(reportInput));
+const sarifResults = sarif.runs[0].results;
+assert(sarif.version === '2.1.0', 'SARIF version is 2.1.0');
+assert(
+  sarifResults.some(r => r.ruleId === 'function-complexity' && r.level === 'error' &&
+    r.locations[0].physicalLocation.region.startLine === 2),
+  'SARIF reports critical function complexity with its line'
+);
+assert(sarifResults.filter(r => r.ruleId === 'duplicate-file').length === 2, 'SARIF reports each duplicate file');
+assert(
+  sarifResults.every(r => sarif.runs[0].tool.driver.rules[r.ruleIndex].id === r.ruleId),
+  'SARIF results reference their rules'
+);
+
+// ── Tests: quality gate ──────────────────────────────────────
+console.log('\n📦 quality gate');
+
+assert(complexityBand(5) === 'low' && complexityBand(31) === 'critical', 'Maps scores to complexity bands');
+assert(resolveLimit('high', COMPLEXITY_BANDS) === 30, 'Band name resolves to its upper bound');
+assert(resolveLimit('Medium', PROJECT_COMPLEXITY_LEVELS) === 1500, 'Project level resolves to its upper bound');
+assert(resolveLimit('12', []) === 12, 'Numeric limits pass through');
+let badLimit = false;
+try { resolveLimit('critical', COMPLEXITY_BANDS); } catch { badLimit = true; }
+assert(badLimit, 'Rejects open-ended band as a limit');
+
+const gateViolations = evaluateGate(reportInput, {
+  maxFileComplexity: 30,
+  maxTotalComplexity: 100,
+  maxFileLines: 10,
+  failOnDuplicates: true,
+  maxImportCycles: 0,
+});
+assert(
+  gateViolations.map(v => v.rule).join() === 'max-file-complexity,no-duplicates',
+  'Reports only exceeded limits'
+);
+assert(gateViolations[0].filePath === '/p/src/a.ts', 'Violation names the offending file');
+assert(evaluateGate(reportInput, {}).length === 0, 'No limits, no violations');
+
+// ── Tests: baseline comparison ───────────────────────────────
+console.log('\n📦 baseline comparison');
+
+const baselineReport = buildJsonReport({
+  ...reportInput,
+  results: [
+    { ...reportInput.results[0], complexity: 20, dependencies: [] },
+    { ...reportInput.results[1], filePath: '/p/src/old.ts' },
+  ],
+  duplicateGroups: [{ hash: 'h0', files: ['/p/src/x.ts', '/p/src/y.ts'] }],
+  summary: { ...reportInput.summary, totalComplexity: 21 },
+});
+const diff = compareToBaseline(baselineReport, buildJsonReport(reportInput));
+
+assert(diff.addedFiles.join() === 'src/b.ts' && diff.removedFiles.join() === 'src/old.ts', 'Reports added and removed files');
+assert(
+  diff.changedFiles.length === 1 && diff.changedFiles[0].complexity.delta === 19,
+  'Reports per-file complexity deltas'
+);
+assert(diff.summary.totalComplexity.delta === 19, 'Reports summary deltas');
+assert(
+  diff.newDuplicateGroups[0].hash === 'h1' && diff.resolvedDuplicateGroups[0].hash === 'h0',
+  'Reports new and resolved duplicate groups'
+);
+assert(diff.newDependencies[0].dependencies.join() === './b', 'Reports new dependencies per file');
+assert(
+  evaluateGate({ ...reportInput, baselineDiff: { newDuplicateGroups: [] } }, { failOnDuplicates: true }).length === 0,
+  'With a baseline the gate only fails on new duplicate groups'
+);
+
+// ── Tests: history ───────────────────────────────────────────
+console.log('\n📦 history');
+
+const historyEntry = buildHistoryEntry(reportInput, {
+  commit: { sha: 'a'.repeat(40), dirty: true },
+  timestamp: new Date('2024-03-01T12:00:00Z'),
+  topFiles: 1,
+});
+assert(
+  historyEntry.summary.duplicateGroups === 1 && historyEntry.summary.totalComplexity === 40,
+  'History entry records the summary and duplicate group count'
+);
+assert(
+  historyEntry.worstFiles.length === 1 && historyEntry.worstFiles[0].path === 'src/a.ts' &&
+    historyEntry.worstFiles[0].complexity === 39,
+  'History entry keeps the top-N most complex files'
+);
+
+const historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-analyzer-history-'));
+const historyFile = path.join(historyDir, '.ts-audit', 'history.jsonl');
+assert(loadHistory(historyFile).length === 0, 'Missing history file is an empty history');
+const laterEntry = {
+  ...historyEntry,
+  timestamp: '2024-03-02T12:00:00.000Z',
+  summary: { ...historyEntry.summary, totalComplexity: 55 },
+};
+appendHistory(historyFile, laterEntry);
+fs.appendFileSync(historyFile, '{"version":1,"timest'); // interrupted write
+appendHistory(historyFile, historyEntry);
+const history = loadHistory(historyFile);
+assert(
+  history.length === 2 && history[0].timestamp === historyEntry.timestamp,
+  'Loads entries oldest first, skipping a partial line'
+);
+
+const trendHtml = generateReport({
+  ...reportInput,
+  summary: {
+    ...reportInput.summary, totalCognitive: null, totalHalsteadVolume: null, averageMaintainability: null,
+    averageTypeSafety: null, typescriptShare: null,
+  },
+  history,
+});
+assert(
+  trendHtml.includes('<h2>Trends</h2>') && trendHtml.includes('<polyline class="trend-line"') &&
+    trendHtml.includes('▲ +15'),
+  'HTML report charts trends as inline SVG'
+);
+
+cleanup(historyDir);
+
+// ── Tests: directories ───────────────────────────────────────
+console.log('\n📦 directories');
+
+const dirColumns = { complexity: true, functions: true };
+const dirFile = (filePath, totalLines, complexity) => ({
+  filePath, totalLines, codeLines: totalLines, complexity, functionCount: 1, functions: [], dependencies: [],
+});
+const dirResults = [
+  dirFile('/p/index.ts', 5, 1),
+  dirFile('/p/src/ui/index.ts', 40, 12),
+  dirFile('/p/src/ui/forms/index.ts', 60, 31),
+  dirFile('/p/src/db/index.ts', 20, 2),
+];
+const dirTree = aggregateDirectories(dirResults, { rootDir: '/p', columns: dirColumns });
+const uiDir = dirTree.children[0].children.find(d => d.name === 'ui');
+assert(
+  dirTree.fileCount === 4 && dirTree.files.length === 1 && dirTree.children.map(d => d.path).join() === 'src',
+  'Builds the directory tree with the root files on the root'
+);
+assert(
+  uiDir.fileCount === 2 && uiDir.lines === 100 && uiDir.complexity === 43 && uiDir.averageComplexity === 21.5,
+  'Directory totals and averages include subdirectories'
+);
+assert(uiDir.worstFile.filePath === '/p/src/ui/forms/index.ts', 'Names the worst file of a directory');
+
+const pkgDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-analyzer-packages-'));
+fs.mkdirSync(path.join(pkgDir, 'packages', 'api', 'src'), { recursive: true });
+fs.writeFileSync(path.join(pkgDir, 'package.json'), '{ "name": "mono" }');
+fs.writeFileSync(path.join(pkgDir, 'packages', 'api', 'package.json'), '{ "name": "@mono/api" }');
+const packageSummaries = aggregatePackages([
+  dirFile(path.join(pkgDir, 'tools', 'build.ts'), 10, 1),
+  dirFile(path.join(pkgDir, 'packages', 'api', 'src', 'a.ts'), 10, 4),
+  dirFile(path.join(pkgDir, 'packages', 'api', 'src', 'b.ts'), 10, 6),
+], { rootDir: pkgDir, columns: dirColumns });
+assert(
+  packageSummaries.map(p => `${p.name}:${p.path}:${p.fileCount}`).join() === 'mono::1,@mono/api:packages/api:2',
+  'Groups files by their nearest package.json'
+);
+cleanup(pkgDir);
+
+const dirHtml = generateReport({
+  ...reportInput,
+  summary: {
+    ...reportInput.summary, totalCognitive: null, totalHalsteadVolume: null, averageMaintainability: null,
+    averageTypeSafety: null, typescriptShare: null,
+  },
+  results: dirResults.map(r => ({ ...r, fileName: path.basename(r.filePath) })),
+  duplicateGroups: [],
+  directories: { tree: dirTree, packages: [] },
+});
+assert(
+  dirHtml.includes('<svg class="treemap"') && (dirHtml.match(/class="tm-cell tm-critical"/g) || []).length === 1,
+  'HTML report draws a treemap colored by complexity'
+);
+assert(dirHtml.includes('<td title="/p/src/ui/forms/index.ts">src/ui/forms/index.ts</td>'), 'File table shows project-relative paths');
+
+// ── Tests: workspaces ────────────────────────────────────────
+console.log('\n📦 workspaces');
+
+const monoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-analyzer-workspaces-'));
+const writeMono = (file, content) => {
+  fs.mkdirSync(path.dirname(path.join(monoDir, file)), { recursive: true });
+  fs.writeFileSync(path.join(monoDir, file), content);
+};
+writeMono('package.json', '{ "name": "mono", "workspaces": ["packages/*"] }');
+writeMono('pnpm-workspace.yaml', "packages:\n  - 'apps/*' # deployables\n  - '!apps/legacy'\ncatalog:\n  react: ^18\n");
+writeMono('packages/core/package.json', '{ "name": "@mono/core", "main": "dist/index.js" }');
+writeMono('packages/ui/package.json', '{ "name": "@mono/ui", "exports": { ".": { "import": "./lib/main.js" } } }');
+writeMono('apps/web/package.json', '{ "name": "web" }');
+writeMono('apps/legacy/package.json', '{ "name": "legacy" }');
+writeMono('packages/node_modules/stray/package.json', '{ "name": "stray" }');
+
+const mono = loadWorkspaces(monoDir);
+assert(
+  mono.root.name === 'mono' && mono.packages.map(p => p.name).join() === '@mono/core,@mono/ui,web',
+  'Finds packages from package.json workspaces and pnpm-workspace.yaml, honoring negations'
+);
+const monoFile = file => path.join(monoDir, file);
+const monoResolve = createImportResolver(
+  ['packages/core/src/index.ts', 'packages/ui/src/main.ts', 'packages/ui/src/button.tsx', 'apps/web/src/app.ts'].map(monoFile),
+  { workspaces: mono.packages }
+);
+const fromApp = monoFile('apps/web/src/app.ts');
+assert(
+  monoResolve('@mono/core', fromApp) === monoFile('packages/core/src/index.ts') &&
+    monoResolve('@mono/ui', fromApp) === monoFile('packages/ui/src/main.ts'),
+  'Resolves sibling packages to the source of their entry point'
+);
+assert(
+  monoResolve('@mono/ui/button', fromApp) === monoFile('packages/ui/src/button.tsx') && monoResolve('react', fromApp) === null,
+  'Resolves package subpaths; other packages stay external'
+);
+assert(
+  selectWorkspaces(mono.packages, ['@mono/*'], monoDir).length === 2 &&
+    selectWorkspaces(mono.packages, ['apps/web'], monoDir)[0].name === 'web',
+  'Selects packages by name or directory glob'
+);
+let noPackage = null;
+try { selectWorkspaces(mono.packages, ['@mono/api'], monoDir); } catch (err) { noPackage = err.message; }
+assert(noPackage && noPackage.includes('"@mono/api"'), 'Rejects package patterns that match nothing');
+
+const monoResults = [
+  dirFile(monoFile('packages/core/src/index.ts'), 10, 2),
+  dirFile(monoFile('packages/ui/src/main.ts'), 10, 2),
+  dirFile(monoFile('apps/web/src/app.ts'), 10, 2),
+];
+monoResults[1].dependencies = ['@mono/core'];
+monoResults[2].dependencies = ['@mono/core', '@mono/ui', './local'];
+const monoPackages = aggregatePackages(monoResults, {
+  rootDir: monoDir, columns: dirColumns, packages: [mono.root, ...mono.packages],
+});
+const monoEdges = packageDependencies(monoPackages, buildDependencyGraph(monoResults, { resolve: monoResolve }));
+assert(
+  monoEdges.map(e => `${e.from}>${e.to}:${e.imports}`).join() === 'web>@mono/core:1,web>@mono/ui:1,@mono/ui>@mono/core:1',
+  'Counts imports between packages'
+);
+cleanup(monoDir);
+
+// ── Tests: git changes & hotspots ────────────────────────────
+console.log('\n📦 git changes & hotspots');
+
+const hotspotRanking = rankHotspots(
+  [
+    { filePath: '/p/a.ts', complexity: 40, totalLines: 100 },
+    { filePath: '/p/b.ts', complexity: 5, totalLines: 10 },
+    { filePath: '/p/c.ts', complexity: 90, totalLines: 900 },
+  ],
+  new Map([['/p/a.ts', { commits: 10, authors: 3 }], ['/p/b.ts', { commits: 50, authors: 1 }]])
+);
+assert(hotspotRanking.map(h => h.filePath).join() === '/p/a.ts,/p/b.ts', 'Ranks by commits × complexity');
+assert(hotspotRanking[0].score === 400 && hotspotRanking[0].authors === 3, 'Carries score and author count');
+
+const repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-analyzer-git-'));
+const runGit = (...args) => execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@example.com', ...args], {
+  cwd: repoDir, stdio: 'ignore',
+});
+fs.writeFileSync(path.join(repoDir, 'a.ts'), 'export const a = 1;');
+fs.writeFileSync(path.join(repoDir, 'b.ts'), 'export const b = 1;');
+runGit('init', '-q');
+runGit('add', '.');
+runGit('commit', '-q', '-m', 'initial');
+runGit('tag', 'v1');
+fs.appendFileSync(path.join(repoDir, 'a.ts'), '\nexport const a2 = 2;');
+runGit('commit', '-q', '-am', 'change a');
+fs.writeFileSync(path.join(repoDir, 'c.ts'), 'export const c = 1;');
+
+const changedFiles = getChangedFiles(repoDir, 'v1');
+assert(
+  changedFiles.has(path.join(repoDir, 'a.ts')) && changedFiles.has(path.join(repoDir, 'c.ts')) &&
+    !changedFiles.has(path.join(repoDir, 'b.ts')),
+  'Lists committed and untracked changes since a ref'
+);
+assert(getFileHistory(repoDir).get(path.join(repoDir, 'a.ts')).commits === 2, 'Counts commits per file');
+let badRef = null;
+try { getChangedFiles(repoDir, 'no-such-ref'); } catch (err) { badRef = err.message; }
+assert(badRef && badRef.includes('no-such-ref'), 'Rejects unknown refs');
+const head = getHeadCommit(repoDir);
+assert(/^[0-9a-f]{40}$/.test(head.sha) && head.dirty === false, 'Reads the HEAD commit; untracked files are not dirty');
+
+cleanup(repoDir);
+
+// ── Tests: coverage & risk ───────────────────────────────────
+console.log('\n📦 coverage & risk');
+
+const covDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-analyzer-coverage-'));
+fs.mkdirSync(path.join(covDir, 'coverage'));
+const statement = line => ({ start: { line, column: 2 }, end: { line, column: 20 } });
+fs.writeFileSync(path.join(covDir, 'coverage', 'coverage-final.json'), JSON.stringify({
+  // Written on another machine: matched by the project-relative path
+  '/ci/app/src/calc.ts': {
+    path: '/ci/app/src/calc.ts',
+    statementMap: { 0: statement(2), 1: statement(3), 2: statement(3), 3: statement(4), 4: statement(8) },
+    fnMap: {
+      0: { name: 'add', decl: statement(1), loc: statement(1), line: 1 },
+      1: { name: 'unused', decl: statement(7), loc: statement(7), line: 7 },
+    },
+    branchMap: { 0: { type: 'if', locations: [{}, {}], line: 2 } },
+    s: { 0: 4, 1: 0, 2: 1, 3: 0, 4: 0 },
+    f: { 0: 4, 1: 0 },
+    b: { 0: [4, 0] },
+  },
+}));
+fs.writeFileSync(path.join(covDir, 'coverage', 'lcov.info'), 'SF:src/calc.ts\nDA:4,2\nend_of_record\n');
+
+assert(
+  findCoverageFiles([covDir, path.join(covDir, 'none')]).join() === path.join(covDir, 'coverage', 'coverage-final.json'),
+  'Finds coverage-final.json before lcov.info'
+);
+const istanbul = loadCoverage(findCoverageFiles([covDir]));
+const calcCoverage = istanbul.get('/ci/app/src/calc.ts');
+assert(
+  calcCoverage.lines.get(3) === 1 && calcCoverage.lines.get(4) === 0 && calcCoverage.functions[1].hits === 0 &&
+    calcCoverage.branches.covered === 1 && calcCoverage.branches.total === 2,
+  'Reads coverage-final.json: a line counts its best-covered statement'
+);
+const lcov = parseCoverage(
+  'TN:\nSF:src/x.ts\nFN:1,3,run\nFNDA:0,run\nDA:2,0\nDA:3,5\nBRDA:2,0,0,-\nBRDA:2,0,1,1\nend_of_record\n',
+  '/p'
+).get('/p/src/x.ts');
+assert(
+  lcov.lines.get(3) === 5 && lcov.functions[0].line === 1 && lcov.functions[0].hits === 0 && lcov.branches.covered === 1,
+  'Reads lcov.info, resolving relative paths'
+);
+const merged = loadCoverage([path.join(covDir, 'coverage', 'lcov.info'), path.join(covDir, 'coverage', 'lcov.info')]);
+assert(merged.get(path.join(covDir, 'src', 'calc.ts')).lines.get(4) === 4, 'Merges reports of the same file');
+let badCoverage = null;
+try { parseCoverage('not coverage', '/p', 'x.txt'); } catch (err) { badCoverage = err.message; }
+assert(badCoverage && badCoverage.includes('unrecognized coverage format'), 'Rejects unknown coverage formats');
+
+assert(crapScore(10, 0) === 110 && crapScore(10, 1) === 10 && crapScore(10, 0.5) === 22.5, 'CRAP = complexity² × (1 − coverage)³ + complexity');
+const riskFunction = (name, startLine, endLine, complexity) => ({ name, kind: 'function', startLine, endLine, complexity });
+const assessment = assessCoverage([
+  {
+    filePath: path.join(covDir, 'src', 'calc.ts'), codeLines: 8,
+    functions: [riskFunction('add', 1, 5, 3), riskFunction('unused', 7, 9, 8)],
+  },
+  { filePath: path.join(covDir, 'src', 'types.ts'), codeLines: 4, functions: [riskFunction('untested', 1, 3, 12)] },
+], istanbul, { rootDir: covDir });
+const [calcFile, typesFile] = assessment.files;
+assert(
+  calcFile.measured && calcFile.lines.percent === 50 && calcFile.functions.percent === 50 && calcFile.branches.percent === 50 &&
+    !typesFile.measured && typesFile.lines.total === 4 && typesFile.lines.percent === 0,
+  'Maps coverage onto files; files missing from the data count as untested'
+);
+assert(
+  assessment.risks.map(r => `${r.name}:${r.coverage}:${r.crap}`).join() === 'untested:0:156,unused:0:72,add:66.7:3.3' &&
+    assessment.riskyFunctions === 2 && assessment.lineCoverage === 25,
+  'Ranks functions not fully covered by CRAP score; a function never called has no coverage'
+);
+
+cleanup(covDir);
+
+// ── Tests: analysis cache ────────────────────────────────────
+console.log('\n📦 analysis cache');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-analyzer-cache-'));
+const cacheFile = path.join(cacheDir, '.cache', 'cache.json');
+const cachedSource = path.join(cacheDir, 'a.ts');
+fs.writeFileSync(cachedSource, 'export function a(x: number) { return x > 0 ? 1 : 2; }');
+const cacheOptions = { complexity: true, functions: true };
+
+const firstRun = openAnalysisCache(cacheFile, cacheOptions);
+const fresh = firstRun.analyze(cachedSource);
+firstRun.save();
+assert(firstRun.stats.misses === 1 && fs.existsSync(cacheFile), 'Analyzes and stores on a cold cache');
+
+const secondRun = openAnalysisCache(cacheFile, cacheOptions);
+assert(secondRun.analyze(cachedSource).complexity === fresh.complexity && secondRun.stats.hits === 1,
+  'Reuses the result of an unchanged file');
+
+fs.utimesSync(cachedSource, new Date(), new Date(Date.now() + 5000));
+const touchedRun = openAnalysisCache(cacheFile, cacheOptions);
+touchedRun.analyze(cachedSource);
+assert(touchedRun.stats.hits === 1, 'Touched file with the same content is still a hit');
+
+fs.writeFileSync(cachedSource, 'export const a = 1;');
+const thirdRun = openAnalysisCache(cacheFile, cacheOptions);
+assert(thirdRun.analyze(cachedSource).functionCount === 0 && thirdRun.stats.misses === 1, 'Re-analyzes changed files');
+
+const otherOptions = openAnalysisCache(cacheFile, { complexity: false, functions: true });
+assert(otherOptions.stats.invalidated, 'Discards the cache when analyzer options change');
+
+cleanup(cacheDir);
+
+// ── Tests: worker pool ───────────────────────────────────────
+console.log('\n📦 worker pool');
+
+assert(resolveJobs(undefined) === 1 && resolveJobs('3') === 3 && resolveJobs('auto') >= 1, 'Resolves --jobs values');
+let badJobs = null;
+try { resolveJobs('0'); } catch (err) { badJobs = err.message; }
+assert(badJobs && badJobs.includes('--jobs'), 'Rejects invalid --jobs values');
+
+const poolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-analyzer-pool-'));
+const poolFiles = [];
+for (let i = 0; i < 40; i++) {
+  const file = path.join(poolDir, `f${String(i).padStart(2, '0')}.ts`);
+  fs.writeFileSync(file, `export function f${i}(a: number) {\n${'  if (a) a++;\n'.repeat(i % 5)}}\n`);
+  poolFiles.push(file);
+}
+poolFiles.splice(7, 0, path.join(poolDir, 'missing.ts'));
+
+let poolProgress = 0;
+const poolRun = analyzeInWorkers(poolFiles, { complexity: true }, { jobs: 3, onProgress: done => { poolProgress = done; } })
+  .then(({ results, errors }) => {
+    assert(results.every((r, i) => !r || r.filePath === poolFiles[i]), 'Worker results keep the input order');
+    assert(results[9].complexity === analyzeFile(poolFiles[9], { complexity: true }).complexity,
+      'Worker results match in-process analysis');
+    assert(errors.length === 1 && errors[0].filePath.endsWith('missing.ts') && results[7] === undefined,
+      'Reports files that failed in a worker');
+    assert(poolProgress === poolFiles.length, 'Reports progress for every file');
+    cleanup(poolDir);
+  });
+
+// ── Tests: watch mode ────────────────────────────────────────
+console.log('\n📦 watch mode');
+
+const watchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-analyzer-watch-'));
+fs.mkdirSync(path.join(watchDir, 'src'));
+fs.mkdirSync(path.join(watchDir, 'dist', 'x'), { recursive: true });
+assert(
+  scanDirectories(watchDir, { ignore: ['**/dist/**'] }).map(d => path.relative(watchDir, d)).sort().join() === ',dist,src',
+  'Lists the directories the scanner descends into'
+);
+
+const httpGet = (url, headers = {}) => new Promise((resolve, reject) => {
+  require('http').get(url, { headers }, res => {
+    let body = '';
+    res.on('data', chunk => { body += chunk; if (res.headers['content-type'] === 'text/event-stream') res.destroy(); });
+    res.on('close', () => resolve({ status: res.statusCode, body }));
+  }).on('error', reject);
+});
+const watchRun = (async () => {
+  const changes = new Promise(resolve => {
+    const watcher = watchDirectories(watchDir, {
+      ignore: ['**/dist/**'],
+      debounceMs: 20,
+      onChange: changed => { watcher.close(); resolve(changed); },
+    });
+    fs.writeFileSync(path.join(watchDir, 'dist', 'x', 'out.ts'), 'export {};');
+    fs.writeFileSync(path.join(watchDir, 'src', 'a.ts'), 'export {};');
+  });
+  const changed = await changes;
+  assert(changed.has(path.join(watchDir, 'src', 'a.ts')) && changed.size === 1, 'Watcher reports changes outside ignored trees');
+
+  const server = await startReportServer({ port: 0 });
+  assert(/^http:\/\/localhost:\d+\/$/.test(server.url), 'Report server listens on a free local port');
+  server.publish('<html><body><h1>v1</h1></body></html>');
+  const page = await httpGet(server.url);
+  assert(page.body.includes('<h1>v1</h1>') && /EventSource[\s\S]*!== 1\)[\s\S]*<\/body>/.test(page.body),
+    'Serves the report with the live-reload script');
+  const events = await httpGet(`${server.url}events`);
+  assert(events.body.includes('event: report\ndata: 1'), 'Event stream announces the current report');
+  assert((await httpGet(server.url, { Host: 'attacker.example' })).status === 403, 'Refuses foreign Host headers');
+  await server.close();
+  cleanup(watchDir);
+})();
+
+// ── Tests: plugins ───────────────────────────────────────────
+console.log('\n📦 plugins');
+
+const pluginDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-analyzer-plugins-'));
+fs.mkdirSync(path.join(pluginDir, 'src', 'api'), { recursive: true });
+fs.writeFileSync(path.join(pluginDir, 'src', 'api', 'client.ts'), 'export const get = () => fetch("/x");\n', 'utf-8');
+fs.writeFileSync(path.join(pluginDir, 'src', 'page.ts'), 'const a = FF_NEW;\nfetch("/y");\n', 'utf-8');
+fs.writeFileSync(path.join(pluginDir, 'no-fetch.js'), `module.exports = {
+  name: 'no-direct-fetch',
+  columns: [{ metric: 'flags', label: 'Flags' }],
+  analyzeFile({ relativePath, content, analysis, options }) {
+    const line = content.split('\\n').findIndex(l => l.includes('fetch(')) + 1;
+    const findings = line > 0 && !relativePath.startsWith(options.allowIn)
+      ? [{ line, rule: 'fetch', message: 'Use the api client' }]
+      : [];
+    return { metrics: { flags: (content.match(/FF_\\w+/g) || []).length, lines: analysis.totalLines }, findings };
+  },
+  analyzeProject({ results }) {
+    return { metrics: { files: results.length }, findings: [{ message: 'Project-wide', severity: 'note' }] };
+  },
+};`, 'utf-8');
+fs.writeFileSync(path.join(pluginDir, 'broken.js'), 'module.exports = { name: "broken" };', 'utf-8');
+
+const pluginSpec = { path: path.join(pluginDir, 'no-fetch.js'), options: { allowIn: 'src/api/' } };
+const [loadedPlugin] = loadPlugins([pluginSpec]);
+const pluginOptions = { rootDir: pluginDir, plugins: [{ name: loadedPlugin.name, path: loadedPlugin.path, options: loadedPlugin.options }] };
+const pluginResults = ['api/client.ts', 'page.ts'].map(f => analyzeFile(path.join(pluginDir, 'src', f), pluginOptions));
+const pagePlugin = pluginResults[1].plugins['no-direct-fetch'];
+assert(pagePlugin.metrics.flags === 1 && pagePlugin.metrics.lines === 3, 'File hooks add metrics from content and FileAnalysis');
+assert(
+  pagePlugin.findings.length === 1 && pagePlugin.findings[0].line === 2 && pagePlugin.findings[0].severity === 'warning',
+  'File hook findings default to the file and severity warning'
+);
+assert(pluginResults[0].plugins['no-direct-fetch'].findings.length === 0, 'File hooks get project-relative paths and options');
+assert(analyzeFile(path.join(pluginDir, 'src', 'page.ts')).plugins === null, 'No plugins, no plugin output');
+
+const pluginReports = runProjectPlugins([loadedPlugin], { rootDir: pluginDir, results: pluginResults });
+assert(
+  pluginReports[0].metrics.files === 2 && pluginReports[0].findings.length === 2 && pluginReports[0].findings[1].filePath === null,
+  'Project hook output is combined with file findings'
+);
+
+let brokenPlugin = null;
+try { loadPlugins([{ path: path.join(pluginDir, 'broken.js') }]); } catch (err) { brokenPlugin = err.message; }
+assert(brokenPlugin && brokenPlugin.includes('analyzeFile'), 'Rejects plugins without hooks');
+
+const pluginJson = buildJsonReport({
+  projectName: 'p', rootDir: pluginDir, summary: {}, results: pluginResults, duplicateGroups: [], clones: null,
+  dependencyGraph: null, deadCode: null, baselineDiff: null, hotspots: null, plugins: pluginReports, columns: {},
+});
+assert(
+  pluginJson.plugins[0].findings[0].path === 'src/page.ts' && pluginJson.files[1].plugins['no-direct-fetch'].flags === 1,
+  'JSON report carries plugin metrics and findings'
+);
+const pluginSarif = JSON.parse(generateSarifReport({
+  rootDir: pluginDir, results: pluginResults, duplicateGroups: [], clones: null, dependencyGraph: null,
+  deadCode: null, plugins: pluginReports, columns: {},
+}));
+assert(
+  pluginSarif.runs[0].results.some(r => r.ruleId === 'no-direct-fetch/fetch' &&
+    pluginSarif.runs[0].tool.driver.rules[r.ruleIndex].id === r.ruleId),
+  'SARIF declares a rule per plugin rule'
+);
+
+const pluginArgs = parseArgs([pluginDir, '--plugin', path.relative(process.cwd(), path.join(pluginDir, 'no-fetch.js'))]);
+assert(pluginArgs.plugins.length === 1 && pluginArgs.plugins[0].path === pluginSpec.path, '--plugin paths are resolved');
+let missingPlugin = null;
+try { resolvePlugin('./nope.js', pluginDir); } catch (err) { missingPlugin = err.message; }
+assert(missingPlugin && missingPlugin.includes('nope.js'), 'Reports missing plugins');
+
+cleanup(pluginDir);
+
+// ── Tests: config file ───────────────────────────────────────
+console.log('\n📦 config file');
+
+const cfgDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-analyzer-config-'));
+assert(loadConfigFile(cfgDir) === null, 'No config file, no config');
+
+fs.writeFileSync(path.join(cfgDir, 'ts-audit.config.js'), `module.exports = {
+  useDefaultIgnore: false,
+  ignore: ['**/legacy/**'],
+  analyzers: { complexity: true },
+  gate: { maxFileLines: 500 },
+  output: { formats: ['json', 'sarif'], path: 'reports/audit' },
+  excludeDependencies: ['vue'],
+};`, 'utf-8');
+const fromFile = parseArgs([cfgDir]);
+assert(fromFile.configPath.endsWith('ts-audit.config.js'), 'Discovers ts-audit.config.js');
+assert(fromFile.complexity && !fromFile.duplicates && !fromFile.functions, 'Enables analyzers from config');
+assert(fromFile.ignorePatterns.join() === '**/legacy/**', 'useDefaultIgnore: false drops the default ignores');
+assert(fromFile.formats.join() === 'json,sarif' && fromFile.outputPath === 'reports/audit', 'Reads output settings');
+assert(fromFile.gate.maxFileLines === 500, 'Reads gate limits');
+assert(fromFile.excludeDependencies.join() === 'vue', 'Reads excluded dependency names');
+
+const overridden = parseArgs([cfgDir, '-d', '--format', 'html', '--max-file-lines', '300', '-i', '**/tmp/**']);
+assert(overridden.duplicates && !overridden.complexity, 'CLI analyzer flags override config');
+assert(overridden.formats.join() === 'html', 'CLI --format overrides config');
+assert(overridden.gate.maxFileLines === 300, 'CLI limits override config limits');
+assert(overridden.ignorePatterns.join() === '**/legacy/**,**/tmp/**', 'CLI --ignore extends config ignores');
+const metricFlags = parseArgs([cfgDir, '-C', '--maintainability']);
+assert(
+  metricFlags.cognitive && metricFlags.maintainability && !metricFlags.halstead && !metricFlags.complexity,
+  'Readability metrics are selected by their own flags'
+);
+assert(parseArgs([cfgDir, '-a']).halstead, '--all includes the readability metrics');
+
+fs.writeFileSync(path.join(cfgDir, '.tsauditrc'), '{ /* wins */ "ignore": ["**/gen/**"], }', 'utf-8');
+const fromRc = parseArgs([cfgDir]);
+assert(fromRc.configPath.endsWith('.tsauditrc'), '.tsauditrc takes precedence over ts-audit.config.js');
+assert(fromRc.ignorePatterns.join() === [...DEFAULT_IGNORE, '**/gen/**'].join(), 'Config ignores extend the defaults');
+
+fs.writeFileSync(path.join(cfgDir, '.tsauditrc'), '{ "gate": { "maxFileComplexty": 10 } }', 'utf-8');
+let badConfig = null;
+try { loadConfigFile(cfgDir); } catch (err) { badConfig = err.message; }
+assert(badConfig && badConfig.includes('maxFileComplexty'), 'Rejects unknown config keys');
+
+fs.writeFileSync(path.join(cfgDir, '.tsauditrc'), '{ "layers": { "ui": { "files": ["src/ui/**"] } } }', 'utf-8');
+assert(parseArgs([cfgDir]).gate.maxLayerViolations === 0, 'Layers enable the gate with no violations allowed');
+fs.writeFileSync(path.join(cfgDir, '.tsauditrc'), '{ "gate": false, "layers": { "ui": { "files": ["src/ui/**"] } } }', 'utf-8');
+assert(parseArgs([cfgDir]).gate === null, '"gate": false keeps layer violations out of the exit status');
+
+fs.writeFileSync(path.join(cfgDir, '.tsauditrc'), '{ "workspaces": { "packages": ["@acme/*"] } }', 'utf-8');
+assert(
+  parseArgs([cfgDir]).workspaces.packages.join() === '@acme/*' &&
+    parseArgs([cfgDir, '--package', 'a,b']).workspaces.packages.join() === 'a,b',
+  '--package replaces the configured package selection'
+);
+
+fs.writeFileSync(path.join(cfgDir, '.tsauditrc'), '{ "components": { "maxLines": 80 } }', 'utf-8');
+assert(
+  parseArgs([cfgDir]).components.maxLines === 80 && parseArgs([cfgDir, '--max-component-lines', '40']).components.maxLines === 40,
+  'Reads the component size limit; --max-component-lines overrides it'
+);
+
+fs.writeFileSync(path.join(cfgDir, '.tsauditrc'), '{ "languages": ["typescript", "vue"] }', 'utf-8');
+assert(
+  parseArgs([cfgDir]).languages.join() === 'typescript,vue' &&
+    parseArgs([cfgDir, '-l', 'javascript', '--languages', 'svelte,javascript']).languages.join() === 'javascript,svelte' &&
+    parseArgs([path.join(cfgDir, 'none')]).languages.join() === 'typescript',
+  'Reads the languages; --languages replaces them; TypeScript only by default'
+);
+fs.writeFileSync(path.join(cfgDir, '.tsauditrc'), '{ "coverage": { "files": ["reports/lcov.info"], "crapThreshold": 20 } }', 'utf-8');
+const withCoverage = parseArgs([cfgDir, '-d']);
+assert(
+  withCoverage.coverage.files[0] === path.resolve(cfgDir, 'reports/lcov.info') && withCoverage.coverage.crapThreshold === 20 &&
+    withCoverage.complexity && parseArgs([cfgDir, '--coverage-file', 'a.json,b.info']).coverage.files.length === 2,
+  'Reads coverage files relative to the project; coverage turns on complexity'
+);
+fs.writeFileSync(path.join(cfgDir, '.tsauditrc'), '{ "languages": ["coffeescript"] }', 'utf-8');
+let badLanguage = null;
+try { loadConfigFile(cfgDir); } catch (err) { badLanguage = err.message; }
+assert(badLanguage && badLanguage.includes('"languages"'), 'Rejects unknown languages');
+
+cleanup(cfgDir);
+
+// ── Tests: programmatic API ──────────────────────────────────
+console.log('\n📦 programmatic API');
+
+const apiDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-analyzer-api-'));
+fs.writeFileSync(path.join(apiDir, 'a.ts'), 'export function f(x: number) { return x > 1 ? 1 : 2; }\n', 'utf-8');
+fs.writeFileSync(path.join(apiDir, 'b.ts'), 'export function f(x: number) { return x > 1 ? 1 : 2; }\n', 'utf-8');
+fs.writeFileSync(path.join(apiDir, '.tsauditrc'), '{ "ignore": ["b.ts"] }', 'utf-8');
+fs.mkdirSync(path.join(apiDir, 'empty'));
+
+const apiRun = (async () => {
+  const logged = [];
+  const data = await analyzeProject(apiDir, {
+    configFile: false,
+    analyzers: { duplicates: true, complexity: true },
+    gate: { failOnDuplicates: true },
+    logger: { info: msg => logged.push(msg) },
+  });
+  assert(
+    data.results.length === 2 && data.summary.totalComplexity === 4 && data.duplicateGroups.length === 1,
+    'analyzeProject returns results, summary and duplicate groups'
+  );
+  assert(data.gateViolations.length === 1 && data.gateViolations[0].rule === 'no-duplicates', 'Gate violations come back as data');
+  assert(logged.some(msg => msg.startsWith('Found 2 source file(s)')), 'Logs through a partial injected logger');
+  assert(JSON.parse(renderReport(data, 'json')).summary.totalFiles === 2, 'renderReport renders any output format');
+
+  const withConfig = await analyzeProject(apiDir, { analyzers: { functions: true } });
+  assert(
+    withConfig.results.length === 1 && withConfig.summary.totalFunctions === 1 && withConfig.summary.totalComplexity === null,
+    "Options override the project's config file key by key"
+  );
+  assert(await analyzeProject(path.join(apiDir, 'empty'), { configFile: false }) === null, 'No files in scope gives null');
+
+  const rejection = promise => promise.then(() => null, err => err.message);
+  assert((await rejection(analyzeProject(path.join(apiDir, 'missing')))).startsWith('Directory not found'),
+    'Errors are thrown, not turned into an exit');
+  assert((await rejection(analyzeProject(apiDir, { analyzer: {} }))).includes('unknown option "analyzer"'), 'Options are validated');
+  let formatError = null;
+  try { renderReport(data, 'pdf'); } catch (err) { formatError = err.message; }
+  assert(formatError && formatError.includes('unknown format "pdf"'), 'renderReport rejects unknown formats');
+  cleanup(apiDir);
+})();
+
 // ── Tests: analyzeFile (integration) ─────────────────────────
 console.log('\n📦 analyzeFile (integration)');
 
@@ -137,13 +1411,73 @@ const result = analyzeFile(testFile, { complexity: true, functions: true });
 assert(result.totalLines > 0, 'Counts lines');
 assert(result.functionCount >= 3, `Finds >= 3 functions (got ${result.functionCount})`);
 assert(result.complexity > 1, `Complexity > 1 (got ${result.complexity})`);
+assert(
+  result.functions.some(fn => fn.name === 'processData' && fn.complexity === 3),
+  'Per-function complexity on the result'
+);
 assert(result.dependencies.includes('./module'), 'Extracts relative dependency');
 assert(!result.dependencies.includes('react'), 'Excludes react');
 assert(result.contentHash.length === 64, 'Generates SHA-256 hash');
+assert(result.cognitive === null && result.halstead === null && result.maintainability === null,
+  'Readability metrics are null unless requested');
+
+const readability = analyzeFile(testFile, { cognitive: true, halstead: true, maintainability: true });
+assert(readability.cognitive === 3 && readability.complexity === 0, `File cognitive complexity (got ${readability.cognitive})`);
+assert(
+  readability.halstead.volume > 0 && readability.maintainability > 0 && readability.maintainability <= 100,
+  'File Halstead volume and maintainability index'
+);
+assert(
+  readability.functions.some(fn => fn.name === 'processData' && fn.cognitive === 3),
+  'Per-function readability metrics without -c'
+);
 
 cleanup(tmpDir);
 
+// ── Tests: engine corpus (regex vs TypeScript AST) ───────────
+console.log('\n📦 engine corpus');
+
+// Each corpus file shows a case where the regex engine goes wrong; the
+// expected metrics of both engines are recorded side by side.
+const corpusDir = path.join(__dirname, 'engine-corpus');
+const corpus = JSON.parse(fs.readFileSync(path.join(corpusDir, 'expected.json'), 'utf-8'));
+const typescriptModule = resolveTypeScript(__dirname);
+const matchesExpected = (actual, expected) =>
+  Object.entries(expected).every(([key, value]) => JSON.stringify(actual[key]) === JSON.stringify(value));
+
+for (const [file, expected] of Object.entries(corpus)) {
+  const corpusFile = path.join(corpusDir, file);
+  const corpusOptions = { complexity: true, functions: true, cognitive: true, typeSafety: true };
+  assert(matchesExpected(analyzeFile(corpusFile, corpusOptions), expected.regex), `regex engine: ${file}`);
+  if (typescriptModule) {
+    const ast = analyzeFile(corpusFile, { ...corpusOptions, typescript: typescriptModule });
+    assert(matchesExpected(ast, expected.typescript), `typescript engine: ${file}`);
+  }
+}
+if (typescriptModule) {
+  const { filePath: sameFile, tmpDir: sameDir } = createTempFile(testCode);
+  const viaRegex = analyzeFile(sameFile, { complexity: true, functions: true, cognitive: true });
+  const viaAst = analyzeFile(sameFile, { complexity: true, functions: true, cognitive: true, typescript: typescriptModule });
+  assert(
+    JSON.stringify([viaRegex.functions, viaRegex.dependencies, viaRegex.functionNames.sort()]) ===
+      JSON.stringify([viaAst.functions, viaAst.dependencies, viaAst.functionNames.sort()]),
+    'Engines agree on ordinary code'
+  );
+  cleanup(sameDir);
+  const { filePath: sameComponents, tmpDir: sameComponentsDir } = createTempFile(componentSource, 'App.tsx');
+  assert(
+    JSON.stringify(analyzeFile(sameComponents, { components: true, typescript: typescriptModule }).components) ===
+      JSON.stringify(foundComponents),
+    'Engines agree on components'
+  );
+  cleanup(sameComponentsDir);
+} else {
+  console.log('  – typescript not installed; AST engine cases skipped');
+}
+
 // ── Summary ──────────────────────────────────────────────────
-console.log(`\n${'─'.repeat(40)}`);
-console.log(`Results: ${passed} passed, ${failed} failed`);
-process.exit(failed > 0 ? 1 : 0);
+Promise.all([poolRun, watchRun, apiRun]).then(() => {
+  console.log(`\n${'─'.repeat(40)}`);
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+});
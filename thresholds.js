@@ -0,0 +1,108 @@
+/**
+ * Complexity thresholds shared by the report color scale, the summary level
+ * and the quality gate, plus the maintainability index, type-safety and
+ * test coverage color scales.
+ *
+ * Limits on the command line can be given as numbers or by naming a band or
+ * level, which stands for its upper bound (e.g. `high` = 30, `Medium` = 1500).
+ */
+
+// Per-file / per-function cyclomatic complexity bands (report color scale)
+const COMPLEXITY_BANDS = [
+  { name: 'low', max: 5 },
+  { name: 'medium', max: 15 },
+  { name: 'high', max: 30 },
+  { name: 'critical', max: Infinity },
+];
+
+// Project-wide total complexity levels (summary card)
+const PROJECT_COMPLEXITY_LEVELS = [
+  { name: 'Low', max: 500 },
+  { name: 'Medium', max: 1500 },
+  { name: 'High', max: 3000 },
+  { name: 'Very High', max: Infinity },
+];
+
+// Maintainability index bands (0–100, higher is better), as used by Visual Studio
+const MAINTAINABILITY_BANDS = [
+  { name: 'low', max: 9 },
+  { name: 'moderate', max: 19 },
+  { name: 'good', max: Infinity },
+];
+
+// Type-safety score bands (0–100, higher is better); one `any` per 100 lines scores 91
+const TYPE_SAFETY_BANDS = [
+  { name: 'low', max: 49 },
+  { name: 'moderate', max: 79 },
+  { name: 'good', max: Infinity },
+];
+
+// Test coverage bands (percent of lines, higher is better)
+const COVERAGE_BANDS = [
+  { name: 'low', max: 49.9 },
+  { name: 'moderate', max: 79.9 },
+  { name: 'good', max: Infinity },
+];
+
+function findLevel(table, value) {
+  return table.find(level => value <= level.max).name;
+}
+
+/** Band name ('low' … 'critical') of a file or function complexity score. */
+function complexityBand(score) {
+  return findLevel(COMPLEXITY_BANDS, score);
+}
+
+/** Level name ('Low' … 'Very High') of a project's total complexity. */
+function projectComplexityLevel(total) {
+  return findLevel(PROJECT_COMPLEXITY_LEVELS, total);
+}
+
+/** Band name ('low', 'moderate', 'good') of a maintainability index. */
+function maintainabilityBand(index) {
+  return findLevel(MAINTAINABILITY_BANDS, index);
+}
+
+/** Band name ('low', 'moderate', 'good') of a type-safety score. */
+function typeSafetyBand(score) {
+  return findLevel(TYPE_SAFETY_BANDS, score);
+}
+
+/** Band name ('low', 'moderate', 'good') of a coverage percentage. */
+function coverageBand(percent) {
+  return findLevel(COVERAGE_BANDS, percent);
+}
+
+/**
+ * Turn a limit given as a number or a band/level name into a number.
+ *
+ * @param {string|number} value
+ * @param {Array<{name: string, max: number}>} table - Bands the name is looked up in
+ * @returns {number}
+ * @throws {Error} for unknown names, open-ended bands and negative numbers
+ */
+function resolveLimit(value, table) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text);
+
+  const level = table.find(l => l.name.toLowerCase() === text.toLowerCase());
+  if (!level || level.max === Infinity) {
+    const names = table.filter(l => l.max !== Infinity).map(l => l.name);
+    throw new Error(`invalid limit "${value}" (expected a number or one of: ${names.join(', ')})`);
+  }
+  return level.max;
+}
+
+module.exports = {
+  COMPLEXITY_BANDS,
+  PROJECT_COMPLEXITY_LEVELS,
+  MAINTAINABILITY_BANDS,
+  TYPE_SAFETY_BANDS,
+  COVERAGE_BANDS,
+  complexityBand,
+  projectComplexityLevel,
+  maintainabilityBand,
+  typeSafetyBand,
+  coverageBand,
+  resolveLimit,
+};
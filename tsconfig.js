@@ -0,0 +1,307 @@
+/**
+ * tsconfig.json support — loads the project's TypeScript configuration so
+ * that aliased imports (`compilerOptions.paths` / `baseUrl`) resolve to real
+ * files and `include` / `exclude` / `files` can seed the scanner.
+ *
+ * Follows `extends` chains (relative paths and packages in node_modules) and
+ * `references` to composite sub-projects. Only the options this tool needs
+ * are interpreted; everything else in the file is ignored.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Applied by tsc when a config does not specify `exclude`
+const DEFAULT_EXCLUDE = ['node_modules', 'bower_components', 'jspm_packages'];
+
+/**
+ * Load a tsconfig file and its referenced projects.
+ *
+ * @param {string} projectDir - Directory to look for tsconfig.json in
+ * @param {object} [opts]
+ * @param {string} [opts.configPath] - Explicit config path (relative to projectDir)
+ * @returns {TsProject|null} null when no config exists and none was requested
+ * @throws {Error} when the config cannot be read or parsed
+ */
+function loadTsConfig(projectDir, { configPath } = {}) {
+  const target = path.resolve(projectDir, configPath || 'tsconfig.json');
+  if (!configPath && !fs.existsSync(target)) return null;
+  return loadProject(resolveConfigFile(target), new Set());
+}
+
+function loadProject(configFile, seen) {
+  seen.add(configFile);
+  const merged = readConfigChain(configFile, []);
+  const dir = path.dirname(configFile);
+  const compilerOptions = merged.compilerOptions;
+
+  const project = {
+    configPath: configFile,
+    dir,
+    baseUrl: compilerOptions.baseUrl || null,
+    paths: toPathAliases(compilerOptions.paths, compilerOptions.baseUrl || compilerOptions.pathsBase),
+    include: merged.include !== undefined
+      ? merged.include
+      : (merged.files !== undefined ? [] : [path.join(dir, '**/*')]),
+    exclude: merged.exclude !== undefined
+      ? merged.exclude
+      : [...DEFAULT_EXCLUDE.map(p => path.join(dir, p)),
+        ...(compilerOptions.outDir ? [compilerOptions.outDir] : [])],
+    files: merged.files || [],
+    references: [],
+  };
+
+  for (const ref of merged.references || []) {
+    if (!ref || typeof ref.path !== 'string') continue;
+    const refFile = resolveConfigFile(path.resolve(dir, ref.path));
+    if (seen.has(refFile) || !fs.existsSync(refFile)) continue;
+    project.references.push(loadProject(refFile, seen));
+  }
+
+  return project;
+}
+
+/**
+ * Read a config and everything it extends, child values overriding parents.
+ * Path-valued options are made absolute relative to the config that
+ * declares them, as tsc does.
+ */
+function readConfigChain(configFile, chain) {
+  if (chain.includes(configFile)) {
+    throw new Error(`Circular "extends" in ${configFile}`);
+  }
+
+  let raw;
+  try {
+    raw = parseJsonc(fs.readFileSync(configFile, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Cannot read ${configFile}: ${err.message}`);
+  }
+
+  const dir = path.dirname(configFile);
+  const parents = [].concat(raw.extends || []);
+  let merged = { compilerOptions: {} };
+  for (const parent of parents) {
+    const parentFile = resolveExtends(parent, dir);
+    if (!parentFile) {
+      throw new Error(`Cannot find "${parent}" extended by ${configFile}`);
+    }
+    const inherited = readConfigChain(parentFile, [...chain, configFile]);
+    merged = {
+      ...merged,
+      ...inherited,
+      compilerOptions: { ...merged.compilerOptions, ...inherited.compilerOptions },
+    };
+  }
+
+  const own = raw.compilerOptions || {};
+  const compilerOptions = { ...merged.compilerOptions };
+  for (const key of ['baseUrl', 'outDir', 'rootDir']) {
+    if (typeof own[key] === 'string') compilerOptions[key] = path.resolve(dir, own[key]);
+  }
+  if (own.paths) {
+    compilerOptions.paths = own.paths;
+    // Without baseUrl, paths are relative to the config that declares them
+    compilerOptions.pathsBase = dir;
+  }
+
+  const absolute = list => list.map(p => path.resolve(dir, p));
+  return {
+    ...merged,
+    compilerOptions,
+    ...(Array.isArray(raw.include) && { include: absolute(raw.include) }),
+    ...(Array.isArray(raw.exclude) && { exclude: absolute(raw.exclude) }),
+    ...(Array.isArray(raw.files) && { files: absolute(raw.files) }),
+    // References are never inherited through `extends`
+    references: raw.references || [],
+  };
+}
+
+/**
+ * Resolve an `extends` value: a relative/absolute path, or a package
+ * (optionally with a subpath) looked up in node_modules directories.
+ */
+function resolveExtends(specifier, fromDir) {
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    const file = resolveConfigFile(path.resolve(fromDir, specifier));
+    return fs.existsSync(file) ? file : null;
+  }
+
+  for (let dir = fromDir; ; dir = path.dirname(dir)) {
+    const file = resolveConfigFile(path.join(dir, 'node_modules', specifier));
+    if (fs.existsSync(file)) return file;
+    if (path.dirname(dir) === dir) return null;
+  }
+}
+
+/**
+ * A reference or `extends` may point at a directory (containing
+ * tsconfig.json) or at a file with or without the `.json` extension.
+ */
+function resolveConfigFile(target) {
+  if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+    return path.join(target, 'tsconfig.json');
+  }
+  if (!fs.existsSync(target) && !target.endsWith('.json')) {
+    return `${target}.json`;
+  }
+  return target;
+}
+
+function toPathAliases(paths, base) {
+  if (!paths || !base) return [];
+  return Object.entries(paths).map(([pattern, targets]) => ({
+    pattern,
+    targets: [].concat(targets).map(t => path.resolve(base, t)),
+  }));
+}
+
+/**
+ * Map a non-relative specifier to candidate file paths (without extension
+ * resolution) using `paths` and then `baseUrl`. The longest matching
+ * `paths` prefix wins, as in tsc.
+ *
+ * @param {TsProject} project
+ * @param {string} specifier
+ * @returns {string[]} Absolute candidates, most specific first
+ */
+function resolveAlias(project, specifier) {
+  let best = null;
+  for (const alias of project.paths) {
+    const match = matchAliasPattern(alias.pattern, specifier);
+    if (match && (!best || match.prefixLength > best.prefixLength)) {
+      best = { ...match, targets: alias.targets };
+    }
+  }
+
+  const candidates = best
+    ? best.targets.map(t => t.replace('*', best.captured))
+    : [];
+  if (project.baseUrl) candidates.push(path.join(project.baseUrl, specifier));
+  return candidates;
+}
+
+/**
+ * Match a `paths` key (at most one `*`) against a specifier. Exact keys
+ * rank above every wildcard key.
+ */
+function matchAliasPattern(pattern, specifier) {
+  const star = pattern.indexOf('*');
+  if (star === -1) {
+    return pattern === specifier ? { captured: '', prefixLength: Infinity } : null;
+  }
+
+  const prefix = pattern.slice(0, star);
+  const suffix = pattern.slice(star + 1);
+  if (
+    specifier.length < prefix.length + suffix.length ||
+    !specifier.startsWith(prefix) ||
+    !specifier.endsWith(suffix)
+  ) {
+    return null;
+  }
+  return {
+    captured: specifier.slice(prefix.length, specifier.length - suffix.length),
+    prefixLength: prefix.length,
+  };
+}
+
+/**
+ * Flatten a project and its references (depth-first, root first).
+ */
+function listProjects(project) {
+  return [project, ...project.references.flatMap(listProjects)];
+}
+
+/**
+ * Translate `include` / `exclude` / `files` of all projects into scanner
+ * options: globs relative to the scanned root directory.
+ *
+ * @param {TsProject} project
+ * @param {string} rootDir
+ * @returns {{include: string[], exclude: string[], files: string[]}}
+ */
+function getScanScope(project, rootDir) {
+  const absoluteRoot = path.resolve(rootDir);
+  const relative = p => path.relative(absoluteRoot, p).split(path.sep).join('/');
+  const include = new Set();
+  const exclude = new Set();
+  const files = new Set();
+
+  for (const p of listProjects(project)) {
+    for (const pattern of p.include) {
+      // A pattern without wildcards or extension names a directory
+      const isDirectory = !/[*?]/.test(path.basename(pattern)) && !path.extname(pattern);
+      include.add(relative(isDirectory ? path.join(pattern, '**/*') : pattern));
+    }
+    for (const pattern of p.exclude) {
+      exclude.add(relative(pattern));
+      exclude.add(`${relative(pattern)}/**`);
+    }
+    for (const file of p.files) files.add(file);
+  }
+
+  return { include: [...include], exclude: [...exclude], files: [...files] };
+}
+
+/**
+ * Parse JSON with comments and trailing commas, as tsconfig files allow.
+ */
+function parseJsonc(text) {
+  let out = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') {
+      let end = i + 1;
+      while (end < text.length && text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+      out += text.slice(i, end + 1);
+      i = end;
+    } else if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      out += '\n';
+    } else if (ch === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else if (ch === ',' && isTrailingComma(text, i + 1)) {
+      continue;
+    } else {
+      out += ch;
+    }
+  }
+  return JSON.parse(out);
+}
+
+/**
+ * Whether the next token after a comma closes the object or array, skipping
+ * whitespace and comments (`"a": 1, // "b": 2` on the last line).
+ */
+function isTrailingComma(text, from) {
+  let i = from;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+    } else if (text.startsWith('//', i)) {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? text.length : end + 1;
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else {
+      return text[i] === '}' || text[i] === ']';
+    }
+  }
+  return false;
+}
+
+/**
+ * @typedef {object} TsProject
+ * @property {string} configPath  - Absolute path of the tsconfig file
+ * @property {string} dir         - Directory containing it
+ * @property {string|null} baseUrl - Absolute baseUrl, if set
+ * @property {Array<{pattern: string, targets: string[]}>} paths - Aliases with absolute targets
+ * @property {string[]} include   - Absolute include globs
+ * @property {string[]} exclude   - Absolute exclude paths/globs
+ * @property {string[]} files     - Absolute explicit file list
+ * @property {TsProject[]} references - Referenced sub-projects
+ */
+
+module.exports = { loadTsConfig, resolveAlias, listProjects, getScanScope, parseJsonc };
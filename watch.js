@@ -0,0 +1,180 @@
+/**
+ * Watch mode — a directory watcher and a local report server.
+ *
+ * The watcher puts a non-recursive fs.watch on every directory the scanner
+ * descends into, so ignored trees such as node_modules are never watched.
+ * Events are batched; after each batch the set of directories is refreshed
+ * to pick up new and removed ones.
+ *
+ * The server binds to 127.0.0.1 only and serves the latest HTML report at
+ * `/`. Pages listen on `/events` (server-sent events) and reload when a newer
+ * report is published. Requests with a Host header other than localhost are
+ * refused, so other sites cannot read the report through DNS rebinding.
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { scanDirectories } = require('./scanner');
+
+const DEFAULT_WATCH_PORT = 4280;
+
+// Quiet period before a batch of file events is handed on
+const DEBOUNCE_MS = 150;
+
+// Comment lines that keep idle event streams from timing out
+const HEARTBEAT_MS = 30000;
+
+/**
+ * Watch the scanned directories of a project.
+ *
+ * @param {string} rootDir
+ * @param {object} opts
+ * @param {string[]} opts.ignore - The scanner's ignore patterns
+ * @param {(changed: Set<string>) => void} opts.onChange - Absolute paths named by the events of one batch
+ * @param {number} [opts.debounceMs]
+ * @returns {{directories: () => string[], close: () => void}}
+ */
+function watchDirectories(rootDir, { ignore, onChange, debounceMs = DEBOUNCE_MS }) {
+  const watchers = new Map();
+  let changed = new Set();
+  let timer = null;
+
+  const flush = () => {
+    timer = null;
+    sync();
+    const batch = changed;
+    changed = new Set();
+    onChange(batch);
+  };
+
+  const watch = dir => {
+    let watcher;
+    try {
+      watcher = fs.watch(dir, (eventType, fileName) => {
+        changed.add(fileName ? path.join(dir, fileName.toString()) : dir);
+        clearTimeout(timer);
+        timer = setTimeout(flush, debounceMs);
+      });
+    } catch {
+      return; // removed before it could be watched
+    }
+    // Raised when the directory itself goes away; sync() drops it
+    watcher.on('error', () => {});
+    watchers.set(dir, watcher);
+  };
+
+  function sync() {
+    const current = new Set(scanDirectories(rootDir, { ignore }));
+    for (const [dir, watcher] of watchers) {
+      if (!current.has(dir)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+    for (const dir of current) {
+      if (!watchers.has(dir)) watch(dir);
+    }
+  }
+
+  sync();
+  return {
+    directories: () => [...watchers.keys()],
+    close() {
+      clearTimeout(timer);
+      for (const watcher of watchers.values()) watcher.close();
+      watchers.clear();
+    },
+  };
+}
+
+/**
+ * Start the report server on 127.0.0.1.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.port] - 0 picks a free port
+ * @returns {Promise<ReportServer>}
+ * @throws {Error} when the port cannot be bound (e.g. already in use)
+ */
+function startReportServer({ port = DEFAULT_WATCH_PORT } = {}) {
+  let html = '<!DOCTYPE html>\n<html><body><p>Analyzing…</p></body></html>';
+  let generation = 0;
+  const clients = new Set();
+
+  const server = http.createServer((req, res) => {
+    if (!/^(?:localhost|127\.0\.0\.1)(?::\d+)?$/i.test(req.headers.host || '')) {
+      res.writeHead(403, { 'Content-Type': 'text/plain' });
+      res.end('Forbidden');
+      return;
+    }
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET' || (pathname !== '/' && pathname !== '/events')) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+
+    if (pathname === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end(withLiveReload(html, generation));
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive',
+    });
+    // The current generation on every (re)connect: pages that missed an update reload
+    res.write(`retry: 1000\nevent: report\ndata: ${generation}\n\n`);
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+  });
+
+  const heartbeat = setInterval(() => {
+    for (const client of clients) client.write(': heartbeat\n\n');
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  return new Promise((resolve, reject) => {
+    server.once('error', err => {
+      clearInterval(heartbeat);
+      reject(new Error(`Cannot start the report server on port ${port}: ${err.message}`));
+    });
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://localhost:${server.address().port}/`,
+        publish(nextHtml) {
+          html = nextHtml;
+          generation++;
+          for (const client of clients) client.write(`event: report\ndata: ${generation}\n\n`);
+        },
+        close() {
+          clearInterval(heartbeat);
+          for (const client of clients) client.end();
+          return new Promise(done => server.close(done));
+        },
+      });
+    });
+  });
+}
+
+/** The report with a script that reloads it when a newer generation is published. */
+function withLiveReload(html, generation) {
+  const script = `<script>
+new EventSource('/events').addEventListener('report', e => {
+  if (Number(e.data) !== ${generation}) location.reload();
+});
+</script>
+`;
+  const end = html.lastIndexOf('</body>');
+  return end === -1 ? html + script : html.slice(0, end) + script + html.slice(end);
+}
+
+/**
+ * @typedef {object} ReportServer
+ * @property {string} url                     - http://localhost:<port>/
+ * @property {(html: string) => void} publish - Serve this report and tell open pages to reload
+ * @property {() => Promise<void>} close
+ */
+
+module.exports = { watchDirectories, startReportServer, DEFAULT_WATCH_PORT };
@@ -0,0 +1,121 @@
+/**
+ * Worker pool — spreads file analysis across worker_threads.
+ *
+ * The same module runs in both roles: loaded normally it exports the pool,
+ * started as a worker it analyzes the batches of file paths it is sent.
+ * Results are stored by the file's position in the input, so the output
+ * order never depends on which worker finished first.
+ */
+const os = require('os');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { analyzeFile } = require('./analyzers/file-analyzer');
+
+// Files sent to a worker per message; small enough to keep all workers busy
+const BATCH_SIZE = 16;
+
+/**
+ * Resolve a --jobs value: a positive integer, or "auto" for one worker per
+ * available CPU.
+ *
+ * @throws {Error} on anything else
+ */
+function resolveJobs(value) {
+  if (value === undefined || value === null) return 1;
+  if (String(value).toLowerCase() === 'auto') {
+    return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  }
+  const jobs = Number(value);
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    throw new Error(`--jobs must be a positive integer or "auto" (got "${value}")`);
+  }
+  return jobs;
+}
+
+/**
+ * Analyze files on `jobs` worker threads.
+ *
+ * @param {string[]} files
+ * @param {object} options - analyzeFile options
+ * @param {object} opts
+ * @param {number} opts.jobs
+ * @param {(done: number, total: number) => void} [opts.onProgress]
+ * @returns {Promise<{results: Array<object|undefined>, errors: Array<{filePath: string, message: string}>}>}
+ *   `results[i]` belongs to `files[i]`; it is undefined when the file failed
+ */
+function analyzeInWorkers(files, options, { jobs, onProgress = () => {} }) {
+  const results = new Array(files.length);
+  const errors = [];
+  let next = 0;
+  let done = 0;
+
+  const workerCount = Math.min(jobs, Math.ceil(files.length / BATCH_SIZE));
+  if (workerCount === 0) return Promise.resolve({ results, errors });
+
+  return new Promise((resolve, reject) => {
+    const workers = [];
+    let finished = 0;
+    let failed = false;
+
+    const fail = err => {
+      if (failed) return;
+      failed = true;
+      for (const w of workers) w.terminate();
+      reject(err);
+    };
+
+    const sendBatch = worker => {
+      if (next >= files.length) {
+        worker.postMessage(null);
+        return;
+      }
+      const start = next;
+      next = Math.min(next + BATCH_SIZE, files.length);
+      worker.postMessage({ start, files: files.slice(start, next) });
+    };
+
+    for (let i = 0; i < workerCount; i++) {
+      const worker = new Worker(__filename, { workerData: { options } });
+      workers.push(worker);
+
+      worker.on('message', ({ start, outcomes }) => {
+        outcomes.forEach((outcome, offset) => {
+          if (outcome.error) errors.push({ filePath: files[start + offset], message: outcome.error });
+          else results[start + offset] = outcome.result;
+          onProgress(++done, files.length);
+        });
+        sendBatch(worker);
+      });
+      worker.on('error', fail);
+      worker.on('exit', code => {
+        if (failed) return;
+        if (code !== 0) {
+          fail(new Error(`Analysis worker exited with code ${code}`));
+        } else if (++finished === workerCount) {
+          resolve({ results, errors: errors.sort((a, b) => a.filePath.localeCompare(b.filePath)) });
+        }
+      });
+
+      sendBatch(worker);
+    }
+  });
+}
+
+// ── Worker side ──────────────────────────────────────────────
+if (!isMainThread && workerData && workerData.options) {
+  parentPort.on('message', batch => {
+    if (batch === null) {
+      parentPort.close();
+      return;
+    }
+    const outcomes = batch.files.map(filePath => {
+      try {
+        return { result: analyzeFile(filePath, workerData.options) };
+      } catch (err) {
+        return { error: err.message };
+      }
+    });
+    parentPort.postMessage({ start: batch.start, outcomes });
+  });
+}
+
+module.exports = { analyzeInWorkers, resolveJobs };
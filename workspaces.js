@@ -0,0 +1,170 @@
+/**
+ * Workspace support — finds the packages of an npm / yarn / pnpm monorepo
+ * so that imports of sibling packages resolve to their source files and
+ * the report can break the project down by package.
+ *
+ * Package globs come from the root package.json `workspaces` (an array, or
+ * yarn's `{ "packages": [...] }`) and from `pnpm-workspace.yaml`. A package
+ * is a matching directory with a package.json. Its entry point is looked up
+ * from `source`, `types`, `module`, `main` and `exports["."]`, with build
+ * directories (`dist/`, `lib/`, ...) mapped back to `src/`, then
+ * `src/index` and `index`.
+ */
+const fs = require('fs');
+const path = require('path');
+const { minimatch } = require('minimatch');
+const { scanDirectories } = require('./scanner');
+
+// Build output directories whose files mirror `src/`
+const BUILD_DIRS = ['dist', 'lib', 'build', 'out', 'esm', 'cjs'];
+
+// Never searched for packages
+const IGNORED_DIRS = ['**/node_modules', '**/.git'];
+
+/**
+ * Detect the workspace packages of a project.
+ *
+ * @param {string} rootDir
+ * @returns {?{root: {name: string, dir: string}, packages: Workspace[]}}
+ *   null when the project declares no workspaces
+ * @throws {Error} when package.json or pnpm-workspace.yaml cannot be parsed
+ */
+function loadWorkspaces(rootDir) {
+  const root = path.resolve(rootDir);
+  const manifest = readManifest(path.join(root, 'package.json'));
+  const patterns = [
+    ...workspacePatterns(manifest),
+    ...pnpmPatterns(path.join(root, 'pnpm-workspace.yaml')),
+  ];
+  if (patterns.length === 0) return null;
+
+  const include = patterns.filter(p => !p.startsWith('!')).map(normalizePattern);
+  const exclude = patterns.filter(p => p.startsWith('!')).map(p => normalizePattern(p.slice(1)));
+  const matches = (relativeDir, list) => list.some(pattern => minimatch(relativeDir, pattern, { dot: true }));
+
+  const packages = [];
+  for (const dir of scanDirectories(root, { ignore: IGNORED_DIRS })) {
+    const relativeDir = path.relative(root, dir).split(path.sep).join('/');
+    if (!relativeDir || !matches(relativeDir, include) || matches(relativeDir, exclude)) continue;
+    const pkg = readManifest(path.join(dir, 'package.json'));
+    if (!pkg) continue;
+    packages.push({
+      name: typeof pkg.name === 'string' && pkg.name ? pkg.name : relativeDir,
+      dir,
+      entries: entryCandidates(dir, pkg),
+    });
+  }
+
+  return {
+    root: { name: (manifest && manifest.name) || path.basename(root), dir: root },
+    packages: packages.sort((a, b) => a.name.localeCompare(b.name)),
+  };
+}
+
+/**
+ * The packages whose name or project-relative directory matches one of the
+ * patterns (globs allowed, e.g. `@acme/ui-*`).
+ *
+ * @param {Workspace[]} packages
+ * @param {string[]} patterns
+ * @param {string} rootDir
+ * @returns {Workspace[]}
+ * @throws {Error} when a pattern matches no package
+ */
+function selectWorkspaces(packages, patterns, rootDir) {
+  const selected = new Set();
+  for (const pattern of patterns) {
+    const matched = packages.filter(pkg =>
+      minimatch(pkg.name, pattern) ||
+      minimatch(path.relative(rootDir, pkg.dir).split(path.sep).join('/'), normalizePattern(pattern)));
+    if (matched.length === 0) {
+      throw new Error(`No workspace package matches "${pattern}" (packages: ${packages.map(p => p.name).join(', ')})`);
+    }
+    for (const pkg of matched) selected.add(pkg);
+  }
+  return packages.filter(pkg => selected.has(pkg));
+}
+
+/**
+ * Absolute, extensionless (or as-declared) paths an import of the bare
+ * package name may refer to, most specific first. Resolved against the
+ * scanned files like relative imports.
+ */
+function entryCandidates(dir, pkg) {
+  // `exports` is a path, conditions, or subpaths ("." is the entry point)
+  const exported = pkg.exports && (typeof pkg.exports === 'string' || !('.' in pkg.exports)
+    ? pkg.exports
+    : pkg.exports['.']);
+  const conditions = exported && typeof exported === 'object'
+    ? [exported.source, exported.types, exported.import, exported.default]
+    : [exported];
+  const declared = [pkg.source, pkg.types, pkg.typings, ...conditions, pkg.module, pkg.main]
+    .filter(entry => typeof entry === 'string');
+
+  const candidates = [];
+  for (const entry of declared) {
+    const file = path.join(dir, entry.replace(/\.d\.ts$|\.[cm]?jsx?$|\.[cm]?tsx?$/, ''));
+    candidates.push(file);
+    // dist/index.js → src/index.ts
+    const [first, ...rest] = path.relative(dir, file).split(path.sep);
+    if (BUILD_DIRS.includes(first) && rest.length > 0) candidates.push(path.join(dir, 'src', ...rest));
+  }
+  candidates.push(path.join(dir, 'src', 'index'), path.join(dir, 'index'));
+  return [...new Set(candidates)];
+}
+
+/** Without a leading `./` and trailing slashes. */
+function normalizePattern(pattern) {
+  return pattern.trim().replace(/^\.\//, '').replace(/\/+$/, '');
+}
+
+function workspacePatterns(manifest) {
+  if (!manifest || !manifest.workspaces) return [];
+  const list = Array.isArray(manifest.workspaces) ? manifest.workspaces : manifest.workspaces.packages;
+  return Array.isArray(list) ? list.filter(p => typeof p === 'string') : [];
+}
+
+/**
+ * The `packages` list of pnpm-workspace.yaml — block (`- "apps/*"`) or flow
+ * (`[apps/*, libs/*]`) style; the rest of the file is not interpreted.
+ */
+function pnpmPatterns(file) {
+  if (!fs.existsSync(file)) return [];
+  const unquote = s => s.trim().replace(/^(['"])(.*)\1$/, '$2');
+  const lines = fs.readFileSync(file, 'utf-8').split('\n').map(line => line.replace(/\s+#.*$/, ''));
+
+  const start = lines.findIndex(line => /^packages\s*:/.test(line));
+  if (start === -1) return [];
+  const inline = lines[start].replace(/^packages\s*:/, '').trim();
+  if (inline.startsWith('[')) {
+    if (!inline.endsWith(']')) throw new Error(`Cannot parse ${file}: unsupported "packages" list`);
+    return inline.slice(1, -1).split(',').map(unquote).filter(Boolean);
+  }
+
+  const patterns = [];
+  for (const line of lines.slice(start + 1)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    const item = /^\s*-\s*(.+)$/.exec(line);
+    if (!item) break; // next top-level key
+    patterns.push(unquote(item[1]));
+  }
+  return patterns;
+}
+
+function readManifest(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Cannot read ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * @typedef {object} Workspace
+ * @property {string} name      - From its package.json, else the directory
+ * @property {string} dir       - Absolute
+ * @property {string[]} entries - Candidate paths of the package entry point
+ */
+
+module.exports = { loadWorkspaces, selectWorkspaces };